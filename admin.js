@@ -0,0 +1,461 @@
+// admin.js
+// Painel administrativo do site (/admin): produtos, pedidos, fila de aprovação e transcrições dos canais.
+const crypto = require('crypto');
+const express = require('express');
+const {
+    getAllProducts,
+    getProductById,
+    addProduct,
+    updateProduct,
+    updateProductDetails,
+    setProductVariants,
+    getHeldStock,
+    setLowStockThreshold,
+    deleteProduct,
+    findOrderById,
+    getOrders,
+    getAuditLogs,
+    getVerificationToken,
+    consumeVerificationToken,
+    releaseVerificationToken,
+    getPendingVerificationTokens,
+    invalidateOrderTokens,
+    getPendingCancellationRequests,
+    getLatestReceiptsByOrder,
+    resolveCancellationRequest,
+    getTranscriptsByOrders,
+    getRecentTranscripts,
+    getChannelTranscriptById,
+} = require('./db.js');
+const { isGuildAdmin, logAuditEvent, updateShoppingPanels } = require('./index.js');
+const { ORDER_STATUSES, canTransition, statusLabel } = require('./orderStatus.js');
+const { AUDIT_ACTIONS, AUDIT_ACTION_GROUPS, auditActionLabel } = require('./audit.js');
+const { fileUrl } = require('./storage.js');
+const { CATALOG_NAME_MAX_LENGTH, parseVariantLine, isValidImageUrl } = require('./catalog.js');
+const { formatTranscriptText } = require('./transcripts.js');
+const { parseReportDate, resolveReportPeriod, loadSalesReport, formatDuration, buildOrdersCsv, csvFileName } = require('./reports.js');
+
+const router = express.Router();
+
+// Por quanto tempo o resultado da checagem de cargo fica guardado na sessão
+const ADMIN_CHECK_TTL_MS = 5 * 60 * 1000;
+
+// Status de destino de cada ação da fila. Um comprovante recusado volta para 'analise' (ou vai para 'declined' na
+// última tentativa); as duas transições saem de 'pending_approval'.
+const ACTION_TARGET_STATUS = { approve: 'approved', reject: 'analise', deliver: 'entregue', cancel: 'cancelled', refund: 'refunded' };
+
+/**
+ * Encaminha erros de handlers assíncronos para o Express (o Express 4 não captura promises rejeitadas).
+ */
+const handle = (fn) => (req, res, next) => fn(req, res, next).catch(next);
+
+/**
+ * Middleware que exige login com Discord e o cargo ADMIN_ROLE_ID no servidor da loja.
+ */
+async function requireAdmin(req, res, next) {
+    const user = req.session.discordUser;
+    if (!user) {
+        req.session.returnTo = req.originalUrl;
+        return res.redirect('/login');
+    }
+
+    const cached = req.session.adminCheck;
+    let isAdmin;
+    if (cached && cached.userId === user.id && Date.now() - cached.checkedAt < ADMIN_CHECK_TTL_MS) {
+        isAdmin = cached.isAdmin;
+    } else {
+        isAdmin = await isGuildAdmin(user.id);
+        req.session.adminCheck = { userId: user.id, isAdmin, checkedAt: Date.now() };
+    }
+
+    if (!isAdmin) {
+        return res.status(403).render('action-result', { actionResult: { success: false, message: 'Acesso restrito aos administradores da loja.' } });
+    }
+    res.locals.user = user;
+    next();
+}
+
+/**
+ * Proteção contra CSRF: cada sessão recebe um token, que os formulários do painel enviam no campo _csrf.
+ * Um POST sem o token da sessão (ex: um formulário de outro site) é recusado.
+ */
+function requireCsrfToken(req, res, next) {
+    if (!req.session.csrfToken) req.session.csrfToken = crypto.randomBytes(32).toString('hex');
+    res.locals.csrfToken = req.session.csrfToken;
+    if (req.method !== 'POST') return next();
+
+    const expected = Buffer.from(req.session.csrfToken);
+    const received = Buffer.from(typeof req.body._csrf === 'string' ? req.body._csrf : '');
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+        return res.status(403).render('action-result', { actionResult: { success: false, message: 'O formulário expirou. Recarregue a página e tente de novo.' } });
+    }
+    next();
+}
+
+/**
+ * Identificação do admin logado, no mesmo formato gravado em verification_tokens."usedBy".
+ */
+function actorOf(req) {
+    return `${req.session.discordUser.username} (${req.session.discordUser.id})`;
+}
+
+/**
+ * Lê e valida os campos do formulário de produto. As variações vêm de um campo de texto,
+ * uma por linha, no formato "nome | preço | estoque".
+ * @returns {{product: object|null, error: string|null}}
+ */
+function parseProductForm(body) {
+    const name = (body.name || '').trim();
+    const price = parseFloat(body.price);
+    const stock = parseInt(body.stock, 10);
+    const category = (body.category || '').trim();
+    const imageUrl = (body.imageUrl || '').trim();
+    const thresholdText = (body.lowStockThreshold || '').trim();
+    const lowStockThreshold = thresholdText ? parseInt(thresholdText, 10) : null;
+
+    if (!name || isNaN(price) || price <= 0 || isNaN(stock) || stock < -1) {
+        return { product: null, error: 'Preencha o nome, um preço maior que zero e um estoque válido (-1 para infinito).' };
+    }
+    if (category.length > CATALOG_NAME_MAX_LENGTH) {
+        return { product: null, error: `A categoria pode ter no máximo ${CATALOG_NAME_MAX_LENGTH} caracteres.` };
+    }
+    if (imageUrl && !isValidImageUrl(imageUrl)) {
+        return { product: null, error: 'O link da imagem precisa começar com http:// ou https://.' };
+    }
+    if (lowStockThreshold !== null && (isNaN(lowStockThreshold) || lowStockThreshold < 0)) {
+        return { product: null, error: 'O alerta de estoque baixo precisa ser um número igual ou maior que zero (vazio desliga).' };
+    }
+
+    const variantLines = (body.variants || '').split('\n').map(line => line.trim()).filter(Boolean);
+    const variants = [];
+    for (const line of variantLines) {
+        const variant = parseVariantLine(line);
+        if (!variant) return { product: null, error: `Variação inválida: "${line}". Use "nome | preço | estoque".` };
+        if (variants.some(existing => existing.name.toLowerCase() === variant.name.toLowerCase())) {
+            return { product: null, error: `A variação "${variant.name}" aparece mais de uma vez.` };
+        }
+        variants.push(variant);
+    }
+
+    return {
+        product: {
+            name,
+            price: price.toFixed(2),
+            description: (body.description || '').trim(),
+            emoji: (body.emoji || '').trim() || '📦',
+            stock,
+            category: category || null,
+            imageUrl: imageUrl || null,
+            lowStockThreshold,
+            variants,
+        },
+        error: null,
+    };
+}
+
+/**
+ * Escreve as variações de um produto no formato do campo de texto do formulário.
+ * @param {Array<{name: string, price: number, stock: number}>} variants
+ * @returns {string}
+ */
+function variantsToText(variants) {
+    return variants.map(variant => `${variant.name} | ${variant.price.toFixed(2)} | ${variant.stock}`).join('\n');
+}
+
+router.use(handle(requireAdmin));
+router.use(requireCsrfToken);
+
+router.get('/', (req, res) => res.redirect('/admin/fila'));
+
+// --- PRODUTOS ---
+
+router.get('/produtos', handle(async (req, res) => {
+    const products = await getAllProducts();
+    res.render('admin-products', { products, notice: req.query.notice || null });
+}));
+
+router.get('/produtos/novo', (req, res) => {
+    res.render('admin-product-form', { product: null, variantsText: '', error: null });
+});
+
+router.post('/produtos/novo', handle(async (req, res) => {
+    const { product, error } = parseProductForm(req.body);
+    if (error) return res.status(400).render('admin-product-form', { product: { ...req.body, id: null }, variantsText: req.body.variants || '', error });
+
+    // Mesmo formato de ID usado pelo comando !addstock
+    const productId = `${product.name.substring(0, 2).toUpperCase()}${Date.now().toString().slice(-5)}`;
+    await addProduct({ id: productId, ...product, description: product.description || `Produto adicionado por ${req.session.discordUser.username}` });
+    if (product.variants.length > 0) await setProductVariants(productId, product.variants);
+    if (product.lowStockThreshold !== null) await setLowStockThreshold(productId, product.lowStockThreshold);
+    await logAuditEvent(`ADMIN (site): ${actorOf(req)} adicionou o produto "${product.name}" (ID: ${productId}) com estoque ${product.stock} e preço R$ ${product.price}.`, {
+        action: 'product.create',
+        actor: actorOf(req),
+        entityType: 'product',
+        entityId: productId,
+        payload: { name: product.name, price: product.price, stock: product.stock, category: product.category, imageUrl: product.imageUrl, lowStockThreshold: product.lowStockThreshold, variants: product.variants },
+    });
+    await updateShoppingPanels();
+    res.redirect(`/admin/produtos?notice=${encodeURIComponent(`Produto ${product.name} criado.`)}`);
+}));
+
+router.get('/produtos/:productId/editar', handle(async (req, res) => {
+    const product = await getProductById(req.params.productId);
+    if (!product) return res.status(404).send('Produto não encontrado.');
+
+    // O formulário mostra o estoque total (disponível + reservado), que é o valor salvo por updateProduct
+    const held = await getHeldStock(product.id);
+    const withHeld = (stock, units) => (stock === -1 ? stock : stock + (units || 0));
+    const formProduct = {
+        ...product,
+        stock: withHeld(product.stock, held.product),
+        variants: product.variants.map(variant => ({ ...variant, stock: withHeld(variant.stock, held.variants[variant.id]) })),
+    };
+    res.render('admin-product-form', { product: formProduct, variantsText: variantsToText(formProduct.variants), error: null });
+}));
+
+router.post('/produtos/:productId/editar', handle(async (req, res) => {
+    const { productId } = req.params;
+    const existing = await getProductById(productId);
+    if (!existing) return res.status(404).send('Produto não encontrado.');
+
+    const { product, error } = parseProductForm(req.body);
+    if (error) return res.status(400).render('admin-product-form', { product: { ...req.body, id: productId }, variantsText: req.body.variants || '', error });
+
+    // As variações vêm primeiro: se alguma removida ainda estiver em uso, nada do produto é alterado
+    const variantsResult = await setProductVariants(productId, product.variants);
+    if (!variantsResult.success) return res.status(400).render('admin-product-form', { product: { ...req.body, id: productId }, variantsText: req.body.variants || '', error: variantsResult.message });
+    const productResult = await updateProduct(productId, product);
+    if (!productResult.success) return res.status(400).render('admin-product-form', { product: { ...req.body, id: productId }, variantsText: req.body.variants || '', error: productResult.message });
+    await updateProductDetails(productId, product);
+    await setLowStockThreshold(productId, product.lowStockThreshold);
+    await logAuditEvent(`ADMIN (site): ${actorOf(req)} editou o produto ID ${productId}. Novo nome: "${product.name}", Novo preço: R$ ${product.price}, Novo estoque: ${product.stock}.`, {
+        action: 'product.update',
+        actor: actorOf(req),
+        entityType: 'product',
+        entityId: productId,
+        payload: { name: product.name, price: product.price, stock: product.stock, category: product.category, imageUrl: product.imageUrl, lowStockThreshold: product.lowStockThreshold, variants: product.variants },
+    });
+    await updateShoppingPanels();
+    res.redirect(`/admin/produtos?notice=${encodeURIComponent(`Produto ${product.name} atualizado.`)}`);
+}));
+
+router.post('/produtos/:productId/deletar', handle(async (req, res) => {
+    const { productId } = req.params;
+    const product = await getProductById(productId);
+    if (!product) return res.status(404).send('Produto não encontrado.');
+
+    try {
+        await deleteProduct(productId);
+    } catch (error) {
+        // Produtos com pedidos vinculados não podem ser apagados (chave estrangeira em orders)
+        console.error(`Erro ao deletar o produto ${productId}:`, error);
+        return res.redirect(`/admin/produtos?notice=${encodeURIComponent(`Não foi possível deletar ${product.name}: existem pedidos vinculados. Zere o estoque em vez disso.`)}`);
+    }
+    await logAuditEvent(`ADMIN (site): ${actorOf(req)} deletou o produto "${product.name}" (ID: ${productId}).`, {
+        action: 'product.delete',
+        actor: actorOf(req),
+        entityType: 'product',
+        entityId: productId,
+        payload: { name: product.name },
+    });
+    await updateShoppingPanels();
+    res.redirect(`/admin/produtos?notice=${encodeURIComponent(`Produto ${product.name} deletado.`)}`);
+}));
+
+// --- PEDIDOS ---
+
+router.get('/pedidos', handle(async (req, res) => {
+    const filters = {
+        status: req.query.status || '',
+        productId: req.query.productId || '',
+        search: (req.query.search || '').trim(),
+        from: req.query.from || '',
+        to: req.query.to || '',
+    };
+    const [orders, products] = await Promise.all([getOrders(filters), getAllProducts()]);
+    const transcriptsByOrder = await getTranscriptsByOrders(orders.map(order => order.id));
+    res.render('admin-orders', { orders, products, filters, transcriptsByOrder, statuses: ORDER_STATUSES, statusLabel, canTransition, fileUrl });
+}));
+
+// --- RELATÓRIOS ---
+
+/**
+ * Lê o período dos filtros (?from=AAAA-MM-DD&to=AAAA-MM-DD) do relatório.
+ */
+function reportPeriodOf(req) {
+    return resolveReportPeriod(parseReportDate(req.query.from), parseReportDate(req.query.to, true));
+}
+
+router.get('/relatorios', handle(async (req, res) => {
+    const period = reportPeriodOf(req);
+    // Período invertido: avisa e mostra o período padrão
+    if (period.from > period.to) {
+        const report = await loadSalesReport(resolveReportPeriod(null, null));
+        return res.status(400).render('admin-reports', { ...report, filters: { from: '', to: '' }, error: 'A data inicial é depois da data final.', statusLabel, formatDuration });
+    }
+    const report = await loadSalesReport(period);
+    res.render('admin-reports', { ...report, filters: { from: req.query.from || '', to: req.query.to || '' }, error: null, statusLabel, formatDuration });
+}));
+
+router.get('/relatorios.csv', handle(async (req, res) => {
+    const period = reportPeriodOf(req);
+    if (period.from > period.to) return res.status(400).send('A data inicial é depois da data final.');
+    const csv = await buildOrdersCsv(period);
+    await logAuditEvent(`ADMIN (site): ${actorOf(req)} exportou os pedidos de ${period.from.toISOString()} a ${period.to.toISOString()} em CSV.`, {
+        action: 'report.export',
+        actor: actorOf(req),
+        payload: { from: period.from, to: period.to },
+    });
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.attachment(csvFileName(period));
+    res.send(csv);
+}));
+
+// --- AUDITORIA ---
+
+router.get('/auditoria', handle(async (req, res) => {
+    const filters = {
+        userId: (req.query.userId || '').trim(),
+        productId: (req.query.productId || '').trim(),
+        orderId: (req.query.orderId || '').trim(),
+        action: req.query.action || '',
+        from: req.query.from || '',
+        to: req.query.to || '',
+    };
+    const logs = await getAuditLogs({
+        ...filters,
+        from: parseReportDate(filters.from),
+        to: parseReportDate(filters.to, true),
+    });
+    res.render('admin-audit', { logs, filters, actions: AUDIT_ACTIONS, actionGroups: AUDIT_ACTION_GROUPS, auditActionLabel });
+}));
+
+// --- TRANSCRIÇÕES ---
+
+router.get('/transcricoes', handle(async (req, res) => {
+    const filters = { search: (req.query.search || '').trim() };
+    const transcripts = await getRecentTranscripts({ orderId: filters.search });
+    res.render('admin-transcripts', { transcripts, filters });
+}));
+
+router.get('/transcricoes/:id', handle(async (req, res) => {
+    const transcript = /^\d+$/.test(req.params.id) ? await getChannelTranscriptById(req.params.id) : null;
+    if (!transcript) return res.status(404).send('Transcrição não encontrada.');
+    // Os links do cabeçalho só servem na cópia enviada ao Discord; aqui a página já é a do painel
+    res.render('transcript', { transcript, siteUrl: null, formatTranscriptText, fileUrl });
+}));
+
+// --- FILA DE APROVAÇÃO ---
+
+router.get('/fila', handle(async (req, res) => {
+    const [pendingOrders, approvedOrders, tokens, cancellationRequests] = await Promise.all([
+        getOrders({ status: 'pending_approval' }),
+        getOrders({ status: 'approved' }),
+        getPendingVerificationTokens(),
+        getPendingCancellationRequests(),
+    ]);
+    // Pedidos (do site e dos tickets) aparecem pelos próprios pedidos; os tokens só cobrem tickets abertos antes de virarem pedidos.
+    const ticketTokens = tokens.filter(token => token.context.type === 'ticket' && !token.context.orderId);
+    // O comprovante mais recente de cada pedido em análise, para avisar de comprovantes repetidos
+    const latestReceipts = await getLatestReceiptsByOrder(pendingOrders.map(order => order.id));
+    res.render('admin-queue', { pendingOrders, approvedOrders, ticketTokens, cancellationRequests, latestReceipts, statusLabel, canTransition, fileUrl, notice: req.query.notice || null });
+}));
+
+/**
+ * Executa a ação pelo mesmo caminho dos links enviados por DM e volta para a fila com o resultado.
+ */
+async function runVerificationAction(req, res, action, context, reason) {
+    const { processVerificationAction } = require('./index.js');
+    const result = await processVerificationAction(action, context, actorOf(req), reason);
+    await logAuditEvent(`ADMIN (site): ${actorOf(req)} executou '${action}' pelo painel. Resultado: ${result.message}`, {
+        action: 'order.panel_action',
+        actor: actorOf(req),
+        entityType: context.orderId ? 'order' : 'ticket',
+        entityId: context.orderId || context.channelId,
+        payload: { action, success: result.success, userId: context.userId, productId: context.productId },
+    });
+    res.redirect(`/admin/fila?notice=${encodeURIComponent(result.message)}`);
+}
+
+router.post('/pedidos/:orderId/:action', handle(async (req, res) => {
+    const { orderId, action } = req.params;
+    const order = await findOrderById(orderId);
+    if (!order) return res.status(404).send('Pedido não encontrado.');
+
+    const targetStatus = ACTION_TARGET_STATUS[action];
+    if (!targetStatus || !canTransition(order.status, targetStatus)) {
+        return res.redirect(`/admin/fila?notice=${encodeURIComponent(`Ação '${action}' não permitida para o pedido ${orderId} (status: ${statusLabel(order.status)}).`)}`);
+    }
+    const reason = (req.body.reason || '').trim();
+    if (action === 'reject' && !reason) {
+        return res.redirect(`/admin/fila?notice=${encodeURIComponent('Informe o motivo da recusa do comprovante.')}`);
+    }
+    if ((action === 'cancel' || action === 'refund') && !reason) {
+        return res.redirect(`/admin/fila?notice=${encodeURIComponent('Informe o motivo do cancelamento ou reembolso.')}`);
+    }
+
+    // Os links por DM deste pedido deixam de valer e passam a mostrar quem agiu pelo painel
+    await invalidateOrderTokens(orderId, actorOf(req));
+    const context = {
+        type: order.source === 'ticket' ? 'ticket' : 'site',
+        orderId,
+        channelId: order.ticketChannelId,
+        userId: order.userId,
+        productId: order.productId,
+        productName: order.productName,
+    };
+    await runVerificationAction(req, res, action, context, reason);
+}));
+
+router.post('/cancelamentos/:orderId/negar', handle(async (req, res) => {
+    const { orderId } = req.params;
+    const note = (req.body.reason || '').trim();
+    if (!note) {
+        return res.redirect(`/admin/fila?notice=${encodeURIComponent('Informe o motivo para negar o cancelamento.')}`);
+    }
+    const request = await resolveCancellationRequest(orderId, 'denied', actorOf(req), note);
+    if (!request) {
+        return res.redirect(`/admin/fila?notice=${encodeURIComponent('Este pedido de cancelamento já foi resolvido.')}`);
+    }
+
+    const { client } = require('./index.js');
+    const buyer = await client.users.fetch(request.userId).catch(() => null);
+    if (buyer) {
+        await buyer.send(`Seu pedido de cancelamento do pedido \`${orderId}\` foi negado.\n**Motivo:** ${note}`).catch(console.error);
+    }
+    await logAuditEvent(`ADMIN (site): ${actorOf(req)} negou o pedido de cancelamento do pedido ${orderId}. Motivo: ${note}`, {
+        action: 'order.cancellation_denied',
+        actor: actorOf(req),
+        entityType: 'order',
+        entityId: orderId,
+        payload: { userId: request.userId, reason: note },
+    });
+    res.redirect(`/admin/fila?notice=${encodeURIComponent(`Pedido de cancelamento de ${orderId} negado. O comprador foi avisado.`)}`);
+}));
+
+router.post('/tokens/:tokenId/:action', handle(async (req, res) => {
+    const { tokenId, action } = req.params;
+    const token = await getVerificationToken(tokenId);
+    if (!token) return res.status(404).send('Item não encontrado.');
+
+    const allowed = token.action === 'deliver' ? ['deliver'] : ['approve', 'reject'];
+    if (!allowed.includes(action)) return res.status(400).send('Ação inválida.');
+    const reason = (req.body.reason || '').trim();
+    if (action === 'reject' && !reason) {
+        return res.redirect(`/admin/fila?notice=${encodeURIComponent('Informe o motivo da recusa do comprovante.')}`);
+    }
+
+    const consumed = await consumeVerificationToken(tokenId, actorOf(req));
+    if (!consumed) {
+        return res.redirect(`/admin/fila?notice=${encodeURIComponent('Este item já foi processado ou expirou.')}`);
+    }
+    try {
+        await runVerificationAction(req, res, action, consumed.context, reason);
+    } catch (error) {
+        console.error(`Erro ao processar a ação '${action}' do token ${tokenId} pelo painel:`, error);
+        await releaseVerificationToken(tokenId);
+        res.redirect(`/admin/fila?notice=${encodeURIComponent('Erro ao processar a ação. Tente novamente.')}`);
+    }
+}));
+
+module.exports = router;
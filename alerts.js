@@ -0,0 +1,148 @@
+// alerts.js
+// Alertas para os admins: estoque baixo (limite por produto) e pedidos parados além do prazo (SLA) em cada status.
+const { itemName } = require('./catalog.js');
+const { statusLabel } = require('./orderStatus.js');
+
+// Status em que o pedido depende de alguém da loja (ou do comprador) para andar, com o prazo padrão em minutos
+const DEFAULT_SLA_MINUTES = {
+    analise: 120,
+    pending_approval: 30,
+    approved: 60,
+};
+
+// Configuração padrão (app_config 'admin_alerts'). Sem canal, os alertas ficam desligados.
+// roleId null usa o cargo de administrador; repingMinutes é o intervalo para repetir um alerta ainda não resolvido.
+const DEFAULT_ALERT_SETTINGS = {
+    channelId: null,
+    roleId: null,
+    repingMinutes: 60,
+    sla: DEFAULT_SLA_MINUTES,
+};
+
+// Espaço de cada seção no embed do resumo (o limite da descrição é 4096)
+const DIGEST_SECTION_MAX_LENGTH = 1900;
+
+/**
+ * Junta a configuração salva com os padrões (configurações antigas podem não ter todos os campos).
+ * @param {object|null} saved
+ * @returns {{channelId: string|null, roleId: string|null, repingMinutes: number, sla: Object<string, number|null>}}
+ */
+function resolveAlertSettings(saved) {
+    return {
+        ...DEFAULT_ALERT_SETTINGS,
+        ...(saved || {}),
+        sla: { ...DEFAULT_SLA_MINUTES, ...((saved && saved.sla) || {}) },
+    };
+}
+
+/**
+ * Itens com estoque no limite de alerta do produto ou abaixo dele (zero incluído).
+ * Produtos com variações são verificados por variação; estoque infinito nunca alerta.
+ * @param {object[]} products Produtos carregados com as variações (getAllProducts).
+ * @returns {Array<{key: string, productId: string, variantId: number|null, name: string, stock: number, threshold: number}>}
+ */
+function findLowStockItems(products) {
+    const items = [];
+    for (const product of products) {
+        const threshold = product.lowStockThreshold;
+        if (threshold === null || threshold === undefined) continue;
+        const candidates = product.variants.length > 0 ? product.variants.map(variant => ({ variant, stock: variant.stock })) : [{ variant: null, stock: product.stock }];
+        for (const { variant, stock } of candidates) {
+            if (stock === -1 || stock > threshold) continue;
+            items.push({
+                key: variant ? `stock:${product.id}:${variant.id}` : `stock:${product.id}`,
+                productId: product.id,
+                variantId: variant ? variant.id : null,
+                name: itemName(product, variant),
+                stock,
+                threshold,
+            });
+        }
+    }
+    return items;
+}
+
+/**
+ * Pedidos parados no mesmo status há mais tempo que o prazo configurado para ele.
+ * @param {object[]} orders Pedidos com statusSince (getOrdersAwaitingAction).
+ * @param {Object<string, number|null>} sla Prazo em minutos por status; null ou 0 desliga o status.
+ * @param {Date} [now]
+ * @returns {Array<{key: string, order: object, minutes: number, limit: number}>}
+ */
+function findStalledOrders(orders, sla, now = new Date()) {
+    const stalled = [];
+    for (const order of orders) {
+        const limit = sla[order.status];
+        if (!limit) continue;
+        const minutes = Math.floor((now - new Date(order.statusSince)) / 60000);
+        if (minutes < limit) continue;
+        // O status entra na chave: se o pedido andar para outro status parado, o alerta recomeça
+        stalled.push({ key: `order:${order.id}:${order.status}`, order, minutes, limit });
+    }
+    return stalled.sort((a, b) => b.minutes - a.minutes);
+}
+
+/**
+ * @param {number} minutes
+ * @returns {string} Ex: "45 min", "3h 10min", "2d 4h".
+ */
+function formatElapsed(minutes) {
+    if (minutes < 60) return `${minutes} min`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ${minutes % 60}min`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+/**
+ * Junta as linhas que couberem no tamanho máximo e avisa quantas ficaram de fora.
+ * @param {string[]} lines
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function joinWithinLimit(lines, maxLength) {
+    const kept = [];
+    let length = 0;
+    for (const [index, line] of lines.entries()) {
+        if (length + line.length + 1 > maxLength - 30) {
+            kept.push(`… e mais ${lines.length - index}`);
+            break;
+        }
+        kept.push(line);
+        length += line.length + 1;
+    }
+    return kept.join('\n');
+}
+
+/**
+ * Monta o texto do resumo de alertas.
+ * @param {object[]} lowStock Itens de findLowStockItems, com pingCount (quantas vezes já foram avisados).
+ * @param {object[]} stalledOrders Itens de findStalledOrders, com pingCount.
+ * @param {string} [siteUrl] Para o link de cada pedido no painel.
+ * @returns {string[]} As seções do resumo (uma para estoque e outra para pedidos, se houver).
+ */
+function buildAlertDigest(lowStock, stalledOrders, siteUrl) {
+    const repeat = (item) => (item.pingCount > 0 ? ` · ${item.pingCount + 1}º aviso` : '');
+    const sections = [];
+    if (lowStock.length > 0) {
+        const lines = lowStock.map(item => `• **${item.name}** (\`${item.productId}\`): ${item.stock === 0 ? 'esgotado' : `${item.stock} restante(s)`} · limite ${item.threshold}${repeat(item)}`);
+        sections.push(`📉 **Estoque baixo**\n${joinWithinLimit(lines, DIGEST_SECTION_MAX_LENGTH)}`);
+    }
+    if (stalledOrders.length > 0) {
+        const lines = stalledOrders.map(item => {
+            const link = siteUrl ? ` · [abrir](${siteUrl}/admin/pedidos?search=${encodeURIComponent(item.order.id)})` : '';
+            return `• \`${item.order.id}\` ${statusLabel(item.order.status)} há ${formatElapsed(item.minutes)} (prazo ${formatElapsed(item.limit)})${link}${repeat(item)}`;
+        });
+        sections.push(`⏰ **Pedidos parados**\n${joinWithinLimit(lines, DIGEST_SECTION_MAX_LENGTH)}`);
+    }
+    return sections;
+}
+
+module.exports = {
+    DEFAULT_SLA_MINUTES,
+    DEFAULT_ALERT_SETTINGS,
+    resolveAlertSettings,
+    findLowStockItems,
+    findStalledOrders,
+    formatElapsed,
+    buildAlertDigest,
+};
@@ -0,0 +1,100 @@
+// audit.js
+// Eventos da auditoria: os tipos de ação, os nomes exibidos e a identificação de quem executou cada ação.
+
+// Tipos de evento gravados em audit_logs.action, com o nome exibido no painel e no /auditoria
+const AUDIT_ACTIONS = {
+    'bot.start': 'Bot iniciado',
+    'panel.set': 'Painel de compras definido',
+    'panel.update': 'Painel de compras atualizado',
+    'panel.remove': 'Painel de compras removido',
+    'audit.channel_set': 'Canal de auditoria alterado',
+    'transcript.channel_set': 'Canal de transcrições alterado',
+    'alerts.config': 'Alertas configurados',
+    'alerts.digest': 'Alertas enviados',
+    'user.verify': 'Conta verificada no site',
+    'product.create': 'Produto criado',
+    'product.update': 'Produto editado',
+    'product.delete': 'Produto deletado',
+    'keys.import': 'Chaves importadas',
+    'stock.reservation_expired': 'Reserva de estoque expirada',
+    'waitlist.join': 'Entrada na lista de espera',
+    'waitlist.notify': 'Lista de espera avisada',
+    'waitlist.hold_expired': 'Unidade da lista de espera liberada',
+    'order.proof_sent': 'Comprovante enviado para análise',
+    'order.approve': 'Pedido aprovado',
+    'order.reject': 'Comprovante recusado',
+    'order.receipt_duplicate': 'Comprovante repetido',
+    'order.keys_delivered': 'Chaves entregues',
+    'order.delivery_requested': 'Entrega pendente',
+    'order.deliver': 'Pedido entregue',
+    'order.cancel': 'Pedido cancelado',
+    'order.refund': 'Pedido reembolsado',
+    'order.panel_action': 'Ação pelo painel',
+    'order.cancellation_requested': 'Cancelamento solicitado',
+    'order.cancellation_denied': 'Cancelamento negado',
+    'transcript.archive': 'Transcrição arquivada',
+    'transcript.failed': 'Falha ao arquivar canal',
+    'pix.charge_created': 'Cobrança Pix criada',
+    'pix.payment_ignored': 'Notificação Pix ignorada',
+    'pix.payment_confirmed': 'Pix confirmado',
+    'pix.payment_unapplied': 'Pix pago sem pedido em aberto',
+    'pix.charge_removed': 'Cobrança Pix removida',
+    'coupon.create': 'Cupom criado',
+    'coupon.activate': 'Cupom reativado',
+    'coupon.deactivate': 'Cupom desativado',
+    'coupon.apply': 'Cupom aplicado',
+    'report.generate': 'Relatório gerado',
+    'report.export': 'Pedidos exportados',
+    'moderation.word_add': 'Palavra adicionada ao filtro',
+    'moderation.word_remove': 'Palavra removida do filtro',
+    'moderation.mute': 'Usuário silenciado',
+    'moderation.mute_failed': 'Falha ao silenciar usuário',
+};
+
+// Grupos de eventos (o prefixo antes do ponto), usados para filtrar vários tipos de uma vez
+const AUDIT_ACTION_GROUPS = {
+    order: 'Pedidos',
+    pix: 'Pix',
+    coupon: 'Cupons',
+    product: 'Produtos',
+    keys: 'Chaves',
+    stock: 'Estoque',
+    waitlist: 'Lista de espera',
+    transcript: 'Transcrições',
+    report: 'Relatórios',
+    user: 'Usuários',
+    moderation: 'Moderação',
+    panel: 'Painel de compras',
+    alerts: 'Alertas',
+    audit: 'Auditoria',
+    bot: 'Bot',
+};
+
+/**
+ * @param {string|null} action
+ * @returns {string} O nome do tipo de evento para exibição. Eventos antigos não têm tipo.
+ */
+function auditActionLabel(action) {
+    if (!action) return 'Evento sem tipo';
+    return AUDIT_ACTIONS[action] || action;
+}
+
+/**
+ * Separa o nome e o ID do Discord de quem executou a ação. Aceita { id, name } ou o texto
+ * "nome (ID)" gravado no histórico dos pedidos; outros textos (ex: 'sistema') ficam sem ID.
+ * @param {string|{id?: string, name?: string}|null} actor
+ * @returns {{id: string|null, name: string}}
+ */
+function parseActor(actor) {
+    if (!actor) return { id: null, name: 'sistema' };
+    if (typeof actor === 'object') return { id: actor.id || null, name: actor.name || actor.id || 'sistema' };
+    const match = actor.match(/^(.*) \((\d{17,20})\)$/);
+    return match ? { id: match[2], name: match[1] } : { id: null, name: actor };
+}
+
+module.exports = {
+    AUDIT_ACTIONS,
+    AUDIT_ACTION_GROUPS,
+    auditActionLabel,
+    parseActor,
+};
@@ -0,0 +1,135 @@
+// cart.js
+// Carrinho de compras do site. Fica na sessão como uma lista de { productId, variantId, quantity }.
+const { getProductById, getOrderItems } = require('./db.js');
+const { resolvePurchase } = require('./catalog.js');
+require('dotenv').config();
+
+// Quantidade máxima de um mesmo produto por pedido
+const CART_MAX_QUANTITY = parseInt(process.env.CART_MAX_QUANTITY, 10) || 10;
+
+/**
+ * Retorna o carrinho da sessão, criando um vazio se preciso.
+ * @param {object} session A sessão do express-session.
+ * @returns {Array<{productId: string, variantId: number|null, quantity: number}>}
+ */
+function getCart(session) {
+    if (!Array.isArray(session.cart)) session.cart = [];
+    return session.cart;
+}
+
+/**
+ * @param {{productId: string, variantId?: number|null}} item
+ * @param {string} productId
+ * @param {number|null} variantId
+ * @returns {boolean} Se o item do carrinho é este produto (e esta variação).
+ */
+function isSameItem(item, productId, variantId) {
+    return item.productId === productId && (item.variantId || null) === (variantId || null);
+}
+
+/**
+ * Define a quantidade de um produto (ou de uma variação dele) no carrinho. Quantidade zero (ou inválida) remove o item.
+ * @param {object} session
+ * @param {string} productId
+ * @param {number|null} variantId
+ * @param {number} quantity
+ */
+function setCartQuantity(session, productId, variantId, quantity) {
+    const cart = getCart(session);
+    const amount = Math.min(Number.isInteger(quantity) ? quantity : 0, CART_MAX_QUANTITY);
+    const existing = cart.find(item => isSameItem(item, productId, variantId));
+
+    if (amount <= 0) {
+        session.cart = cart.filter(item => !isSameItem(item, productId, variantId));
+    } else if (existing) {
+        existing.quantity = amount;
+    } else {
+        cart.push({ productId, variantId: variantId || null, quantity: amount });
+    }
+}
+
+/**
+ * Soma uma quantidade a um produto do carrinho, respeitando CART_MAX_QUANTITY.
+ * @param {object} session
+ * @param {string} productId
+ * @param {number|null} variantId
+ * @param {number} quantity
+ */
+function addToCart(session, productId, variantId, quantity) {
+    const existing = getCart(session).find(item => isSameItem(item, productId, variantId));
+    setCartQuantity(session, productId, variantId, (existing ? existing.quantity : 0) + quantity);
+}
+
+/**
+ * Junta o carrinho com os dados atuais dos produtos. Produtos que não existem mais saem do carrinho.
+ * @param {object} session
+ * @returns {Promise<{items: object[], total: number, hasStockProblem: boolean}>}
+ *   Cada item tem productId, variantId, productName, emoji, imageUrl, quantity, unitPrice, subtotal e stock.
+ */
+async function loadCart(session) {
+    const items = [];
+    for (const entry of getCart(session)) {
+        const product = await getProductById(entry.productId);
+        // Produtos que não existem mais, ou variações removidas, saem do carrinho
+        const purchase = product && resolvePurchase(product, entry.variantId);
+        if (!purchase) continue;
+        items.push({
+            productId: product.id,
+            variantId: purchase.variant ? purchase.variant.id : null,
+            productName: purchase.name,
+            emoji: product.emoji,
+            imageUrl: product.imageUrl,
+            quantity: entry.quantity,
+            unitPrice: purchase.price,
+            subtotal: Math.round(purchase.price * entry.quantity * 100) / 100,
+            stock: purchase.stock,
+            exceedsStock: purchase.stock !== -1 && entry.quantity > purchase.stock, // -1 é estoque infinito
+        });
+    }
+    session.cart = items.map(item => ({ productId: item.productId, variantId: item.variantId, quantity: item.quantity }));
+
+    const total = Math.round(items.reduce((sum, item) => sum + item.subtotal, 0) * 100) / 100;
+    return { items, total, hasStockProblem: items.some(item => item.exceedsStock) };
+}
+
+/**
+ * Nome curto de um pedido a partir dos itens, gravado em orders.productName (ex: "2x Netflix + 1x Spotify").
+ * @param {Array<{productName: string, quantity: number}>} items
+ * @returns {string}
+ */
+function summarizeItems(items) {
+    if (items.length === 1 && items[0].quantity === 1) return items[0].productName;
+    return items.map(item => `${item.quantity}x ${item.productName}`).join(' + ').slice(0, 255);
+}
+
+/**
+ * Itens de um pedido. Pedidos anteriores ao carrinho não têm linhas em order_items e viram um item só.
+ * @param {object} order
+ * @returns {Promise<Array<{productId: string, productName: string, quantity: number, unitPrice: string|number}>>}
+ */
+async function loadOrderItems(order) {
+    const items = await getOrderItems(order.id);
+    if (items.length > 0) return items;
+    const product = await getProductById(order.productId);
+    return [{ productId: order.productId, productName: order.productName, quantity: 1, unitPrice: order.totalAmount ?? product?.price ?? 0 }];
+}
+
+/**
+ * Lista os itens em texto, uma linha por item, para mensagens do Discord.
+ * @param {Array<{productName: string, quantity: number, unitPrice: string|number}>} items
+ * @returns {string}
+ */
+function formatItemsList(items) {
+    return items.map(item => `• ${item.quantity}x ${item.productName} (R$ ${parseFloat(item.unitPrice).toFixed(2)} cada)`).join('\n');
+}
+
+module.exports = {
+    CART_MAX_QUANTITY,
+    getCart,
+    setCartQuantity,
+    addToCart,
+    loadCart,
+    summarizeItems,
+    loadOrderItems,
+    formatItemsList,
+};
@@ -0,0 +1,125 @@
+// catalog.js
+// Regras do catálogo: categorias, variações (duração, plano...) e disponibilidade dos produtos.
+
+// Seção dos produtos sem categoria, no dashboard e no painel do Discord
+const DEFAULT_CATEGORY = 'Outros';
+
+// Tamanho máximo do nome de uma categoria ou variação (colunas VARCHAR(100))
+const CATALOG_NAME_MAX_LENGTH = 100;
+
+/**
+ * @param {number} stock
+ * @returns {boolean} Se há unidades à venda (-1 é estoque infinito).
+ */
+function hasStock(stock) {
+    return stock === -1 || stock > 0;
+}
+
+/**
+ * Um produto está à venda se tem estoque ou, quando tem variações, se alguma delas tem estoque.
+ * @param {{stock: number, variants: Array<{stock: number}>}} product Produto carregado com as variações.
+ * @returns {boolean}
+ */
+function isProductAvailable(product) {
+    return product.variants.length > 0 ? product.variants.some(variant => hasStock(variant.stock)) : hasStock(product.stock);
+}
+
+/**
+ * @param {{stock: number}} item Produto ou variação.
+ * @returns {string} O estoque para exibição.
+ */
+function stockLabel(item) {
+    return item.stock === -1 ? 'Ilimitado' : String(item.stock);
+}
+
+/**
+ * Menor preço de um produto: o das variações à venda, ou o do próprio produto.
+ * @param {object} product Produto carregado com as variações.
+ * @returns {number}
+ */
+function startingPrice(product) {
+    const variants = product.variants.filter(variant => hasStock(variant.stock));
+    return variants.length > 0 ? Math.min(...variants.map(variant => variant.price)) : product.price;
+}
+
+/**
+ * Agrupa os produtos por categoria, em ordem alfabética, com os sem categoria no fim.
+ * @param {object[]} products
+ * @returns {Array<{name: string, products: object[]}>}
+ */
+function groupByCategory(products) {
+    const groups = new Map();
+    for (const product of products) {
+        const name = product.category || DEFAULT_CATEGORY;
+        if (!groups.has(name)) groups.set(name, []);
+        groups.get(name).push(product);
+    }
+    return [...groups.entries()]
+        .map(([name, categoryProducts]) => ({ name, products: categoryProducts }))
+        .sort((a, b) => (a.name === DEFAULT_CATEGORY) - (b.name === DEFAULT_CATEGORY) || a.name.localeCompare(b.name, 'pt-BR'));
+}
+
+/**
+ * Nome de um item para carrinho, pedidos e mensagens (ex: "Netflix - 30 dias").
+ * @param {{name: string}} product
+ * @param {{name: string}|null} [variant]
+ * @returns {string}
+ */
+function itemName(product, variant) {
+    return variant ? `${product.name} - ${variant.name}` : product.name;
+}
+
+/**
+ * Encontra o que está sendo comprado: o produto e, se ele tem variações, a variação escolhida.
+ * @param {object} product Produto carregado com as variações.
+ * @param {number|string|null} variantId
+ * @returns {{variant: object|null, name: string, price: number, stock: number}|null}
+ *   null se o produto tem variações e nenhuma válida foi escolhida.
+ */
+function resolvePurchase(product, variantId) {
+    if (product.variants.length === 0) {
+        return { variant: null, name: product.name, price: parseFloat(product.price), stock: product.stock };
+    }
+    const variant = product.variants.find(candidate => candidate.id === parseInt(variantId, 10));
+    return variant ? { variant, name: itemName(product, variant), price: variant.price, stock: variant.stock } : null;
+}
+
+/**
+ * Lê uma variação escrita como "nome | preço | estoque" (formulário do admin e !addstock).
+ * @param {string} line
+ * @returns {{name: string, price: string, stock: number}|null} null se a linha for inválida.
+ */
+function parseVariantLine(line) {
+    const [name, priceText, stockText] = line.split('|').map(part => part.trim());
+    const price = parseFloat((priceText || '').replace(',', '.'));
+    const stock = parseInt(stockText, 10);
+    if (!name || name.length > CATALOG_NAME_MAX_LENGTH || isNaN(price) || price <= 0 || isNaN(stock) || stock < -1) return null;
+    return { name, price: price.toFixed(2), stock };
+}
+
+/**
+ * Valida o link da imagem de um produto. Só são aceitos links http(s).
+ * @param {string} url
+ * @returns {boolean}
+ */
+function isValidImageUrl(url) {
+    try {
+        return ['http:', 'https:'].includes(new URL(url).protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+module.exports = {
+    DEFAULT_CATEGORY,
+    CATALOG_NAME_MAX_LENGTH,
+    hasStock,
+    isProductAvailable,
+    stockLabel,
+    startingPrice,
+    groupByCategory,
+    itemName,
+    resolvePurchase,
+    parseVariantLine,
+    isValidImageUrl,
+};
@@ -0,0 +1,84 @@
+// coupons.js
+// Regras dos cupons de desconto: validação, cálculo do desconto e leitura das datas do /cupom.
+
+// O Pix não aceita cobranças de valor zero, então o desconto nunca cobre o pedido inteiro
+const MIN_ORDER_TOTAL = 0.01;
+
+class CouponError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'CouponError';
+    }
+}
+
+/**
+ * Padroniza o código digitado pelo comprador (sem espaços, maiúsculo).
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeCouponCode(code) {
+    return (code || '').trim().toUpperCase();
+}
+
+/**
+ * Verifica se o cupom pode ser usado neste pedido agora. Os limites de uso são conferidos no banco.
+ * @param {object} coupon A linha da tabela coupons.
+ * @param {string[]} productIds Os produtos do pedido.
+ * @param {Date} [now]
+ * @returns {string|null} O motivo da recusa, ou null se o cupom é válido.
+ */
+function getCouponRejection(coupon, productIds, now = new Date()) {
+    if (!coupon || !coupon.active) return 'Cupom inválido ou desativado.';
+    if (coupon.validFrom && now < new Date(coupon.validFrom)) return 'Este cupom ainda não está válido.';
+    if (coupon.validUntil && now > new Date(coupon.validUntil)) return 'Este cupom expirou.';
+    if (coupon.productId && !productIds.includes(coupon.productId)) return 'Este cupom não vale para os produtos deste pedido.';
+    return null;
+}
+
+/**
+ * Calcula o desconto de um cupom sobre um valor, arredondado em centavos.
+ * @param {object} coupon A linha da tabela coupons.
+ * @param {number|string} amount O valor original do pedido.
+ * @returns {number}
+ */
+function calculateDiscount(coupon, amount) {
+    const price = parseFloat(amount);
+    const value = parseFloat(coupon.value);
+    const discount = coupon.type === 'percent' ? price * value / 100 : value;
+    const maxDiscount = Math.max(price - MIN_ORDER_TOTAL, 0);
+    return Math.round(Math.min(discount, maxDiscount) * 100) / 100;
+}
+
+/**
+ * Texto curto do desconto para embeds e páginas (ex: "10%" ou "R$ 5.00").
+ * @param {object} coupon
+ * @returns {string}
+ */
+function describeCoupon(coupon) {
+    return coupon.type === 'percent' ? `${parseFloat(coupon.value)}%` : `R$ ${parseFloat(coupon.value).toFixed(2)}`;
+}
+
+/**
+ * Lê uma data no formato DD/MM/AAAA no fuso de Brasília.
+ * @param {string} text
+ * @param {boolean} [endOfDay] Se true, retorna 23:59:59 do dia (usado no fim da validade).
+ * @returns {Date|null} null se o texto não for uma data válida.
+ */
+function parseCouponDate(text, endOfDay = false) {
+    const match = (text || '').trim().match(/^(\d{2})\/(\d{2})\/(\d{4})$/);
+    if (!match) return null;
+    const [, day, month, year] = match;
+    // O Date aceita dias como 31/02 e pula para o mês seguinte; aqui isso é uma data inválida
+    const calendarDay = new Date(Date.UTC(year, month - 1, day));
+    if (calendarDay.getUTCMonth() !== month - 1 || calendarDay.getUTCDate() !== Number(day)) return null;
+    return new Date(`${year}-${month}-${day}T${endOfDay ? '23:59:59' : '00:00:00'}-03:00`);
+}
+
+module.exports = {
+    CouponError,
+    normalizeCouponCode,
+    getCouponRejection,
+    calculateDiscount,
+    describeCoupon,
+    parseCouponDate,
+};
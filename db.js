@@ -1,5 +1,8 @@
 // db.js
 const { Pool } = require('pg');
+const { InvalidStatusTransitionError, canTransition } = require('./orderStatus.js');
+const { CouponError, getCouponRejection, calculateDiscount } = require('./coupons.js');
+const { isProductAvailable } = require('./catalog.js');
 require('dotenv').config();
 
 const pool = new Pool({
@@ -20,6 +23,32 @@ const createTables = async () => {
         stock INTEGER NOT NULL
     );`;
 
+    // Categoria (seções do dashboard e primeiro menu do painel do Discord) e imagem de cada produto
+    const alterProductsTable = `
+    ALTER TABLE products
+    ADD COLUMN IF NOT EXISTS category VARCHAR(100),
+    ADD COLUMN IF NOT EXISTS "imageUrl" TEXT,
+    ADD COLUMN IF NOT EXISTS "lowStockThreshold" INTEGER;`;
+
+    // Variações de um produto (ex: duração ou plano), cada uma com preço e estoque próprios.
+    // Produtos com variações são vendidos só por elas; o estoque do próprio produto deixa de ser usado.
+    const createProductVariantsTable = `
+    CREATE TABLE IF NOT EXISTS product_variants (
+        id SERIAL PRIMARY KEY,
+        "productId" VARCHAR(255) NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        name VARCHAR(100) NOT NULL,
+        price NUMERIC(10, 2) NOT NULL,
+        stock INTEGER NOT NULL,
+        position INTEGER NOT NULL DEFAULT 0,
+        UNIQUE ("productId", name)
+    );`;
+
+    // Reservas, itens de pedido e chaves passam a guardar a variação (chaves de "30 dias" não servem para "90 dias")
+    const alterVariantReferences = `
+    ALTER TABLE stock_reservations ADD COLUMN IF NOT EXISTS "variantId" INTEGER REFERENCES product_variants(id) ON DELETE SET NULL;
+    ALTER TABLE order_items ADD COLUMN IF NOT EXISTS "variantId" INTEGER REFERENCES product_variants(id) ON DELETE SET NULL;
+    ALTER TABLE product_keys ADD COLUMN IF NOT EXISTS "variantId" INTEGER REFERENCES product_variants(id) ON DELETE SET NULL;`;
+
     const createAccountsTable = `
     CREATE TABLE IF NOT EXISTS accounts (
         id VARCHAR(255) PRIMARY KEY,
@@ -42,6 +71,14 @@ const createTables = async () => {
         messages JSONB
     );`;
 
+    // Colunas adicionadas depois da criação original da tabela de pedidos
+    const alterOrdersTable = `
+    ALTER TABLE orders
+        ADD COLUMN IF NOT EXISTS source VARCHAR(20) DEFAULT 'site',
+        ADD COLUMN IF NOT EXISTS "couponCode" VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS "discountAmount" NUMERIC(10, 2) DEFAULT 0,
+        ADD COLUMN IF NOT EXISTS "totalAmount" NUMERIC(10, 2);`;
+
     const createAuditLogsTable = `
     CREATE TABLE IF NOT EXISTS audit_logs (
         id SERIAL PRIMARY KEY,
@@ -49,6 +86,21 @@ const createTables = async () => {
         "createdAt" TIMESTAMPTZ DEFAULT NOW()
     );`;
 
+    // Campos estruturados da auditoria. Eventos gravados antes deles têm só a mensagem.
+    const alterAuditLogsTable = `
+    ALTER TABLE audit_logs
+        ADD COLUMN IF NOT EXISTS "actorId" VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS "actorName" VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS action VARCHAR(100),
+        ADD COLUMN IF NOT EXISTS "entityType" VARCHAR(50),
+        ADD COLUMN IF NOT EXISTS "entityId" VARCHAR(255),
+        ADD COLUMN IF NOT EXISTS payload JSONB NOT NULL DEFAULT '{}';`;
+
+    const createAuditLogsIndexes = `
+    CREATE INDEX IF NOT EXISTS audit_logs_created_at_idx ON audit_logs ("createdAt");
+    CREATE INDEX IF NOT EXISTS audit_logs_entity_idx ON audit_logs ("entityType", "entityId");
+    CREATE INDEX IF NOT EXISTS audit_logs_actor_idx ON audit_logs ("actorId");`;
+
     const createAppConfigTable = `
     CREATE TABLE IF NOT EXISTS app_config (
         key VARCHAR(255) PRIMARY KEY,
@@ -60,17 +112,296 @@ const createTables = async () => {
         word VARCHAR(255) PRIMARY KEY
     );`;
 
+    // Cobranças Pix imediatas (cob) criadas na Efí. O 'context' é o mesmo usado por processVerificationAction.
+    const createPixChargesTable = `
+    CREATE TABLE IF NOT EXISTS pix_charges (
+        txid VARCHAR(35) PRIMARY KEY,
+        "orderId" VARCHAR(255) REFERENCES orders(id) ON DELETE SET NULL,
+        context JSONB NOT NULL,
+        amount NUMERIC(10, 2) NOT NULL,
+        status VARCHAR(50) NOT NULL,
+        "pixCopiaECola" TEXT,
+        "endToEndId" VARCHAR(255),
+        "createdAt" TIMESTAMPTZ DEFAULT NOW(),
+        "paidAt" TIMESTAMPTZ
+    );`;
+
+    // Links de ação (aprovar/recusar/entregar) enviados por DM. Ficam no banco para sobreviver a reinícios.
+    const createVerificationTokensTable = `
+    CREATE TABLE IF NOT EXISTS verification_tokens (
+        id VARCHAR(64) PRIMARY KEY,
+        action VARCHAR(50) NOT NULL,
+        details JSONB,
+        context JSONB NOT NULL,
+        "createdAt" TIMESTAMPTZ DEFAULT NOW(),
+        "expiresAt" TIMESTAMPTZ NOT NULL,
+        "usedAt" TIMESTAMPTZ,
+        "usedBy" VARCHAR(255)
+    );`;
+
+    // Links usados sem login guardavam o IP de quem clicou ("anônimo (IP)"). O IP é apagado dos registros uma vez só;
+    // a marca em app_config evita percorrer a auditoria de novo a cada inicialização.
+    const scrubAnonymousActors = `
+    DO $$
+    BEGIN
+        IF NOT EXISTS (SELECT 1 FROM app_config WHERE key = 'anonymous_actors_scrubbed') THEN
+            UPDATE verification_tokens SET "usedBy" = 'anônimo' WHERE "usedBy" LIKE 'anônimo (%';
+            UPDATE order_status_history SET actor = 'anônimo' WHERE actor LIKE 'anônimo (%';
+            UPDATE audit_logs SET "actorName" = 'anônimo' WHERE "actorName" LIKE 'anônimo (%';
+            UPDATE audit_logs SET message = regexp_replace(message, 'anônimo \\([^)]*\\)', 'anônimo', 'g') WHERE message LIKE '%anônimo (%';
+            INSERT INTO app_config (key, value) VALUES ('anonymous_actors_scrubbed', 'true');
+        END IF;
+    END $$;`;
+
+    const createOrderStatusHistoryTable = `
+    CREATE TABLE IF NOT EXISTS order_status_history (
+        id SERIAL PRIMARY KEY,
+        "orderId" VARCHAR(255) NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        "fromStatus" VARCHAR(50),
+        "toStatus" VARCHAR(50) NOT NULL,
+        actor VARCHAR(255),
+        reason TEXT,
+        "createdAt" TIMESTAMPTZ DEFAULT NOW()
+    );`;
+
+    // Estoque reservado para um pedido do site (orderId) ou ticket do Discord (channelId) enquanto o pagamento não sai.
+    // O estoque do produto já é descontado na reserva; 'released' devolve, 'committed' confirma a venda.
+    const createStockReservationsTable = `
+    CREATE TABLE IF NOT EXISTS stock_reservations (
+        id SERIAL PRIMARY KEY,
+        "productId" VARCHAR(255) NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        quantity INTEGER NOT NULL DEFAULT 1,
+        "orderId" VARCHAR(255),
+        "channelId" VARCHAR(255),
+        status VARCHAR(20) NOT NULL DEFAULT 'held',
+        "createdAt" TIMESTAMPTZ DEFAULT NOW(),
+        "expiresAt" TIMESTAMPTZ
+    );`;
+
+    // Cupons de desconto. 'type' é 'percent' ou 'fixed'; sem productId, o cupom vale para a loja toda.
+    const createCouponsTable = `
+    CREATE TABLE IF NOT EXISTS coupons (
+        code VARCHAR(50) PRIMARY KEY,
+        type VARCHAR(10) NOT NULL,
+        value NUMERIC(10, 2) NOT NULL,
+        "productId" VARCHAR(255) REFERENCES products(id) ON DELETE CASCADE,
+        "maxUses" INTEGER,
+        "perUserLimit" INTEGER,
+        "validFrom" TIMESTAMPTZ,
+        "validUntil" TIMESTAMPTZ,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        "createdBy" VARCHAR(255),
+        "createdAt" TIMESTAMPTZ DEFAULT NOW()
+    );`;
+
+    // Um cupom por pedido. Pedidos recusados, expirados, cancelados ou reembolsados deixam de contar nos limites de uso.
+    const createCouponRedemptionsTable = `
+    CREATE TABLE IF NOT EXISTS coupon_redemptions (
+        id SERIAL PRIMARY KEY,
+        "couponCode" VARCHAR(50) NOT NULL REFERENCES coupons(code) ON DELETE CASCADE,
+        "orderId" VARCHAR(255) NOT NULL UNIQUE REFERENCES orders(id) ON DELETE CASCADE,
+        "userId" VARCHAR(255) NOT NULL,
+        "discountAmount" NUMERIC(10, 2) NOT NULL,
+        "createdAt" TIMESTAMPTZ DEFAULT NOW()
+    );`;
+
+    // Itens de cada pedido, com o preço unitário do momento da compra
+    const createOrderItemsTable = `
+    CREATE TABLE IF NOT EXISTS order_items (
+        id SERIAL PRIMARY KEY,
+        "orderId" VARCHAR(255) NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        "productId" VARCHAR(255) REFERENCES products(id) ON DELETE SET NULL,
+        "productName" VARCHAR(255) NOT NULL,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        "unitPrice" NUMERIC(10, 2) NOT NULL
+    );`;
+
+    // Chaves/códigos de produtos digitais. O estoque desses produtos passa a ser a quantidade de chaves livres.
+    const createProductKeysTable = `
+    CREATE TABLE IF NOT EXISTS product_keys (
+        id SERIAL PRIMARY KEY,
+        "productId" VARCHAR(255) NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        key TEXT NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'available',
+        "orderId" VARCHAR(255) REFERENCES orders(id) ON DELETE SET NULL,
+        "addedBy" VARCHAR(255),
+        "createdAt" TIMESTAMPTZ DEFAULT NOW(),
+        "deliveredAt" TIMESTAMPTZ,
+        UNIQUE ("productId", key)
+    );`;
+
+    // Pedidos de cancelamento feitos pelo comprador em /pedidos. 'status' é 'pending', 'accepted' ou 'denied'.
+    const createCancellationRequestsTable = `
+    CREATE TABLE IF NOT EXISTS cancellation_requests (
+        id SERIAL PRIMARY KEY,
+        "orderId" VARCHAR(255) NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        "userId" VARCHAR(255) NOT NULL,
+        reason TEXT NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        "createdAt" TIMESTAMPTZ DEFAULT NOW(),
+        "resolvedAt" TIMESTAMPTZ,
+        "resolvedBy" VARCHAR(255),
+        "resolutionNote" TEXT
+    );`;
+
+    // No máximo um pedido de cancelamento em aberto por pedido
+    const createCancellationRequestsIndex = `
+    CREATE UNIQUE INDEX IF NOT EXISTS cancellation_requests_pending_idx
+    ON cancellation_requests ("orderId") WHERE status = 'pending';`;
+
+    // Comprovantes enviados para cada pedido, pelo site ou no ticket. 'status' é 'pending', 'approved' ou 'rejected'.
+    const createOrderReceiptsTable = `
+    CREATE TABLE IF NOT EXISTS order_receipts (
+        id SERIAL PRIMARY KEY,
+        "orderId" VARCHAR(255) NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+        url TEXT NOT NULL,
+        source VARCHAR(20) NOT NULL,
+        "submittedBy" VARCHAR(255),
+        "submittedAt" TIMESTAMPTZ DEFAULT NOW(),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        "reviewedAt" TIMESTAMPTZ,
+        "reviewedBy" VARCHAR(255),
+        "rejectionReason" TEXT
+    );
+    CREATE INDEX IF NOT EXISTS order_receipts_order_idx ON order_receipts ("orderId");`;
+
+    // Impressões digitais dos comprovantes (hash do conteúdo e hash perceptual) e os comprovantes de
+    // outros pedidos parecidos com ele, achados no envio
+    const alterOrderReceiptsTable = `
+    ALTER TABLE order_receipts
+    ADD COLUMN IF NOT EXISTS "contentHash" VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS "perceptualHash" VARCHAR(16),
+    ADD COLUMN IF NOT EXISTS "duplicateMatches" JSONB NOT NULL DEFAULT '[]';
+    CREATE INDEX IF NOT EXISTS order_receipts_content_hash_idx ON order_receipts ("contentHash");
+    CREATE INDEX IF NOT EXISTS order_receipts_perceptual_idx ON order_receipts ("submittedAt") WHERE "perceptualHash" IS NOT NULL;`;
+
+    // Pedidos anteriores ao histórico entram com o comprovante que ficou salvo no próprio pedido
+    const backfillOrderReceipts = `
+    INSERT INTO order_receipts ("orderId", url, source, "submittedAt", status)
+    SELECT o.id, o."receiptUrl", COALESCE(o.source, 'site'), o."createdAt",
+        CASE
+            WHEN o.status IN ('approved', 'entregue', 'refunded') THEN 'approved'
+            WHEN o.status IN ('declined', 'analise') THEN 'rejected'
+            ELSE 'pending'
+        END
+    FROM orders o
+    WHERE o."receiptUrl" IS NOT NULL
+      AND NOT EXISTS (SELECT 1 FROM order_receipts r WHERE r."orderId" = o.id);`;
+
+    // Painéis de compras fixos publicados no Discord. Cada painel pode mostrar só uma categoria
+    // ou uma lista de produtos; sem filtro, mostra a loja toda.
+    const createShoppingPanelsTable = `
+    CREATE TABLE IF NOT EXISTS shopping_panels (
+        id SERIAL PRIMARY KEY,
+        "guildId" VARCHAR(255),
+        "channelId" VARCHAR(255) NOT NULL,
+        "messageId" VARCHAR(255) NOT NULL UNIQUE,
+        category VARCHAR(100),
+        "productIds" TEXT[],
+        "createdBy" VARCHAR(255),
+        "createdAt" TIMESTAMPTZ DEFAULT NOW()
+    );`;
+
+    // O painel único de antes ficava em app_config ('fixed_panel') e passa para a tabela
+    const migrateFixedPanel = `
+    INSERT INTO shopping_panels ("channelId", "messageId")
+    SELECT value->>'panelChannelId', value->>'panelMessageId'
+    FROM app_config
+    WHERE key = 'fixed_panel' AND value->>'panelMessageId' IS NOT NULL AND value->>'panelChannelId' IS NOT NULL
+    ON CONFLICT ("messageId") DO NOTHING;
+    DELETE FROM app_config WHERE key = 'fixed_panel';`;
+
+    // Lista de espera de produtos esgotados. 'status' é 'waiting' (aguardando), 'notified' (avisado da volta)
+    // ou 'cancelled'. O aviso segue a ordem de entrada; holdReservationId é a unidade separada para quem foi avisado.
+    const createStockWaitlistTable = `
+    CREATE TABLE IF NOT EXISTS stock_waitlist (
+        id SERIAL PRIMARY KEY,
+        "productId" VARCHAR(255) NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        "userId" VARCHAR(255) NOT NULL,
+        source VARCHAR(20) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'waiting',
+        "createdAt" TIMESTAMPTZ DEFAULT NOW(),
+        "notifiedAt" TIMESTAMPTZ,
+        "holdReservationId" INTEGER REFERENCES stock_reservations(id) ON DELETE SET NULL
+    );
+    CREATE UNIQUE INDEX IF NOT EXISTS stock_waitlist_waiting_idx ON stock_waitlist ("productId", "userId") WHERE status = 'waiting';
+    ALTER TABLE stock_reservations ADD COLUMN IF NOT EXISTS "waitlistUserId" VARCHAR(255);`;
+
+    // Avisos exibidos no site para o usuário (ex: produto da lista de espera de volta ao estoque)
+    const createUserNotificationsTable = `
+    CREATE TABLE IF NOT EXISTS user_notifications (
+        id SERIAL PRIMARY KEY,
+        "userId" VARCHAR(255) NOT NULL,
+        message TEXT NOT NULL,
+        link TEXT,
+        "createdAt" TIMESTAMPTZ DEFAULT NOW(),
+        "readAt" TIMESTAMPTZ
+    );
+    CREATE INDEX IF NOT EXISTS user_notifications_unread_idx ON user_notifications ("userId") WHERE "readAt" IS NULL;`;
+
+    // Alertas em aberto enviados aos admins (estoque baixo, pedido parado). A linha some quando o problema é resolvido;
+    // enquanto existir, o alerta é repetido a cada intervalo configurado.
+    const createAdminAlertsTable = `
+    CREATE TABLE IF NOT EXISTS admin_alerts (
+        key VARCHAR(255) PRIMARY KEY,
+        type VARCHAR(30) NOT NULL,
+        "entityId" VARCHAR(255),
+        "pingCount" INTEGER NOT NULL DEFAULT 0,
+        "firstAlertedAt" TIMESTAMPTZ DEFAULT NOW(),
+        "lastAlertedAt" TIMESTAMPTZ DEFAULT NOW()
+    );`;
+
+    // Histórico de canais do Discord (pagamento, entrega, chat) salvo antes da exclusão, para disputas de venda
+    const createChannelTranscriptsTable = `
+    CREATE TABLE IF NOT EXISTS channel_transcripts (
+        id SERIAL PRIMARY KEY,
+        "orderId" VARCHAR(255) REFERENCES orders(id) ON DELETE SET NULL,
+        "channelId" VARCHAR(255) NOT NULL,
+        "channelName" VARCHAR(255),
+        reason TEXT,
+        messages JSONB NOT NULL,
+        "messageCount" INTEGER NOT NULL,
+        "createdAt" TIMESTAMPTZ DEFAULT NOW()
+    );
+    CREATE INDEX IF NOT EXISTS channel_transcripts_order_idx ON channel_transcripts ("orderId");`;
+
     try {
         const client = await pool.connect();
         try {
             await client.query('BEGIN');
             await Promise.all([
                 client.query(createProductsTable),
+                client.query(alterProductsTable),
                 client.query(createAccountsTable),
                 client.query(createOrdersTable),
+                client.query(alterOrdersTable),
                 client.query(createAuditLogsTable),
+                client.query(alterAuditLogsTable),
+                client.query(createAuditLogsIndexes),
                 client.query(createAppConfigTable),
                 client.query(createProfanityWordsTable),
+                client.query(createPixChargesTable),
+                client.query(createVerificationTokensTable),
+                client.query(createOrderStatusHistoryTable),
+                client.query(scrubAnonymousActors),
+                client.query(createStockReservationsTable),
+                client.query(createCouponsTable),
+                client.query(createCouponRedemptionsTable),
+                client.query(createOrderItemsTable),
+                client.query(createProductKeysTable),
+                client.query(createCancellationRequestsTable),
+                client.query(createCancellationRequestsIndex),
+                client.query(createOrderReceiptsTable),
+                client.query(backfillOrderReceipts),
+                client.query(alterOrderReceiptsTable),
+                client.query(createProductVariantsTable),
+                client.query(alterVariantReferences),
+                client.query(createShoppingPanelsTable),
+                client.query(migrateFixedPanel),
+                client.query(createStockWaitlistTable),
+                client.query(createUserNotificationsTable),
+                client.query(createAdminAlertsTable),
+                client.query(createChannelTranscriptsTable),
             ]);
             await client.query('COMMIT');
         } catch (e) {
@@ -85,22 +416,56 @@ const createTables = async () => {
     }
 };
 
+/**
+ * Carrega as variações dos produtos e coloca em product.variants (ordenadas por posição).
+ * @param {object[]} products Linhas da tabela products.
+ * @returns {Promise<object[]>} Os mesmos produtos, com price numérico.
+ */
+const attachVariants = async (products) => {
+    const ids = products.map(product => product.id);
+    const { rows: variants } = ids.length > 0
+        ? await pool.query('SELECT * FROM product_variants WHERE "productId" = ANY($1) ORDER BY position, id', [ids])
+        : { rows: [] };
+    for (const product of products) {
+        product.price = parseFloat(product.price);
+        product.variants = variants
+            .filter(variant => variant.productId === product.id)
+            .map(variant => ({ ...variant, price: parseFloat(variant.price) }));
+    }
+    return products;
+};
+
 const getProducts = async () => {
-    const { rows } = await pool.query('SELECT * FROM products WHERE stock > 0 OR stock = -1');
+    const { rows } = await pool.query('SELECT * FROM products ORDER BY category NULLS LAST, name');
+    await attachVariants(rows);
     // Converte o array de resultados em um objeto, como era no JSON
-    const productsObject = rows.reduce((acc, product) => {
-        // Garante que o preço seja um número
-        product.price = parseFloat(product.price);
+    const productsObject = rows.filter(isProductAvailable).reduce((acc, product) => {
         acc[product.id] = product;
         return acc;
     }, {});
     return productsObject;
 };
 
+/**
+ * Produtos esgotados (sem estoque próprio ou em nenhuma variação), no mesmo formato de getProducts.
+ */
+const getSoldOutProducts = async () => {
+    const products = await getAllProducts();
+    return products.filter(product => !isProductAvailable(product)).reduce((acc, product) => {
+        acc[product.id] = product;
+        return acc;
+    }, {});
+};
+
+const getAllProducts = async () => {
+    const { rows } = await pool.query('SELECT * FROM products ORDER BY category NULLS LAST, name');
+    return attachVariants(rows);
+};
+
 const getProductById = async (productId) => {
     const { rows } = await pool.query('SELECT * FROM products WHERE id = $1', [productId]);
     if (rows.length > 0) {
-        rows[0].price = parseFloat(rows[0].price);
+        await attachVariants(rows);
         return rows[0];
     }
     return null;
@@ -108,31 +473,232 @@ const getProductById = async (productId) => {
 
 const addProduct = async (product) => {
     const query = `
-        INSERT INTO products (id, name, price, description, emoji, stock)
-        VALUES ($1, $2, $3, $4, $5, $6)
+        INSERT INTO products (id, name, price, description, emoji, stock, category, "imageUrl")
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
         RETURNING *;
     `;
-    const values = [product.id, product.name, product.price, product.description, product.emoji, product.stock];
+    const values = [product.id, product.name, product.price, product.description, product.emoji, product.stock, product.category || null, product.imageUrl || null];
     const { rows } = await pool.query(query, values);
     return rows[0];
 };
 
-const updateProduct = async (productId, productData) => {
+/**
+ * Unidades em reservas ativas ('held') de um produto ou de uma variação (variantId null = o próprio produto).
+ * @param {import('pg').PoolClient} client
+ * @param {string} productId
+ * @param {number|null} variantId
+ * @returns {Promise<number>}
+ */
+const countHeldStock = async (client, productId, variantId) => {
+    const { rows } = await client.query(
+        `SELECT COALESCE(SUM(quantity), 0)::int AS held FROM stock_reservations WHERE "productId" = $1 AND "variantId" IS NOT DISTINCT FROM $2 AND status = 'held'`,
+        [productId, variantId]
+    );
+    return rows[0].held;
+};
+
+/**
+ * Unidades reservadas de um produto e de cada variação dele, para os formulários de edição mostrarem
+ * o estoque total (disponível + reservado), que é o valor que o admin informa ao salvar.
+ * @param {string} productId
+ * @returns {Promise<{product: number, variants: Object<number, number>}>}
+ */
+const getHeldStock = async (productId) => {
+    const { rows } = await pool.query(
+        `SELECT "variantId", SUM(quantity)::int AS held FROM stock_reservations WHERE "productId" = $1 AND status = 'held' GROUP BY "variantId"`,
+        [productId]
+    );
+    const held = { product: 0, variants: {} };
+    for (const row of rows) {
+        if (row.variantId) held.variants[row.variantId] = row.held;
+        else held.product = row.held;
+    }
+    return held;
+};
+
+/**
+ * Converte o estoque total informado pelo admin no estoque disponível, descontando as unidades já
+ * reservadas (que saíram do estoque ao serem reservadas e voltam a ele se a reserva for liberada).
+ * @param {number} stock Estoque total informado (-1 para infinito).
+ * @param {number} held
+ * @param {string} label O item, para a mensagem de erro.
+ * @returns {{stock: number|null, error: string|null}}
+ */
+const stockNetOfHeld = (stock, held, label) => {
+    if (stock === -1) return { stock, error: null };
+    if (stock < held) {
+        return { stock: null, error: `${label} tem ${held} unidade(s) reservada(s) em pedidos em aberto; o estoque não pode ser menor que isso.` };
+    }
+    return { stock: stock - held, error: null };
+};
+
+/**
+ * Atualiza um produto. O estoque informado é o total, incluindo as unidades reservadas.
+ * @returns {Promise<{success: boolean, message: string, product?: object}>}
+ */
+const updateProduct = (productId, productData) => withTransaction(async (client) => {
+    await client.query('SELECT id FROM products WHERE id = $1 FOR UPDATE', [productId]);
+    const held = await countHeldStock(client, productId, null);
+    const { stock, error } = stockNetOfHeld(productData.stock, held, `O produto "${productData.name}"`);
+    if (error) return { success: false, message: error };
+
     const query = `
         UPDATE products
         SET name = $1, price = $2, description = $3, emoji = $4, stock = $5
         WHERE id = $6
         RETURNING *;
     `;
-    const values = [productData.name, productData.price, productData.description, productData.emoji, productData.stock, productId];
-    const { rows } = await pool.query(query, values);
+    const values = [productData.name, productData.price, productData.description, productData.emoji, stock, productId];
+    const { rows } = await client.query(query, values);
+    return { success: true, message: 'Produto atualizado.', product: rows[0] };
+});
+
+/**
+ * Altera a categoria e a imagem de um produto. null remove o valor.
+ * @param {string} productId
+ * @param {{category: string|null, imageUrl: string|null}} details
+ */
+const updateProductDetails = async (productId, { category, imageUrl }) => {
+    const { rows } = await pool.query(
+        'UPDATE products SET category = $2, "imageUrl" = $3 WHERE id = $1 RETURNING *',
+        [productId, category || null, imageUrl || null]
+    );
     return rows[0];
 };
 
+/**
+ * Define o limite de estoque baixo de um produto (para ele e para cada variação). null desliga o alerta.
+ * @param {string} productId
+ * @param {number|null} threshold
+ */
+const setLowStockThreshold = async (productId, threshold) => {
+    const { rows } = await pool.query('UPDATE products SET "lowStockThreshold" = $2 WHERE id = $1 RETURNING *', [productId, threshold]);
+    return rows[0] || null;
+};
+
 const deleteProduct = async (productId) => {
     await pool.query('DELETE FROM products WHERE id = $1', [productId]);
 };
 
+// --- VARIAÇÕES DE PRODUTOS ---
+
+const getVariantById = async (variantId) => {
+    const { rows } = await pool.query('SELECT * FROM product_variants WHERE id = $1', [variantId]);
+    if (rows.length === 0) return null;
+    return { ...rows[0], price: parseFloat(rows[0].price) };
+};
+
+/**
+ * Cria uma variação no fim da lista do produto.
+ * @param {string} productId
+ * @param {{name: string, price: string|number, stock: number}} variant
+ */
+const addProductVariant = async (productId, { name, price, stock }) => {
+    const query = `
+        INSERT INTO product_variants ("productId", name, price, stock, position)
+        VALUES ($1, $2, $3, $4, (SELECT COALESCE(MAX(position), -1) + 1 FROM product_variants WHERE "productId" = $1))
+        RETURNING *;
+    `;
+    const { rows } = await pool.query(query, [productId, name, price, stock]);
+    return rows[0];
+};
+
+/**
+ * Atualiza uma variação. O estoque informado é o total, incluindo as unidades reservadas.
+ * @returns {Promise<{success: boolean, message: string, variant?: object}>}
+ */
+const updateProductVariant = (variantId, { name, price, stock }) => withTransaction(async (client) => {
+    const { rows: current } = await client.query('SELECT "productId" FROM product_variants WHERE id = $1 FOR UPDATE', [variantId]);
+    if (current.length === 0) return { success: false, message: 'Esta variação não existe mais.' };
+    const held = await countHeldStock(client, current[0].productId, variantId);
+    const net = stockNetOfHeld(stock, held, `A variação "${name}"`);
+    if (net.error) return { success: false, message: net.error };
+
+    const { rows } = await client.query(
+        'UPDATE product_variants SET name = $2, price = $3, stock = $4 WHERE id = $1 RETURNING *',
+        [variantId, name, price, net.stock]
+    );
+    return { success: true, message: 'Variação atualizada.', variant: rows[0] };
+});
+
+/**
+ * Nomes das variações que ainda não podem ser removidas: as que têm reservas ativas (em espera, ou
+ * de pedidos aprovados que ainda podem ser cancelados e devolver o estoque) ou chaves livres.
+ * @param {import('pg').PoolClient} client
+ * @param {number[]} variantIds
+ * @returns {Promise<string[]>}
+ */
+const getVariantsInUse = async (client, variantIds) => {
+    const query = `
+        SELECT v.name FROM product_variants v
+        WHERE v.id = ANY($1) AND (
+            EXISTS (
+                SELECT 1 FROM stock_reservations r
+                LEFT JOIN orders o ON o.id = r."orderId"
+                WHERE r."variantId" = v.id
+                  AND (r.status = 'held' OR (r.status = 'committed' AND o.status NOT IN ('entregue', 'cancelled', 'refunded')))
+            )
+            OR EXISTS (SELECT 1 FROM product_keys k WHERE k."variantId" = v.id AND k.status = 'available')
+        )
+        ORDER BY v.position;
+    `;
+    const { rows } = await client.query(query, [variantIds]);
+    return rows.map(row => row.name);
+};
+
+/**
+ * Remove uma variação, se ela não tiver reservas ativas nem chaves livres.
+ * @param {number} variantId
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+const deleteProductVariant = (variantId) => withTransaction(async (client) => {
+    const inUse = await getVariantsInUse(client, [variantId]);
+    if (inUse.length > 0) {
+        return { success: false, message: `A variação "${inUse[0]}" tem reservas ativas ou chaves livres e não pode ser removida agora.` };
+    }
+    await client.query('DELETE FROM product_variants WHERE id = $1', [variantId]);
+    return { success: true, message: 'Variação removida.' };
+});
+
+/**
+ * Substitui as variações de um produto pela lista informada, na mesma ordem. Variações com o mesmo
+ * nome são atualizadas (mantendo o ID usado nos pedidos), as novas são criadas e as que sumiram, removidas.
+ * Nada é alterado se alguma das variações removidas ainda estiver em uso (veja getVariantsInUse) ou se
+ * o estoque total informado para uma variação for menor que o que ela tem reservado.
+ * @param {string} productId
+ * @param {Array<{name: string, price: string|number, stock: number}>} variants
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+const setProductVariants = (productId, variants) => withTransaction(async (client) => {
+    const names = variants.map(variant => variant.name);
+    const { rows: current } = await client.query('SELECT id, name FROM product_variants WHERE "productId" = $1 FOR UPDATE', [productId]);
+    const removed = current.filter(variant => !names.includes(variant.name));
+    const inUse = await getVariantsInUse(client, removed.map(variant => variant.id));
+    if (inUse.length > 0) {
+        return { success: false, message: `As variações ${inUse.map(name => `"${name}"`).join(', ')} têm reservas ativas ou chaves livres e não podem ser removidas agora.` };
+    }
+
+    const stocks = [];
+    for (const variant of variants) {
+        const existing = current.find(candidate => candidate.name === variant.name);
+        const held = existing ? await countHeldStock(client, productId, existing.id) : 0;
+        const net = stockNetOfHeld(variant.stock, held, `A variação "${variant.name}"`);
+        if (net.error) return { success: false, message: net.error };
+        stocks.push(net.stock);
+    }
+
+    await client.query('DELETE FROM product_variants WHERE id = ANY($1)', [removed.map(variant => variant.id)]);
+    for (const [position, variant] of variants.entries()) {
+        const query = `
+            INSERT INTO product_variants ("productId", name, price, stock, position)
+            VALUES ($1, $2, $3, $4, $5)
+            ON CONFLICT ("productId", name) DO UPDATE SET price = EXCLUDED.price, stock = EXCLUDED.stock, position = EXCLUDED.position;
+        `;
+        await client.query(query, [productId, variant.name, variant.price, stocks[position], position]);
+    }
+    return { success: true, message: 'Variações atualizadas.' };
+});
+
 const decreaseProductStock = async (productId) => {
     const query = `
         UPDATE products
@@ -142,6 +708,340 @@ const decreaseProductStock = async (productId) => {
     await pool.query(query, [productId]);
 };
 
+/**
+ * Executa uma função dentro de uma transação, com commit/rollback automáticos.
+ * @param {(client: import('pg').PoolClient) => Promise<any>} fn
+ */
+const withTransaction = async (fn) => {
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const result = await fn(client);
+        await client.query('COMMIT');
+        return result;
+    } catch (e) {
+        await client.query('ROLLBACK');
+        throw e;
+    } finally {
+        client.release();
+    }
+};
+
+/**
+ * Monta o filtro de uma reserva a partir do pedido do site ou do canal do ticket.
+ * @param {{orderId?: string, channelId?: string}} ref
+ */
+const reservationFilter = (ref) => (ref.orderId ? ['"orderId"', ref.orderId] : ['"channelId"', ref.channelId]);
+
+/**
+ * Desconta o estoque e grava a reserva dentro de uma transação já aberta. Com variantId,
+ * o estoque descontado é o da variação.
+ * @returns {Promise<object|null>} A reserva, ou null se não houver estoque suficiente.
+ */
+const insertReservation = async (client, { productId, variantId = null, quantity = 1, orderId = null, channelId = null, waitlistUserId = null, minutes }) => {
+    const stockQuery = `
+        UPDATE ${variantId ? 'product_variants' : 'products'}
+        SET stock = CASE WHEN stock = -1 THEN -1 ELSE stock - $2 END
+        WHERE id = $1 AND (stock = -1 OR stock >= $2)
+        RETURNING stock;
+    `;
+    const { rows: updated } = await client.query(stockQuery, [variantId || productId, quantity]);
+    if (updated.length === 0) return null;
+
+    const insertQuery = `
+        INSERT INTO stock_reservations ("productId", "variantId", quantity, "orderId", "channelId", "waitlistUserId", "expiresAt")
+        VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(mins => $7))
+        RETURNING *;
+    `;
+    const { rows } = await client.query(insertQuery, [productId, variantId, quantity, orderId, channelId, waitlistUserId, minutes]);
+    return rows[0];
+};
+
+/**
+ * Reserva estoque de um produto. O desconto é feito por um único UPDATE condicional,
+ * então duas reservas simultâneas nunca conseguem levar a mesma última unidade.
+ * @param {object} reservationData
+ * @param {string} reservationData.productId
+ * @param {number} [reservationData.variantId]
+ * @param {number} [reservationData.quantity]
+ * @param {string} [reservationData.orderId]
+ * @param {string} [reservationData.channelId]
+ * @param {string} [reservationData.userId] O comprador: a unidade separada para ele pela lista de espera é usada nesta reserva.
+ * @param {number} reservationData.minutes Por quantos minutos a reserva vale sem pagamento.
+ * @returns {Promise<object|null>} A reserva, ou null se não houver estoque suficiente.
+ */
+const reserveStock = async (reservationData) => {
+    return withTransaction(async (client) => {
+        if (reservationData.userId) await releaseWaitlistHolds(client, reservationData.userId, [reservationData.productId]);
+        return insertReservation(client, reservationData);
+    });
+};
+
+/**
+ * Reserva o estoque de todos os itens de um pedido de uma vez: se algum item não tiver
+ * estoque suficiente, nenhuma reserva é feita.
+ * @param {string} orderId
+ * @param {Array<{productId: string, variantId?: number, quantity: number}>} items
+ * @param {number} minutes Por quantos minutos a reserva vale sem pagamento.
+ * @param {string} [userId] O comprador: unidades separadas para ele pela lista de espera são usadas no pedido.
+ * @returns {Promise<object[]|null>} As reservas, ou null se faltar estoque de algum item.
+ */
+const reserveOrderStock = async (orderId, items, minutes, userId = null) => {
+    const soldOut = new Error('Estoque insuficiente');
+    try {
+        return await withTransaction(async (client) => {
+            if (userId) await releaseWaitlistHolds(client, userId, items.map(item => item.productId));
+            // Mesma ordem de produtos em todas as transações, para dois carrinhos não travarem um ao outro
+            const sortedItems = [...items].sort((a, b) => a.productId.localeCompare(b.productId) || (a.variantId || 0) - (b.variantId || 0));
+            const reservations = [];
+            for (const item of sortedItems) {
+                const reservation = await insertReservation(client, { productId: item.productId, variantId: item.variantId || null, quantity: item.quantity, orderId, minutes });
+                if (!reservation) throw soldOut; // Desfaz as reservas dos itens anteriores
+                reservations.push(reservation);
+            }
+            return reservations;
+        });
+    } catch (e) {
+        if (e === soldOut) return null;
+        throw e;
+    }
+};
+
+/**
+ * Define a validade das reservas ativas de um pedido/ticket. Com minutes = null a reserva
+ * não expira mais (ex: comprovante enviado, aguardando análise).
+ */
+const setReservationExpiry = async (ref, minutes) => {
+    const [column, value] = reservationFilter(ref);
+    const query = `
+        UPDATE stock_reservations
+        SET "expiresAt" = CASE WHEN $2::int IS NULL THEN NULL ELSE NOW() + make_interval(mins => $2::int) END
+        WHERE ${column} = $1 AND status = 'held';
+    `;
+    await pool.query(query, [value, minutes]);
+};
+
+/**
+ * Confirma as reservas de um pedido/ticket aprovado. Retorna as reservas confirmadas (vazio se não havia nenhuma).
+ */
+const commitReservation = async (ref) => {
+    const [column, value] = reservationFilter(ref);
+    const query = `
+        UPDATE stock_reservations
+        SET status = 'committed'
+        WHERE ${column} = $1 AND status = 'held'
+        RETURNING *;
+    `;
+    const { rows } = await pool.query(query, [value]);
+    return rows;
+};
+
+/**
+ * Devolve ao estoque (do produto ou da variação) as unidades de reservas que acabaram de ser liberadas.
+ */
+const restoreReservedStock = async (client, reservations) => {
+    for (const reservation of reservations) {
+        if (reservation.variantId) {
+            await client.query('UPDATE product_variants SET stock = stock + $2 WHERE id = $1 AND stock <> -1', [reservation.variantId, reservation.quantity]);
+        } else {
+            await client.query('UPDATE products SET stock = stock + $2 WHERE id = $1 AND stock <> -1', [reservation.productId, reservation.quantity]);
+        }
+    }
+};
+
+/**
+ * Libera as reservas ativas de um pedido/ticket e devolve o estoque.
+ */
+const releaseReservation = async (ref) => {
+    const [column, value] = reservationFilter(ref);
+    return withTransaction(async (client) => {
+        const query = `
+            UPDATE stock_reservations
+            SET status = 'released'
+            WHERE ${column} = $1 AND status = 'held'
+            RETURNING *;
+        `;
+        const { rows } = await client.query(query, [value]);
+        await restoreReservedStock(client, rows);
+        return rows;
+    });
+};
+
+/**
+ * Devolve ao estoque o que um pedido cancelado ou reembolsado antes da entrega segurava:
+ * as reservas ativas e as vendas já confirmadas. Produtos com chaves têm o estoque recalculado
+ * pelas chaves livres, já que chaves enviadas ao comprador não voltam.
+ * @param {string} orderId
+ * @returns {Promise<object[]>} As reservas liberadas.
+ */
+const releaseOrderStock = (orderId) => withTransaction(async (client) => {
+    const query = `
+        UPDATE stock_reservations
+        SET status = 'released'
+        WHERE "orderId" = $1 AND status IN ('held', 'committed')
+        RETURNING *;
+    `;
+    const { rows } = await client.query(query, [orderId]);
+    await restoreReservedStock(client, rows);
+
+    const productIds = [...new Set(rows.map(reservation => reservation.productId))];
+    const { rows: keyedItems } = await client.query('SELECT DISTINCT "productId", "variantId" FROM product_keys WHERE "productId" = ANY($1)', [productIds]);
+    for (const { productId, variantId } of keyedItems) {
+        await syncKeyStock(client, productId, variantId);
+    }
+    return rows;
+});
+
+/**
+ * Libera todas as reservas vencidas e devolve o estoque. Retorna as reservas liberadas.
+ */
+const releaseExpiredReservations = async () => {
+    return withTransaction(async (client) => {
+        const query = `
+            UPDATE stock_reservations
+            SET status = 'released'
+            WHERE status = 'held' AND "expiresAt" IS NOT NULL AND "expiresAt" < NOW()
+            RETURNING *;
+        `;
+        const { rows } = await client.query(query);
+        await restoreReservedStock(client, rows);
+        return rows;
+    });
+};
+
+// --- LISTA DE ESPERA ---
+
+/**
+ * Devolve ao estoque as unidades separadas pela lista de espera para um comprador, para que a
+ * reserva do pedido dele (na mesma transação) use essas unidades antes de qualquer outro comprador.
+ * @param {import('pg').PoolClient} client
+ * @param {string} userId
+ * @param {string[]} productIds
+ */
+const releaseWaitlistHolds = async (client, userId, productIds) => {
+    const query = `
+        UPDATE stock_reservations
+        SET status = 'released'
+        WHERE "waitlistUserId" = $1 AND "productId" = ANY($2) AND status = 'held'
+        RETURNING *;
+    `;
+    const { rows } = await client.query(query, [userId, productIds]);
+    await restoreReservedStock(client, rows);
+};
+
+/**
+ * Coloca um usuário na lista de espera de um produto. Quem já está na fila mantém a posição.
+ * @param {string} productId
+ * @param {string} userId
+ * @param {'discord'|'site'} source
+ * @returns {Promise<{entry: object, created: boolean}>}
+ */
+const joinWaitlist = async (productId, userId, source) => {
+    const insertQuery = `
+        INSERT INTO stock_waitlist ("productId", "userId", source)
+        VALUES ($1, $2, $3)
+        ON CONFLICT ("productId", "userId") WHERE status = 'waiting' DO NOTHING
+        RETURNING *;
+    `;
+    const { rows } = await pool.query(insertQuery, [productId, userId, source]);
+    if (rows.length > 0) return { entry: rows[0], created: true };
+    const { rows: existing } = await pool.query(`SELECT * FROM stock_waitlist WHERE "productId" = $1 AND "userId" = $2 AND status = 'waiting'`, [productId, userId]);
+    return { entry: existing[0], created: false };
+};
+
+const leaveWaitlist = async (productId, userId) => {
+    const { rowCount } = await pool.query(`UPDATE stock_waitlist SET status = 'cancelled' WHERE "productId" = $1 AND "userId" = $2 AND status = 'waiting'`, [productId, userId]);
+    return rowCount > 0;
+};
+
+/**
+ * @param {string} userId
+ * @returns {Promise<string[]>} Os produtos em que o usuário está aguardando.
+ */
+const getWaitingProductIds = async (userId) => {
+    const { rows } = await pool.query(`SELECT "productId" FROM stock_waitlist WHERE "userId" = $1 AND status = 'waiting'`, [userId]);
+    return rows.map(row => row.productId);
+};
+
+/**
+ * @param {string} userId
+ * @returns {Promise<Object<string, Date>>} Os produtos com unidade separada para o usuário pela lista de espera, com o fim da reserva.
+ */
+const getWaitlistHolds = async (userId) => {
+    const { rows } = await pool.query(`SELECT "productId", "expiresAt" FROM stock_reservations WHERE "waitlistUserId" = $1 AND status = 'held'`, [userId]);
+    return Object.fromEntries(rows.map(row => [row.productId, row.expiresAt]));
+};
+
+/**
+ * Separa quem deve ser avisado dos produtos da lista de espera que voltaram ao estoque, na ordem de entrada.
+ * Com holdMinutes, cada avisado recebe uma unidade reservada por esse tempo e só são avisados tantos
+ * quantas unidades houver; os demais seguem na fila e são avisados quando as reservas vencerem.
+ * Produtos com variações (o comprador escolhe qual) e com estoque infinito avisam todos, sem reserva.
+ * @param {number} holdMinutes 0 desliga a reserva.
+ * @returns {Promise<object[]>} As entradas avisadas, com productName e holdExpiresAt.
+ */
+const claimRestockedWaitlist = (holdMinutes) => withTransaction(async (client) => {
+    const productsQuery = `
+        SELECT p.id, p.name, p.stock,
+            EXISTS (SELECT 1 FROM product_variants v WHERE v."productId" = p.id) AS "hasVariants",
+            EXISTS (SELECT 1 FROM product_variants v WHERE v."productId" = p.id AND v.stock <> 0) AS "variantInStock"
+        FROM products p
+        WHERE EXISTS (SELECT 1 FROM stock_waitlist w WHERE w."productId" = p.id AND w.status = 'waiting')
+        FOR UPDATE OF p;
+    `;
+    const { rows: products } = await client.query(productsQuery);
+    const notified = [];
+    for (const product of products) {
+        const inStock = product.hasVariants ? product.variantInStock : product.stock !== 0;
+        if (!inStock) continue;
+        const useHolds = holdMinutes > 0 && !product.hasVariants && product.stock !== -1;
+
+        // Quem já tem uma unidade separada deste produto não recebe outra: fica na fila até a atual ser usada ou vencer
+        const entriesQuery = `
+            SELECT * FROM stock_waitlist w
+            WHERE w."productId" = $1 AND w.status = 'waiting'
+                AND ($3 = FALSE OR NOT EXISTS (
+                    SELECT 1 FROM stock_reservations r
+                    WHERE r."productId" = w."productId" AND r."waitlistUserId" = w."userId" AND r.status = 'held'
+                ))
+            ORDER BY w."createdAt", w.id
+            LIMIT $2
+            FOR UPDATE OF w SKIP LOCKED;
+        `;
+        const { rows: entries } = await client.query(entriesQuery, [product.id, useHolds ? product.stock : null, useHolds]);
+        for (const entry of entries) {
+            const hold = useHolds
+                ? await insertReservation(client, { productId: product.id, waitlistUserId: entry.userId, minutes: holdMinutes })
+                : null;
+            const { rows } = await client.query(
+                `UPDATE stock_waitlist SET status = 'notified', "notifiedAt" = NOW(), "holdReservationId" = $2 WHERE id = $1 RETURNING *`,
+                [entry.id, hold ? hold.id : null]
+            );
+            notified.push({ ...rows[0], productName: product.name, holdExpiresAt: hold ? hold.expiresAt : null });
+        }
+    }
+    return notified;
+});
+
+// --- AVISOS DO SITE ---
+
+const addUserNotification = async ({ userId, message, link = null }) => {
+    const { rows } = await pool.query(
+        'INSERT INTO user_notifications ("userId", message, link) VALUES ($1, $2, $3) RETURNING *',
+        [userId, message, link]
+    );
+    return rows[0];
+};
+
+const getUnreadNotifications = async (userId) => {
+    const { rows } = await pool.query('SELECT * FROM user_notifications WHERE "userId" = $1 AND "readAt" IS NULL ORDER BY "createdAt" DESC LIMIT 20', [userId]);
+    return rows;
+};
+
+const markNotificationsRead = async (userId) => {
+    await pool.query('UPDATE user_notifications SET "readAt" = NOW() WHERE "userId" = $1 AND "readAt" IS NULL', [userId]);
+};
+
 const findOrCreateAccount = async (discordUser) => {
     const findQuery = 'SELECT * FROM accounts WHERE id = $1';
     let { rows } = await pool.query(findQuery, [discordUser.id]);
@@ -163,10 +1063,23 @@ const findOrCreateAccount = async (discordUser) => {
     }
 };
 
-const createOrder = async (orderData) => {
+const insertStatusHistory = (client, orderId, fromStatus, toStatus, audit = {}) => {
     const query = `
-        INSERT INTO orders (id, "userId", "productId", "productName", status, "createdAt", messages)
-        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        INSERT INTO order_status_history ("orderId", "fromStatus", "toStatus", actor, reason)
+        VALUES ($1, $2, $3, $4, $5);
+    `;
+    return client.query(query, [orderId, fromStatus, toStatus, audit.actor || 'sistema', audit.reason || null]);
+};
+
+/**
+ * Cria um pedido com o histórico inicial de status e, se houver, os seus itens.
+ * @param {object} orderData Os dados do pedido. orderData.items é uma lista de {productId, productName, quantity, unitPrice}.
+ * @param {{actor?: string, reason?: string}} [audit]
+ */
+const createOrder = async (orderData, audit = {}) => {
+    const query = `
+        INSERT INTO orders (id, "userId", "productId", "productName", status, "createdAt", messages, "ticketChannelId", source, "totalAmount")
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
         RETURNING *;
     `;
     const values = [
@@ -176,10 +1089,30 @@ const createOrder = async (orderData) => {
         orderData.productName,
         orderData.status,
         orderData.createdAt,
-        orderData.messages ? JSON.stringify(orderData.messages) : '[]'
+        orderData.messages ? JSON.stringify(orderData.messages) : '[]',
+        orderData.ticketChannelId || null,
+        orderData.source || 'site',
+        orderData.totalAmount ?? null
     ];
-    const { rows } = await pool.query(query, values);
-    return rows[0];
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        const { rows } = await client.query(query, values);
+        for (const item of orderData.items || []) {
+            await client.query(
+                'INSERT INTO order_items ("orderId", "productId", "variantId", "productName", quantity, "unitPrice") VALUES ($1, $2, $3, $4, $5, $6)',
+                [orderData.id, item.productId, item.variantId || null, item.productName, item.quantity, item.unitPrice]
+            );
+        }
+        await insertStatusHistory(client, orderData.id, null, orderData.status, audit);
+        await client.query('COMMIT');
+        return rows[0];
+    } catch (e) {
+        await client.query('ROLLBACK');
+        throw e;
+    } finally {
+        client.release();
+    }
 };
 
 const getOrdersByUserId = async (userId) => {
@@ -192,7 +1125,96 @@ const getOrderById = async (orderId, userId) => {
     return rows.length > 0 ? rows[0] : null;
 };
 
-const updateOrderStatus = async (orderId, status, extraData = {}) => {
+const getOrderItems = async (orderId) => {
+    const { rows } = await pool.query('SELECT * FROM order_items WHERE "orderId" = $1 ORDER BY id', [orderId]);
+    return rows;
+};
+
+/**
+ * Busca os itens de vários pedidos de uma vez, agrupados por pedido.
+ * @param {string[]} orderIds
+ * @returns {Promise<Object<string, object[]>>}
+ */
+const getItemsForOrders = async (orderIds) => {
+    if (orderIds.length === 0) return {};
+    const { rows } = await pool.query('SELECT * FROM order_items WHERE "orderId" = ANY($1) ORDER BY id', [orderIds]);
+    return rows.reduce((acc, item) => {
+        (acc[item.orderId] = acc[item.orderId] || []).push(item);
+        return acc;
+    }, {});
+};
+
+const findOrderById = async (orderId) => {
+    const { rows } = await pool.query('SELECT * FROM orders WHERE id = $1', [orderId]);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Busca o pedido ligado a um canal do Discord (ticket de pagamento, entrega ou chat).
+ */
+const findOrderByChannelId = async (channelId) => {
+    const { rows } = await pool.query('SELECT * FROM orders WHERE "ticketChannelId" = $1', [channelId]);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Lista pedidos para o painel administrativo, com filtros opcionais.
+ * @param {object} filters
+ * @param {string} [filters.status]
+ * @param {string} [filters.productId]
+ * @param {string} [filters.search] Trecho do ID do pedido, ID ou nome do usuário.
+ * @param {string} [filters.from] Data inicial (inclusive).
+ * @param {string} [filters.to] Data final (inclusive).
+ */
+const getOrders = async (filters = {}) => {
+    const conditions = [];
+    const values = [];
+
+    if (filters.status) {
+        values.push(filters.status);
+        conditions.push(`o.status = $${values.length}`);
+    }
+    if (filters.productId) {
+        values.push(filters.productId);
+        conditions.push(`o."productId" = $${values.length}`);
+    }
+    if (filters.search) {
+        values.push(`%${filters.search}%`);
+        conditions.push(`(o.id ILIKE $${values.length} OR o."userId" ILIKE $${values.length} OR a.username ILIKE $${values.length})`);
+    }
+    if (filters.from) {
+        values.push(filters.from);
+        conditions.push(`o."createdAt" >= $${values.length}::date`);
+    }
+    if (filters.to) {
+        values.push(filters.to);
+        conditions.push(`o."createdAt" < $${values.length}::date + INTERVAL '1 day'`);
+    }
+
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const query = `
+        SELECT o.*, a.username
+        FROM orders o
+        LEFT JOIN accounts a ON a.id = o."userId"
+        ${where}
+        ORDER BY o."createdAt" DESC
+        LIMIT 200;
+    `;
+    const { rows } = await pool.query(query, values);
+    return rows;
+};
+
+/**
+ * Muda o status de um pedido seguindo a máquina de estados (orderStatus.js) e registra a mudança no histórico.
+ * Repetir o status atual só atualiza os dados extras, sem nova entrada no histórico.
+ * O pedido retornado inclui 'previousStatus', o status antes da mudança.
+ * @param {string} orderId
+ * @param {string} status O novo status.
+ * @param {object} [extraData] Colunas extras a atualizar (receiptUrl, ticketChannelId).
+ * @param {{actor?: string, reason?: string}} [audit] Quem fez a mudança e por quê.
+ * @throws {InvalidStatusTransitionError} Se a mudança não for permitida.
+ */
+const updateOrderStatus = async (orderId, status, extraData = {}, audit = {}) => {
     const fields = ['status = $2'];
     const values = [orderId, status];
     let paramIndex = 3;
@@ -206,9 +1228,55 @@ const updateOrderStatus = async (orderId, status, extraData = {}) => {
         values.push(extraData.ticketChannelId);
     }
 
-    const query = `UPDATE orders SET ${fields.join(', ')} WHERE id = $1 RETURNING *;`;
-    const { rows } = await pool.query(query, values);
-    return rows[0];
+    const client = await pool.connect();
+    try {
+        await client.query('BEGIN');
+        // Trava a linha do pedido para que duas mudanças simultâneas não passem pela mesma validação
+        const { rows: current } = await client.query('SELECT status FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+        if (current.length === 0) {
+            await client.query('ROLLBACK');
+            return null;
+        }
+        const fromStatus = current[0].status;
+        // Repetir o status só é aceito para atualizar dados extras; sem eles seria uma ação duplicada
+        const isAllowed = fromStatus === status ? fields.length > 1 : canTransition(fromStatus, status);
+        if (!isAllowed) {
+            throw new InvalidStatusTransitionError(orderId, fromStatus, status);
+        }
+
+        const query = `UPDATE orders SET ${fields.join(', ')} WHERE id = $1 RETURNING *;`;
+        const { rows } = await client.query(query, values);
+        if (fromStatus !== status) {
+            await insertStatusHistory(client, orderId, fromStatus, status, audit);
+        }
+        await client.query('COMMIT');
+        return { ...rows[0], previousStatus: fromStatus };
+    } catch (e) {
+        await client.query('ROLLBACK');
+        throw e;
+    } finally {
+        client.release();
+    }
+};
+
+const getOrderStatusHistory = async (orderId) => {
+    const { rows } = await pool.query('SELECT * FROM order_status_history WHERE "orderId" = $1 ORDER BY "createdAt" ASC, id ASC', [orderId]);
+    return rows;
+};
+
+/**
+ * Busca o histórico de vários pedidos de uma vez, agrupado por ID do pedido.
+ * @param {string[]} orderIds
+ * @returns {Promise<Object<string, object[]>>}
+ */
+const getStatusHistoryForOrders = async (orderIds) => {
+    if (orderIds.length === 0) return {};
+    const query = 'SELECT * FROM order_status_history WHERE "orderId" = ANY($1) ORDER BY "createdAt" ASC, id ASC';
+    const { rows } = await pool.query(query, [orderIds]);
+    return rows.reduce((acc, entry) => {
+        (acc[entry.orderId] = acc[entry.orderId] || []).push(entry);
+        return acc;
+    }, {});
 };
 
 const addMessageToOrder = async (orderId, message) => {
@@ -220,15 +1288,90 @@ const addMessageToOrder = async (orderId, message) => {
     await pool.query(query, [orderId, JSON.stringify(message)]);
 };
 
-const addAuditLog = async (message) => {
-    const query = `INSERT INTO audit_logs (message) VALUES ($1)`;
+/**
+ * Grava um evento da auditoria. Falhas só vão para o console, para nunca interromper a ação auditada.
+ * @param {object} entry
+ * @param {string} entry.message
+ * @param {string} [entry.action]
+ * @param {string} [entry.actorId]
+ * @param {string} [entry.actorName]
+ * @param {string} [entry.entityType]
+ * @param {string} [entry.entityId]
+ * @param {object} [entry.payload]
+ * @returns {Promise<object|null>} O evento gravado, ou null se a gravação falhou.
+ */
+const addAuditLog = async ({ message, action = null, actorId = null, actorName = null, entityType = null, entityId = null, payload = {} }) => {
+    const query = `
+        INSERT INTO audit_logs (message, action, "actorId", "actorName", "entityType", "entityId", payload)
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *;
+    `;
     try {
-        await pool.query(query, [message]);
+        const { rows } = await pool.query(query, [message, action, actorId, actorName, entityType, entityId, JSON.stringify(payload)]);
+        return rows[0];
     } catch (error) {
         console.error('Falha ao inserir log de auditoria no banco de dados:', error);
+        return null;
     }
 };
 
+/**
+ * Busca eventos da auditoria, do mais recente para o mais antigo.
+ * Os filtros de usuário, produto e pedido olham tanto a entidade do evento quanto o payload.
+ * @param {object} filters
+ * @param {string} [filters.userId] Quem executou ou o usuário afetado.
+ * @param {string} [filters.productId]
+ * @param {string} [filters.orderId]
+ * @param {string} [filters.action] Tipo exato ('order.approve') ou grupo ('order').
+ * @param {Date} [filters.from]
+ * @param {Date} [filters.to]
+ * @param {number} [limit]
+ */
+const getAuditLogs = async (filters = {}, limit = 200) => {
+    const conditions = [];
+    const values = [];
+
+    if (filters.userId) {
+        values.push(filters.userId);
+        const n = values.length;
+        conditions.push(`("actorId" = $${n} OR payload->>'userId' = $${n} OR ("entityType" = 'user' AND "entityId" = $${n}))`);
+    }
+    if (filters.productId) {
+        values.push(filters.productId);
+        const n = values.length;
+        conditions.push(`(("entityType" = 'product' AND "entityId" = $${n}) OR payload->>'productId' = $${n} OR payload->'productIds' ? $${n})`);
+    }
+    if (filters.orderId) {
+        values.push(filters.orderId);
+        const n = values.length;
+        conditions.push(`(("entityType" = 'order' AND "entityId" = $${n}) OR payload->>'orderId' = $${n})`);
+    }
+    if (filters.action) {
+        values.push(filters.action);
+        const n = values.length;
+        conditions.push(`(action = $${n} OR action LIKE $${n} || '.%')`);
+    }
+    if (filters.from) {
+        values.push(filters.from);
+        conditions.push(`"createdAt" >= $${values.length}`);
+    }
+    if (filters.to) {
+        values.push(filters.to);
+        conditions.push(`"createdAt" <= $${values.length}`);
+    }
+
+    values.push(limit);
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const query = `
+        SELECT * FROM audit_logs
+        ${where}
+        ORDER BY "createdAt" DESC, id DESC
+        LIMIT $${values.length};
+    `;
+    const { rows } = await pool.query(query, values);
+    return rows;
+};
+
 const getConfig = async (key) => {
     const query = 'SELECT value FROM app_config WHERE key = $1';
     const { rows } = await pool.query(query, [key]);
@@ -245,6 +1388,172 @@ const setConfig = async (key, value) => {
     await pool.query(query, [key, JSON.stringify(value)]);
 };
 
+// --- ALERTAS DOS ADMINS ---
+
+/**
+ * Pedidos nos status informados, com a hora em que entraram no status atual (statusSince).
+ * Pedidos sem histórico usam a data de criação.
+ * @param {string[]} statuses
+ */
+const getOrdersAwaitingAction = async (statuses) => {
+    const query = `
+        SELECT o.id, o."userId", o."productName", o.status, o.source, o."createdAt",
+            COALESCE(
+                (SELECT MAX(h."createdAt") FROM order_status_history h WHERE h."orderId" = o.id AND h."toStatus" = o.status AND h."fromStatus" IS DISTINCT FROM o.status),
+                o."createdAt"
+            ) AS "statusSince"
+        FROM orders o
+        WHERE o.status = ANY($1);
+    `;
+    const { rows } = await pool.query(query, [statuses]);
+    return rows;
+};
+
+/**
+ * Sincroniza os alertas em aberto com os problemas atuais: os que sumiram são encerrados e os novos são abertos.
+ * Retorna os que devem ser enviados agora (ainda não avisados ou avisados há mais de repingMinutes); eles só
+ * contam como avisados depois do envio, com markAdminAlertsSent.
+ * @param {Array<{key: string, type: string, entityId: string}>} activeAlerts Os problemas encontrados agora.
+ * @param {number} repingMinutes
+ * @returns {Promise<{due: Object<string, number>, resolved: object[]}>} due: pingCount anterior de cada chave a enviar.
+ */
+const syncAdminAlerts = (activeAlerts, repingMinutes) => withTransaction(async (client) => {
+    const keys = activeAlerts.map(alert => alert.key);
+    const { rows: resolved } = await client.query('DELETE FROM admin_alerts WHERE NOT (key = ANY($1)) RETURNING *', [keys]);
+
+    const { rows: existing } = await client.query('SELECT * FROM admin_alerts WHERE key = ANY($1)', [keys]);
+    const existingByKey = Object.fromEntries(existing.map(alert => [alert.key, alert]));
+    const due = {};
+    for (const alert of activeAlerts) {
+        const current = existingByKey[alert.key];
+        if (!current) {
+            await client.query('INSERT INTO admin_alerts (key, type, "entityId", "pingCount", "lastAlertedAt") VALUES ($1, $2, $3, 0, NULL)', [alert.key, alert.type, alert.entityId]);
+            due[alert.key] = 0;
+        } else if (!current.lastAlertedAt || Date.now() - new Date(current.lastAlertedAt).getTime() >= repingMinutes * 60000) {
+            due[alert.key] = current.pingCount;
+        }
+    }
+    return { due, resolved };
+});
+
+/**
+ * Marca alertas como avisados agora (chamado depois que o resumo foi enviado ao canal).
+ * @param {string[]} keys
+ */
+const markAdminAlertsSent = async (keys) => {
+    await pool.query('UPDATE admin_alerts SET "pingCount" = "pingCount" + 1, "lastAlertedAt" = NOW() WHERE key = ANY($1)', [keys]);
+};
+
+const getOpenAdminAlerts = async () => {
+    const { rows } = await pool.query('SELECT * FROM admin_alerts ORDER BY "firstAlertedAt"');
+    return rows;
+};
+
+// --- TRANSCRIÇÕES DE CANAIS ---
+
+/**
+ * @param {object} transcript
+ * @param {string|null} transcript.orderId
+ * @param {string} transcript.channelId
+ * @param {string} transcript.channelName
+ * @param {string} transcript.reason Por que o canal foi excluído.
+ * @param {object[]} transcript.messages As mensagens (transcripts.js).
+ */
+const saveChannelTranscript = async ({ orderId = null, channelId, channelName, reason, messages }) => {
+    const query = `
+        INSERT INTO channel_transcripts ("orderId", "channelId", "channelName", reason, messages, "messageCount")
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *;
+    `;
+    const { rows } = await pool.query(query, [orderId, channelId, channelName, reason, JSON.stringify(messages), messages.length]);
+    return rows[0];
+};
+
+const getChannelTranscriptById = async (transcriptId) => {
+    const { rows } = await pool.query('SELECT * FROM channel_transcripts WHERE id = $1', [transcriptId]);
+    return rows[0] || null;
+};
+
+// Colunas das listagens: sem as mensagens, que podem ser grandes
+const TRANSCRIPT_SUMMARY_COLUMNS = 'id, "orderId", "channelId", "channelName", reason, "messageCount", "createdAt"';
+
+/**
+ * @param {string[]} orderIds
+ * @returns {Promise<Object<string, object[]>>} As transcrições (sem mensagens) de cada pedido.
+ */
+const getTranscriptsByOrders = async (orderIds) => {
+    if (orderIds.length === 0) return {};
+    const { rows } = await pool.query(`SELECT ${TRANSCRIPT_SUMMARY_COLUMNS} FROM channel_transcripts WHERE "orderId" = ANY($1) ORDER BY "createdAt"`, [orderIds]);
+    return rows.reduce((acc, transcript) => {
+        (acc[transcript.orderId] = acc[transcript.orderId] || []).push(transcript);
+        return acc;
+    }, {});
+};
+
+/**
+ * @param {{orderId?: string}} filters
+ * @param {number} limit
+ */
+const getRecentTranscripts = async ({ orderId } = {}, limit = 100) => {
+    const values = [limit];
+    let where = '';
+    if (orderId) {
+        values.push(`%${orderId}%`);
+        where = 'WHERE "orderId" ILIKE $2 OR "channelName" ILIKE $2';
+    }
+    const { rows } = await pool.query(`SELECT ${TRANSCRIPT_SUMMARY_COLUMNS} FROM channel_transcripts ${where} ORDER BY "createdAt" DESC LIMIT $1`, values);
+    return rows;
+};
+
+// --- PAINÉIS DE COMPRAS ---
+
+/**
+ * Registra um painel de compras publicado.
+ * @param {object} panel
+ * @param {string} panel.guildId
+ * @param {string} panel.channelId
+ * @param {string} panel.messageId
+ * @param {string|null} [panel.category] Mostra só os produtos desta categoria.
+ * @param {string[]|null} [panel.productIds] Mostra só estes produtos.
+ * @param {string} [panel.createdBy]
+ */
+const addShoppingPanel = async ({ guildId, channelId, messageId, category = null, productIds = null, createdBy = null }) => {
+    const query = `
+        INSERT INTO shopping_panels ("guildId", "channelId", "messageId", category, "productIds", "createdBy")
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *;
+    `;
+    const { rows } = await pool.query(query, [guildId, channelId, messageId, category, productIds && productIds.length > 0 ? productIds : null, createdBy]);
+    return rows[0];
+};
+
+const getShoppingPanels = async () => {
+    const { rows } = await pool.query('SELECT * FROM shopping_panels ORDER BY id');
+    return rows;
+};
+
+const getShoppingPanelById = async (panelId) => {
+    const { rows } = await pool.query('SELECT * FROM shopping_panels WHERE id = $1', [panelId]);
+    return rows[0] || null;
+};
+
+const getShoppingPanelByMessageId = async (messageId) => {
+    const { rows } = await pool.query('SELECT * FROM shopping_panels WHERE "messageId" = $1', [messageId]);
+    return rows[0] || null;
+};
+
+const deleteShoppingPanel = async (panelId) => {
+    await pool.query('DELETE FROM shopping_panels WHERE id = $1', [panelId]);
+};
+
+/**
+ * Remove os painéis de um canal apagado. Retorna os painéis removidos.
+ */
+const deleteShoppingPanelsByChannel = async (channelId) => {
+    const { rows } = await pool.query('DELETE FROM shopping_panels WHERE "channelId" = $1 RETURNING *', [channelId]);
+    return rows;
+};
+
 const getProfanityWords = async () => {
     const { rows } = await pool.query('SELECT word FROM profanity_words');
     return rows.map(r => r.word);
@@ -263,26 +1572,697 @@ const removeProfanityWord = async (word) => {
     return rows.length > 0; // Retorna true se removeu, false se não encontrou
 };
 
+const savePixCharge = async (chargeData) => {
+    const query = `
+        INSERT INTO pix_charges (txid, "orderId", context, amount, status, "pixCopiaECola")
+        VALUES ($1, $2, $3, $4, $5, $6)
+        RETURNING *;
+    `;
+    const values = [
+        chargeData.txid,
+        chargeData.orderId || null,
+        JSON.stringify(chargeData.context),
+        chargeData.amount,
+        chargeData.status || 'ATIVA',
+        chargeData.pixCopiaECola
+    ];
+    const { rows } = await pool.query(query, values);
+    return rows[0];
+};
+
+const getPixChargeByTxid = async (txid) => {
+    const { rows } = await pool.query('SELECT * FROM pix_charges WHERE txid = $1', [txid]);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+const getPixChargeByOrderId = async (orderId) => {
+    const { rows } = await pool.query('SELECT * FROM pix_charges WHERE "orderId" = $1 ORDER BY "createdAt" DESC LIMIT 1', [orderId]);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Marca a cobrança como paga. Retorna null se ela já estava paga, o que
+ * impede que um webhook repetido aprove o mesmo pedido duas vezes.
+ */
+const markPixChargePaid = async (txid, endToEndId) => {
+    const query = `
+        UPDATE pix_charges
+        SET status = 'CONCLUIDA', "endToEndId" = $2, "paidAt" = NOW()
+        WHERE txid = $1 AND status <> 'CONCLUIDA'
+        RETURNING *;
+    `;
+    const { rows } = await pool.query(query, [txid, endToEndId]);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+// Cobranças que ainda podem ser pagas
+const getOpenPixCharges = async (orderId) => {
+    const { rows } = await pool.query(`SELECT * FROM pix_charges WHERE "orderId" = $1 AND status = 'ATIVA' ORDER BY "createdAt"`, [orderId]);
+    return rows;
+};
+
+/**
+ * Marca como removida uma cobrança que ainda não foi paga. Retorna null se ela já tinha sido paga ou removida.
+ */
+const markPixChargeRemoved = async (txid) => {
+    const query = `
+        UPDATE pix_charges
+        SET status = 'REMOVIDA_PELO_USUARIO_RECEBEDOR'
+        WHERE txid = $1 AND status = 'ATIVA'
+        RETURNING *;
+    `;
+    const { rows } = await pool.query(query, [txid]);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+const createVerificationToken = async (tokenData) => {
+    const query = `
+        INSERT INTO verification_tokens (id, action, details, context, "expiresAt")
+        VALUES ($1, $2, $3, $4, $5)
+        RETURNING *;
+    `;
+    const values = [
+        tokenData.id,
+        tokenData.action,
+        JSON.stringify(tokenData.details || {}),
+        JSON.stringify(tokenData.context),
+        tokenData.expiresAt
+    ];
+    const { rows } = await pool.query(query, values);
+    return rows[0];
+};
+
+const getVerificationToken = async (tokenId) => {
+    const { rows } = await pool.query('SELECT * FROM verification_tokens WHERE id = $1', [tokenId]);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Marca o token como usado de forma atômica. Retorna null se ele não existe, expirou ou
+ * já foi usado, então dois cliques simultâneos nunca executam a mesma ação duas vezes.
+ */
+const consumeVerificationToken = async (tokenId, usedBy) => {
+    const query = `
+        UPDATE verification_tokens
+        SET "usedAt" = NOW(), "usedBy" = $2
+        WHERE id = $1 AND "usedAt" IS NULL AND "expiresAt" > NOW()
+        RETURNING *;
+    `;
+    const { rows } = await pool.query(query, [tokenId, usedBy]);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Libera um token consumido cuja ação falhou com erro, para que o admin possa tentar de novo.
+ */
+const releaseVerificationToken = async (tokenId) => {
+    await pool.query('UPDATE verification_tokens SET "usedAt" = NULL, "usedBy" = NULL WHERE id = $1', [tokenId]);
+};
+
+const getPendingVerificationTokens = async () => {
+    const query = `
+        SELECT * FROM verification_tokens
+        WHERE "usedAt" IS NULL AND "expiresAt" > NOW()
+        ORDER BY "createdAt" ASC;
+    `;
+    const { rows } = await pool.query(query);
+    return rows;
+};
+
+/**
+ * Invalida os links pendentes de um pedido do site quando a ação é feita por outro caminho (ex: painel admin).
+ */
+const invalidateOrderTokens = async (orderId, usedBy) => {
+    const query = `
+        UPDATE verification_tokens
+        SET "usedAt" = NOW(), "usedBy" = $2
+        WHERE "usedAt" IS NULL AND context->>'orderId' = $1;
+    `;
+    await pool.query(query, [orderId, usedBy]);
+};
+
+// --- CUPONS ---
+
+const createCoupon = async (coupon) => {
+    const query = `
+        INSERT INTO coupons (code, type, value, "productId", "maxUses", "perUserLimit", "validFrom", "validUntil", "createdBy")
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        ON CONFLICT (code) DO NOTHING
+        RETURNING *;
+    `;
+    const values = [
+        coupon.code,
+        coupon.type,
+        coupon.value,
+        coupon.productId || null,
+        coupon.maxUses || null,
+        coupon.perUserLimit || null,
+        coupon.validFrom || null,
+        coupon.validUntil || null,
+        coupon.createdBy || null,
+    ];
+    const { rows } = await pool.query(query, values);
+    return rows.length > 0 ? rows[0] : null; // null se o código já existe
+};
+
+/**
+ * Lista os cupons com a quantidade de usos que contam para o limite.
+ */
+const getCoupons = async () => {
+    const query = `
+        SELECT c.*, COUNT(o.id)::int AS "usesCount"
+        FROM coupons c
+        LEFT JOIN coupon_redemptions r ON r."couponCode" = c.code
+        LEFT JOIN orders o ON o.id = r."orderId" AND o.status NOT IN ('declined', 'expired', 'cancelled', 'refunded')
+        GROUP BY c.code
+        ORDER BY c."createdAt" DESC;
+    `;
+    const { rows } = await pool.query(query);
+    return rows;
+};
+
+const setCouponActive = async (code, active) => {
+    const { rows } = await pool.query('UPDATE coupons SET active = $2 WHERE code = $1 RETURNING *', [code, active]);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Aplica um cupom a um pedido que ainda aguarda pagamento e grava o novo total.
+ * O cupom fica travado durante a transação, então dois pedidos não passam juntos do limite de usos.
+ * @param {string} orderId
+ * @param {string} code O código já padronizado (normalizeCouponCode).
+ * @param {number|string} originalAmount O valor do pedido sem desconto.
+ * @returns {Promise<{order: object, coupon: object}>} O pedido atualizado e o cupom aplicado.
+ * @throws {CouponError} Se o cupom não puder ser usado neste pedido.
+ */
+const redeemCoupon = (orderId, code, originalAmount) => withTransaction(async (client) => {
+    const { rows: orderRows } = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+    const order = orderRows[0];
+    if (!order) throw new CouponError('Pedido não encontrado.');
+    if (order.status !== 'analise') throw new CouponError('Cupons só podem ser aplicados antes do envio do comprovante.');
+    if (order.couponCode) throw new CouponError(`Este pedido já usa o cupom ${order.couponCode}.`);
+
+    const { rows: items } = await client.query('SELECT * FROM order_items WHERE "orderId" = $1', [orderId]);
+    const productIds = items.length > 0 ? items.map(item => item.productId) : [order.productId];
+
+    const { rows: couponRows } = await client.query('SELECT * FROM coupons WHERE code = $1 FOR UPDATE', [code]);
+    const coupon = couponRows[0];
+    const rejection = getCouponRejection(coupon, productIds);
+    if (rejection) throw new CouponError(rejection);
+
+    const usesQuery = `
+        SELECT COUNT(*)::int AS total, COUNT(*) FILTER (WHERE r."userId" = $2)::int AS "byUser"
+        FROM coupon_redemptions r
+        JOIN orders o ON o.id = r."orderId"
+        WHERE r."couponCode" = $1 AND o.status NOT IN ('declined', 'expired', 'cancelled', 'refunded');
+    `;
+    const { rows: [uses] } = await client.query(usesQuery, [code, order.userId]);
+    if (coupon.maxUses && uses.total >= coupon.maxUses) throw new CouponError('Este cupom atingiu o limite de usos.');
+    if (coupon.perUserLimit && uses.byUser >= coupon.perUserLimit) throw new CouponError('Você já usou este cupom o número máximo de vezes.');
+
+    // Cupom de um produto só desconta sobre os itens desse produto
+    const eligibleAmount = coupon.productId && items.length > 0
+        ? items.filter(item => item.productId === coupon.productId).reduce((sum, item) => sum + item.quantity * parseFloat(item.unitPrice), 0)
+        : originalAmount;
+    const discount = calculateDiscount(coupon, eligibleAmount);
+    const total = (parseFloat(originalAmount) - discount).toFixed(2);
+    await client.query(
+        'INSERT INTO coupon_redemptions ("couponCode", "orderId", "userId", "discountAmount") VALUES ($1, $2, $3, $4)',
+        [code, orderId, order.userId, discount]
+    );
+    const { rows: updatedRows } = await client.query(
+        'UPDATE orders SET "couponCode" = $2, "discountAmount" = $3, "totalAmount" = $4 WHERE id = $1 RETURNING *',
+        [orderId, code, discount, total]
+    );
+    return { order: updatedRows[0], coupon };
+});
+
+// --- CHAVES DE PRODUTOS ---
+
+/**
+ * Recalcula o estoque de um produto com chaves: chaves livres menos as unidades ainda reservadas.
+ * Com variantId, recalcula só a variação, que tem as próprias chaves; as chaves sem variação são do produto.
+ */
+const syncKeyStock = async (client, productId, variantId = null) => {
+    const query = `
+        UPDATE ${variantId ? 'product_variants' : 'products'} SET stock = (
+            SELECT COUNT(*) FROM product_keys WHERE "productId" = $1 AND "variantId" IS NOT DISTINCT FROM $2 AND status = 'available'
+        ) - (
+            SELECT COALESCE(SUM(quantity), 0) FROM stock_reservations WHERE "productId" = $1 AND "variantId" IS NOT DISTINCT FROM $2 AND status = 'held'
+        )
+        WHERE id = $3
+        RETURNING stock;
+    `;
+    const { rows } = await client.query(query, [productId, variantId, variantId || productId]);
+    return rows.length > 0 ? rows[0].stock : null;
+};
+
+/**
+ * Importa chaves para um produto (ou uma variação dele), ignorando as que já existem, e atualiza o estoque.
+ * @param {string} productId
+ * @param {string[]} keys
+ * @param {string} addedBy Quem importou, para a auditoria.
+ * @param {number|null} [variantId] A variação das chaves, para produtos com variações.
+ * @returns {Promise<{inserted: number, stock: number}>}
+ */
+const addProductKeys = (productId, keys, addedBy, variantId = null) => withTransaction(async (client) => {
+    const query = `
+        INSERT INTO product_keys ("productId", "variantId", key, "addedBy")
+        SELECT $1, $4, unnest($2::text[]), $3
+        ON CONFLICT ("productId", key) DO NOTHING;
+    `;
+    const { rowCount } = await client.query(query, [productId, keys, addedBy, variantId]);
+    const stock = await syncKeyStock(client, productId, variantId);
+    return { inserted: rowCount, stock };
+});
+
+/**
+ * Quantidade de chaves livres e entregues de cada produto (e variação) que tem chaves.
+ */
+const getProductKeyCounts = async () => {
+    const query = `
+        SELECT k."productId", k."variantId", p.name AS "productName", v.name AS "variantName",
+            COUNT(*) FILTER (WHERE k.status = 'available')::int AS available,
+            COUNT(*) FILTER (WHERE k.status = 'delivered')::int AS delivered
+        FROM product_keys k
+        JOIN products p ON p.id = k."productId"
+        LEFT JOIN product_variants v ON v.id = k."variantId"
+        GROUP BY k."productId", k."variantId", p.name, v.name, v.position
+        ORDER BY p.name, v.position NULLS FIRST;
+    `;
+    const { rows } = await pool.query(query);
+    return rows;
+};
+
+/**
+ * Separa chaves livres para os itens de um pedido aprovado. Cada chave só sai uma vez, mesmo com
+ * aprovações simultâneas (SKIP LOCKED). Se o pedido já recebeu chaves, retorna as mesmas.
+ * @param {string} orderId
+ * @param {Array<{productId: string, variantId?: number|null, productName: string, quantity: number}>} items
+ * @returns {Promise<{keys: object[], missingItems: object[]}>} As chaves entregues e os itens que seguem na entrega manual.
+ */
+const assignProductKeys = (orderId, items) => withTransaction(async (client) => {
+    // Cada item é um produto ou uma variação dele: só recebe chaves da mesma variação
+    const itemKey = (entry) => `${entry.productId}:${entry.variantId || ''}`;
+    const { rows: existing } = await client.query('SELECT * FROM product_keys WHERE "orderId" = $1 ORDER BY id', [orderId]);
+    if (existing.length > 0) {
+        const coveredItems = new Set(existing.map(itemKey));
+        return { keys: existing, missingItems: items.filter(item => !coveredItems.has(itemKey(item))) };
+    }
+
+    const keys = [];
+    const missingItems = [];
+    for (const item of items) {
+        const query = `
+            UPDATE product_keys SET status = 'delivered', "orderId" = $1, "deliveredAt" = NOW()
+            WHERE id IN (
+                SELECT id FROM product_keys
+                WHERE "productId" = $2 AND "variantId" IS NOT DISTINCT FROM $4 AND status = 'available'
+                ORDER BY id
+                LIMIT $3
+                FOR UPDATE SKIP LOCKED
+            )
+            RETURNING *;
+        `;
+        const { rows } = await client.query(query, [orderId, item.productId, item.quantity, item.variantId || null]);
+        if (rows.length < item.quantity) {
+            // Chaves insuficientes (ou produto sem chaves): o item inteiro fica para a entrega manual
+            if (rows.length > 0) {
+                await client.query(`UPDATE product_keys SET status = 'available', "orderId" = NULL, "deliveredAt" = NULL WHERE id = ANY($1)`, [rows.map(row => row.id)]);
+            }
+            missingItems.push(item);
+            continue;
+        }
+        keys.push(...rows);
+        await syncKeyStock(client, item.productId, item.variantId || null);
+    }
+    return { keys, missingItems };
+});
+
+// --- RELATÓRIOS ---
+
+// Pedidos pagos e não devolvidos: são os que entram na receita
+const PAID_STATUSES_SQL = `('approved', 'entregue')`;
+
+// Momento da primeira aprovação do pedido, pelo histórico de status
+const APPROVED_AT_SQL = `(
+    SELECT MIN(h."createdAt") FROM order_status_history h
+    WHERE h."orderId" = o.id AND h."toStatus" = 'approved'
+)`;
+
+/**
+ * Números de vendas dos pedidos criados no período.
+ * @param {Date} from Início (inclusive).
+ * @param {Date} to Fim (inclusive).
+ * @param {number} [topLimit] Quantos produtos entram no ranking.
+ * @returns {Promise<{summary: object, statusCounts: object[], topProducts: object[]}>}
+ */
+const getSalesReport = async (from, to, topLimit = 5) => {
+    const summaryQuery = `
+        WITH period_orders AS (
+            SELECT o.*, ${APPROVED_AT_SQL} AS "approvedAt"
+            FROM orders o
+            WHERE o."createdAt" >= $1 AND o."createdAt" <= $2
+        )
+        SELECT
+            COUNT(*)::int AS "ordersCount",
+            COUNT(*) FILTER (WHERE "approvedAt" IS NOT NULL OR status IN ('approved', 'entregue', 'refunded'))::int AS "approvedCount",
+            COUNT(*) FILTER (WHERE status IN ${PAID_STATUSES_SQL})::int AS "paidCount",
+            COUNT(*) FILTER (WHERE status IN ${PAID_STATUSES_SQL} AND "totalAmount" IS NULL)::int AS "unpricedCount",
+            COALESCE(SUM("totalAmount") FILTER (WHERE status IN ${PAID_STATUSES_SQL}), 0)::float AS revenue,
+            COALESCE(SUM("discountAmount") FILTER (WHERE status IN ${PAID_STATUSES_SQL}), 0)::float AS "discountTotal",
+            COALESCE(SUM("totalAmount") FILTER (WHERE status = 'refunded'), 0)::float AS "refundedAmount",
+            EXTRACT(EPOCH FROM AVG("approvedAt" - "createdAt"))::int AS "avgApprovalSeconds"
+        FROM period_orders;
+    `;
+    const statusQuery = `
+        SELECT status, COUNT(*)::int AS count
+        FROM orders
+        WHERE "createdAt" >= $1 AND "createdAt" <= $2
+        GROUP BY status
+        ORDER BY count DESC;
+    `;
+    // Pedidos anteriores ao carrinho não têm itens e contam como uma unidade pelo valor do pedido
+    const topProductsQuery = `
+        WITH paid AS (
+            SELECT id, "productId", "productName", "totalAmount"
+            FROM orders
+            WHERE "createdAt" >= $1 AND "createdAt" <= $2 AND status IN ${PAID_STATUSES_SQL}
+        ), lines AS (
+            SELECT i."productId", i."productName", i.quantity, i.quantity * i."unitPrice" AS amount
+            FROM order_items i JOIN paid p ON p.id = i."orderId"
+            UNION ALL
+            SELECT p."productId", p."productName", 1, COALESCE(p."totalAmount", 0)
+            FROM paid p
+            WHERE NOT EXISTS (SELECT 1 FROM order_items i WHERE i."orderId" = p.id)
+        )
+        SELECT "productId", "productName", SUM(quantity)::int AS quantity, SUM(amount)::float AS revenue
+        FROM lines
+        GROUP BY "productId", "productName"
+        ORDER BY revenue DESC, quantity DESC
+        LIMIT $3;
+    `;
+    const [{ rows: [summary] }, { rows: statusCounts }, { rows: topProducts }] = await Promise.all([
+        pool.query(summaryQuery, [from, to]),
+        pool.query(statusQuery, [from, to]),
+        pool.query(topProductsQuery, [from, to, topLimit]),
+    ]);
+    return { summary, statusCounts, topProducts };
+};
+
+/**
+ * Pedidos criados no período, com o comprador e a data de aprovação, para a exportação CSV.
+ * @param {Date} from Início (inclusive).
+ * @param {Date} to Fim (inclusive).
+ */
+const getOrdersForExport = async (from, to) => {
+    const query = `
+        SELECT o.id, o."createdAt", ${APPROVED_AT_SQL} AS "approvedAt", o.status, o.source, o."userId", a.username,
+            o."productName", o."couponCode", o."discountAmount", o."totalAmount"
+        FROM orders o
+        LEFT JOIN accounts a ON a.id = o."userId"
+        WHERE o."createdAt" >= $1 AND o."createdAt" <= $2
+        ORDER BY o."createdAt";
+    `;
+    const { rows } = await pool.query(query, [from, to]);
+    return rows;
+};
+
+// --- PEDIDOS DE CANCELAMENTO ---
+
+/**
+ * Registra o pedido de cancelamento de um comprador.
+ * @returns {Promise<object|null>} O pedido de cancelamento, ou null se já existe um em aberto para o pedido.
+ */
+const createCancellationRequest = async ({ orderId, userId, reason }) => {
+    const query = `
+        INSERT INTO cancellation_requests ("orderId", "userId", reason)
+        VALUES ($1, $2, $3)
+        ON CONFLICT DO NOTHING
+        RETURNING *;
+    `;
+    const { rows } = await pool.query(query, [orderId, userId, reason]);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Pedidos de cancelamento em aberto, com os dados do pedido, para a fila do painel.
+ */
+const getPendingCancellationRequests = async () => {
+    const query = `
+        SELECT r.*, o.status AS "orderStatus", o."productName", o."totalAmount", o.source, a.username
+        FROM cancellation_requests r
+        JOIN orders o ON o.id = r."orderId"
+        LEFT JOIN accounts a ON a.id = r."userId"
+        WHERE r.status = 'pending'
+        ORDER BY r."createdAt";
+    `;
+    const { rows } = await pool.query(query);
+    return rows;
+};
+
+/**
+ * O pedido de cancelamento mais recente de cada pedido do usuário.
+ * @param {string} userId
+ * @returns {Promise<Object<string, object>>} Indexado pelo ID do pedido.
+ */
+const getLatestCancellationRequestsByUser = async (userId) => {
+    const query = `
+        SELECT DISTINCT ON ("orderId") *
+        FROM cancellation_requests
+        WHERE "userId" = $1
+        ORDER BY "orderId", "createdAt" DESC;
+    `;
+    const { rows } = await pool.query(query, [userId]);
+    return rows.reduce((acc, request) => {
+        acc[request.orderId] = request;
+        return acc;
+    }, {});
+};
+
+/**
+ * Fecha o pedido de cancelamento em aberto de um pedido.
+ * @param {string} orderId
+ * @param {'accepted'|'denied'} status
+ * @param {string} resolvedBy Quem decidiu.
+ * @param {string} [note] Resposta para o comprador.
+ * @returns {Promise<object|null>} O pedido de cancelamento fechado, ou null se não havia um em aberto.
+ */
+const resolveCancellationRequest = async (orderId, status, resolvedBy, note = null) => {
+    const query = `
+        UPDATE cancellation_requests
+        SET status = $2, "resolvedAt" = NOW(), "resolvedBy" = $3, "resolutionNote" = $4
+        WHERE "orderId" = $1 AND status = 'pending'
+        RETURNING *;
+    `;
+    const { rows } = await pool.query(query, [orderId, status, resolvedBy, note]);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+/**
+ * Registra um comprovante enviado para um pedido.
+ * @param {object} receipt
+ * @param {string} receipt.orderId
+ * @param {string} receipt.url
+ * @param {'site'|'ticket'} receipt.source
+ * @param {string} [receipt.submittedBy]
+ * @param {string} [receipt.contentHash]
+ * @param {string} [receipt.perceptualHash]
+ * @param {object[]} [receipt.duplicateMatches] Comprovantes de outros pedidos parecidos com este.
+ * @returns {Promise<object>} O comprovante registrado.
+ */
+const addOrderReceipt = async ({ orderId, url, source, submittedBy = null, contentHash = null, perceptualHash = null, duplicateMatches = [] }) => {
+    const query = `
+        INSERT INTO order_receipts ("orderId", url, source, "submittedBy", "contentHash", "perceptualHash", "duplicateMatches")
+        VALUES ($1, $2, $3, $4, $5, $6, $7)
+        RETURNING *;
+    `;
+    const { rows } = await pool.query(query, [orderId, url, source, submittedBy, contentHash, perceptualHash, JSON.stringify(duplicateMatches)]);
+    return rows[0];
+};
+
+/**
+ * Comprovantes de outros pedidos que podem ser iguais a um novo: todos os com o mesmo hash de conteúdo e
+ * os mais recentes com hash perceptual (a distância entre os hashes é calculada fora do banco).
+ * @param {string} orderId O pedido do novo comprovante, que fica de fora.
+ * @param {string} contentHash
+ * @param {{days: number, limit: number}} window Até quantos dias atrás e quantos comprovantes com hash perceptual entram.
+ * @returns {Promise<object[]>}
+ */
+const getReceiptHashCandidates = async (orderId, contentHash, { days, limit }) => {
+    const query = `
+        (
+            SELECT id, "orderId", "contentHash", "perceptualHash"
+            FROM order_receipts
+            WHERE "orderId" <> $1 AND "contentHash" = $2
+        )
+        UNION
+        (
+            SELECT id, "orderId", "contentHash", "perceptualHash"
+            FROM order_receipts
+            WHERE "orderId" <> $1 AND "perceptualHash" IS NOT NULL AND "submittedAt" > NOW() - make_interval(days => $3)
+            ORDER BY "submittedAt" DESC
+            LIMIT $4
+        );
+    `;
+    const { rows } = await pool.query(query, [orderId, contentHash, days, limit]);
+    return rows;
+};
+
+/**
+ * O comprovante mais recente de cada pedido, para a fila do painel.
+ * @param {string[]} orderIds
+ * @returns {Promise<Object<string, object>>} Indexado pelo ID do pedido.
+ */
+const getLatestReceiptsByOrder = async (orderIds) => {
+    if (orderIds.length === 0) return {};
+    const query = `
+        SELECT DISTINCT ON ("orderId") *
+        FROM order_receipts
+        WHERE "orderId" = ANY($1)
+        ORDER BY "orderId", "submittedAt" DESC, id DESC;
+    `;
+    const { rows } = await pool.query(query, [orderIds]);
+    return rows.reduce((acc, receipt) => {
+        acc[receipt.orderId] = receipt;
+        return acc;
+    }, {});
+};
+
+/**
+ * Todos os comprovantes de um pedido, do mais antigo ao mais recente.
+ * @param {string} orderId
+ */
+const getOrderReceipts = async (orderId) => {
+    const { rows } = await pool.query('SELECT * FROM order_receipts WHERE "orderId" = $1 ORDER BY "submittedAt", id;', [orderId]);
+    return rows;
+};
+
+/**
+ * @param {string} orderId
+ * @returns {Promise<number>} Quantos comprovantes já foram enviados para o pedido.
+ */
+const countOrderReceipts = async (orderId) => {
+    const { rows } = await pool.query('SELECT COUNT(*)::int AS count FROM order_receipts WHERE "orderId" = $1;', [orderId]);
+    return rows[0].count;
+};
+
+/**
+ * Registra a análise dos comprovantes em aberto de um pedido.
+ * @param {string} orderId
+ * @param {'approved'|'rejected'} status
+ * @param {string} reviewedBy Quem analisou.
+ * @param {string} [rejectionReason] Motivo da recusa, mostrado ao comprador.
+ * @returns {Promise<object[]>} Os comprovantes analisados.
+ */
+const reviewPendingReceipts = async (orderId, status, reviewedBy, rejectionReason = null) => {
+    const query = `
+        UPDATE order_receipts
+        SET status = $2, "reviewedAt" = NOW(), "reviewedBy" = $3, "rejectionReason" = $4
+        WHERE "orderId" = $1 AND status = 'pending'
+        RETURNING *;
+    `;
+    const { rows } = await pool.query(query, [orderId, status, reviewedBy, rejectionReason]);
+    return rows;
+};
 
 module.exports = {
     pool,
     createTables,
     getProducts,
+    getAllProducts,
+    getSoldOutProducts,
+    setLowStockThreshold,
     getProductById,
     addProduct,
     updateProduct,
+    updateProductDetails,
     deleteProduct,
+    getVariantById,
+    addProductVariant,
+    updateProductVariant,
+    deleteProductVariant,
+    setProductVariants,
+    getHeldStock,
     decreaseProductStock,
+    reserveStock,
+    reserveOrderStock,
+    setReservationExpiry,
+    commitReservation,
+    releaseReservation,
+    releaseOrderStock,
+    releaseExpiredReservations,
+    joinWaitlist,
+    leaveWaitlist,
+    getWaitingProductIds,
+    getWaitlistHolds,
+    claimRestockedWaitlist,
+    addUserNotification,
+    getUnreadNotifications,
+    markNotificationsRead,
     findOrCreateAccount,
     createOrder,
     getOrdersByUserId,
     getOrderById,
+    getOrderItems,
+    getItemsForOrders,
+    findOrderById,
+    findOrderByChannelId,
+    getOrders,
     updateOrderStatus,
+    getOrderStatusHistory,
+    getStatusHistoryForOrders,
     addMessageToOrder,
     addAuditLog,
+    getAuditLogs,
     getConfig,
     setConfig,
+    getOrdersAwaitingAction,
+    syncAdminAlerts,
+    markAdminAlertsSent,
+    getOpenAdminAlerts,
+    saveChannelTranscript,
+    getChannelTranscriptById,
+    getTranscriptsByOrders,
+    getRecentTranscripts,
+    addShoppingPanel,
+    getShoppingPanels,
+    getShoppingPanelById,
+    getShoppingPanelByMessageId,
+    deleteShoppingPanel,
+    deleteShoppingPanelsByChannel,
     getProfanityWords,
     addProfanityWord,
     removeProfanityWord,
+    savePixCharge,
+    getPixChargeByTxid,
+    getPixChargeByOrderId,
+    markPixChargePaid,
+    getOpenPixCharges,
+    markPixChargeRemoved,
+    createVerificationToken,
+    getVerificationToken,
+    consumeVerificationToken,
+    releaseVerificationToken,
+    getPendingVerificationTokens,
+    invalidateOrderTokens,
+    createCoupon,
+    getCoupons,
+    setCouponActive,
+    redeemCoupon,
+    addProductKeys,
+    getProductKeyCounts,
+    assignProductKeys,
+    getSalesReport,
+    getOrdersForExport,
+    createCancellationRequest,
+    getPendingCancellationRequests,
+    getLatestCancellationRequestsByUser,
+    resolveCancellationRequest,
+    addOrderReceipt,
+    getReceiptHashCandidates,
+    getLatestReceiptsByOrder,
+    getOrderReceipts,
+    countOrderReceipts,
+    reviewPendingReceipts,
 };
\ No newline at end of file
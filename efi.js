@@ -0,0 +1,167 @@
+// efi.js
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+const EfiPay = require('sdk-node-apis-efi');
+require('dotenv').config();
+
+// --- CONFIGURAÇÕES DA EFÍ ---
+const EFI_CLIENT_ID = process.env.EFI_CLIENT_ID;
+const EFI_CLIENT_SECRET = process.env.EFI_CLIENT_SECRET;
+const EFI_CERTIFICATE = process.env.EFI_CERTIFICATE; // Caminho do certificado .p12 (ou o conteúdo em base64)
+const EFI_CERT_BASE64 = process.env.EFI_CERT_BASE64 === 'true';
+const EFI_SANDBOX = process.env.EFI_SANDBOX === 'true';
+// Se definido, as chamadas vão para este endereço em vez da Efí (ex: http://localhost:4010 para um servidor mock local)
+const EFI_BASE_URL = process.env.EFI_BASE_URL;
+const EFI_WEBHOOK_SECRET = process.env.EFI_WEBHOOK_SECRET;
+const PIX_KEY = process.env.PIX_KEY;
+const PIX_EXPIRATION_SECONDS = parseInt(process.env.PIX_EXPIRATION_SECONDS, 10) || 3600;
+
+let efipay = null;
+let mockAuth = null;
+
+/**
+ * Indica se a integração com a Efí está configurada. Sem ela, só o fluxo manual de comprovante funciona.
+ * @returns {boolean}
+ */
+function isEfiEnabled() {
+    return Boolean(EFI_CLIENT_ID && EFI_CLIENT_SECRET && PIX_KEY && (EFI_CERTIFICATE || EFI_BASE_URL));
+}
+
+function getSdk() {
+    if (!efipay) {
+        efipay = new EfiPay({
+            sandbox: EFI_SANDBOX,
+            client_id: EFI_CLIENT_ID,
+            client_secret: EFI_CLIENT_SECRET,
+            certificate: EFI_CERTIFICATE,
+            cert_base64: EFI_CERT_BASE64,
+        });
+    }
+    return efipay;
+}
+
+/**
+ * Faz uma requisição ao servidor definido em EFI_BASE_URL, imitando as rotas da API Pix da Efí.
+ * O SDK não permite trocar a URL base, por isso o modo mock usa o fetch diretamente.
+ */
+async function mockRequest(method, route, body) {
+    if (!mockAuth || Date.now() > mockAuth.expiresAt) {
+        const credentials = Buffer.from(`${EFI_CLIENT_ID}:${EFI_CLIENT_SECRET}`).toString('base64');
+        const authResponse = await fetch(`${EFI_BASE_URL}/oauth/token`, {
+            method: 'POST',
+            headers: { Authorization: `Basic ${credentials}`, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ grant_type: 'client_credentials' }),
+        });
+        const authData = await authResponse.json();
+        if (!authResponse.ok) throw authData;
+        mockAuth = { token: authData.access_token, expiresAt: Date.now() + (authData.expires_in || 3600) * 1000 };
+    }
+
+    const response = await fetch(`${EFI_BASE_URL}${route}`, {
+        method,
+        headers: { Authorization: `Bearer ${mockAuth.token}`, 'Content-Type': 'application/json' },
+        body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await response.json();
+    if (!response.ok) throw data;
+    return data;
+}
+
+/**
+ * Gera um txid válido para a Efí (26 a 35 caracteres alfanuméricos) a partir do ID do pedido.
+ * @param {string} reference O ID do pedido ou do ticket.
+ * @returns {string}
+ */
+function buildTxid(reference) {
+    const base = reference.replace(/[^a-zA-Z0-9]/g, '').slice(0, 25);
+    const suffix = crypto.randomBytes(16).toString('hex');
+    return (base + suffix).slice(0, 35);
+}
+
+/**
+ * Cria uma cobrança Pix imediata (cob) com o valor exato do pedido.
+ * @param {object} chargeData
+ * @param {string} chargeData.reference O ID do pedido ou do ticket, usado para compor o txid.
+ * @param {number} chargeData.amount O valor a ser cobrado.
+ * @param {string} chargeData.description Texto exibido para o pagador.
+ * @returns {Promise<{txid: string, pixCopiaECola: string}>}
+ */
+async function createPixCharge({ reference, amount, description }) {
+    const txid = buildTxid(reference);
+    const body = {
+        calendario: { expiracao: PIX_EXPIRATION_SECONDS },
+        valor: { original: parseFloat(amount).toFixed(2) },
+        chave: PIX_KEY,
+        solicitacaoPagador: description.slice(0, 140),
+    };
+
+    if (EFI_BASE_URL) {
+        const charge = await mockRequest('PUT', `/v2/cob/${txid}`, body);
+        return { txid, pixCopiaECola: charge.pixCopiaECola };
+    }
+
+    const charge = await getSdk().pixCreateCharge({ txid }, body);
+    let pixCopiaECola = charge.pixCopiaECola;
+    if (!pixCopiaECola && charge.loc) {
+        // Contas mais antigas não retornam o copia e cola na criação; ele vem da location.
+        const qrCode = await getSdk().pixGenerateQRCode({ id: charge.loc.id });
+        pixCopiaECola = qrCode.qrcode;
+    }
+    return { txid, pixCopiaECola };
+}
+
+/**
+ * Consulta uma cobrança na Efí. Usado para confirmar o que chega pelo webhook.
+ * @param {string} txid
+ */
+async function getPixCharge(txid) {
+    if (EFI_BASE_URL) {
+        return mockRequest('GET', `/v2/cob/${txid}`);
+    }
+    return getSdk().pixDetailCharge({ txid });
+}
+
+/**
+ * Remove uma cobrança que ainda não foi paga, para que o Pix não possa mais ser pago (ex: pedido expirado ou cancelado).
+ * @param {string} txid
+ */
+async function cancelPixCharge(txid) {
+    const body = { status: 'REMOVIDA_PELO_USUARIO_RECEBEDOR' };
+    if (EFI_BASE_URL) {
+        return mockRequest('PATCH', `/v2/cob/${txid}`, body);
+    }
+    return getSdk().pixUpdateCharge({ txid }, body);
+}
+
+/**
+ * Registra a URL de webhook da chave Pix na Efí.
+ * @param {string} webhookUrl
+ */
+async function configurePixWebhook(webhookUrl) {
+    if (EFI_BASE_URL) {
+        return mockRequest('PUT', `/v2/webhook/${encodeURIComponent(PIX_KEY)}`, { webhookUrl });
+    }
+    return getSdk().pixConfigWebhook({ chave: PIX_KEY }, { webhookUrl });
+}
+
+/**
+ * Compara o segredo recebido na URL do webhook com EFI_WEBHOOK_SECRET em tempo constante.
+ * @param {string} secret
+ * @returns {boolean}
+ */
+function isWebhookSecretValid(secret) {
+    if (!EFI_WEBHOOK_SECRET || typeof secret !== 'string') return false;
+    const expected = Buffer.from(EFI_WEBHOOK_SECRET);
+    const received = Buffer.from(secret);
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+module.exports = {
+    EFI_WEBHOOK_SECRET,
+    isEfiEnabled,
+    createPixCharge,
+    getPixCharge,
+    cancelPixCharge,
+    configurePixWebhook,
+    isWebhookSecretValid,
+};
@@ -3,12 +3,13 @@
 // --- 1. IMPORTAÇÕES ---
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
+const fetch = require('node-fetch');
 const {
     Client,
     GatewayIntentBits,
     Events,
     EmbedBuilder,
-    StringSelectMenuBuilder,
     ActionRowBuilder,
     ChannelType,
     PermissionsBitField,
@@ -19,28 +20,94 @@ const {
     ModalBuilder,
     TextInputBuilder,
     TextInputStyle,
-    Partials
+    Partials,
+    AttachmentBuilder,
+    MessageFlags
 } = require('discord.js');
 const {
     getProducts,
+    getAllProducts,
+    getSoldOutProducts,
+    setLowStockThreshold,
     getProductById,
     addProduct,
     updateProduct,
+    updateProductDetails,
     deleteProduct,
+    getVariantById,
+    addProductVariant,
+    updateProductVariant,
+    deleteProductVariant,
+    getHeldStock,
     decreaseProductStock,
+    reserveStock,
+    setReservationExpiry,
+    commitReservation,
+    releaseReservation,
+    releaseOrderStock,
+    releaseExpiredReservations,
+    joinWaitlist,
+    claimRestockedWaitlist,
+    addUserNotification,
     findOrCreateAccount,
     createOrder,
     getOrdersByUserId,
-    getOrderById,
+    findOrderById,
+    findOrderByChannelId,
     updateOrderStatus,
+    getOrderStatusHistory,
     addMessageToOrder,
     addAuditLog,
+    getAuditLogs,
     getConfig,
     setConfig,
+    getOrdersAwaitingAction,
+    syncAdminAlerts,
+    markAdminAlertsSent,
+    getOpenAdminAlerts,
+    addShoppingPanel,
+    getShoppingPanels,
+    getShoppingPanelById,
+    getShoppingPanelByMessageId,
+    deleteShoppingPanel,
+    deleteShoppingPanelsByChannel,
     getProfanityWords,
     addProfanityWord,
     removeProfanityWord,
+    savePixCharge,
+    getPixChargeByTxid,
+    markPixChargePaid,
+    getOpenPixCharges,
+    markPixChargeRemoved,
+    createVerificationToken,
+    invalidateOrderTokens,
+    resolveCancellationRequest,
+    addOrderReceipt,
+    getReceiptHashCandidates,
+    countOrderReceipts,
+    reviewPendingReceipts,
+    createCoupon,
+    getCoupons,
+    setCouponActive,
+    redeemCoupon,
+    addProductKeys,
+    getProductKeyCounts,
+    assignProductKeys,
+    saveChannelTranscript,
 } = require('./db.js');
+const { isEfiEnabled, createPixCharge, getPixCharge, cancelPixCharge } = require('./efi.js');
+const { isPixConfigured, buildPixPayload, pixQrCodeBuffer } = require('./pix.js');
+const { canTransition, statusLabel } = require('./orderStatus.js');
+const { CouponError, normalizeCouponCode, describeCoupon, parseCouponDate } = require('./coupons.js');
+const { loadOrderItems, formatItemsList } = require('./cart.js');
+const { AUDIT_ACTION_GROUPS, auditActionLabel, parseActor } = require('./audit.js');
+const { DEFAULT_REPORT_DAYS, resolveReportPeriod, loadSalesReport, formatDuration, formatReportDate, buildOrdersCsv, csvFileName } = require('./reports.js');
+const { CHAT_ATTACHMENTS_FOLDER, RECEIPT_UPLOAD_RULES, copyRemoteFile, signMessageAttachments } = require('./storage.js');
+const { hashReceipt, findDuplicateReceipts } = require('./receiptHash.js');
+const { DEFAULT_CATEGORY, CATALOG_NAME_MAX_LENGTH, hasStock, isProductAvailable, itemName, resolvePurchase, parseVariantLine, isValidImageUrl } = require('./catalog.js');
+const { DEFAULT_SLA_MINUTES, resolveAlertSettings, findLowStockItems, findStalledOrders, formatElapsed, buildAlertDigest } = require('./alerts.js');
+const { captureChannelMessages, renderTranscriptHtml } = require('./transcripts.js');
+const { createShoppingPanel, createCategoryMenu, createVariantMenu, createWaitlistMenu, findCategoryByKey, filterPanelProducts, describePanelFilter } = require('./shoppingPanel.js');
 
 
 // --- 2. INFORMAÇÕES SECRETAS E CONFIGURAÇÕES ---
@@ -56,178 +123,791 @@ const GUILD_ID = process.env.GUILD_ID;
 const OWNER_ID = process.env.OWNER_ID;
 const SITE_URL = process.env.SITE_URL; // Esta será a URL do Render
 
-// Pagamento
-const PIX_KEY = process.env.PIX_KEY;
+// Por quanto tempo o estoque fica reservado para um pedido/ticket sem pagamento
+const STOCK_RESERVATION_MINUTES = parseInt(process.env.STOCK_RESERVATION_MINUTES, 10) || 60;
+
+// Status em que o pedido não aceita mais pagamento: as cobranças Pix ainda abertas dele são removidas na Efí
+const PIX_CLOSED_STATUSES = ['approved', 'entregue', 'expired', 'declined', 'cancelled', 'refunded'];
+
+// Por quantos minutos a unidade que voltou ao estoque fica separada para quem estava na lista de espera; 0 só avisa
+const WAITLIST_HOLD_MINUTES = parseInt(process.env.WAITLIST_HOLD_MINUTES, 10) || 0;
+
+// Quantos comprovantes o comprador pode enviar para o mesmo pedido (a cada recusa, ele pode enviar outro)
+const MAX_RECEIPT_ATTEMPTS = parseInt(process.env.MAX_RECEIPT_ATTEMPTS, 10) || 3;
+
+// Com quantos comprovantes recentes (e de até quantos dias atrás) um novo é comparado pelo hash perceptual;
+// cópias idênticas (mesmo hash do conteúdo) são procuradas em todos
+const RECEIPT_DUPLICATE_WINDOW = {
+    days: parseInt(process.env.RECEIPT_DUPLICATE_WINDOW_DAYS, 10) || 90,
+    limit: 5000,
+};
+
+// Tamanho máximo do arquivo .txt aceito pelo /chaves importar
+const KEYS_FILE_MAX_BYTES = 1024 * 1024;
+
+// Maior transcrição enviada como arquivo para o canal de transcrições (limite de anexos do Discord sem impulso)
+const TRANSCRIPT_FILE_MAX_BYTES = 8 * 1024 * 1024;
+
+// Quantos eventos o /auditoria buscar mostra
+const AUDIT_SEARCH_LIMIT = 15;
+
+// Validade dos links de aprovação/entrega enviados por DM
+const VERIFICATION_TOKEN_TTL_MINUTES = parseInt(process.env.VERIFICATION_TOKEN_TTL_MINUTES, 10) || 60;
 
 // Moderação - A lista agora é carregada do banco de dados
 let profanitySet = new Set();
 
+// Canal onde os eventos da auditoria são espelhados (app_config 'audit_log_channel'); null desliga o espelho
+let auditChannelId = null;
+
+// Canal que recebe as transcrições dos canais excluídos (app_config 'transcript_log_channel'); null só arquiva no banco
+let transcriptChannelId = null;
+
+// Configuração dos alertas de estoque baixo e pedidos parados (app_config 'admin_alerts'), carregada quando o bot fica online
+let alertSettings = resolveAlertSettings(null);
+
 // --- 3. INICIALIZAÇÃO DOS CLIENTES ---
 const client = new Client({
     intents: [GatewayIntentBits.Guilds, GatewayIntentBits.GuildMessages, GatewayIntentBits.MessageContent, GatewayIntentBits.GuildMembers, GatewayIntentBits.DirectMessages],
-    partials: [Partials.Channel] // Necessário para receber DMs
+    partials: [Partials.Channel, Partials.Message] // Channel: necessário para receber DMs; Message: avisa da exclusão de mensagens fora do cache (painéis)
 });
 
 // --- 4. "BANCO DE DADOS" E FUNÇÕES AUXILIARES ---
 
 /**
- * Registra um evento de auditoria no console e em um arquivo de log.
- * @param {string} message A mensagem a ser registrada.
+ * Registra um evento de auditoria no console e no banco e, se houver canal de auditoria configurado, espelha no Discord.
+ * @param {string} message Texto legível do evento.
+ * @param {object} [event] Os campos estruturados, usados nos filtros do /auditoria e do painel.
+ * @param {string} [event.action] O tipo do evento (uma chave de AUDIT_ACTIONS).
+ * @param {string|{id: string, name: string}} [event.actor] Quem executou; sem actor, o evento é do sistema.
+ * @param {string} [event.entityType] 'order', 'product', 'coupon', 'user', 'ticket', 'pix_charge', 'channel'...
+ * @param {string} [event.entityId]
+ * @param {object} [event.payload] Dados extras; orderId, productId(s) e userId também entram nos filtros.
  */
-async function logAuditEvent(message) {
-    const timestamp = new Date().toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+async function logAuditEvent(message, { action = null, actor = null, entityType = null, entityId = null, payload = {} } = {}) {
     console.log(`[AUDITORIA] ${message}`);
-    // Agora salva no banco de dados em vez de um arquivo.
-    await addAuditLog(message);
+    const { id: actorId, name: actorName } = parseActor(actor);
+    const entry = await addAuditLog({ message, action, actorId, actorName, entityType, entityId: entityId === null ? null : String(entityId), payload });
+    if (entry) mirrorAuditEvent(entry).catch(error => console.error('Erro ao espelhar evento no canal de auditoria:', error));
 }
 
 /**
- * Cria e retorna o painel de compras com o menu de seleção de produtos.
- * @param {object} productStock O objeto de estoque carregado.
- * @returns {{embeds: EmbedBuilder[], components: ActionRowBuilder[]} | {content: string, ephemeral: boolean}}
+ * Envia um evento da auditoria para o canal de logs configurado pelo /auditoria canal.
  */
-function createShoppingPanel(productStock) {
+async function mirrorAuditEvent(entry) {
+    if (!auditChannelId || !client.isReady()) return;
+    const channel = await client.channels.fetch(auditChannelId).catch(() => null);
+    if (!channel) return;
+
     const embed = new EmbedBuilder()
-        .setTitle('🛒 Central de Compras')
-        .setDescription('Bem-vindo à nossa loja! Por favor, selecione o produto que você deseja comprar no menu abaixo.')
-        .setColor('Blue')
-        .setFooter({ text: 'Seu ticket de compra será criado após a seleção.' });
-
-    const inStockProducts = Object.entries(productStock).filter(([, product]) => product.stock === -1 || product.stock > 0);
-
-    if (inStockProducts.length === 0) {
-        embed.setDescription('nao sobrou nada pro beta');
-        embed.setColor('Red');
-        return { embeds: [embed], components: [] };
-    }
-
-    const productOptions = inStockProducts.map(([productId, product]) => {
-        const stockInfo = product.stock === -1 ? 'Ilimitado' : `${product.stock} em estoque`;
-        return {
-            label: product.name,
-            description: `R$ ${product.price} | Estoque: ${stockInfo}`,
-            value: productId,
-            emoji: product.emoji || undefined
-        };
-    });
+        .setTitle(auditActionLabel(entry.action))
+        .setDescription(entry.message.slice(0, 4000))
+        .addFields({ name: 'Por', value: entry.actorId ? `${entry.actorName} (<@${entry.actorId}>)` : entry.actorName || 'sistema', inline: true })
+        .setColor('Greyple')
+        .setTimestamp(new Date(entry.createdAt));
+    if (entry.entityType) embed.addFields({ name: 'Referência', value: `${entry.entityType}: \`${entry.entityId}\``, inline: true });
+    await channel.send({ embeds: [embed] });
+}
 
-    inStockProducts.forEach(([productId, product]) => {
-        const stockInfo = product.stock === -1 ? 'Ilimitado' : product.stock;
-        embed.addFields({
-            name: `${product.emoji || '📦'} ${product.name} - R$ ${product.price}`,
-            value: `*${product.description}*\n**Estoque:** ${stockInfo}\n**ID:** \`${productId}\``,
-            inline: false
+/**
+ * Arquiva o histórico do canal (mensagens, anexos e embeds) e só então o exclui. Se o arquivamento falhar,
+ * o canal é mantido para não perder as conversas e as provas do pedido; os admins são avisados no próprio canal.
+ * @param {import('discord.js').TextChannel} channel
+ * @param {object} options
+ * @param {string|null} [options.orderId] O pedido a que o canal pertence.
+ * @param {string} options.reason O motivo da exclusão (também vai para o log do Discord).
+ * @returns {Promise<boolean>} Se o canal foi excluído.
+ */
+async function archiveAndDeleteChannel(channel, { orderId = null, reason }) {
+    let transcript;
+    try {
+        const messages = await captureChannelMessages(channel);
+        transcript = await saveChannelTranscript({ orderId, channelId: channel.id, channelName: channel.name, reason, messages });
+    } catch (error) {
+        console.error(`Erro ao arquivar o canal ${channel.name}:`, error);
+        await channel.send(`⚠️ <@&${ADMIN_ROLE_ID}> Não foi possível salvar o histórico deste canal, então ele não foi excluído. Exclua manualmente depois de conferir as mensagens.`).catch(console.error);
+        await logAuditEvent(`TRANSCRIÇÃO: Falha ao arquivar o canal #${channel.name}${orderId ? ` do pedido ${orderId}` : ''}. O canal foi mantido.`, {
+            action: 'transcript.failed',
+            entityType: 'channel',
+            entityId: channel.id,
+            payload: { orderId, reason, error: error.message },
         });
+        return false;
+    }
+
+    await logAuditEvent(`TRANSCRIÇÃO: Canal #${channel.name}${orderId ? ` do pedido ${orderId}` : ''} arquivado com ${transcript.messageCount} mensagem(ns) antes da exclusão.`, {
+        action: 'transcript.archive',
+        entityType: 'transcript',
+        entityId: transcript.id,
+        payload: { orderId, channelId: channel.id, reason },
+    });
+    sendTranscriptToLogChannel(transcript).catch(error => console.error('Erro ao enviar a transcrição para o canal de transcrições:', error));
+    await channel.delete(reason).catch(console.error);
+    return true;
+}
+
+/**
+ * Envia a transcrição em HTML para o canal configurado pelo /auditoria transcricoes.
+ * @param {object} transcript Linha de channel_transcripts.
+ */
+async function sendTranscriptToLogChannel(transcript) {
+    if (!transcriptChannelId) return;
+    const channel = await client.channels.fetch(transcriptChannelId).catch(() => null);
+    if (!channel) return;
+
+    const link = SITE_URL ? `${SITE_URL}/admin/transcricoes/${transcript.id}` : null;
+    const embed = new EmbedBuilder()
+        .setTitle(`📜 Transcrição de #${transcript.channelName}`)
+        .setDescription(`${transcript.reason}${link ? `\n[Abrir no painel](${link})` : ''}`)
+        .addFields({ name: 'Mensagens', value: String(transcript.messageCount), inline: true })
+        .setColor('Greyple')
+        .setTimestamp(new Date(transcript.createdAt));
+    if (transcript.orderId) embed.addFields({ name: 'Pedido', value: `\`${transcript.orderId}\``, inline: true });
+
+    const html = Buffer.from(await renderTranscriptHtml(transcript, SITE_URL));
+    if (html.length > TRANSCRIPT_FILE_MAX_BYTES) {
+        embed.setFooter({ text: 'Transcrição grande demais para anexar; veja no painel.' });
+        await channel.send({ embeds: [embed] });
+        return;
+    }
+    await channel.send({ embeds: [embed], files: [new AttachmentBuilder(html, { name: `transcricao-${transcript.channelName}-${transcript.id}.html` })] });
+}
+
+/**
+ * Verifica se um usuário tem o cargo de administrador (ADMIN_ROLE_ID) no servidor da loja.
+ * @param {string} userId O ID do usuário no Discord.
+ * @returns {Promise<boolean>}
+ */
+async function isGuildAdmin(userId) {
+    try {
+        const guild = await client.guilds.fetch(GUILD_ID);
+        const member = await guild.members.fetch(userId);
+        return member.roles.cache.has(ADMIN_ROLE_ID);
+    } catch (error) {
+        // Usuário fora do servidor (Unknown Member) ou bot sem acesso: não é admin
+        return false;
+    }
+}
+
+// Erros do Discord que indicam que o painel não existe mais: Unknown Channel, Unknown Guild e Unknown Message
+const PANEL_GONE_ERROR_CODES = [10003, 10004, 10008];
+
+/**
+ * Remove o registro de um painel cuja mensagem ou canal foi apagado.
+ * @param {object} panel
+ * @param {string} reason
+ */
+async function removeShoppingPanel(panel, reason) {
+    await deleteShoppingPanel(panel.id);
+    await logAuditEvent(`Painel de compras ${panel.id} (canal ${panel.channelId}) removido: ${reason}.`, {
+        action: 'panel.remove',
+        entityType: 'channel',
+        entityId: panel.channelId,
+        payload: { panelId: panel.id, messageId: panel.messageId, reason },
     });
+}
+
+/**
+ * Monta o painel de compras com os produtos de um painel fixo (sem painel, a loja toda) e o botão
+ * da lista de espera, se algum produto dele estiver esgotado.
+ * @param {object} productStock Os produtos à venda (getProducts).
+ * @param {object} soldOut Os produtos esgotados (getSoldOutProducts).
+ * @param {object|null} panel
+ * @param {number} [page]
+ */
+function buildShoppingPanel(productStock, soldOut, panel, page = 0) {
+    return createShoppingPanel(filterPanelProducts(productStock, panel), page, Object.keys(filterPanelProducts(soldOut, panel)).length, panel?.id);
+}
+
+/**
+ * O painel fixo de onde veio uma interação: pelo ID salvo no customId (mensagens efêmeras abertas a partir
+ * do painel) ou, sem ele, pela própria mensagem do painel. null no /comprar.
+ * @param {import('discord.js').Interaction} interaction
+ * @param {string} [panelId]
+ */
+async function findInteractionPanel(interaction, panelId) {
+    const id = parseInt(panelId, 10);
+    return id ? getShoppingPanelById(id) : getShoppingPanelByMessageId(interaction.message.id);
+}
+
+/**
+ * Atualiza um painel fixo com o estoque atual.
+ * Se a mensagem ou o canal não existem mais, o painel é removido.
+ * @param {object} panel Linha de shopping_panels.
+ * @param {object} productStock Os produtos à venda (getProducts).
+ * @param {object} soldOut Os produtos esgotados (getSoldOutProducts).
+ */
+async function refreshShoppingPanel(panel, productStock, soldOut) {
+    try {
+        const channel = await client.channels.fetch(panel.channelId);
+        if (!channel || !channel.isTextBased()) return removeShoppingPanel(panel, 'canal não é de texto');
+        const message = await channel.messages.fetch(panel.messageId);
+        // Sem auditoria: a atualização acompanha cada mudança de estoque; só as ações dos admins nos painéis são registradas
+        await message.edit(buildShoppingPanel(productStock, soldOut, panel));
+    } catch (error) {
+        if (PANEL_GONE_ERROR_CODES.includes(error.code)) {
+            console.log(`Painel de compras ${panel.id} não encontrado (mensagem ou canal deletado). Removendo.`);
+            await removeShoppingPanel(panel, 'mensagem ou canal deletado');
+        } else {
+            console.error(`Erro ao tentar atualizar o painel de compras ${panel.id}:`, error);
+        }
+    }
+}
 
-    const selectMenu = new StringSelectMenuBuilder()
-        .setCustomId('select-product')
-        .setPlaceholder('Clique aqui para escolher um produto')
-        .addOptions(productOptions);
+/**
+ * Avisa, por DM e no site, quem está na lista de espera de produtos que voltaram ao estoque.
+ * Com WAITLIST_HOLD_MINUTES, cada avisado tem uma unidade separada por esse tempo.
+ */
+async function notifyWaitlist() {
+    const notified = await claimRestockedWaitlist(WAITLIST_HOLD_MINUTES);
+    for (const entry of notified) {
+        const expiresAt = entry.holdExpiresAt ? new Date(entry.holdExpiresAt) : null;
+        const holdText = expiresAt
+            ? ` Uma unidade está separada para você até ${expiresAt.toLocaleTimeString('pt-BR', { timeZone: 'America/Sao_Paulo', hour: '2-digit', minute: '2-digit' })}.`
+            : '';
+        await addUserNotification({ userId: entry.userId, message: `🔔 ${entry.productName} voltou ao estoque!${holdText}`, link: '/dashboard' });
+
+        const user = await client.users.fetch(entry.userId).catch(() => null);
+        const dmHold = expiresAt ? `\nUma unidade está separada para você até <t:${Math.floor(expiresAt.getTime() / 1000)}:t>. Depois disso, ela volta para a venda.` : '';
+        const link = SITE_URL ? `\nCompre pelo site (${SITE_URL}/dashboard) ou pelo painel de compras do servidor.` : '';
+        // Com a unidade separada, o botão abre o ticket direto (o produto pode não aparecer no painel, já que o estoque livre é zero)
+        const components = expiresAt
+            ? [new ActionRowBuilder().addComponents(new ButtonBuilder().setCustomId(`waitlist-buy_${entry.productId}`).setLabel('Comprar agora').setEmoji('🛒').setStyle(ButtonStyle.Success))]
+            : [];
+        const delivered = user ? await user.send({ content: `🔔 **${entry.productName}** voltou ao estoque!${dmHold}${link}`, components }).then(() => true).catch(() => false) : false;
+
+        await logAuditEvent(`LISTA DE ESPERA: ${user?.tag || entry.userId} foi avisado da volta do produto "${entry.productName}" (ID: ${entry.productId})${delivered ? '' : ' (DM não entregue)'}.`, {
+            action: 'waitlist.notify',
+            entityType: 'product',
+            entityId: entry.productId,
+            payload: { userId: entry.userId, waitlistId: entry.id, holdReservationId: entry.holdReservationId, dmDelivered: delivered },
+        });
+    }
+}
+
+/**
+ * Atualiza todos os painéis de compras fixos. Chamado sempre que o estoque ou os produtos mudam,
+ * por isso também avisa a lista de espera dos produtos que voltaram ao estoque e atualiza os dashboards do site.
+ */
+async function updateShoppingPanels() {
+    await notifyWaitlist().catch(error => console.error('Erro ao avisar a lista de espera:', error));
+    // Os dashboards abertos no site também recebem o estoque novo
+    const { pushCatalogUpdate } = require('./server.js');
+    pushCatalogUpdate().catch(error => console.error('Erro ao enviar o estoque aos dashboards:', error));
+    const panels = await getShoppingPanels();
+    if (panels.length === 0) return;
+    const [productStock, soldOut] = await Promise.all([getProducts(), getSoldOutProducts()]);
+    for (const panel of panels) {
+        await refreshShoppingPanel(panel, productStock, soldOut);
+    }
+}
 
-    const row = new ActionRowBuilder().addComponents(selectMenu);
+/**
+ * Confirma a reserva de estoque de um pedido/ticket aprovado. Pedidos abertos antes das
+ * reservas existirem não têm reserva, então o estoque é descontado na hora, como antes.
+ * @param {{orderId?: string, channelId?: string}} ref
+ * @param {object|null} product
+ */
+async function commitOrDecreaseStock(ref, product) {
+    const committed = await commitReservation(ref);
+    if (committed.length === 0 && product && product.stock !== -1) { // -1 é estoque infinito
+        await decreaseProductStock(product.id);
+    }
+}
 
-    return { embeds: [embed], components: [row] };
+/**
+ * Avisa no ticket de pagamento que a reserva expirou e exclui o canal (depois de arquivar o histórico).
+ * @param {string} channelId
+ * @param {string|null} [orderId]
+ * @returns {Promise<import('discord.js').TextChannel|null>} O canal, se ainda existia.
+ */
+async function closeExpiredTicket(channelId, orderId = null) {
+    const channel = await client.channels.fetch(channelId).catch(() => null);
+    if (channel) {
+        await channel.send(`⌛ Este ticket ficou ${STOCK_RESERVATION_MINUTES} minutos sem pagamento e a reserva do produto foi liberada. O canal será excluído em 10 segundos.`);
+        setTimeout(() => archiveAndDeleteChannel(channel, { orderId, reason: 'Reserva de estoque expirada.' }).catch(console.error), 10000);
+    }
+    return channel;
 }
 
 /**
- * Tenta atualizar o painel de compras fixo, se existir.
+ * Libera as reservas vencidas: os pedidos passam para 'expired' e tickets abandonados são fechados.
  */
-async function updateFixedShoppingPanel() {
-    const panelConfig = await getConfig('fixed_panel');
-    if (panelConfig.panelMessageId && panelConfig.panelChannelId) {
+async function releaseAbandonedReservations() {
+    const released = await releaseExpiredReservations();
+    if (released.length === 0) return;
+
+    // Um pedido com vários itens tem uma reserva por item, mas expira uma vez só
+    const handledOrders = new Set();
+    for (const reservation of released) {
+        if (reservation.orderId) {
+            if (handledOrders.has(reservation.orderId)) continue;
+            handledOrders.add(reservation.orderId);
+        }
         try {
-            const channel = await client.channels.fetch(panelConfig.panelChannelId);
-            if (channel && channel.isTextBased()) {
-                const message = await channel.messages.fetch(panelConfig.panelMessageId);
-                const productStock = await getProducts();
-                const updatedPanel = createShoppingPanel(productStock);
-                await message.edit(updatedPanel);
-                await logAuditEvent(`Painel de compras fixo atualizado no canal ${channel.name}.`);
+            if (reservation.orderId) {
+                const order = await changeOrderStatus(reservation.orderId, 'expired', {}, { actor: 'sistema', reason: `Sem pagamento em ${STOCK_RESERVATION_MINUTES} minutos` });
+                await logAuditEvent(`ESTOQUE: Reserva do pedido ${reservation.orderId} expirou. Estoque do produto ${reservation.productId} devolvido.`, {
+                    action: 'stock.reservation_expired',
+                    entityType: 'order',
+                    entityId: reservation.orderId,
+                    payload: { productId: reservation.productId, variantId: reservation.variantId, quantity: reservation.quantity, userId: order?.userId },
+                });
+                if (order?.source === 'ticket') await closeExpiredTicket(order.ticketChannelId, order.id);
+            } else if (reservation.waitlistUserId) {
+                // Unidade separada para quem estava na lista de espera: os próximos da fila são avisados em updateShoppingPanels
+                await logAuditEvent(`LISTA DE ESPERA: A unidade separada para ${reservation.waitlistUserId} do produto ${reservation.productId} não foi comprada a tempo e voltou à venda.`, {
+                    action: 'waitlist.hold_expired',
+                    entityType: 'product',
+                    entityId: reservation.productId,
+                    payload: { userId: reservation.waitlistUserId, reservationId: reservation.id },
+                });
+            } else if (reservation.channelId) {
+                // Reservas de tickets abertos antes de os tickets virarem pedidos
+                const channel = await closeExpiredTicket(reservation.channelId);
+                await logAuditEvent(`ESTOQUE: Reserva do ticket ${channel?.name || reservation.channelId} expirou. Estoque do produto ${reservation.productId} devolvido.`, {
+                    action: 'stock.reservation_expired',
+                    entityType: 'ticket',
+                    entityId: reservation.channelId,
+                    payload: { productId: reservation.productId, variantId: reservation.variantId, quantity: reservation.quantity },
+                });
             }
         } catch (error) {
-            if (error.code === 10008 || error.code === 10003) { // Unknown Message or Unknown Channel
-                console.log(`Painel de compras antigo não encontrado (mensagem ou canal deletado). Limpando configuração.`);
-                await setConfig('fixed_panel', { panelMessageId: null, panelChannelId: null }); // Limpa a configuração se a mensagem/canal não existe mais
-            } else {
-                console.error('Erro ao tentar atualizar o painel de compras fixo:', error);
-            }
+            console.error(`Erro ao finalizar a reserva expirada ${reservation.id}:`, error);
         }
     }
+    await updateShoppingPanels().catch(console.error);
 }
 
 /**
- * Processa a confirmação de um pagamento, deleta o canal de pagamento e cria o de entrega.
- * @param {import('discord.js').Guild} guild O servidor onde a ação ocorre.
- * @param {string} channelId O ID do canal de pagamento.
- * @param {string} productId O ID do produto comprado.
- * @param {import('discord.js').User} adminUser O administrador que confirmou o pagamento.
- */
-async function processPaymentConfirmation(guild, channelId, productId, adminUser) {
-    const paymentChannel = await guild.channels.fetch(channelId).catch(() => null);
-    if (!paymentChannel || !paymentChannel.topic) {
-        console.error(`[ERRO] Canal de pagamento ${channelId} não encontrado ou sem tópico.`);
-        return { success: false, message: 'Canal de pagamento não encontrado.' };
+ * Procura estoque baixo e pedidos parados além do prazo e envia um resumo ao canal de alertas, marcando o cargo
+ * responsável. Cada problema é repetido a cada alertSettings.repingMinutes até ser resolvido.
+ */
+async function checkAdminAlerts() {
+    if (!alertSettings.channelId || !client.isReady()) return;
+    const [products, orders] = await Promise.all([getAllProducts(), getOrdersAwaitingAction(Object.keys(DEFAULT_SLA_MINUTES))]);
+    const lowStock = findLowStockItems(products);
+    const stalledOrders = findStalledOrders(orders, alertSettings.sla);
+
+    const { due } = await syncAdminAlerts([
+        ...lowStock.map(item => ({ key: item.key, type: 'low_stock', entityId: item.productId })),
+        ...stalledOrders.map(item => ({ key: item.key, type: 'stalled_order', entityId: item.order.id })),
+    ], alertSettings.repingMinutes);
+    const dueItems = (items) => items.filter(item => item.key in due).map(item => ({ ...item, pingCount: due[item.key] }));
+    const dueLowStock = dueItems(lowStock);
+    const dueOrders = dueItems(stalledOrders);
+    if (dueLowStock.length === 0 && dueOrders.length === 0) return;
+
+    const channel = await client.channels.fetch(alertSettings.channelId).catch(() => null);
+    if (!channel || !channel.isTextBased()) {
+        console.error(`[ALERTAS] Canal de alertas ${alertSettings.channelId} não encontrado.`);
+        return;
     }
+    const roleId = alertSettings.roleId || ADMIN_ROLE_ID;
+    const embed = new EmbedBuilder()
+        .setTitle('🚨 Alertas da loja')
+        .setDescription(buildAlertDigest(dueLowStock, dueOrders, SITE_URL).join('\n\n'))
+        .setColor('Orange')
+        .setFooter({ text: `Cada alerta se repete a cada ${formatElapsed(alertSettings.repingMinutes)} até ser resolvido. Use /alertas ver para a lista completa.` })
+        .setTimestamp();
+    await channel.send({ content: `<@&${roleId}>`, embeds: [embed], allowedMentions: { roles: [roleId] } });
+    await markAdminAlertsSent(Object.keys(due));
+
+    await logAuditEvent(`ALERTAS: Resumo enviado com ${dueLowStock.length} item(ns) com estoque baixo e ${dueOrders.length} pedido(s) parado(s).`, {
+        action: 'alerts.digest',
+        entityType: 'channel',
+        entityId: channel.id,
+        payload: { productIds: [...new Set(dueLowStock.map(item => item.productId))], orderIds: dueOrders.map(item => item.order.id) },
+    });
+}
 
-    const userIdMatch = paymentChannel.topic.match(/User: (\d+)/);
-    if (!userIdMatch) {
-        console.error(`[ERRO] Não foi possível extrair o ID do usuário do tópico do canal ${channelId}.`);
-        return { success: false, message: 'ID do usuário não encontrado no canal.' };
+/**
+ * Aprova um pedido já apontando para o seu novo canal (de chat ou de entrega), criado antes da aprovação.
+ * A mudança de status é o que impede duas aprovações do mesmo pedido; se ela falhar, o canal é excluído e o
+ * pedido continua como estava, para a aprovação poder ser tentada de novo.
+ * @param {string} orderId
+ * @param {import('discord.js').TextChannel} channel
+ * @param {{actor?: string, reason?: string}} audit
+ * @returns {Promise<object>} O pedido aprovado.
+ */
+async function approveOrderWithChannel(orderId, channel, audit) {
+    try {
+        return await changeOrderStatus(orderId, 'approved', { ticketChannelId: channel.id }, audit);
+    } catch (error) {
+        await channel.delete().catch(console.error);
+        throw error;
     }
-    const userId = userIdMatch[1];
-    const user = await client.users.fetch(userId);
-
-    const product = await getProductById(productId);
+}
 
-    if (product && product.stock !== -1) { // -1 é estoque infinito
-        await decreaseProductStock(productId);
+/**
+ * Processa a confirmação de um pagamento, deleta o canal de pagamento e cria o de entrega.
+ * @param {import('discord.js').Guild} guild O servidor onde a ação ocorre.
+ * @param {object} order O pedido do ticket (tabela orders).
+ * @param {string} actor Quem confirmou o pagamento, registrado no histórico do pedido.
+ */
+async function processPaymentConfirmation(guild, order, actor) {
+    if (!canTransition(order.status, 'approved')) {
+        return { success: false, message: `O pedido ${order.id} está "${statusLabel(order.status)}" e não pode ser aprovado.` };
+    }
+    const paymentChannel = await guild.channels.fetch(order.ticketChannelId).catch(() => null);
+    if (!paymentChannel) {
+        console.error(`[ERRO] Canal de pagamento ${order.ticketChannelId} do pedido ${order.id} não encontrado.`);
+        return { success: false, message: 'Canal de pagamento não encontrado.' };
     }
 
-    await logAuditEvent(`PAGAMENTO CONFIRMADO: Admin ${adminUser.tag} confirmou o pagamento para ${user.tag} (Produto: ${product?.name || 'desconhecido'}, ID: ${productId}).`);
-    await paymentChannel.delete('Pagamento confirmado. Criando canal de entrega.');
-    await updateFixedShoppingPanel();
+    const user = await client.users.fetch(order.userId);
+    const product = await getProductById(order.productId);
+    const productName = product?.name || order.productName || 'desconhecido';
 
+    // O canal de entrega é criado antes da aprovação e antes de o de pagamento sair, para o pedido nunca ficar sem canal
     const deliveryChannel = await guild.channels.create({
         name: `entrega-${user.username.slice(0, 20)}`,
         type: ChannelType.GuildText,
-        topic: `Canal de entrega para ${user.tag} (ID: ${user.id}) | Produto: ${productId}`,
+        topic: `Canal de entrega para ${user.tag} (ID: ${user.id}) | Pedido: ${order.id}`,
         permissionOverwrites: [
             { id: guild.id, deny: [PermissionsBitField.Flags.ViewChannel] },
             { id: user.id, allow: [PermissionsBitField.Flags.ViewChannel] },
             { id: ADMIN_ROLE_ID, allow: [PermissionsBitField.Flags.ViewChannel] },
         ],
     });
+    await approveOrderWithChannel(order.id, deliveryChannel, { actor, reason: 'Pagamento confirmado' });
+    // O estoque já foi descontado na reserva ao abrir o ticket; aqui ela só é confirmada
+    await commitOrDecreaseStock({ orderId: order.id }, product);
+
+    await logAuditEvent(`PAGAMENTO CONFIRMADO: ${actor} confirmou o pagamento para ${user.tag} (Pedido: ${order.id}, Produto: ${productName}, ID: ${order.productId}).`, {
+        action: 'order.approve',
+        actor,
+        entityType: 'order',
+        entityId: order.id,
+        payload: { source: 'ticket', userId: order.userId, productId: order.productId, totalAmount: order.totalAmount },
+    });
+    await updateShoppingPanels().catch(console.error);
 
-    const embed = new EmbedBuilder().setTitle('📦 Entrega Pronta').setDescription(`O pagamento de ${user} para o produto **${product?.name || 'desconhecido'}** foi confirmado!`).setColor('Green').addFields({ name: 'Ação Necessária', value: `Realize a entrega do produto para o usuário <@${user.id}> neste canal.` });
-    await deliveryChannel.send({ content: `Atenção, <@&${ADMIN_ROLE_ID}>!`, embeds: [embed] });
+    const embed = new EmbedBuilder().setTitle('📦 Entrega Pronta').setDescription(`O pagamento de ${user} para o produto **${productName}** foi confirmado!`).setColor('Green').addFields({ name: 'Ação Necessária', value: `Realize a entrega do produto para o usuário <@${user.id}> neste canal.` });
+    await deliveryChannel.send({ content: `Atenção, <@&${ADMIN_ROLE_ID}>!`, embeds: [embed, await buildStatusTimelineEmbed(order.id)] });
+    setTimeout(() => archiveAndDeleteChannel(paymentChannel, { orderId: order.id, reason: `Pagamento confirmado. Canal de entrega: #${deliveryChannel.name}.` }).catch(console.error), 10000);
+
+    const items = await loadOrderItems(order);
+    if (await deliverProductKeys(order, items, deliveryChannel)) {
+        return { success: true, message: `Pagamento aprovado para ${user.tag}. Chaves entregues automaticamente no canal de entrega.` };
+    }
 
     // Envia o link de entrega para o admin
     await sendDeliveryNotification({
-        context: { type: 'ticket', channelId: deliveryChannel.id, userId: user.id, productId: productId, productName: product?.name || 'Desconhecido' }
+        context: { type: 'ticket', orderId: order.id, channelId: deliveryChannel.id, userId: user.id, productId: order.productId, productName },
+        items
     });
 
     return { success: true, message: `Pagamento aprovado para ${user.tag}. Canal de entrega criado.` };
 }
 
 /**
- * Processa a ação de aprovar ou recusar vinda do site.
- * @param {string} action 'approve' ou 'reject'
+ * Divide linhas de texto em mensagens que cabem no limite de 2000 caracteres do Discord.
+ * @param {string[]} lines
+ * @returns {string[]}
+ */
+function splitMessage(lines) {
+    const messages = [];
+    let current = '';
+    for (const line of lines) {
+        if (current && current.length + line.length + 1 > 1900) {
+            messages.push(current);
+            current = '';
+        }
+        current = current ? `${current}\n${line}` : line;
+    }
+    if (current) messages.push(current);
+    return messages;
+}
+
+/**
+ * Entrega automática: separa chaves do estoque para os itens do pedido aprovado e as envia por DM
+ * e no chat do pedido. Se todos os itens tiverem chaves, o pedido já vai para 'entregue'; senão,
+ * os itens sem chave seguem a entrega manual.
+ * @param {object} order O pedido aprovado.
+ * @param {object[]} items Os itens do pedido (loadOrderItems).
+ * @param {import('discord.js').TextChannel|null} channel O canal de chat/entrega do pedido.
+ * @returns {Promise<boolean>} true se o pedido inteiro foi entregue.
+ */
+async function deliverProductKeys(order, items, channel) {
+    const { keys, missingItems } = await assignProductKeys(order.id, items);
+    if (keys.length === 0) return false;
+
+    // O nome do item inclui a variação: as chaves são identificadas pelo produto e pela variação
+    const itemKey = (entry) => `${entry.productId}:${entry.variantId || ''}`;
+    const productNames = Object.fromEntries(items.map(item => [itemKey(item), item.productName]));
+    const lines = [`🔑 **Suas chaves do pedido \`${order.id}\`:**`, ...keys.map(key => `${productNames[itemKey(key)] || key.productId}: \`${key.key}\``)];
+    if (missingItems.length > 0) {
+        lines.push('', 'Os itens abaixo serão entregues pela nossa equipe:', formatItemsList(missingItems));
+    }
+    const messages = splitMessage(lines);
+
+    const user = await client.users.fetch(order.userId).catch(() => null);
+    for (const content of messages) {
+        if (user) await user.send(content).catch(console.error);
+        if (channel) await channel.send(content).catch(console.error);
+    }
+
+    // As chaves também ficam no chat do pedido no site
+    const systemMessage = { author: 'system', content: lines.join('\n').replace(/\*\*|`/g, ''), timestamp: new Date().toISOString() };
+    await addMessageToOrder(order.id, systemMessage);
+    const { io } = require('./server.js');
+    io.to(order.id).emit('new_message_from_server', systemMessage);
+
+    await logAuditEvent(`ENTREGA AUTOMÁTICA: ${keys.length} chave(s) entregue(s) para o pedido ${order.id}${missingItems.length > 0 ? ` (${missingItems.length} item(ns) sem chave seguem na entrega manual)` : ''}.`, {
+        action: 'order.keys_delivered',
+        entityType: 'order',
+        entityId: order.id,
+        payload: {
+            userId: order.userId,
+            productIds: [...new Set(keys.map(key => key.productId))],
+            keysCount: keys.length,
+            missingProductIds: missingItems.map(item => item.productId),
+        },
+    });
+    if (missingItems.length > 0) return false;
+
+    await changeOrderStatus(order.id, 'entregue', {}, { actor: 'Entrega automática', reason: 'Chaves entregues automaticamente' });
+    return true;
+}
+
+/**
+ * Monta um embed com a linha do tempo de status de um pedido.
+ * @param {string} orderId
+ * @returns {Promise<EmbedBuilder>}
+ */
+async function buildStatusTimelineEmbed(orderId) {
+    const history = await getOrderStatusHistory(orderId);
+    const lines = history.map(entry => {
+        const timestamp = Math.floor(new Date(entry.createdAt).getTime() / 1000);
+        const reason = entry.reason ? ` — ${entry.reason}` : '';
+        return `<t:${timestamp}:f> **${statusLabel(entry.toStatus)}** (por ${entry.actor})${reason}`;
+    });
+    return new EmbedBuilder()
+        .setTitle(`📋 Histórico do Pedido ${orderId}`)
+        .setDescription(lines.join('\n').slice(0, 4000) || 'Sem histórico registrado.')
+        .setColor('Blurple');
+}
+
+/**
+ * Muda o status de um pedido (validando a transição) e avisa no canal do ticket, se houver.
+ * @param {string} orderId
+ * @param {string} status O novo status.
+ * @param {object} [extraData] Colunas extras (receiptUrl, ticketChannelId).
+ * @param {{actor?: string, reason?: string}} [audit] Quem fez a mudança e por quê.
+ * @returns {Promise<object>} O pedido atualizado.
+ */
+async function changeOrderStatus(orderId, status, extraData = {}, audit = {}) {
+    const order = await updateOrderStatus(orderId, status, extraData, audit);
+    if (order && order.previousStatus !== status) {
+        // Páginas abertas do pedido (pagamento, chat, Meus Pedidos) recebem o novo status na hora
+        const { pushOrderStatus } = require('./server.js');
+        pushOrderStatus(order);
+    }
+    if (order && order.previousStatus !== status && PIX_CLOSED_STATUSES.includes(status)) {
+        await closeOrderPixCharges(orderId).catch(error => console.error(`Erro ao remover as cobranças Pix do pedido ${orderId}:`, error));
+    }
+    if (order && order.ticketChannelId && order.previousStatus !== status) {
+        const channel = await client.channels.fetch(order.ticketChannelId).catch(() => null);
+        if (channel) {
+            const reason = audit.reason ? `\n**Motivo:** ${audit.reason}` : '';
+            await channel.send(`📋 Status do pedido: **${statusLabel(order.previousStatus)}** → **${statusLabel(status)}** (por ${audit.actor || 'sistema'})${reason}`).catch(console.error);
+        }
+    }
+    return order;
+}
+
+/**
+ * Cancela ou reembolsa um pedido. O estoque volta se o produto ainda não foi entregue, o pedido de
+ * cancelamento do comprador (se houver) é aceito e o comprador é avisado por DM e no chat do site.
+ * A devolução do dinheiro é feita fora do sistema; aqui ela fica registrada.
+ * @param {object} order O pedido, antes da mudança.
+ * @param {'cancel'|'refund'} action
+ * @param {string} actor
+ * @param {string} reason
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+async function cancelOrder(order, action, actor, reason) {
+    const status = action === 'refund' ? 'refunded' : 'cancelled';
+    const verb = action === 'refund' ? 'REEMBOLSADO' : 'CANCELADO';
+    await changeOrderStatus(order.id, status, {}, { actor, reason });
+
+    // Depois da entrega o produto já está com o comprador e não volta ao estoque
+    if (order.status !== 'entregue') {
+        const released = await releaseOrderStock(order.id);
+        if (released.length > 0) await updateShoppingPanels().catch(console.error);
+    }
+    await resolveCancellationRequest(order.id, 'accepted', actor);
+
+    const systemMessage = { author: 'system', content: `O pedido foi ${verb} pela administração. Motivo: ${reason}`, timestamp: new Date().toISOString() };
+    await addMessageToOrder(order.id, systemMessage);
+    const { io } = require('./server.js');
+    io.to(order.id).emit('new_message_from_server', systemMessage);
+
+    const user = await client.users.fetch(order.userId).catch(() => null);
+    if (user) {
+        const refundNote = action === 'refund' ? '\nO valor pago será devolvido pelo mesmo meio de pagamento.' : '';
+        await user.send(`⚠️ Seu pedido **${order.productName}** (\`${order.id}\`) foi ${verb.toLowerCase()}.\n**Motivo:** ${reason}${refundNote}`).catch(console.error);
+    }
+
+    // O canal do pedido (pagamento, entrega ou chat) já recebeu a mudança de status e pode ser fechado
+    if (order.ticketChannelId) {
+        const channel = await client.channels.fetch(order.ticketChannelId).catch(() => null);
+        if (channel) {
+            await channel.send('Este canal será excluído em 10 segundos.').catch(console.error);
+            setTimeout(() => archiveAndDeleteChannel(channel, { orderId: order.id, reason: `Pedido ${verb.toLowerCase()}.` }).catch(console.error), 10000);
+        }
+    }
+
+    await logAuditEvent(`PEDIDO ${verb}: Pedido ${order.id} de ${user?.tag || order.userId} (${order.productName}) por ${actor}. Motivo: ${reason}`, {
+        action: `order.${action}`,
+        actor,
+        entityType: 'order',
+        entityId: order.id,
+        payload: { userId: order.userId, productId: order.productId, fromStatus: order.status, totalAmount: order.totalAmount, reason },
+    });
+    return { success: true, message: `Pedido ${order.id} ${verb}. O comprador foi avisado.` };
+}
+
+/**
+ * @param {string} orderId
+ * @returns {Promise<number>} Quantos comprovantes o comprador ainda pode enviar para o pedido.
+ */
+async function receiptAttemptsLeft(orderId) {
+    return Math.max(0, MAX_RECEIPT_ATTEMPTS - await countOrderReceipts(orderId));
+}
+
+/**
+ * Registra um comprovante no histórico do pedido junto com as impressões digitais do arquivo. Se ele for igual
+ * ou parecido com o comprovante de outro pedido, o registro fica marcado e o caso vai para a auditoria.
+ * @param {object} params
+ * @param {object} params.order
+ * @param {string} params.url
+ * @param {'site'|'ticket'} params.source
+ * @param {string} params.submittedBy
+ * @param {Buffer|null} params.buffer O conteúdo do arquivo; sem ele, o comprovante fica sem impressões digitais.
+ * @param {string} [params.mimetype]
+ * @returns {Promise<object>} O comprovante registrado, com os pedidos parecidos em duplicateMatches.
+ */
+async function recordOrderReceipt({ order, url, source, submittedBy, buffer, mimetype }) {
+    const hashes = buffer ? hashReceipt(buffer, mimetype) : { contentHash: null, perceptualHash: null };
+    const duplicateMatches = hashes.contentHash
+        ? findDuplicateReceipts(hashes, await getReceiptHashCandidates(order.id, hashes.contentHash, RECEIPT_DUPLICATE_WINDOW))
+        : [];
+    const receipt = await addOrderReceipt({ orderId: order.id, url, source, submittedBy, ...hashes, duplicateMatches });
+
+    if (duplicateMatches.length > 0) {
+        const matchedOrderIds = [...new Set(duplicateMatches.map(match => match.orderId))];
+        await logAuditEvent(`COMPROVANTE REPETIDO: O comprovante enviado por ${submittedBy} para o pedido ${order.id} é igual ou parecido com o de ${matchedOrderIds.join(', ')}.`, {
+            action: 'order.receipt_duplicate',
+            entityType: 'order',
+            entityId: order.id,
+            payload: { userId: order.userId, productId: order.productId, receiptId: receipt.id, source, matches: duplicateMatches },
+        });
+    }
+    return receipt;
+}
+
+/**
+ * Recusa o comprovante em análise de um pedido. Enquanto houver tentativas, o pedido volta para 'analise' e o
+ * comprador pode enviar outro comprovante no site ou no ticket; na última tentativa, o pedido é recusado de vez.
+ * @param {object} order O pedido, antes da mudança.
+ * @param {object} context Os dados do pedido/ticket.
+ * @param {string} actor
+ * @param {string} reason Mostrado ao comprador.
+ * @param {number} attemptsLeft
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+async function rejectReceipt(order, context, actor, reason, attemptsLeft) {
+    const { type, channelId } = context;
+    const finalRejection = attemptsLeft === 0;
+    await reviewPendingReceipts(order.id, 'rejected', actor, reason);
+    await changeOrderStatus(order.id, finalRejection ? 'declined' : 'analise', {}, { actor, reason: `Comprovante recusado: ${reason}` });
+
+    if (finalRejection) {
+        await releaseReservation({ orderId: order.id });
+        await updateShoppingPanels().catch(console.error);
+    } else {
+        // O pedido continua aberto para um novo comprovante, mas a reserva volta a correr
+        await setReservationExpiry({ orderId: order.id }, STOCK_RESERVATION_MINUTES);
+    }
+
+    const nextStep = finalRejection
+        ? `O limite de ${MAX_RECEIPT_ATTEMPTS} comprovantes foi atingido e o pedido foi recusado. Se você acha que isso é um erro, contate o suporte.`
+        : `Você pode enviar um novo comprovante (${attemptsLeft} tentativa(s) restante(s)).`;
+    let channelName = null;
+    if (type === 'ticket') {
+        const paymentChannel = await client.channels.fetch(channelId || order.ticketChannelId).catch(() => null);
+        channelName = paymentChannel?.name || null;
+        if (paymentChannel) {
+            await paymentChannel.send(`❌ O seu comprovante foi analisado e **recusado**.\n**Motivo:** ${reason}\n${nextStep}`).catch(console.error);
+        }
+    } else {
+        const user = await client.users.fetch(order.userId).catch(() => null);
+        if (user) {
+            const link = finalRejection ? '' : `\n${SITE_URL}/order/awaiting-payment/${order.id}`;
+            await user.send(`❌ O comprovante do seu pedido **${order.productName}** (\`${order.id}\`) foi recusado.\n**Motivo:** ${reason}\n${nextStep}${link}`).catch(console.error);
+        }
+    }
+
+    await logAuditEvent(`COMPROVANTE RECUSADO: Pedido ${order.id} de <@${order.userId}> (${type === 'ticket' ? `canal ${channelName || channelId}` : 'site'}) por ${actor}. Motivo: ${reason}${finalRejection ? ' (pedido recusado)' : ''}`, {
+        action: 'order.reject',
+        actor,
+        entityType: 'order',
+        entityId: order.id,
+        payload: { source: type, userId: order.userId, productId: order.productId, channelId, reason, attemptsLeft, finalRejection },
+    });
+
+    const target = type === 'ticket' ? `o canal ${channelName || 'desconhecido'}` : `o pedido do site ${order.id}`;
+    return finalRejection
+        ? { success: true, message: `Comprovante RECUSADO para ${target}. Sem tentativas restantes, o pedido foi recusado. O usuário foi notificado.` }
+        : { success: true, message: `Comprovante RECUSADO para ${target}. O usuário foi notificado e pode enviar outro comprovante (${attemptsLeft} restante(s)).` };
+}
+
+/**
+ * Processa as ações sobre um pedido vindas do site, dos links por DM ou do painel.
+ * @param {string} action 'approve', 'reject', 'deliver', 'cancel' ou 'refund'
  * @param {object} context Os dados do pedido/ticket
+ * @param {string} [actor] Quem executou a ação, registrado no histórico do pedido.
+ * @param {string} [reason] Motivo, obrigatório para 'reject', 'cancel' e 'refund'.
  * @returns {{success: boolean, message: string}}
  */
-async function processVerificationAction(action, context) {
-    const { type, orderId, channelId, userId, productId, productName } = context;
+async function processVerificationAction(action, context, actor = 'sistema', reason = '') {
+    const { type, channelId, userId, productName } = context;
     const guild = await client.guilds.fetch(GUILD_ID);
 
+    // Links antigos de tickets não tinham orderId; o pedido é achado pelo canal
+    const currentOrder = context.orderId ? await findOrderById(context.orderId) : await findOrderByChannelId(channelId);
+    if (!currentOrder) return { success: false, message: `Pedido ${context.orderId || `do canal ${channelId}`} não encontrado.` };
+    const orderId = currentOrder.id;
+
+    // Confere a máquina de estados antes de criar canais ou avisar o usuário.
+    // Um comprovante recusado volta o pedido para 'analise', à espera de outro comprovante, enquanto houver tentativas.
+    const attemptsLeft = action === 'reject' ? await receiptAttemptsLeft(orderId) : null;
+    const targetStatus = action === 'reject'
+        ? (attemptsLeft > 0 ? 'analise' : 'declined')
+        : { approve: 'approved', deliver: 'entregue', cancel: 'cancelled', refund: 'refunded' }[action];
+    if (targetStatus && !canTransition(currentOrder.status, targetStatus)) {
+        return { success: false, message: `O pedido ${orderId} está "${statusLabel(currentOrder.status)}" e não pode ir para "${statusLabel(targetStatus)}".` };
+    }
+
+    const trimmedReason = (reason || '').trim();
+    if (action === 'reject') {
+        if (!trimmedReason) return { success: false, message: 'Informe o motivo da recusa do comprovante.' };
+        return rejectReceipt(currentOrder, context, actor, trimmedReason, attemptsLeft);
+    }
+    if (action === 'cancel' || action === 'refund') {
+        if (!trimmedReason) return { success: false, message: 'Informe o motivo do cancelamento ou reembolso.' };
+        return cancelOrder(currentOrder, action, actor, trimmedReason);
+    }
+
     if (action === 'approve') {
+        await reviewPendingReceipts(orderId, 'approved', actor);
         if (type === 'ticket') {
-            const result = await processPaymentConfirmation(guild, channelId, productId, await client.users.fetch(OWNER_ID));
+            const result = await processPaymentConfirmation(guild, currentOrder, actor);
             return result;
         } else if (type === 'site') {
-            const targetOrder = await getOrderById(orderId, userId);
-            await updateOrderStatus(orderId, 'approved');
-            const channelName = `chat-${targetOrder.productName.slice(0, 10)}-${userId.slice(-4)}`;
+            const channelName = `chat-${currentOrder.productName.slice(0, 10)}-${userId.slice(-4)}`;
             const ticketChannel = await guild.channels.create({
                 name: channelName, type: ChannelType.GuildText, topic: `Chat do Pedido do Site | OrderID: ${orderId} | UserID: ${userId}`,
                 permissionOverwrites: [
@@ -236,45 +916,50 @@ async function processVerificationAction(action, context) {
                     { id: ADMIN_ROLE_ID, allow: [PermissionsBitField.Flags.ViewChannel] },
                 ],
             });
-            await updateOrderStatus(orderId, 'approved', { ticketChannelId: ticketChannel.id });
+            const targetOrder = await approveOrderWithChannel(orderId, ticketChannel, { actor });
+            await commitOrDecreaseStock({ orderId }, await getProductById(targetOrder.productId));
+            await updateShoppingPanels().catch(console.error);
+
+            const items = await loadOrderItems(targetOrder);
+            await logAuditEvent(`SITE: Pedido ${orderId} de <@${userId}> APROVADO via link.`, {
+                action: 'order.approve',
+                actor,
+                entityType: 'order',
+                entityId: orderId,
+                payload: { source: 'site', userId, productId: targetOrder.productId, totalAmount: targetOrder.totalAmount },
+            });
+            await ticketChannel.send({ content: `Olá <@${userId}> e <@&${ADMIN_ROLE_ID}>! Este é o chat para o seu pedido **${targetOrder.productName}**.\n\n**Itens:**\n${formatItemsList(items)}`, embeds: [await buildStatusTimelineEmbed(orderId)] });
 
+            if (await deliverProductKeys(targetOrder, items, ticketChannel)) {
+                return { success: true, message: `Pedido do site ${orderId} APROVADO e entregue automaticamente. Canal de chat #${channelName} criado.` };
+            }
             // Envia o link de entrega para o admin
             await sendDeliveryNotification({
-                context: { type: 'site', orderId: orderId, userId: userId, productName: targetOrder.productName }
+                context: { type: 'site', orderId: orderId, userId: userId, productName: targetOrder.productName },
+                items
             });
-
-            await logAuditEvent(`SITE: Pedido ${orderId} de <@${userId}> APROVADO via link.`);
-            await ticketChannel.send({ content: `Olá <@${userId}> e <@&${ADMIN_ROLE_ID}>! Este é o chat para o seu pedido **${targetOrder.productName}**.` });
             return { success: true, message: `Pedido do site ${orderId} APROVADO. Canal de chat #${channelName} criado.` };
         }
-    } else if (action === 'reject') {
-        if (type === 'ticket') {
-            const paymentChannel = await guild.channels.fetch(channelId).catch(() => null);
-            if (paymentChannel) {
-                await paymentChannel.send('❌ O seu comprovante foi analisado e **recusado**. Por favor, envie um comprovante válido ou entre em contato com o suporte.');
-            }
-            await logAuditEvent(`PAGAMENTO RECUSADO: Comprovante no canal ${paymentChannel?.name || channelId} recusado via link.`);
-            return { success: true, message: `Pagamento RECUSADO para o canal ${paymentChannel?.name || 'desconhecido'}. O usuário foi notificado.` };
-        } else if (type === 'site') {
-            await updateOrderStatus(orderId, 'declined');
-            await logAuditEvent(`SITE: Pedido ${orderId} de <@${userId}> RECUSADO via link.`);
-            return { success: true, message: `Pedido do site ${orderId} RECUSADO. O usuário será notificado no site.` };
-        }
     } else if (action === 'deliver') {
         if (type === 'ticket') {
             const deliveryChannel = await guild.channels.fetch(channelId).catch(() => null);
             if (deliveryChannel) {
                 await deliveryChannel.send('✅ Entrega confirmada! Este canal será excluído em 10 segundos.');
-                setTimeout(() => deliveryChannel.delete('Entrega concluída.'), 10000);
+                setTimeout(() => archiveAndDeleteChannel(deliveryChannel, { orderId, reason: 'Entrega concluída.' }).catch(console.error), 10000);
             }
+            await changeOrderStatus(orderId, 'entregue', {}, { actor });
             const user = await client.users.fetch(userId);
             await user.send(`🎉 Sua compra do produto **${productName}** foi concluída com sucesso! Obrigado por comprar conosco.`).catch(console.error);
-            await logAuditEvent(`ENTREGA CONFIRMADA (via Link): Entrega para ${user.tag} (Produto: ${productName}) concluída.`);
+            await logAuditEvent(`ENTREGA CONFIRMADA (via Link): Entrega para ${user.tag} (Produto: ${productName}) concluída.`, {
+                action: 'order.deliver',
+                actor,
+                entityType: 'order',
+                entityId: orderId,
+                payload: { source: 'ticket', userId, productId: currentOrder.productId },
+            });
             return { success: true, message: `Entrega para o ticket ${deliveryChannel?.name || 'desconhecido'} confirmada.` };
         } else if (type === 'site') {
-            const targetOrder = await getOrderById(orderId, userId);
-            if (!targetOrder) return { success: false, message: `Pedido do site com ID ${orderId} não encontrado.` };
-            await updateOrderStatus(orderId, 'entregue');
+            const targetOrder = await changeOrderStatus(orderId, 'entregue', {}, { actor });
             const systemMessage = { author: 'system', content: 'O pedido foi marcado como ENTREGUE pela administração e este chat foi finalizado.', timestamp: new Date().toISOString() };
             await addMessageToOrder(orderId, systemMessage);
 
@@ -285,13 +970,329 @@ async function processVerificationAction(action, context) {
 
             const { io } = require('./server.js');
             io.to(orderId).emit('new_message_from_server', systemMessage);
-            await logAuditEvent(`SITE: Pedido ${orderId} de ${user?.tag || userId} marcado como ENTREGUE via link.`);
+            await logAuditEvent(`SITE: Pedido ${orderId} de ${user?.tag || userId} marcado como ENTREGUE via link.`, {
+                action: 'order.deliver',
+                actor,
+                entityType: 'order',
+                entityId: orderId,
+                payload: { source: 'site', userId, productId: targetOrder.productId },
+            });
             const ticketChannel = await guild.channels.fetch(targetOrder.ticketChannelId).catch(() => null);
-            if (ticketChannel) setTimeout(() => ticketChannel.delete('Pedido do site entregue.'), 10000);
+            if (ticketChannel) setTimeout(() => archiveAndDeleteChannel(ticketChannel, { orderId, reason: 'Pedido do site entregue.' }).catch(console.error), 10000);
             return { success: true, message: `Pedido do site ${orderId} marcado como ENTREGUE.` };
         }
     }
-    return { success: false, message: 'Ação desconhecida.' };
+    return { success: false, message: 'Ação desconhecida.' };
+}
+
+/**
+ * Cria uma cobrança Pix na Efí para um pedido ou ticket e a salva no banco.
+ * Retorna null se a Efí não estiver configurada ou falhar, caso em que vale só o fluxo manual de comprovante.
+ * @param {object} chargeData
+ * @param {string} chargeData.reference O ID do pedido ou do ticket.
+ * @param {number} chargeData.amount O valor a ser cobrado.
+ * @param {string} chargeData.description Texto exibido para o pagador.
+ * @param {object} chargeData.context O mesmo contexto usado por processVerificationAction.
+ * @returns {Promise<object|null>}
+ */
+async function openPixCharge({ reference, amount, description, context }) {
+    if (!isEfiEnabled()) return null;
+    try {
+        const { txid, pixCopiaECola } = await createPixCharge({ reference, amount, description });
+        const charge = await savePixCharge({ txid, orderId: context.orderId, context, amount, pixCopiaECola });
+        await logAuditEvent(`PIX: Cobrança ${txid} de R$ ${parseFloat(amount).toFixed(2)} criada para ${reference}.`, {
+            action: 'pix.charge_created',
+            entityType: 'pix_charge',
+            entityId: txid,
+            payload: { amount: parseFloat(amount), orderId: context.orderId, userId: context.userId, productId: context.productId },
+        });
+        return charge;
+    } catch (error) {
+        console.error(`Erro ao criar cobrança Pix para ${reference}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Processa um Pix recebido pelo webhook da Efí e aprova o pedido/ticket correspondente.
+ * O conteúdo do webhook não é confiável por si só: a cobrança é consultada na Efí antes da aprovação.
+ * @param {{txid: string, endToEndId: string, valor: string}} pix Um item do array 'pix' do webhook.
+ * @returns {Promise<{success: boolean, message: string}>}
+ */
+async function processPixPayment(pix) {
+    if (!pix.txid) return { success: false, message: 'Pix sem txid (não é de uma cobrança).' };
+
+    const charge = await getPixChargeByTxid(pix.txid);
+    if (!charge) return { success: false, message: `Cobrança ${pix.txid} não encontrada.` };
+
+    const remoteCharge = await getPixCharge(pix.txid);
+    if (remoteCharge.status !== 'CONCLUIDA' || parseFloat(pix.valor) < parseFloat(charge.amount)) {
+        await logAuditEvent(`PIX: Notificação da cobrança ${pix.txid} ignorada (status ${remoteCharge.status}, valor R$ ${pix.valor}).`, {
+            action: 'pix.payment_ignored',
+            entityType: 'pix_charge',
+            entityId: pix.txid,
+            payload: { orderId: charge.orderId, remoteStatus: remoteCharge.status, amount: pix.valor },
+        });
+        return { success: false, message: `Cobrança ${pix.txid} não está paga.` };
+    }
+
+    // Só o primeiro webhook para este txid segue adiante; a Efí pode reenviar a mesma notificação.
+    const paidCharge = await markPixChargePaid(pix.txid, pix.endToEndId);
+    if (!paidCharge) return { success: true, message: `Cobrança ${pix.txid} já processada.` };
+
+    const { context } = paidCharge;
+    await logAuditEvent(`PIX: Pagamento da cobrança ${pix.txid} confirmado pela Efí (E2E: ${pix.endToEndId}).`, {
+        action: 'pix.payment_confirmed',
+        entityType: 'pix_charge',
+        entityId: pix.txid,
+        payload: { orderId: paidCharge.orderId, userId: context.userId, endToEndId: pix.endToEndId, amount: pix.valor },
+    });
+
+    // O dinheiro entrou, mas o pedido pode já ter expirado, sido recusado, cancelado ou pago por outro meio
+    const order = paidCharge.orderId ? await findOrderById(paidCharge.orderId) : null;
+    if (order && !canTransition(order.status, 'approved')) {
+        const reason = `o pedido está "${statusLabel(order.status)}"`;
+        await alertUnappliedPixPayment(paidCharge, pix, reason);
+        return { success: false, message: `Pix da cobrança ${pix.txid} recebido, mas ${reason}. Os admins foram avisados para devolver o valor.` };
+    }
+
+    const result = await processVerificationAction('approve', context, 'Pix automático (Efí)');
+    if (!result.success) await alertUnappliedPixPayment(paidCharge, pix, result.message);
+    return result;
+}
+
+/**
+ * Registra e avisa o dono do bot de um Pix pago que não pôde aprovar o pedido: o valor precisa ser devolvido ao comprador.
+ * @param {object} charge A cobrança paga (pix_charges).
+ * @param {{txid: string, endToEndId: string, valor: string}} pix
+ * @param {string} reason Por que o pagamento não foi aplicado.
+ */
+async function alertUnappliedPixPayment(charge, pix, reason) {
+    await logAuditEvent(`PIX: Pagamento de R$ ${pix.valor} da cobrança ${pix.txid} recebido, mas não aplicado: ${reason}. Verifique a devolução ao comprador.`, {
+        action: 'pix.payment_unapplied',
+        entityType: 'pix_charge',
+        entityId: pix.txid,
+        payload: { orderId: charge.orderId, userId: charge.context.userId, endToEndId: pix.endToEndId, amount: pix.valor, reason },
+    });
+    if (!client.isReady()) return;
+    try {
+        const owner = await client.users.fetch(OWNER_ID);
+        const embed = new EmbedBuilder()
+            .setTitle('💸 Pix recebido sem pedido para aprovar')
+            .setDescription(`O Pix da cobrança \`${pix.txid}\` foi pago, mas ${reason}.\nO valor precisa ser devolvido ao comprador pelo app do banco.`)
+            .addFields(
+                { name: 'Pedido', value: charge.orderId ? `\`${charge.orderId}\`` : '-', inline: true },
+                { name: 'Valor', value: `R$ ${pix.valor}`, inline: true },
+                { name: 'Comprador', value: charge.context.userId ? `<@${charge.context.userId}>` : '-', inline: true },
+                { name: 'E2E', value: `\`${pix.endToEndId}\`` },
+            )
+            .setColor('Red')
+            .setTimestamp();
+        await owner.send({ embeds: [embed] });
+    } catch (error) {
+        console.error(`Erro ao avisar o dono do bot sobre o Pix ${pix.txid}:`, error);
+    }
+}
+
+/**
+ * Remove na Efí as cobranças ainda abertas de um pedido que não aceita mais pagamento. Se a remoção falhar (ex: o Pix
+ * acabou de ser pago), a cobrança continua aberta e o webhook avisa os admins ao receber o pagamento.
+ * @param {string} orderId
+ */
+async function closeOrderPixCharges(orderId) {
+    const charges = await getOpenPixCharges(orderId);
+    for (const charge of charges) {
+        try {
+            await cancelPixCharge(charge.txid);
+        } catch (error) {
+            console.error(`Erro ao remover a cobrança Pix ${charge.txid} na Efí:`, error);
+            continue;
+        }
+        if (!await markPixChargeRemoved(charge.txid)) continue;
+        await logAuditEvent(`PIX: Cobrança ${charge.txid} do pedido ${orderId} removida; o pedido não aceita mais pagamento.`, {
+            action: 'pix.charge_removed',
+            entityType: 'pix_charge',
+            entityId: charge.txid,
+            payload: { orderId, userId: charge.context.userId },
+        });
+    }
+}
+
+/**
+ * Monta o contexto usado por processVerificationAction e pelas cobranças Pix de um pedido.
+ * @param {object} order
+ * @returns {object}
+ */
+function orderPaymentContext(order) {
+    return order.source === 'ticket'
+        ? { type: 'ticket', orderId: order.id, channelId: order.ticketChannelId, userId: order.userId, productId: order.productId }
+        : { type: 'site', orderId: order.id, userId: order.userId, productId: order.productId };
+}
+
+/**
+ * Envia no ticket o embed de pagamento com o Pix (QR Code e copia e cola) e os botões do pedido.
+ * @param {import('discord.js').TextChannel} channel O canal de pagamento.
+ * @param {object} order O pedido do ticket.
+ * @param {object} product
+ * @param {import('discord.js').User} user O comprador.
+ * @param {object|null} pixCharge A cobrança da Efí, se houver.
+ * @param {string} [content] Texto enviado junto com o embed.
+ */
+async function sendTicketPaymentDetails(channel, order, product, user, pixCharge, content) {
+    const amount = parseFloat(order.totalAmount ?? product.price).toFixed(2);
+    const itemName = order.productName || product.name; // Inclui a variação escolhida
+    // Sem cobrança da Efí, gera um Pix estático com o valor exato e o ID do pedido como txid; sem PIX_KEY, não há Pix
+    const pixCode = pixCharge ? pixCharge.pixCopiaECola : (isPixConfigured() ? buildPixPayload({ amount, txid: order.id }) : null);
+
+    const paymentEmbed = new EmbedBuilder()
+        .setTitle(`🛒 Detalhes do Pagamento`)
+        .setDescription(pixCharge
+            ? `Olá ${user}! Para concluir a compra do item **${itemName}**, pague o Pix abaixo. A confirmação é automática; se preferir, envie o comprovante aqui.`
+            : `Olá ${user}! Para concluir a compra do item **${itemName}**, realize o pagamento e envie o comprovante aqui.`)
+        .addFields(
+            { name: 'Produto', value: itemName, inline: true },
+            { name: 'Valor a Pagar', value: `**R$ ${amount}**`, inline: true }
+        )
+        .setColor('Gold')
+        .setFooter({ text: `ID do Pedido: ${order.id}` });
+    if (product.imageUrl) paymentEmbed.setThumbnail(product.imageUrl);
+    if (order.couponCode) {
+        paymentEmbed.addFields({ name: 'Cupom', value: `\`${order.couponCode}\` (-R$ ${parseFloat(order.discountAmount).toFixed(2)})`, inline: true });
+    }
+    const files = [];
+    if (pixCode) {
+        files.push(new AttachmentBuilder(await pixQrCodeBuffer(pixCode), { name: 'pix-qrcode.png' }));
+        paymentEmbed.setImage('attachment://pix-qrcode.png').addFields({ name: 'Pix Copia e Cola', value: `\`\`\`${pixCode}\`\`\`` });
+    } else {
+        paymentEmbed.addFields({ name: 'Pix', value: 'O Pix automático está indisponível no momento. Aguarde um administrador enviar os dados de pagamento neste canal.' });
+    }
+
+    const confirmButton = new ButtonBuilder()
+        .setCustomId(`confirm-payment_${order.id}`)
+        .setLabel('Confirmar Pagamento (ADM)')
+        .setStyle(ButtonStyle.Success);
+    const row = new ActionRowBuilder().addComponents(confirmButton);
+    if (!order.couponCode) {
+        row.addComponents(new ButtonBuilder().setCustomId(`apply-coupon_${order.id}`).setLabel('Aplicar Cupom').setEmoji('🏷️').setStyle(ButtonStyle.Secondary));
+    }
+
+    // Envia o embed e os botões
+    await channel.send({ content, embeds: [paymentEmbed], components: [row], files });
+    // Envia o código PIX em uma mensagem separada para facilitar o "copia e cola"
+    if (pixCode) await channel.send(`${pixCode}`);
+}
+
+/**
+ * Abre o ticket de compra de um item escolhido no painel: reserva a unidade, cria o canal e o pedido
+ * e envia os dados de pagamento.
+ * @param {import('discord.js').StringSelectMenuInteraction} interaction A seleção do produto ou da variação.
+ * @param {object} product
+ * @param {{variant: object|null, name: string, price: number}} purchase O item escolhido (ver resolvePurchase).
+ */
+async function openTicketOrder(interaction, product, purchase) {
+    const user = interaction.user;
+    const variantId = purchase.variant ? purchase.variant.id : null;
+    // O botão "Comprar" do aviso da lista de espera chega por DM, fora do servidor
+    const guild = interaction.guild || await client.guilds.fetch(GUILD_ID);
+
+    await interaction.deferUpdate();
+    await interaction.followUp({ content: `✅ Você selecionou: **${purchase.name}**. Seu canal de pagamento privado está sendo criado...`, ephemeral: true });
+
+    // Cria um "número de ticket" único para o canal e o pedido correspondente
+    const ticketId = `pagamento-${user.username.slice(0, 10)}-${Date.now().toString().slice(-4)}`;
+    const orderId = `order-ticket-${Date.now()}`;
+
+    // Reserva a unidade antes de abrir o ticket; se outro comprador levou a última, não há pedido
+    const reservation = await reserveStock({ productId: product.id, variantId, orderId, userId: user.id, minutes: STOCK_RESERVATION_MINUTES });
+    if (!reservation) {
+        return interaction.followUp({ content: '❌ Desculpe, a última unidade deste produto acabou de ser reservada por outro comprador.', ephemeral: true });
+    }
+    await updateShoppingPanels().catch(console.error);
+
+    try {
+        let paymentChannel;
+        let order;
+        try {
+            paymentChannel = await guild.channels.create({
+                name: ticketId,
+                type: ChannelType.GuildText,
+                topic: `Ticket: ${ticketId} | Pedido: ${orderId}`,
+                permissionOverwrites: [
+                    { id: guild.id, deny: [PermissionsBitField.Flags.ViewChannel] },
+                    { id: user.id, allow: [PermissionsBitField.Flags.ViewChannel] },
+                    { id: client.user.id, allow: [PermissionsBitField.Flags.ViewChannel] },
+                    { id: ADMIN_ROLE_ID, allow: [PermissionsBitField.Flags.ViewChannel] }, // Permite que ADMs vejam o canal
+                ],
+            });
+
+            // O pedido do ticket fica no mesmo histórico dos pedidos do site (conta necessária pela chave estrangeira)
+            await findOrCreateAccount(user);
+            order = await createOrder({
+                id: orderId,
+                userId: user.id,
+                productId: product.id,
+                productName: purchase.name,
+                status: 'analise', // Aguardando pagamento no ticket
+                createdAt: new Date().toISOString(),
+                messages: [],
+                ticketChannelId: paymentChannel.id,
+                source: 'ticket',
+                totalAmount: purchase.price,
+                items: [{ productId: product.id, variantId, productName: purchase.name, quantity: 1, unitPrice: purchase.price }],
+            }, { actor: user.tag, reason: 'Pedido criado pelo ticket do Discord' });
+        } catch (error) {
+            if (paymentChannel) await paymentChannel.delete('Erro ao registrar o pedido do ticket.').catch(console.error);
+            await releaseReservation({ orderId });
+            await updateShoppingPanels().catch(console.error);
+            throw error;
+        }
+
+        const pixCharge = await openPixCharge({
+            reference: orderId,
+            amount: purchase.price,
+            description: `Jyl Store - ${purchase.name}`,
+            context: orderPaymentContext(order)
+        });
+        await sendTicketPaymentDetails(paymentChannel, order, product, user, pixCharge, `Atenção <@&${ADMIN_ROLE_ID}>, novo pedido!`);
+
+    } catch (error) {
+        console.error('Erro ao criar canal de pagamento:', error);
+        await interaction.followUp({ content: '❌ Ocorreu um erro crítico ao criar seu canal. Tente novamente.', ephemeral: true });
+    }
+}
+
+/**
+ * Aplica um cupom a um pedido que ainda aguarda pagamento. A nova cobrança Pix fica a cargo de quem chama.
+ * @param {string} orderId
+ * @param {string} code O código digitado pelo comprador.
+ * @param {string} actor Quem aplicou o cupom, para a auditoria.
+ * @returns {Promise<{success: boolean, message: string, order?: object}>}
+ */
+async function applyCouponToOrder(orderId, code, actor) {
+    const couponCode = normalizeCouponCode(code);
+    if (!couponCode) return { success: false, message: 'Informe o código do cupom.' };
+
+    const order = await findOrderById(orderId);
+    if (!order) return { success: false, message: 'Pedido não encontrado.' };
+    const product = await getProductById(order.productId);
+    const originalAmount = order.totalAmount ?? product?.price;
+
+    try {
+        const { order: updatedOrder, coupon } = await redeemCoupon(orderId, couponCode, originalAmount);
+        await logAuditEvent(`CUPOM: ${actor} aplicou o cupom ${couponCode} (${describeCoupon(coupon)}) ao pedido ${orderId}. Total: R$ ${parseFloat(originalAmount).toFixed(2)} -> R$ ${updatedOrder.totalAmount}.`, {
+            action: 'coupon.apply',
+            actor: { id: order.userId, name: actor }, // Só o comprador aplica cupons no próprio pedido
+            entityType: 'coupon',
+            entityId: couponCode,
+            payload: { orderId, userId: order.userId, originalAmount: parseFloat(originalAmount), totalAmount: parseFloat(updatedOrder.totalAmount) },
+        });
+        // A cobrança com o valor cheio não pode continuar pagável; quem aplicou o cupom abre outra com o novo valor
+        await closeOrderPixCharges(orderId).catch(error => console.error(`Erro ao remover as cobranças Pix do pedido ${orderId}:`, error));
+        return { success: true, message: `Cupom ${couponCode} aplicado! Novo valor: R$ ${updatedOrder.totalAmount}.`, order: updatedOrder };
+    } catch (error) {
+        if (error instanceof CouponError) return { success: false, message: error.message };
+        throw error;
+    }
 }
 
 // --- 5. EVENTOS DO DISCORD ---
@@ -299,7 +1300,12 @@ async function processVerificationAction(action, context) {
 // Evento disparado quando o bot fica online
 client.on(Events.ClientReady, async () => {
     console.log(`✅ Bot pronto e online como ${client.user.tag}`);
-    await logAuditEvent(`Bot iniciado e online como ${client.user.tag}.`);
+    const auditConfig = await getConfig('audit_log_channel');
+    auditChannelId = auditConfig?.channelId || null;
+    const transcriptConfig = await getConfig('transcript_log_channel');
+    transcriptChannelId = transcriptConfig?.channelId || null;
+    alertSettings = resolveAlertSettings(await getConfig('admin_alerts'));
+    await logAuditEvent(`Bot iniciado e online como ${client.user.tag}.`, { action: 'bot.start' });
 
     // --- REGISTRO DOS COMANDOS DE BARRA ---
     // ... (código de registro de comandos permanece o mesmo)
@@ -319,12 +1325,26 @@ client.on(Events.ClientReady, async () => {
                         name: 'painel',
                         description: 'Cria um painel de compras fixo neste canal (Apenas ADM).',
                         default_member_permissions: PermissionsBitField.Flags.Administrator.toString(),
+                        options: [
+                            { name: 'categoria', type: 3, description: 'Mostra só os produtos desta categoria', required: false, max_length: CATALOG_NAME_MAX_LENGTH },
+                            { name: 'produtos', type: 3, description: 'Mostra só estes produtos (IDs separados por vírgula)', required: false },
+                        ],
+                    },
+                    {
+                        name: 'paineis',
+                        description: 'Lista os painéis de compras fixos (Apenas ADM).',
+                        default_member_permissions: PermissionsBitField.Flags.Administrator.toString(),
                     },
                     {
                         name: 'edit',
                         description: 'Edita um item existente no estoque (Apenas ADM).',
                         default_member_permissions: PermissionsBitField.Flags.Administrator.toString(),
-                        options: [{ name: 'id', type: 3, description: 'O ID do produto a ser editado', required: true }],
+                        options: [
+                            { name: 'id', type: 3, description: 'O ID do produto a ser editado', required: true },
+                            { name: 'categoria', type: 3, description: 'Nova categoria do produto ("-" remove)', required: false, max_length: CATALOG_NAME_MAX_LENGTH },
+                            { name: 'imagem', type: 3, description: 'Link da imagem do produto ("-" remove)', required: false },
+                            { name: 'variante', type: 3, description: 'Nome da variação a criar, editar ou remover (ex: 30 dias)', required: false, max_length: CATALOG_NAME_MAX_LENGTH },
+                        ],
                     },
                     {
                         name: 'delete',
@@ -361,6 +1381,150 @@ client.on(Events.ClientReady, async () => {
                             },
                             { name: 'listar', description: 'Lista todas as palavras no filtro.', type: 1 }
                         ]
+                    },
+                    {
+                        name: 'cupom',
+                        description: 'Gerencia os cupons de desconto (Apenas ADM).',
+                        default_member_permissions: PermissionsBitField.Flags.Administrator.toString(),
+                        options: [
+                            {
+                                name: 'criar',
+                                description: 'Cria um cupom de desconto.',
+                                type: 1, // 1 = SUB_COMMAND
+                                options: [
+                                    { name: 'codigo', type: 3, description: 'O código que o comprador vai digitar', required: true },
+                                    {
+                                        name: 'tipo', type: 3, description: 'Percentual ou valor fixo', required: true,
+                                        choices: [{ name: 'Percentual (%)', value: 'percent' }, { name: 'Valor fixo (R$)', value: 'fixed' }]
+                                    },
+                                    { name: 'valor', type: 10, description: 'A porcentagem ou o valor em reais', required: true }, // 10 = NUMBER
+                                    { name: 'produto', type: 3, description: 'ID do produto (vazio = loja toda)', required: false },
+                                    { name: 'max_usos', type: 4, description: 'Limite total de usos', required: false }, // 4 = INTEGER
+                                    { name: 'limite_por_usuario', type: 4, description: 'Limite de usos por comprador', required: false },
+                                    { name: 'inicio', type: 3, description: 'Início da validade (DD/MM/AAAA)', required: false },
+                                    { name: 'fim', type: 3, description: 'Fim da validade (DD/MM/AAAA)', required: false },
+                                ]
+                            },
+                            { name: 'listar', description: 'Lista os cupons e seus usos.', type: 1 },
+                            {
+                                name: 'desativar',
+                                description: 'Desativa um cupom.',
+                                type: 1,
+                                options: [{ name: 'codigo', type: 3, description: 'O código do cupom', required: true }]
+                            },
+                            {
+                                name: 'ativar',
+                                description: 'Reativa um cupom desativado.',
+                                type: 1,
+                                options: [{ name: 'codigo', type: 3, description: 'O código do cupom', required: true }]
+                            }
+                        ]
+                    },
+                    {
+                        name: 'chaves',
+                        description: 'Gerencia as chaves entregues automaticamente (Apenas ADM).',
+                        default_member_permissions: PermissionsBitField.Flags.Administrator.toString(),
+                        options: [
+                            {
+                                name: 'importar',
+                                description: 'Importa chaves de um arquivo .txt (uma por linha).',
+                                type: 1, // 1 = SUB_COMMAND
+                                options: [
+                                    { name: 'produto', type: 3, description: 'O ID do produto', required: true },
+                                    { name: 'arquivo', type: 11, description: 'Arquivo .txt com uma chave por linha', required: true }, // 11 = ATTACHMENT
+                                    { name: 'variante', type: 3, description: 'Nome da variação das chaves (obrigatório em produtos com variações)', required: false, max_length: CATALOG_NAME_MAX_LENGTH },
+                                ]
+                            },
+                            { name: 'estoque', description: 'Mostra quantas chaves restam de cada produto.', type: 1 }
+                        ]
+                    },
+                    {
+                        name: 'relatorio',
+                        description: 'Relatório de vendas do período, com os pedidos em CSV (Apenas ADM).',
+                        default_member_permissions: PermissionsBitField.Flags.Administrator.toString(),
+                        options: [
+                            { name: 'inicio', type: 3, description: `Início do período (DD/MM/AAAA, padrão: ${DEFAULT_REPORT_DAYS} dias atrás)`, required: false },
+                            { name: 'fim', type: 3, description: 'Fim do período (DD/MM/AAAA, padrão: hoje)', required: false },
+                        ]
+                    },
+                    {
+                        name: 'auditoria',
+                        description: 'Consulta a auditoria da loja (Apenas ADM).',
+                        default_member_permissions: PermissionsBitField.Flags.Administrator.toString(),
+                        options: [
+                            {
+                                name: 'buscar',
+                                description: 'Mostra os eventos mais recentes que batem com os filtros.',
+                                type: 1, // 1 = SUB_COMMAND
+                                options: [
+                                    { name: 'usuario', type: 6, description: 'Quem executou ou foi afetado', required: false }, // 6 = USER
+                                    { name: 'produto', type: 3, description: 'ID do produto', required: false },
+                                    { name: 'pedido', type: 3, description: 'ID do pedido', required: false },
+                                    {
+                                        name: 'acao', type: 3, description: 'Tipo de evento', required: false,
+                                        choices: Object.entries(AUDIT_ACTION_GROUPS).map(([value, name]) => ({ name, value }))
+                                    },
+                                    { name: 'inicio', type: 3, description: 'A partir de (DD/MM/AAAA)', required: false },
+                                    { name: 'fim', type: 3, description: 'Até (DD/MM/AAAA)', required: false },
+                                ]
+                            },
+                            {
+                                name: 'canal',
+                                description: 'Define o canal que recebe os eventos em tempo real (vazio desliga).',
+                                type: 1,
+                                options: [{ name: 'canal', type: 7, description: 'Canal de texto para os logs', required: false, channel_types: [0] }] // 7 = CHANNEL, 0 = texto
+                            },
+                            {
+                                name: 'transcricoes',
+                                description: 'Define o canal que recebe as transcrições dos canais de pedidos excluídos (vazio desliga).',
+                                type: 1,
+                                options: [{ name: 'canal', type: 7, description: 'Canal de texto para as transcrições', required: false, channel_types: [0] }]
+                            }
+                        ]
+                    },
+                    {
+                        name: 'alertas',
+                        description: 'Configura os alertas de estoque baixo e pedidos parados (Apenas ADM).',
+                        default_member_permissions: PermissionsBitField.Flags.Administrator.toString(),
+                        options: [
+                            {
+                                name: 'canal',
+                                description: 'Define o canal dos alertas e o cargo marcado (sem canal, desliga).',
+                                type: 1, // 1 = SUB_COMMAND
+                                options: [
+                                    { name: 'canal', type: 7, description: 'Canal de texto para os alertas', required: false, channel_types: [0] },
+                                    { name: 'cargo', type: 8, description: 'Cargo marcado nos alertas (padrão: administradores)', required: false }, // 8 = ROLE
+                                ]
+                            },
+                            {
+                                name: 'prazo',
+                                description: 'Define quanto tempo um pedido pode ficar em um status antes do alerta.',
+                                type: 1,
+                                options: [
+                                    {
+                                        name: 'status', type: 3, description: 'O status do pedido', required: true,
+                                        choices: Object.keys(DEFAULT_SLA_MINUTES).map(status => ({ name: statusLabel(status), value: status }))
+                                    },
+                                    { name: 'minutos', type: 4, description: 'Prazo em minutos (0 desliga)', required: true, min_value: 0 },
+                                ]
+                            },
+                            {
+                                name: 'repetir',
+                                description: 'Define de quanto em quanto tempo um alerta não resolvido é repetido.',
+                                type: 1,
+                                options: [{ name: 'minutos', type: 4, description: 'Intervalo em minutos', required: true, min_value: 5 }]
+                            },
+                            {
+                                name: 'estoque',
+                                description: 'Define o limite de estoque baixo de um produto (sem limite, desliga).',
+                                type: 1,
+                                options: [
+                                    { name: 'produto', type: 3, description: 'O ID do produto', required: true },
+                                    { name: 'limite', type: 4, description: 'Alerta quando o estoque ficar igual ou abaixo disso', required: false, min_value: 0 },
+                                ]
+                            },
+                            { name: 'ver', description: 'Mostra a configuração e os alertas em aberto.', type: 1 }
+                        ]
                     }
                 ],
             },
@@ -371,9 +1535,17 @@ client.on(Events.ClientReady, async () => {
         console.error('Erro ao registrar comandos de barra:', error);
     }
 
+    // Redesenha os painéis fixos com o estoque atual (que pode ter mudado com o bot desligado) e os botões atuais
+    await updateShoppingPanels().catch(console.error);
+
     // Carrega a lista de profanidade do banco de dados para a memória
     const words = await getProfanityWords();
     profanitySet = new Set(words);
+
+    // Verifica a cada minuto as reservas de estoque vencidas
+    setInterval(() => releaseAbandonedReservations().catch(error => console.error('Erro ao liberar reservas expiradas:', error)), 60 * 1000);
+    // E os alertas de estoque baixo e pedidos parados (o envio respeita o intervalo de repetição de cada alerta)
+    setInterval(() => checkAdminAlerts().catch(error => console.error('Erro ao verificar os alertas:', error)), 60 * 1000);
 });
 
 // Evento principal para todas as interações
@@ -383,16 +1555,48 @@ client.on(Events.InteractionCreate, async (interaction) => {
         const productStock = await getProducts();
 
         if (commandName === 'comprar') {
-            const panel = createShoppingPanel(productStock);
+            const panel = buildShoppingPanel(productStock, await getSoldOutProducts(), null);
             await interaction.reply({ ...panel, ephemeral: true });
         } else if (commandName === 'painel') {
-            const panel = createShoppingPanel(productStock);
+            const categoryOption = interaction.options.getString('categoria')?.trim() || null;
+            // A categoria precisa existir (com ou sem estoque agora); o nome salvo é o do catálogo
+            const categories = [...new Set((await getAllProducts()).map(product => product.category || DEFAULT_CATEGORY))];
+            const category = categoryOption ? categories.find(name => name.toLowerCase() === categoryOption.toLowerCase()) || null : null;
+            if (categoryOption && !category) {
+                return interaction.reply({ content: `❌ A categoria **${categoryOption}** não existe. Categorias: ${categories.join(', ') || 'nenhuma'}.`.slice(0, 2000), ephemeral: true });
+            }
+            const productIds = (interaction.options.getString('produtos') || '').split(/[\s,]+/).filter(Boolean);
+            const unknownIds = [];
+            for (const productId of productIds) {
+                if (!(await getProductById(productId))) unknownIds.push(productId);
+            }
+            if (unknownIds.length > 0) {
+                return interaction.reply({ content: `❌ Produto(s) não encontrado(s): ${unknownIds.map(id => `\`${id}\``).join(', ')}.`, ephemeral: true });
+            }
+
+            const filter = { category, productIds: productIds.length > 0 ? productIds : null };
+            const panel = buildShoppingPanel(productStock, await getSoldOutProducts(), filter);
             const reply = await interaction.reply({ ...panel, ephemeral: false, fetchReply: true });
 
-            // Salva as informações do painel fixo
-            const panelConfig = { panelMessageId: reply.id, panelChannelId: reply.channel.id };
-            await setConfig('fixed_panel', panelConfig);
-            await logAuditEvent(`Painel de compras fixo definido no canal #${reply.channel.name} (ID: ${reply.channel.id})`);
+            // Registra o painel para ele ser atualizado junto com o estoque (começa na primeira página)
+            const savedPanel = await addShoppingPanel({
+                guildId: interaction.guildId,
+                channelId: reply.channel.id,
+                messageId: reply.id,
+                ...filter,
+                createdBy: `${interaction.user.tag} (${interaction.user.id})`,
+            });
+            await logAuditEvent(`Painel de compras fixo definido no canal #${reply.channel.name} (ID: ${reply.channel.id}), mostrando: ${describePanelFilter(savedPanel)}.`, {
+                action: 'panel.set',
+                actor: { id: interaction.user.id, name: interaction.user.tag },
+                entityType: 'channel',
+                entityId: reply.channel.id,
+                payload: { panelId: savedPanel.id, messageId: reply.id, ...filter },
+            });
+        } else if (commandName === 'paineis') {
+            const panels = await getShoppingPanels();
+            const lines = panels.map(panel => `**#${panel.id}** em <#${panel.channelId}> ([mensagem](https://discord.com/channels/${panel.guildId || interaction.guildId}/${panel.channelId}/${panel.messageId})): ${describePanelFilter(panel)}`);
+            await interaction.reply({ content: lines.length > 0 ? lines.join('\n').slice(0, 2000) : 'Nenhum painel de compras fixo. Use `/painel` para criar um.', ephemeral: true });
         } else if (commandName === 'delete') {
             const productId = interaction.options.getString('id');
             const product = await getProductById(productId);
@@ -403,7 +1607,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
             const cancelButton = new ButtonBuilder().setCustomId('cancel-delete').setLabel('Cancelar').setStyle(ButtonStyle.Secondary);
             const row = new ActionRowBuilder().addComponents(confirmButton, cancelButton);
             await interaction.reply({
-                content: `Você tem certeza que deseja deletar o item **${productStock[productId].name}** (ID: \`${productId}\`)? Esta ação não pode ser desfeita.`,
+                content: `Você tem certeza que deseja deletar o item **${product.name}** (ID: \`${productId}\`)? Esta ação não pode ser desfeita.`,
                 components: [row],
                 ephemeral: true,
             });
@@ -413,12 +1617,52 @@ client.on(Events.InteractionCreate, async (interaction) => {
             if (!product) {
                 return interaction.reply({ content: `❌ Nenhum produto encontrado com o ID \`${productId}\`.`, ephemeral: true });
             }
+            const categoryOption = interaction.options.getString('categoria');
+            const imageOption = interaction.options.getString('imagem');
+            const variantOption = interaction.options.getString('variante');
+            // Os formulários mostram o estoque total (disponível + reservado), que é o valor salvo
+            const held = await getHeldStock(productId);
+            const withHeld = (stock, units) => (stock === -1 ? stock : stock + (units || 0));
+
+            // Com 'variante', abre o formulário da variação (nova, se o nome ainda não existe no produto)
+            if (variantOption) {
+                const variant = product.variants.find(candidate => candidate.name.toLowerCase() === variantOption.trim().toLowerCase());
+                const variantModal = new ModalBuilder()
+                    .setCustomId(`edit-variant_${productId}_${variant ? variant.id : 'nova'}`)
+                    .setTitle(`${variant ? 'Variação' : 'Nova variação'}: ${product.name}`.slice(0, 45));
+                variantModal.addComponents(
+                    new ActionRowBuilder().addComponents(new TextInputBuilder().setCustomId('name').setLabel(variant ? 'Nome da variação (vazio remove)' : 'Nome da variação').setStyle(TextInputStyle.Short).setValue(variant ? variant.name : variantOption.trim()).setMaxLength(CATALOG_NAME_MAX_LENGTH).setRequired(!variant)),
+                    new ActionRowBuilder().addComponents(new TextInputBuilder().setCustomId('price').setLabel('Preço (ex: 19.99)').setStyle(TextInputStyle.Short).setValue(variant ? variant.price.toFixed(2) : product.price.toFixed(2)).setRequired(true)),
+                    new ActionRowBuilder().addComponents(new TextInputBuilder().setCustomId('stock').setLabel('Estoque (-1 para infinito)').setStyle(TextInputStyle.Short).setValue(variant ? String(withHeld(variant.stock, held.variants[variant.id])) : '0').setRequired(true))
+                );
+                return interaction.showModal(variantModal);
+            }
+
+            // Com 'categoria' ou 'imagem', altera só esses campos, sem abrir o formulário
+            if (categoryOption || imageOption) {
+                const category = categoryOption ? (categoryOption.trim() === '-' ? null : categoryOption.trim()) : product.category;
+                const imageUrl = imageOption ? (imageOption.trim() === '-' ? null : imageOption.trim()) : product.imageUrl;
+                if (imageUrl && !isValidImageUrl(imageUrl)) {
+                    return interaction.reply({ content: '⚠️ O link da imagem precisa começar com http:// ou https://.', ephemeral: true });
+                }
+                await updateProductDetails(productId, { category, imageUrl });
+                await logAuditEvent(`ADMIN: ${interaction.user.tag} (ID: ${interaction.user.id}) editou o produto ID ${productId}. Categoria: ${category || DEFAULT_CATEGORY}, Imagem: ${imageUrl || 'nenhuma'}.`, {
+                    action: 'product.update',
+                    actor: { id: interaction.user.id, name: interaction.user.tag },
+                    entityType: 'product',
+                    entityId: productId,
+                    payload: { category, imageUrl },
+                });
+                await interaction.reply({ content: `✅ O produto **${product.name}** agora está na categoria **${category || DEFAULT_CATEGORY}**${imageUrl ? ' e tem imagem' : ' e está sem imagem'}.`, ephemeral: true });
+                return updateShoppingPanels();
+            }
+
             const modal = new ModalBuilder().setCustomId(`edit-modal_${productId}`).setTitle(`Editando: ${product.name}`);
             const nameInput = new TextInputBuilder().setCustomId('name').setLabel("Novo nome do produto").setStyle(TextInputStyle.Short).setValue(product.name).setRequired(true);
-            const priceInput = new TextInputBuilder().setCustomId('price').setLabel("Novo preço (ex: 19.99)").setStyle(TextInputStyle.Short).setValue(product.price).setRequired(true);
+            const priceInput = new TextInputBuilder().setCustomId('price').setLabel("Novo preço (ex: 19.99)").setStyle(TextInputStyle.Short).setValue(product.price.toFixed(2)).setRequired(true);
             const descriptionInput = new TextInputBuilder().setCustomId('description').setLabel("Nova descrição").setStyle(TextInputStyle.Paragraph).setValue(product.description).setRequired(false);
             const emojiInput = new TextInputBuilder().setCustomId('emoji').setLabel("Novo emoji (opcional)").setStyle(TextInputStyle.Short).setValue(product.emoji || '').setRequired(false);
-            const stockInput = new TextInputBuilder().setCustomId('stock').setLabel("Estoque (-1 para infinito)").setStyle(TextInputStyle.Short).setValue(String(product.stock)).setRequired(true);
+            const stockInput = new TextInputBuilder().setCustomId('stock').setLabel("Estoque (-1 para infinito)").setStyle(TextInputStyle.Short).setValue(String(withHeld(product.stock, held.product))).setRequired(true);
 
             // CORREÇÃO: Adiciona cada input em sua própria ActionRow.
             modal.addComponents(
@@ -441,7 +1685,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
                     },
                     {
                         name: '2. Política de Reembolso',
-                        value: '**A Jyl Store NÃO OFERECE REEMBOLSO** para produtos digitais após a entrega ter sido efetivada e confirmada. Consideramos a entrega como concluída no momento em que o produto é disponibilizado no canal de entrega dedicado e o acesso é concedido ao comprador. A partir desse ponto, a venda é considerada definitiva e irrevogável. A única circunstância em que um reembolso poderá ser considerado é em caso de falha comprovada e irrefutável por parte da Jyl Store em entregar o produto adquirido, ou se o produto entregue for substancialmente diferente do descrito no momento da compra. Reclamações de reembolso baseadas em arrependimento, incompatibilidade de software (não informada previamente) ou mau uso do produto não serão aceitas.'
+                        value: '**A Jyl Store NÃO OFERECE REEMBOLSO** para produtos digitais após a entrega ter sido efetivada e confirmada. Consideramos a entrega como concluída no momento em que o produto é disponibilizado no canal de entrega dedicado e o acesso é concedido ao comprador. A partir desse ponto, a venda é considerada definitiva e irrevogável. A única circunstância em que um reembolso poderá ser considerado é em caso de falha comprovada e irrefutável por parte da Jyl Store em entregar o produto adquirido, ou se o produto entregue for substancialmente diferente do descrito no momento da compra. Reclamações de reembolso baseadas em arrependimento, incompatibilidade de software (não informada previamente) ou mau uso do produto não serão aceitas. Pedidos de cancelamento ou reembolso devem ser feitos em "Meus Pedidos", no site da loja.'
                     },
                     {
                         name: '3. Uso e Responsabilidade',
@@ -470,7 +1714,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
                     avatar: discordUser.avatarURL()
                 });
 
-                await logAuditEvent(`LOGIN SITE: Usuário ${discordUser.tag} (ID: ${discordUser.id}) verificou sua conta no site.`);
+                await logAuditEvent(`LOGIN SITE: Usuário ${discordUser.tag} (ID: ${discordUser.id}) verificou sua conta no site.`, { action: 'user.verify', actor: { id: discordUser.id, name: discordUser.tag }, entityType: 'user', entityId: discordUser.id });
                 await interaction.reply({ content: '✅ Sua conta foi verificada com sucesso! Você já pode fechar a página de verificação no seu navegador.', ephemeral: true });
             } else {
                 await interaction.reply({ content: '❌ Código de verificação inválido ou expirado. Por favor, tente fazer o login no site novamente.', ephemeral: true });
@@ -483,7 +1727,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
                 const added = await addProfanityWord(palavra);
                 if (added) {
                     profanitySet.add(palavra);
-                    await logAuditEvent(`MODERAÇÃO: ${interaction.user.tag} adicionou a palavra "${palavra}" ao filtro de profanidade.`);
+                    await logAuditEvent(`MODERAÇÃO: ${interaction.user.tag} adicionou a palavra "${palavra}" ao filtro de profanidade.`, { action: 'moderation.word_add', actor: { id: interaction.user.id, name: interaction.user.tag }, entityType: 'profanity_word', entityId: palavra });
                     await interaction.reply({ content: `✅ A palavra \`${palavra}\` foi adicionada ao filtro.`, ephemeral: true });
                 } else {
                     await interaction.reply({ content: `⚠️ A palavra \`${palavra}\` já está no filtro.`, ephemeral: true });
@@ -492,7 +1736,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
                 const removed = await removeProfanityWord(palavra);
                 if (removed) {
                     profanitySet.delete(palavra);
-                    await logAuditEvent(`MODERAÇÃO: ${interaction.user.tag} removeu a palavra "${palavra}" do filtro de profanidade.`);
+                    await logAuditEvent(`MODERAÇÃO: ${interaction.user.tag} removeu a palavra "${palavra}" do filtro de profanidade.`, { action: 'moderation.word_remove', actor: { id: interaction.user.id, name: interaction.user.tag }, entityType: 'profanity_word', entityId: palavra });
                     await interaction.reply({ content: `✅ A palavra \`${palavra}\` foi removida do filtro.`, ephemeral: true });
                 } else {
                     await interaction.reply({ content: `⚠️ A palavra \`${palavra}\` não foi encontrada no filtro.`, ephemeral: true });
@@ -502,79 +1746,422 @@ client.on(Events.InteractionCreate, async (interaction) => {
                 const embed = new EmbedBuilder().setTitle('🚫 Lista de Palavras Proibidas').setDescription(wordList.length > 0 ? `\`\`\`${wordList}\`\`\`` : 'O filtro está vazio.').setColor('Orange');
                 await interaction.reply({ embeds: [embed], ephemeral: true });
             }
-        }
-    } else if (interaction.isStringSelectMenu()) { // Lida com a seleção do produto
-        if (interaction.customId !== 'select-product') return;
+        } else if (commandName === 'chaves') {
+            const subCommand = interaction.options.getSubcommand();
 
-        const productId = interaction.values[0];
-        const product = await getProductById(productId);
-        const user = interaction.user;
+            if (subCommand === 'importar') {
+                const productId = interaction.options.getString('produto');
+                const file = interaction.options.getAttachment('arquivo');
+                const product = await getProductById(productId);
+                if (!product) {
+                    return interaction.reply({ content: `❌ Nenhum produto encontrado com o ID \`${productId}\`.`, ephemeral: true });
+                }
+                // Em produtos com variações, cada variação tem as próprias chaves (ex: 30 dias e 90 dias)
+                const variantName = interaction.options.getString('variante');
+                const variant = variantName ? product.variants.find(option => option.name.toLowerCase() === variantName.trim().toLowerCase()) : null;
+                if (product.variants.length > 0 && !variant) {
+                    const names = product.variants.map(option => option.name).join(', ');
+                    return interaction.reply({ content: `⚠️ Informe em \`variante\` a qual variação as chaves pertencem: ${names}.`, ephemeral: true });
+                }
+                if (product.variants.length === 0 && variantName) {
+                    return interaction.reply({ content: `⚠️ O produto **${product.name}** não tem variações. Importe sem a opção \`variante\`.`, ephemeral: true });
+                }
+                const itemLabel = itemName(product, variant);
+                if (!file.name.toLowerCase().endsWith('.txt') || file.size > KEYS_FILE_MAX_BYTES) {
+                    return interaction.reply({ content: '⚠️ Envie um arquivo .txt de até 1 MB, com uma chave por linha.', ephemeral: true });
+                }
 
-        if (!product) {
-            return interaction.update({ content: '❌ Este produto não foi encontrado. Pode ter sido removido.', embeds: [], components: [] });
-        }
+                await interaction.deferReply({ ephemeral: true });
+                const response = await fetch(file.url);
+                if (!response.ok) return interaction.editReply({ content: '❌ Não foi possível baixar o arquivo. Tente novamente.' });
+                const keys = [...new Set((await response.text()).split(/\r?\n/).map(line => line.trim()).filter(Boolean))];
+                if (keys.length === 0) return interaction.editReply({ content: '⚠️ O arquivo não tem nenhuma chave.' });
+
+                const { inserted, stock } = await addProductKeys(productId, keys, `${interaction.user.tag} (${interaction.user.id})`, variant ? variant.id : null);
+                await logAuditEvent(`ADMIN: ${interaction.user.tag} (ID: ${interaction.user.id}) importou ${inserted} chave(s) para o produto "${itemLabel}" (ID: ${productId}). Estoque: ${stock}.`, {
+                    action: 'keys.import',
+                    actor: { id: interaction.user.id, name: interaction.user.tag },
+                    entityType: 'product',
+                    entityId: productId,
+                    payload: { variantId: variant ? variant.id : null, inserted, skipped: keys.length - inserted, stock },
+                });
+                await updateShoppingPanels().catch(console.error);
+                const skipped = keys.length - inserted;
+                await interaction.editReply({ content: `✅ ${inserted} chave(s) importada(s) para **${itemLabel}**${skipped > 0 ? ` (${skipped} repetida(s) ignorada(s))` : ''}. Estoque disponível: **${stock}**.` });
+            } else if (subCommand === 'estoque') {
+                const counts = await getProductKeyCounts();
+                const lines = counts.map(count => `**${count.productName}${count.variantName ? ` - ${count.variantName}` : ''}** (\`${count.productId}\`): ${count.available} livre(s), ${count.delivered} entregue(s)`);
+                const embed = new EmbedBuilder().setTitle('🔑 Estoque de Chaves').setDescription(lines.join('\n').slice(0, 4000) || 'Nenhum produto com chaves cadastradas.').setColor('Gold');
+                await interaction.reply({ embeds: [embed], ephemeral: true });
+            }
+        } else if (commandName === 'relatorio') {
+            const startText = interaction.options.getString('inicio');
+            const endText = interaction.options.getString('fim');
+            const from = startText ? parseCouponDate(startText) : null;
+            const to = endText ? parseCouponDate(endText, true) : null;
+            if ((startText && !from) || (endText && !to)) {
+                return interaction.reply({ content: '⚠️ Use datas no formato DD/MM/AAAA.', ephemeral: true });
+            }
+            const period = resolveReportPeriod(from, to);
+            if (period.from > period.to) {
+                return interaction.reply({ content: '⚠️ O início do período é depois do fim.', ephemeral: true });
+            }
 
-        if (product.stock !== -1 && product.stock <= 0) {
-            return interaction.update({ content: '❌ Desculpe, este produto está fora de estoque!', embeds: [], components: [] });
-        }
+            await interaction.deferReply({ ephemeral: true });
+            const { summary, statusCounts, topProducts } = await loadSalesReport(period);
+            const money = (value) => `R$ ${value.toFixed(2)}`;
+            const embed = new EmbedBuilder()
+                .setTitle('📊 Relatório de Vendas')
+                .setDescription(`Pedidos criados de **${formatReportDate(period.from)}** a **${formatReportDate(period.to)}**.`)
+                .addFields(
+                    { name: 'Receita', value: `${money(summary.revenue)}\nDescontos: ${money(summary.discountTotal)}\nReembolsado: ${money(summary.refundedAmount)}${summary.unpricedCount > 0 ? `\n${summary.unpricedCount} pago(s) sem valor registrado` : ''}`, inline: true },
+                    { name: 'Pedidos', value: `${summary.ordersCount} criado(s)\n${summary.paidCount} pago(s)\nTicket médio: ${money(summary.averageTicket)}`, inline: true },
+                    { name: 'Conversão', value: `${(summary.conversionRate * 100).toFixed(1)}% aprovados\nAprovação média: ${formatDuration(summary.avgApprovalSeconds)}`, inline: true },
+                    { name: 'Produtos mais vendidos', value: topProducts.map((product, index) => `${index + 1}. ${product.productName} — ${product.quantity} un. (${money(product.revenue)})`).join('\n').slice(0, 1024) || 'Nenhuma venda no período.' },
+                    { name: 'Pedidos por status', value: statusCounts.map(row => `${statusLabel(row.status)}: ${row.count}`).join('\n') || 'Nenhum pedido no período.' },
+                )
+                .setColor('Blue')
+                .setFooter({ text: `Mais detalhes em ${SITE_URL}/admin/relatorios` });
+            const csv = new AttachmentBuilder(Buffer.from(await buildOrdersCsv(period), 'utf8'), { name: csvFileName(period) });
+            await logAuditEvent(`ADMIN: ${interaction.user.tag} (ID: ${interaction.user.id}) gerou o relatório de vendas de ${formatReportDate(period.from)} a ${formatReportDate(period.to)}.`, {
+                action: 'report.generate',
+                actor: { id: interaction.user.id, name: interaction.user.tag },
+                payload: { from: period.from, to: period.to },
+            });
+            await interaction.editReply({ embeds: [embed], files: [csv] });
+        } else if (commandName === 'alertas') {
+            const subCommand = interaction.options.getSubcommand();
+            const actor = { id: interaction.user.id, name: interaction.user.tag };
+
+            if (subCommand === 'ver') {
+                const [openAlerts, products] = await Promise.all([getOpenAdminAlerts(), getAllProducts()]);
+                const watched = products.filter(product => product.lowStockThreshold !== null);
+                const slaLines = Object.entries(alertSettings.sla).map(([status, minutes]) => `${statusLabel(status)}: ${minutes ? formatElapsed(minutes) : 'desligado'}`);
+                const embed = new EmbedBuilder()
+                    .setTitle('🚨 Alertas da loja')
+                    .addFields(
+                        { name: 'Canal', value: alertSettings.channelId ? `<#${alertSettings.channelId}> · marca <@&${alertSettings.roleId || ADMIN_ROLE_ID}>` : 'Desligado', inline: true },
+                        { name: 'Repetição', value: `a cada ${formatElapsed(alertSettings.repingMinutes)}`, inline: true },
+                        { name: 'Prazos dos pedidos', value: slaLines.join('\n') },
+                        { name: 'Limites de estoque', value: (watched.map(product => `\`${product.id}\` ${product.name}: ${product.lowStockThreshold}`).join('\n') || 'Nenhum produto com limite.').slice(0, 1024) },
+                        { name: `Em aberto (${openAlerts.length})`, value: (openAlerts.map(alert => `${alert.type === 'low_stock' ? '📉' : '⏰'} \`${alert.entityId}\` · ${alert.pingCount} aviso(s) desde <t:${Math.floor(new Date(alert.firstAlertedAt).getTime() / 1000)}:R>`).join('\n') || 'Nenhum.').slice(0, 1024) },
+                    )
+                    .setColor('Orange');
+                return interaction.reply({ embeds: [embed], ephemeral: true });
+            }
 
-        await interaction.deferUpdate();
-        await interaction.followUp({ content: `✅ Você selecionou: **${product.name}**. Seu canal de pagamento privado está sendo criado...`, ephemeral: true });
+            if (subCommand === 'estoque') {
+                const productId = interaction.options.getString('produto');
+                const threshold = interaction.options.getInteger('limite');
+                const product = await setLowStockThreshold(productId, threshold);
+                if (!product) {
+                    return interaction.reply({ content: `❌ Nenhum produto encontrado com o ID \`${productId}\`.`, ephemeral: true });
+                }
+                await logAuditEvent(`ADMIN: ${interaction.user.tag} (ID: ${interaction.user.id}) ${threshold === null ? 'desligou o alerta de estoque baixo' : `definiu o alerta de estoque baixo em ${threshold}`} do produto "${product.name}" (ID: ${productId}).`, {
+                    action: 'alerts.config',
+                    actor,
+                    entityType: 'product',
+                    entityId: productId,
+                    payload: { lowStockThreshold: threshold },
+                });
+                await interaction.reply({ content: threshold === null ? `✅ Alerta de estoque baixo de **${product.name}** desligado.` : `✅ **${product.name}** vai gerar alerta com ${threshold} unidade(s) ou menos.`, ephemeral: true });
+                return checkAdminAlerts().catch(error => console.error('Erro ao verificar os alertas:', error));
+            }
 
-        try {
-            // Cria um "número de ticket" único para o canal
-            const ticketId = `pagamento-${user.username.slice(0, 10)}-${Date.now().toString().slice(-4)}`;
+            let changes;
+            let summary;
+            if (subCommand === 'canal') {
+                const channel = interaction.options.getChannel('canal');
+                const role = interaction.options.getRole('cargo');
+                changes = { channelId: channel?.id || null, roleId: role?.id || null };
+                summary = channel ? `enviar os alertas em #${channel.name}, marcando ${role ? `@${role.name}` : 'os administradores'}` : 'desligar os alertas';
+            } else if (subCommand === 'prazo') {
+                const status = interaction.options.getString('status');
+                const minutes = interaction.options.getInteger('minutos');
+                changes = { sla: { ...alertSettings.sla, [status]: minutes || null } };
+                summary = minutes ? `alertar pedidos em "${statusLabel(status)}" após ${formatElapsed(minutes)}` : `desligar o alerta de pedidos em "${statusLabel(status)}"`;
+            } else if (subCommand === 'repetir') {
+                const minutes = interaction.options.getInteger('minutos');
+                changes = { repingMinutes: minutes };
+                summary = `repetir os alertas não resolvidos a cada ${formatElapsed(minutes)}`;
+            } else {
+                return;
+            }
 
-            const paymentChannel = await interaction.guild.channels.create({
-                name: ticketId,
-                type: ChannelType.GuildText,
-                topic: `Ticket: ${ticketId} | User: ${user.id} | ProductID: ${productId}`,
-                permissionOverwrites: [
-                    { id: interaction.guild.id, deny: [PermissionsBitField.Flags.ViewChannel] },
-                    { id: user.id, allow: [PermissionsBitField.Flags.ViewChannel] },
-                    { id: client.user.id, allow: [PermissionsBitField.Flags.ViewChannel] },
-                    { id: ADMIN_ROLE_ID, allow: [PermissionsBitField.Flags.ViewChannel] }, // Permite que ADMs vejam o canal
-                ],
+            alertSettings = resolveAlertSettings({ ...alertSettings, ...changes });
+            await setConfig('admin_alerts', alertSettings);
+            await logAuditEvent(`ADMIN: ${interaction.user.tag} (ID: ${interaction.user.id}) configurou os alertas para ${summary}.`, {
+                action: 'alerts.config',
+                actor,
+                entityType: 'channel',
+                entityId: alertSettings.channelId,
+                payload: changes,
             });
+            await interaction.reply({ content: `✅ Alertas configurados para ${summary}.`, ephemeral: true });
+            return checkAdminAlerts().catch(error => console.error('Erro ao verificar os alertas:', error));
+        } else if (commandName === 'auditoria') {
+            const subCommand = interaction.options.getSubcommand();
 
-            const paymentEmbed = new EmbedBuilder()
-                .setTitle(`🛒 Detalhes do Pagamento`)
-                .setDescription(`Olá ${user}! Para concluir a compra do item **${product.name}**, realize o pagamento e envie o comprovante aqui.`)
-                .addFields(
-                    { name: 'Produto', value: product.name, inline: true },
-                    { name: 'Valor a Pagar', value: `**R$ ${product.price}**`, inline: true },
-                    { name: 'Chave Pix (Copia e Cola)', value: `\`\`\`${PIX_KEY}\`\`\`` }
-                )
-                .setColor('Gold')
-                .setFooter({ text: `ID do Ticket: ${ticketId}` });
+            if (subCommand === 'buscar') {
+                const startText = interaction.options.getString('inicio');
+                const endText = interaction.options.getString('fim');
+                const from = startText ? parseCouponDate(startText) : null;
+                const to = endText ? parseCouponDate(endText, true) : null;
+                if ((startText && !from) || (endText && !to)) {
+                    return interaction.reply({ content: '⚠️ Use datas no formato DD/MM/AAAA.', ephemeral: true });
+                }
+
+                const logs = await getAuditLogs({
+                    userId: interaction.options.getUser('usuario')?.id,
+                    productId: interaction.options.getString('produto'),
+                    orderId: interaction.options.getString('pedido'),
+                    action: interaction.options.getString('acao'),
+                    from,
+                    to,
+                }, AUDIT_SEARCH_LIMIT);
+                const lines = logs.map(log => {
+                    const timestamp = Math.floor(new Date(log.createdAt).getTime() / 1000);
+                    const message = log.message.length > 150 ? `${log.message.slice(0, 147)}...` : log.message;
+                    return `<t:${timestamp}:f> **${auditActionLabel(log.action)}** · ${log.actorName || 'sistema'}\n${message}`;
+                });
+                const embed = new EmbedBuilder()
+                    .setTitle('🗂️ Auditoria')
+                    .setDescription(lines.join('\n\n').slice(0, 4000) || 'Nenhum evento encontrado com estes filtros.')
+                    .setColor('Greyple')
+                    .setFooter({ text: `Até ${AUDIT_SEARCH_LIMIT} eventos. Busca completa em ${SITE_URL}/admin/auditoria` });
+                await interaction.reply({ embeds: [embed], ephemeral: true });
+            } else if (subCommand === 'canal') {
+                const channel = interaction.options.getChannel('canal');
+                await setConfig('audit_log_channel', { channelId: channel?.id || null });
+                auditChannelId = channel?.id || null;
+                await logAuditEvent(`ADMIN: ${interaction.user.tag} (ID: ${interaction.user.id}) ${channel ? `definiu o canal de auditoria em #${channel.name}` : 'desligou o canal de auditoria'}.`, {
+                    action: 'audit.channel_set',
+                    actor: { id: interaction.user.id, name: interaction.user.tag },
+                    entityType: 'channel',
+                    entityId: channel?.id || null,
+                });
+                await interaction.reply({ content: channel ? `✅ Os eventos da auditoria serão enviados em ${channel}.` : '✅ Canal de auditoria desligado.', ephemeral: true });
+            } else if (subCommand === 'transcricoes') {
+                const channel = interaction.options.getChannel('canal');
+                await setConfig('transcript_log_channel', { channelId: channel?.id || null });
+                transcriptChannelId = channel?.id || null;
+                await logAuditEvent(`ADMIN: ${interaction.user.tag} (ID: ${interaction.user.id}) ${channel ? `definiu o canal de transcrições em #${channel.name}` : 'desligou o canal de transcrições'}.`, {
+                    action: 'transcript.channel_set',
+                    actor: { id: interaction.user.id, name: interaction.user.tag },
+                    entityType: 'channel',
+                    entityId: channel?.id || null,
+                });
+                await interaction.reply({ content: channel ? `✅ As transcrições serão enviadas em ${channel}. Elas continuam salvas no painel.` : '✅ Canal de transcrições desligado. As transcrições continuam salvas no painel.', ephemeral: true });
+            }
+        } else if (commandName === 'cupom') {
+            const subCommand = interaction.options.getSubcommand();
+            const code = normalizeCouponCode(interaction.options.getString('codigo'));
+
+            if (subCommand === 'criar') {
+                const type = interaction.options.getString('tipo');
+                const value = interaction.options.getNumber('valor');
+                const productId = interaction.options.getString('produto');
+                const startText = interaction.options.getString('inicio');
+                const endText = interaction.options.getString('fim');
+                const validFrom = startText ? parseCouponDate(startText) : null;
+                const validUntil = endText ? parseCouponDate(endText, true) : null;
+
+                if (!/^[A-Z0-9_-]{3,50}$/.test(code)) {
+                    return interaction.reply({ content: '⚠️ O código deve ter de 3 a 50 caracteres, só letras, números, "-" ou "_".', ephemeral: true });
+                }
+                if (value <= 0 || (type === 'percent' && value >= 100)) {
+                    return interaction.reply({ content: '⚠️ O valor deve ser maior que zero (e menor que 100 para cupons percentuais).', ephemeral: true });
+                }
+                if ((startText && !validFrom) || (endText && !validUntil)) {
+                    return interaction.reply({ content: '⚠️ Use datas no formato DD/MM/AAAA.', ephemeral: true });
+                }
+                if (validFrom && validUntil && validFrom > validUntil) {
+                    return interaction.reply({ content: '⚠️ O início da validade é depois do fim.', ephemeral: true });
+                }
+                const product = productId ? await getProductById(productId) : null;
+                if (productId && !product) {
+                    return interaction.reply({ content: `❌ Nenhum produto encontrado com o ID \`${productId}\`.`, ephemeral: true });
+                }
+
+                const coupon = await createCoupon({
+                    code,
+                    type,
+                    value: value.toFixed(2),
+                    productId,
+                    maxUses: interaction.options.getInteger('max_usos'),
+                    perUserLimit: interaction.options.getInteger('limite_por_usuario'),
+                    validFrom,
+                    validUntil,
+                    createdBy: `${interaction.user.tag} (${interaction.user.id})`,
+                });
+                if (!coupon) {
+                    return interaction.reply({ content: `⚠️ Já existe um cupom com o código \`${code}\`.`, ephemeral: true });
+                }
+
+                const scope = product ? `o produto ${product.name}` : 'a loja toda';
+                await logAuditEvent(`CUPOM: ${interaction.user.tag} (ID: ${interaction.user.id}) criou o cupom ${code} (${describeCoupon(coupon)}) para ${scope}.`, {
+                    action: 'coupon.create',
+                    actor: { id: interaction.user.id, name: interaction.user.tag },
+                    entityType: 'coupon',
+                    entityId: code,
+                    payload: { type, value, productId, maxUses: coupon.maxUses, perUserLimit: coupon.perUserLimit, validFrom, validUntil },
+                });
+                await interaction.reply({ content: `✅ Cupom \`${code}\` criado: ${describeCoupon(coupon)} de desconto para ${scope}.`, ephemeral: true });
+            } else if (subCommand === 'listar') {
+                const coupons = await getCoupons();
+                const formatDate = (date) => date ? new Date(date).toLocaleDateString('pt-BR', { timeZone: 'America/Sao_Paulo' }) : '-';
+                const lines = coupons.map(coupon => {
+                    const uses = `${coupon.usesCount}/${coupon.maxUses || '∞'} usos`;
+                    const scope = coupon.productId ? `produto \`${coupon.productId}\`` : 'loja toda';
+                    const status = coupon.active ? '' : ' — **desativado**';
+                    return `\`${coupon.code}\` ${describeCoupon(coupon)} (${scope}) · ${uses} · ${formatDate(coupon.validFrom)} a ${formatDate(coupon.validUntil)}${status}`;
+                });
+                const embed = new EmbedBuilder().setTitle('🏷️ Cupons de Desconto').setDescription(lines.join('\n').slice(0, 4000) || 'Nenhum cupom criado.').setColor('Orange');
+                await interaction.reply({ embeds: [embed], ephemeral: true });
+            } else if (subCommand === 'desativar' || subCommand === 'ativar') {
+                const active = subCommand === 'ativar';
+                const coupon = await setCouponActive(code, active);
+                if (!coupon) {
+                    return interaction.reply({ content: `❌ Nenhum cupom encontrado com o código \`${code}\`.`, ephemeral: true });
+                }
+                await logAuditEvent(`CUPOM: ${interaction.user.tag} (ID: ${interaction.user.id}) ${active ? 'reativou' : 'desativou'} o cupom ${code}.`, {
+                    action: active ? 'coupon.activate' : 'coupon.deactivate',
+                    actor: { id: interaction.user.id, name: interaction.user.tag },
+                    entityType: 'coupon',
+                    entityId: code,
+                });
+                await interaction.reply({ content: `✅ Cupom \`${code}\` ${active ? 'reativado' : 'desativado'}.`, ephemeral: true });
+            }
+        }
+    } else if (interaction.isStringSelectMenu()) { // Lida com a seleção de categoria, produto e variação
+        const [menu, menuProductId] = interaction.customId.split('_');
+
+        if (menu === 'select-category') {
+            const categoryName = interaction.values[0];
+            // Num painel fixo filtrado, a categoria mostra só os produtos do painel (menuProductId é o painel de origem)
+            const panel = await findInteractionPanel(interaction, menuProductId);
+            const products = Object.values(filterPanelProducts(await getProducts(), panel)).filter(product => (product.category || DEFAULT_CATEGORY) === categoryName);
+            if (products.length === 0) {
+                return interaction.reply({ content: '❌ Não há mais produtos à venda nesta categoria.', ephemeral: true });
+            }
+            return interaction.reply({ ...createCategoryMenu(categoryName, products, 0, panel?.id), ephemeral: true });
+        }
 
-            const confirmButton = new ButtonBuilder()
-                .setCustomId(`confirm-payment_${productId}`)
-                .setLabel('Confirmar Pagamento (ADM)')
-                .setStyle(ButtonStyle.Success);
+        // Inscrição na lista de espera dos produtos esgotados escolhidos (menuProductId é o painel de origem, 0 no /comprar)
+        if (menu === 'waitlist-select') {
+            const joined = [];
+            const alreadyWaiting = [];
+            const available = [];
+            for (const productId of interaction.values) {
+                const product = await getProductById(productId);
+                if (!product) continue;
+                // Voltou ao estoque enquanto o menu estava aberto: a compra é direta pelo painel
+                if (isProductAvailable(product)) {
+                    available.push(product.name);
+                    continue;
+                }
+                const { created } = await joinWaitlist(product.id, interaction.user.id, 'discord');
+                (created ? joined : alreadyWaiting).push(product.name);
+                if (created) {
+                    await logAuditEvent(`LISTA DE ESPERA: ${interaction.user.tag} (ID: ${interaction.user.id}) entrou na lista de espera do produto "${product.name}" (ID: ${product.id}) pelo Discord.`, {
+                        action: 'waitlist.join',
+                        actor: { id: interaction.user.id, name: interaction.user.tag },
+                        entityType: 'product',
+                        entityId: product.id,
+                        payload: { source: 'discord', panelId: parseInt(menuProductId, 10) || null },
+                    });
+                }
+            }
+            const lines = [];
+            if (joined.length > 0) lines.push(`🔔 Você será avisado por DM quando voltarem ao estoque: **${joined.join('**, **')}**.`);
+            if (alreadyWaiting.length > 0) lines.push(`Você já estava na lista de espera de: ${alreadyWaiting.join(', ')}.`);
+            if (available.length > 0) lines.push(`✅ Já voltaram ao estoque e podem ser comprados no painel: ${available.join(', ')}.`);
+            return interaction.update({ content: lines.join('\n') || '❌ Os produtos escolhidos não foram encontrados.', embeds: [], components: [] });
+        }
 
-            const row = new ActionRowBuilder().addComponents(confirmButton);
+        if (menu !== 'select-product' && menu !== 'select-variant') return;
 
-            // Envia o embed e os botões
-            await paymentChannel.send({ content: `Atenção <@&${ADMIN_ROLE_ID}>, novo pedido!`, embeds: [paymentEmbed], components: [row] });
-            // Envia a chave PIX em uma mensagem separada para facilitar o "copia e cola"
-            await paymentChannel.send(`${PIX_KEY}`);
+        const product = await getProductById(menu === 'select-product' ? interaction.values[0] : menuProductId);
+        if (!product) {
+            return interaction.update({ content: '❌ Este produto não foi encontrado. Pode ter sido removido.', embeds: [], components: [] });
+        }
 
-        } catch (error) {
-            console.error('Erro ao criar canal de pagamento:', error);
-            await interaction.followUp({ content: '❌ Ocorreu um erro crítico ao criar seu canal. Tente novamente.', ephemeral: true });
+        // Produto com variações: antes do ticket, o comprador escolhe a opção
+        if (menu === 'select-product' && product.variants.length > 0) {
+            if (!product.variants.some(variant => hasStock(variant.stock))) {
+                return interaction.update({ content: '❌ Desculpe, este produto está fora de estoque!', embeds: [], components: [] });
+            }
+            return interaction.update(createVariantMenu(product));
+        }
+
+        const purchase = resolvePurchase(product, menu === 'select-variant' ? interaction.values[0] : null);
+        if (!purchase) {
+            return interaction.update({ content: '❌ Esta opção não foi encontrada. Pode ter sido removida.', embeds: [], components: [] });
+        }
+        if (!hasStock(purchase.stock)) {
+            return interaction.update({ content: '❌ Desculpe, este produto está fora de estoque!', embeds: [], components: [] });
         }
+
+        await openTicketOrder(interaction, product, purchase);
     } else if (interaction.isButton()) {
         const [action, id] = interaction.customId.split('_');
 
+        // Troca de página do painel de compras (id é o painel de origem). O painel fixo é compartilhado e não muda:
+        // a página abre numa mensagem só para quem clicou, e os botões dela trocam a própria mensagem.
+        if (action === 'panel-page') {
+            const [, , page] = interaction.customId.split('_');
+            const panel = await findInteractionPanel(interaction, id);
+            const view = buildShoppingPanel(await getProducts(), await getSoldOutProducts(), panel, parseInt(page, 10) || 0);
+            if (interaction.message.flags.has(MessageFlags.Ephemeral)) return interaction.update(view);
+            return interaction.reply({ ...view, ephemeral: true });
+        }
+
+        // Lista de espera: mostra os produtos esgotados do painel para o comprador escolher
+        if (action === 'waitlist-open') {
+            const panel = await findInteractionPanel(interaction, id);
+            const soldOut = Object.values(filterPanelProducts(await getSoldOutProducts(), panel))
+                .sort((a, b) => (a.category || DEFAULT_CATEGORY).localeCompare(b.category || DEFAULT_CATEGORY, 'pt-BR') || a.name.localeCompare(b.name, 'pt-BR'));
+            if (soldOut.length === 0) {
+                return interaction.reply({ content: '✅ Nenhum produto deste painel está esgotado no momento.', ephemeral: true });
+            }
+            return interaction.reply({ ...createWaitlistMenu(soldOut, panel?.id), ephemeral: true });
+        }
+
+        // Botão do aviso por DM: compra a unidade separada pela lista de espera
+        if (action === 'waitlist-buy') {
+            const product = await getProductById(id);
+            const purchase = product && resolvePurchase(product, null);
+            if (!purchase) {
+                return interaction.reply({ content: '❌ Este produto não está mais disponível para compra direta.', ephemeral: true });
+            }
+            return openTicketOrder(interaction, product, purchase);
+        }
+
+        // Troca de página dos produtos de uma categoria (id é o identificador curto da categoria)
+        if (action === 'category-page') {
+            const [, , panelId, page] = interaction.customId.split('_');
+            const panel = parseInt(panelId, 10) ? await getShoppingPanelById(parseInt(panelId, 10)) : null;
+            const category = findCategoryByKey(filterPanelProducts(await getProducts(), panel), id);
+            if (!category) {
+                return interaction.update({ content: '❌ Não há mais produtos à venda nesta categoria.', embeds: [], components: [] });
+            }
+            return interaction.update(createCategoryMenu(category.name, category.products, parseInt(page, 10) || 0, panel?.id));
+        }
+
         if (action === 'confirm-delete') {
             const product = await getProductById(id);
             const productName = product?.name || 'desconhecido'; // Define productName antes de usar
             if (product) {
                 await deleteProduct(id);
-                await logAuditEvent(`ADMIN: ${interaction.user.tag} (ID: ${interaction.user.id}) deletou o produto "${productName}" (ID: ${id}).`);
+                await logAuditEvent(`ADMIN: ${interaction.user.tag} (ID: ${interaction.user.id}) deletou o produto "${productName}" (ID: ${id}).`, {
+                    action: 'product.delete',
+                    actor: { id: interaction.user.id, name: interaction.user.tag },
+                    entityType: 'product',
+                    entityId: id,
+                    payload: { name: productName },
+                });
                 await interaction.update({ content: `✅ O produto **${productName}** foi deletado com sucesso.`, components: [] });
-                await updateFixedShoppingPanel(); // Atualiza o painel fixo
+                await updateShoppingPanels(); // Atualiza os painéis fixos
             } else {
                 await interaction.update({ content: '❌ O produto não foi encontrado (talvez já tenha sido deletado).', components: [] });
             }
@@ -585,13 +2172,112 @@ client.on(Events.InteractionCreate, async (interaction) => {
                 return interaction.reply({ content: '❌ Você não tem permissão para confirmar pagamentos.', ephemeral: true });
             }
 
-            // A interação é respondida implicitamente pela exclusão do canal.
-            // Não é necessário deferUpdate() ou reply() aqui, pois o canal onde o botão está será deletado.
-            await processPaymentConfirmation(interaction.guild, interaction.channel.id, id, interaction.user);
+            // Tickets abertos antes do registro em orders traziam o ID do produto no botão; o pedido é achado pelo canal
+            const order = await findOrderByChannelId(interaction.channel.id);
+            if (!order) {
+                return interaction.reply({ content: '❌ Nenhum pedido registrado para este ticket.', ephemeral: true });
+            }
 
+            // A criação do canal de entrega passa do prazo de resposta da interação; o canal de pagamento
+            // ainda existe por alguns segundos depois disso, então a resposta chega ao admin
+            await interaction.deferReply({ ephemeral: true });
+            const actor = `${interaction.user.tag} (${interaction.user.id})`;
+            // Os links por DM deste pedido deixam de valer e passam a mostrar quem confirmou pelo botão
+            await invalidateOrderTokens(order.id, actor);
+            const result = await processPaymentConfirmation(interaction.guild, order, actor);
+            await interaction.editReply({ content: `${result.success ? '✅' : '❌'} ${result.message}` });
+
+        } else if (action === 'apply-coupon') {
+            const order = await findOrderById(id);
+            if (!order || order.userId !== interaction.user.id) {
+                return interaction.reply({ content: '❌ Só o comprador deste pedido pode aplicar um cupom.', ephemeral: true });
+            }
+            const modal = new ModalBuilder().setCustomId(`coupon-modal_${id}`).setTitle('Aplicar Cupom de Desconto');
+            const codeInput = new TextInputBuilder().setCustomId('code').setLabel('Código do cupom').setStyle(TextInputStyle.Short).setMaxLength(50).setRequired(true);
+            modal.addComponents(new ActionRowBuilder().addComponents(codeInput));
+            await interaction.showModal(modal);
         }
     } else if (interaction.isModalSubmit()) { // Lida com o envio do formulário de edição
-        const [action, productId] = interaction.customId.split('_');
+        const [action, productId, variantKey] = interaction.customId.split('_');
+
+        if (action === 'coupon-modal') {
+            const orderId = productId; // No modal de cupom, o ID do customId é o do pedido
+            const order = await findOrderById(orderId);
+            if (!order || order.userId !== interaction.user.id) {
+                return interaction.reply({ content: '❌ Só o comprador deste pedido pode aplicar um cupom.', ephemeral: true });
+            }
+
+            await interaction.deferReply({ ephemeral: true });
+            const result = await applyCouponToOrder(orderId, interaction.fields.getTextInputValue('code'), `${interaction.user.tag} (${interaction.user.id})`);
+            if (!result.success) return interaction.editReply({ content: `❌ ${result.message}` });
+
+            // O valor mudou: gera uma nova cobrança e reenvia os dados de pagamento no ticket
+            const product = await getProductById(result.order.productId);
+            const pixCharge = await openPixCharge({
+                reference: orderId,
+                amount: result.order.totalAmount,
+                description: `Jyl Store - ${result.order.productName}`,
+                context: orderPaymentContext(result.order)
+            });
+            await sendTicketPaymentDetails(interaction.channel, result.order, product, interaction.user, pixCharge, `🏷️ Cupom aplicado! Pague o novo valor abaixo.`);
+            await interaction.editReply({ content: `✅ ${result.message}` });
+        }
+
+        if (action === 'edit-variant') {
+            const product = await getProductById(productId);
+            if (!product) {
+                return interaction.reply({ content: `❌ Nenhum produto encontrado com o ID \`${productId}\`.`, ephemeral: true });
+            }
+            const existing = variantKey === 'nova' ? null : await getVariantById(parseInt(variantKey, 10));
+            if (variantKey !== 'nova' && (!existing || existing.productId !== productId)) {
+                return interaction.reply({ content: '❌ Esta variação não existe mais.', ephemeral: true });
+            }
+            const newName = interaction.fields.getTextInputValue('name').trim();
+            const actor = { id: interaction.user.id, name: interaction.user.tag };
+
+            if (existing && !newName) {
+                const deleted = await deleteProductVariant(existing.id);
+                if (!deleted.success) {
+                    return interaction.reply({ content: `⚠️ ${deleted.message}`, ephemeral: true });
+                }
+                await logAuditEvent(`ADMIN: ${interaction.user.tag} (ID: ${interaction.user.id}) removeu a variação "${existing.name}" do produto ID ${productId}.`, {
+                    action: 'product.update',
+                    actor,
+                    entityType: 'product',
+                    entityId: productId,
+                    payload: { removedVariant: existing.name },
+                });
+                await interaction.reply({ content: `✅ Variação **${existing.name}** removida de **${product.name}**.`, ephemeral: true });
+                return updateShoppingPanels();
+            }
+
+            const variant = parseVariantLine(`${newName} | ${interaction.fields.getTextInputValue('price')} | ${interaction.fields.getTextInputValue('stock')}`);
+            if (!variant) {
+                return interaction.reply({ content: '⚠️ O preço ou o estoque informado não são números válidos.', ephemeral: true });
+            }
+            const duplicate = product.variants.find(candidate => candidate.name.toLowerCase() === variant.name.toLowerCase() && candidate.id !== existing?.id);
+            if (duplicate) {
+                return interaction.reply({ content: `⚠️ O produto já tem uma variação chamada **${duplicate.name}**.`, ephemeral: true });
+            }
+
+            if (existing) {
+                const updated = await updateProductVariant(existing.id, variant);
+                if (!updated.success) {
+                    return interaction.reply({ content: `⚠️ ${updated.message}`, ephemeral: true });
+                }
+            } else {
+                await addProductVariant(productId, variant);
+            }
+            await logAuditEvent(`ADMIN: ${interaction.user.tag} (ID: ${interaction.user.id}) ${existing ? 'editou' : 'criou'} a variação "${variant.name}" do produto ID ${productId}. Preço: R$ ${variant.price}, Estoque: ${variant.stock}.`, {
+                action: 'product.update',
+                actor,
+                entityType: 'product',
+                entityId: productId,
+                payload: { variant },
+            });
+            await interaction.reply({ content: `✅ Variação **${variant.name}** de **${product.name}** salva: R$ ${variant.price}, estoque ${variant.stock === -1 ? 'ilimitado' : variant.stock}.`, ephemeral: true });
+            await updateShoppingPanels();
+        }
 
         if (action === 'edit-modal') {
             const newName = interaction.fields.getTextInputValue('name');
@@ -604,21 +2290,44 @@ client.on(Events.InteractionCreate, async (interaction) => {
                 return interaction.reply({ content: '⚠️ O preço ou o estoque informado não são números válidos.', ephemeral: true });
             }
 
-            await updateProduct(productId, {
+            const updated = await updateProduct(productId, {
                 name: newName,
                 price: newPrice.toFixed(2),
                 description: newDescription || `Produto editado por ${interaction.user.tag}`,
                 emoji: newEmoji || '📦',
                 stock: newStock
             });
+            if (!updated.success) {
+                return interaction.reply({ content: `⚠️ ${updated.message}`, ephemeral: true });
+            }
 
-            await logAuditEvent(`ADMIN: ${interaction.user.tag} (ID: ${interaction.user.id}) editou o produto ID ${productId}. Novo nome: "${newName}", Novo preço: R$ ${newPrice.toFixed(2)}, Novo estoque: ${newStock}.`);
+            await logAuditEvent(`ADMIN: ${interaction.user.tag} (ID: ${interaction.user.id}) editou o produto ID ${productId}. Novo nome: "${newName}", Novo preço: R$ ${newPrice.toFixed(2)}, Novo estoque: ${newStock}.`, {
+                action: 'product.update',
+                actor: { id: interaction.user.id, name: interaction.user.tag },
+                entityType: 'product',
+                entityId: productId,
+                payload: { name: newName, price: newPrice.toFixed(2), stock: newStock },
+            });
             await interaction.reply({ content: `✅ O produto **${newName}** (ID: \`${productId}\`) foi atualizado com sucesso!`, ephemeral: true });
-            await updateFixedShoppingPanel(); // Atualiza o painel fixo
+            await updateShoppingPanels(); // Atualiza os painéis fixos
         }
     }
 });
 
+/**
+ * Cria um token de ação de uso único no banco e retorna o seu ID, usado na URL /verify/:id.
+ * @param {string} action 'verify' (aprovar/recusar comprovante) ou 'deliver'.
+ * @param {object} details Detalhes para exibição na página.
+ * @param {object} context Dados para processar a ação.
+ * @returns {Promise<string>}
+ */
+async function createActionToken(action, details, context) {
+    const tokenId = crypto.randomBytes(16).toString('hex');
+    const expiresAt = new Date(Date.now() + VERIFICATION_TOKEN_TTL_MINUTES * 60000);
+    await createVerificationToken({ id: tokenId, action, details, context, expiresAt });
+    return tokenId;
+}
+
 /**
  * Envia uma notificação de comprovante para o dono do bot com botões de ação.
  * @param {object} verificationData
@@ -627,18 +2336,7 @@ client.on(Events.InteractionCreate, async (interaction) => {
  */
 async function sendProofForVerification(verificationData) {
     try {
-        const { verificationTokens } = require('./server.js');
-        const crypto = require('crypto');
-
-        const verificationId = crypto.randomBytes(16).toString('hex');
-
-        verificationTokens.set(verificationId, {
-            ...verificationData
-        });
-
-        // O token expira em 1 hora para segurança
-        setTimeout(() => verificationTokens.delete(verificationId), 3600000);
-
+        const verificationId = await createActionToken('verify', verificationData.details, verificationData.context);
         const verificationUrl = `${SITE_URL}/verify/${verificationId}`;
 
         const owner = await client.users.fetch(OWNER_ID);
@@ -648,9 +2346,22 @@ async function sendProofForVerification(verificationData) {
             .setDescription(`Um novo comprovante foi enviado e precisa da sua atenção.\n\n**Clique aqui para verificar**`)
             .setColor('Orange') // A cor estava correta, apenas para referência
             .setTimestamp();
+        const duplicateOrderIds = verificationData.details.duplicateOrderIds || [];
+        if (duplicateOrderIds.length > 0) {
+            embed.setColor('Red').addFields({
+                name: '⚠️ Comprovante repetido',
+                value: `Igual ou parecido com o comprovante de: ${duplicateOrderIds.map(id => `\`${id}\``).join(', ')}`.slice(0, 1024),
+            });
+        }
 
         await owner.send({ embeds: [embed] });
-        await logAuditEvent(`VERIFICAÇÃO: Notificação de comprovante enviada para o dono do bot.`);
+        const { context } = verificationData;
+        await logAuditEvent(`VERIFICAÇÃO: Notificação de comprovante enviada para o dono do bot.`, {
+            action: 'order.proof_sent',
+            entityType: context.orderId ? 'order' : 'ticket',
+            entityId: context.orderId || context.channelId,
+            payload: { userId: context.userId, productId: context.productId },
+        });
     } catch (e) {
         console.error("Erro ao enviar DM de verificação para o dono do bot:", e);
     }
@@ -660,38 +2371,51 @@ async function sendProofForVerification(verificationData) {
  * Envia uma notificação de entrega para o dono do bot com um link de ação.
  * @param {object} deliveryData
  * @param {object} deliveryData.context Dados para processar a ação.
+ * @param {object[]} [deliveryData.items] Os itens do pedido, listados na página e na DM.
  */
 async function sendDeliveryNotification(deliveryData) {
     try {
-        const { verificationTokens } = require('./server.js');
-        const crypto = require('crypto');
-
-        const verificationId = crypto.randomBytes(16).toString('hex');
-
-        // Adiciona a ação 'deliver' ao token
-        const tokenPayload = {
-            action: 'deliver',
-            context: deliveryData.context,
-            details: { productName: deliveryData.context.productName } // Estrutura os detalhes
-        };
-
-        verificationTokens.set(verificationId, tokenPayload);
-
-        setTimeout(() => verificationTokens.delete(verificationId), 3600000); // Expira em 1 hora
-
+        const items = (deliveryData.items || []).map(({ productName, quantity, unitPrice }) => ({ productName, quantity, unitPrice }));
+        const details = { productName: deliveryData.context.productName, items }; // Estrutura os detalhes
+        const verificationId = await createActionToken('deliver', details, deliveryData.context);
         const deliveryUrl = `${SITE_URL}/verify/${verificationId}`;
 
         const owner = await client.users.fetch(OWNER_ID);
         const embed = new EmbedBuilder()
             .setTitle('📦 Marcar Pedido como Entregue (Clique aqui)')
             .setURL(deliveryUrl)
-            .setDescription(`Um pedido foi aprovado e está pronto para ser marcado como entregue.\n\n**Produto:** ${deliveryData.context.productName}`)
+            .setDescription(`Um pedido foi aprovado e está pronto para ser marcado como entregue.\n\n**Produto:** ${deliveryData.context.productName}${items.length > 0 ? `\n\n**Itens:**\n${formatItemsList(items)}` : ''}`)
             .setColor('Green').setTimestamp();
 
         await owner.send({ embeds: [embed] });
-        await logAuditEvent(`ENTREGA: Notificação para marcar como entregue enviada ao admin.`);
+        const { context } = deliveryData;
+        await logAuditEvent(`ENTREGA: Notificação para marcar como entregue enviada ao admin.`, {
+            action: 'order.delivery_requested',
+            entityType: context.orderId ? 'order' : 'ticket',
+            entityId: context.orderId || context.channelId,
+            payload: { userId: context.userId, productId: context.productId },
+        });
     } catch (e) { console.error("Erro ao enviar DM de notificação de entrega:", e); }
 }
+
+/**
+ * Copia os anexos de uma mensagem do Discord para o armazenamento da loja, já que os links do Discord expiram.
+ * Se a cópia falhar, o anexo fica com o link original.
+ * @param {import('discord.js').Collection<string, import('discord.js').Attachment>} attachments
+ * @returns {Promise<{url: string, name: string, contentType: string|null, size: number}[]>}
+ */
+async function copyDiscordAttachments(attachments) {
+    return Promise.all(attachments.map(async (attachment) => {
+        let url = attachment.url;
+        try {
+            url = await copyRemoteFile(attachment.url, { folder: CHAT_ATTACHMENTS_FOLDER });
+        } catch (error) {
+            console.error(`Erro ao copiar o anexo ${attachment.name} do Discord:`, error);
+        }
+        return { url, name: attachment.name, contentType: attachment.contentType, size: attachment.size };
+    }));
+}
+
 // Evento para o comando !addstock
 client.on(Events.MessageCreate, async (message) => {
     if (message.author.bot) return;
@@ -701,27 +2425,25 @@ client.on(Events.MessageCreate, async (message) => {
     const normalizedMessage = message.content.toLowerCase().replace(/[\s\.\-\_]/g, '');
 
     // --- PONTE DE CHAT (DISCORD -> SITE) ---
-    if (message.channel.topic && message.channel.topic.startsWith('Chat do Pedido do Site')) {
-        // Ignora mensagens do próprio bot para evitar loops
-        if (message.author.bot) return;
-
-        const topic = message.channel.topic;
-        const orderIdMatch = topic.match(/OrderID: (\S+)/);
-        const userIdMatch = topic.match(/UserID: (\d+)/);
-
-        if (orderIdMatch) {
-            const orderId = orderIdMatch[1];
-                const newMessage = {
-                    author: 'staff', // Mensagens do Discord são sempre de 'staff'
-                    content: message.content,
-                    timestamp: new Date().toISOString()
-                };
-            await addMessageToOrder(orderId, newMessage);
-
-                // Emite a mensagem para o chat do site via Socket.IO
-                const { io } = require('./server.js');
-                io.to(orderId).emit('new_message_from_server', newMessage);
+    // Canais de chat (pedidos do site), pagamento e entrega (tickets) estão ligados a um pedido pelo ID do canal
+    const isOrderChannel = /^(chat|pagamento|entrega)-/.test(message.channel.name || '');
+    const channelOrder = isOrderChannel ? await findOrderByChannelId(message.channel.id) : null;
+    let storedAttachments = [];
+    if (channelOrder && (message.content || message.attachments.size > 0)) {
+        const newMessage = {
+            author: message.author.id === channelOrder.userId ? 'user' : 'staff',
+            content: message.content,
+            timestamp: new Date().toISOString()
+        };
+        if (message.attachments.size > 0) {
+            storedAttachments = await copyDiscordAttachments(message.attachments);
+            newMessage.attachments = storedAttachments;
         }
+        await addMessageToOrder(channelOrder.id, newMessage);
+
+        // Emite a mensagem para o chat do site via Socket.IO
+        const { io } = require('./server.js');
+        io.to(channelOrder.id).emit('new_message_from_server', signMessageAttachments(newMessage));
     }
 
     const hasProfanity = [...profanitySet].some(word => normalizedMessage.includes(word));
@@ -739,9 +2461,18 @@ client.on(Events.MessageCreate, async (message) => {
             // 2. Silencia o membro por 1 dia (24 horas)
             if (message.member && message.member.moderatable) {
                 await message.member.timeout(24 * 60 * 60 * 1000, 'Uso de linguagem imprópria.');
-                await logAuditEvent(`MODERAÇÃO: Usuário ${message.author.tag} (ID: ${message.author.id}) foi silenciado por 24h por uso de linguagem imprópria na mensagem: "${message.content}"`);
+                await logAuditEvent(`MODERAÇÃO: Usuário ${message.author.tag} (ID: ${message.author.id}) foi silenciado por 24h por uso de linguagem imprópria na mensagem: "${message.content}"`, {
+                    action: 'moderation.mute',
+                    entityType: 'user',
+                    entityId: message.author.id,
+                    payload: { channelId: message.channel.id, content: message.content },
+                });
             } else {
-                await logAuditEvent(`MODERAÇÃO: Não foi possível silenciar ${message.author.tag} (permissões insuficientes ou membro não moderável).`);
+                await logAuditEvent(`MODERAÇÃO: Não foi possível silenciar ${message.author.tag} (permissões insuficientes ou membro não moderável).`, {
+                    action: 'moderation.mute_failed',
+                    entityType: 'user',
+                    entityId: message.author.id,
+                });
             }
 
             // 3. Deleta a mensagem ofensiva
@@ -753,33 +2484,62 @@ client.on(Events.MessageCreate, async (message) => {
 
     // Detecta envio de comprovante em canais de pagamento
     if (message.channel.name.startsWith('pagamento-') && message.attachments.size > 0) {
-        const topic = message.channel.topic;
-        if (!topic) return;
-
-        const userIdMatch = topic.match(/User: (\d+)/);
-        const productIdMatch = topic.match(/ProductID: (\S+)/);
-        if (!userIdMatch || !productIdMatch) return;
+        if (!channelOrder) return;
+        if (channelOrder.status !== 'pending_approval' && !canTransition(channelOrder.status, 'pending_approval')) {
+            await message.reply(`Este pedido está "${statusLabel(channelOrder.status)}" e não aceita mais comprovantes.`).catch(console.error);
+            return;
+        }
+        if (await receiptAttemptsLeft(channelOrder.id) === 0) {
+            await message.reply(`❌ Você já enviou ${MAX_RECEIPT_ATTEMPTS} comprovantes para este pedido. Aguarde a análise ou contate o suporte.`).catch(console.error);
+            return;
+        }
 
-        const userId = userIdMatch[1]; // O ID do usuário que está comprando
-        const productId = productIdMatch[1];
-        const product = await getProductById(productId);
+        const product = await getProductById(channelOrder.productId);
+        const attachment = message.attachments.first();
+        // Usa a cópia guardada pela ponte do chat, que não expira como o link do Discord
+        const receiptUrl = storedAttachments[0]?.url || attachment.url;
+        // O arquivo é baixado para calcular as impressões digitais e achar comprovantes repetidos,
+        // com o mesmo limite de tamanho dos comprovantes enviados pelo site
+        const buffer = await fetch(attachment.url, { size: RECEIPT_UPLOAD_RULES.maxBytes })
+            .then(response => (response.ok ? response.buffer() : null))
+            .catch(error => {
+                console.error(`Erro ao baixar o comprovante do canal ${message.channel.name}:`, error);
+                return null;
+            });
+        const receipt = await recordOrderReceipt({
+            order: channelOrder,
+            url: receiptUrl,
+            source: 'ticket',
+            submittedBy: message.author.tag,
+            buffer,
+            mimetype: attachment.contentType,
+        });
 
         await message.reply(`✅ Comprovante recebido! Nossa equipe administrativa irá analisá-lo em breve.`).catch(console.error);
+        if (canTransition(channelOrder.status, 'pending_approval')) {
+            await changeOrderStatus(channelOrder.id, 'pending_approval', { receiptUrl }, { actor: message.author.tag, reason: 'Comprovante enviado no ticket' });
+        }
+        // A reserva não expira enquanto o comprovante estiver em análise
+        await setReservationExpiry({ orderId: channelOrder.id }, null);
 
         // Usa a nova função unificada para enviar a DM de verificação
         await sendProofForVerification({
             details: {
                 title: 'Verificação de Ticket',
                 userTag: message.author.tag,
-                productName: product?.name || 'Desconhecido',
-                productPrice: product?.price || 'N/A',
-                imageUrl: message.attachments.first().url
+                productName: product?.name || channelOrder.productName,
+                productPrice: channelOrder.totalAmount ?? product?.price ?? 'N/A',
+                couponCode: channelOrder.couponCode,
+                discountAmount: channelOrder.discountAmount,
+                imageUrl: receiptUrl,
+                duplicateOrderIds: [...new Set(receipt.duplicateMatches.map(match => match.orderId))]
             },
             context: {
                 type: 'ticket',
+                orderId: channelOrder.id,
                 channelId: message.channel.id,
-                userId: userId,
-                productId: productId
+                userId: channelOrder.userId,
+                productId: channelOrder.productId
             }
         });
         return;
@@ -799,15 +2559,41 @@ client.on(Events.MessageCreate, async (message) => {
             return message.reply('❌ Você não tem permissão para usar este comando.');
         }
 
-        // Formato: !addstock [nome do item] | [preço] | [estoque] | [emoji]
+        // Formato: !addstock variante [ID do produto] | [nome da variação] | [preço] | [estoque]
+        if (args[0]?.toLowerCase() === 'variante') {
+            const [productId, ...variantParts] = args.slice(1).join(' ').split('|').map(p => p.trim());
+            const variant = parseVariantLine(variantParts.join('|'));
+            if (!productId || !variant) {
+                return message.reply('⚠️ **Uso incorreto!** O formato é: `!addstock variante [ID do produto] | [nome] | [preço] | [estoque]`\nExemplo: `!addstock variante NE12345 | 30 dias | 19.90 | 10`');
+            }
+            const product = await getProductById(productId);
+            if (!product) {
+                return message.reply(`❌ Nenhum produto encontrado com o ID \`${productId}\`.`);
+            }
+            if (product.variants.some(existing => existing.name.toLowerCase() === variant.name.toLowerCase())) {
+                return message.reply(`⚠️ O produto **${product.name}** já tem uma variação chamada **${variant.name}**. Use \`/edit\` para alterá-la.`);
+            }
+            await addProductVariant(productId, variant);
+            await logAuditEvent(`ADMIN: ${message.author.tag} (ID: ${message.author.id}) criou a variação "${variant.name}" do produto "${product.name}" (ID: ${productId}) com estoque ${variant.stock} e preço R$ ${variant.price}.`, {
+                action: 'product.update',
+                actor: { id: message.author.id, name: message.author.tag },
+                entityType: 'product',
+                entityId: productId,
+                payload: { variant },
+            });
+            await message.reply(`✅ Variação **${variant.name}** adicionada a **${product.name}** com preço R$ ${variant.price}.`);
+            return updateShoppingPanels(); // Atualiza os painéis fixos
+        }
+
+        // Formato: !addstock [nome do item] | [preço] | [estoque] | [emoji] | [categoria] | [link da imagem]
         const parts = args.join(' ').split('|').map(p => p.trim());
-        const [name, priceStr, stockStr, emoji] = parts;
+        const [name, priceStr, stockStr, emoji, category, imageUrl] = parts;
 
         const price = parseFloat(priceStr);
         const stock = parseInt(stockStr, 10);
 
-        if (parts.length < 3 || !name || isNaN(price) || price <= 0 || isNaN(stock)) {
-            return message.reply('⚠️ **Uso incorreto!** O formato é: `!addstock [nome] | [preço] | [estoque] | [emoji opcional]`\nExemplo: `!addstock Chave Misteriosa | 15.50 | 50 | 🔑`');
+        if (parts.length < 3 || !name || isNaN(price) || price <= 0 || isNaN(stock) || (category && category.length > CATALOG_NAME_MAX_LENGTH) || (imageUrl && !isValidImageUrl(imageUrl))) {
+            return message.reply('⚠️ **Uso incorreto!** O formato é: `!addstock [nome] | [preço] | [estoque] | [emoji opcional] | [categoria opcional] | [link da imagem opcional]`\nExemplo: `!addstock Chave Misteriosa | 15.50 | 50 | 🔑 | Jogos | https://exemplo.com/chave.png`\nPara variações: `!addstock variante [ID do produto] | [nome] | [preço] | [estoque]`');
         }
 
         const productId = `${name.substring(0, 2).toUpperCase()}${Date.now().toString().slice(-5)}`;
@@ -817,11 +2603,45 @@ client.on(Events.MessageCreate, async (message) => {
             price: price.toFixed(2),
             description: `Produto adicionado por ${message.author.tag}`,
             emoji: emoji || '📦',
-            stock: stock
+            stock: stock,
+            category: category || null,
+            imageUrl: imageUrl || null
+        });
+        await logAuditEvent(`ADMIN: ${message.author.tag} (ID: ${message.author.id}) adicionou o produto "${name}" (ID: ${productId}) com estoque ${stock} e preço R$ ${price.toFixed(2)}.`, {
+            action: 'product.create',
+            actor: { id: message.author.id, name: message.author.tag },
+            entityType: 'product',
+            entityId: productId,
+            payload: { name, price: price.toFixed(2), stock, category: category || null, imageUrl: imageUrl || null },
         });
-        await logAuditEvent(`ADMIN: ${message.author.tag} (ID: ${message.author.id}) adicionou o produto "${name}" (ID: ${productId}) com estoque ${stock} e preço R$ ${price.toFixed(2)}.`);
-        await message.reply(`✅ Produto **${name}** adicionado ao estoque com o ID \`${productId}\` e preço R$ ${price.toFixed(2)}.`);
-        await updateFixedShoppingPanel(); // Atualiza o painel fixo
+        await message.reply(`✅ Produto **${name}** adicionado ao estoque com o ID \`${productId}\` e preço R$ ${price.toFixed(2)}${category ? ` na categoria **${category}**` : ''}.`);
+        await updateShoppingPanels(); // Atualiza os painéis fixos
+    }
+});
+
+// Painéis de compras apagados no Discord deixam de ser atualizados
+client.on(Events.MessageDelete, async (message) => {
+    try {
+        const panel = await getShoppingPanelByMessageId(message.id);
+        if (panel) await removeShoppingPanel(panel, 'mensagem deletada');
+    } catch (error) {
+        console.error('Erro ao remover painel de compras deletado:', error);
+    }
+});
+
+client.on(Events.ChannelDelete, async (channel) => {
+    try {
+        const panels = await deleteShoppingPanelsByChannel(channel.id);
+        if (panels.length > 0) {
+            await logAuditEvent(`${panels.length} painel(is) de compras removido(s): canal ${channel.name} deletado.`, {
+                action: 'panel.remove',
+                entityType: 'channel',
+                entityId: channel.id,
+                payload: { panelIds: panels.map(panel => panel.id), reason: 'canal deletado' },
+            });
+        }
+    } catch (error) {
+        console.error('Erro ao remover painéis de um canal deletado:', error);
     }
 });
 
@@ -842,6 +2662,18 @@ module.exports = {
     SITE_URL, // <- Adicionado para uso no server.js
     ADMIN_ROLE_ID,
     sendProofForVerification, // <- Exporta a nova função
-    processVerificationAction // <- Exporta a função de processamento
+    processVerificationAction, // <- Exporta a função de processamento
+    openPixCharge,
+    processPixPayment,
+    isGuildAdmin,
+    logAuditEvent,
+    updateShoppingPanels,
+    changeOrderStatus,
+    applyCouponToOrder,
+    orderPaymentContext,
+    STOCK_RESERVATION_MINUTES,
+    MAX_RECEIPT_ATTEMPTS,
+    receiptAttemptsLeft,
+    recordOrderReceipt,
     // A nova função sendDeliveryNotification não precisa ser exportada, pois é chamada internamente.
 };
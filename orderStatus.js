@@ -0,0 +1,80 @@
+// orderStatus.js
+// Máquina de estados dos pedidos: define os status válidos e quais mudanças são permitidas.
+
+const ORDER_STATUSES = ['analise', 'pending_approval', 'approved', 'declined', 'entregue', 'expired', 'cancelled', 'refunded'];
+
+// Para cada status, os status para os quais o pedido pode ir. Status finais não têm saída.
+const ORDER_TRANSITIONS = {
+    analise: ['pending_approval', 'approved', 'expired', 'cancelled'], // Comprovante enviado, Pix confirmado ou reserva vencida
+    pending_approval: ['approved', 'declined', 'analise', 'cancelled'], // 'analise' de novo: comprovante do ticket recusado, aguardando outro
+    approved: ['entregue', 'cancelled', 'refunded'],
+    declined: [],
+    entregue: ['refunded'], // Depois da entrega só cabe reembolso
+    expired: [],
+    cancelled: [],
+    refunded: [],
+};
+
+// Nomes exibidos no site e no Discord
+const STATUS_LABELS = {
+    analise: 'Aguardando pagamento',
+    pending_approval: 'Comprovante em análise',
+    approved: 'Aprovado',
+    declined: 'Recusado',
+    entregue: 'Entregue',
+    expired: 'Expirado',
+    cancelled: 'Cancelado',
+    refunded: 'Reembolsado',
+};
+
+// Situação de cada comprovante no histórico do pedido
+const RECEIPT_STATUS_LABELS = {
+    pending: 'Em análise',
+    approved: 'Aprovado',
+    rejected: 'Recusado',
+};
+
+class InvalidStatusTransitionError extends Error {
+    constructor(orderId, fromStatus, toStatus) {
+        super(`O pedido ${orderId} não pode ir de '${fromStatus}' para '${toStatus}'.`);
+        this.name = 'InvalidStatusTransitionError';
+        this.orderId = orderId;
+        this.fromStatus = fromStatus;
+        this.toStatus = toStatus;
+    }
+}
+
+/**
+ * Indica se um pedido pode mudar de um status para outro.
+ * @param {string} fromStatus O status atual.
+ * @param {string} toStatus O novo status.
+ * @returns {boolean}
+ */
+function canTransition(fromStatus, toStatus) {
+    return (ORDER_TRANSITIONS[fromStatus] || []).includes(toStatus);
+}
+
+/**
+ * @param {string} status
+ * @returns {string} O nome do status para exibição.
+ */
+function statusLabel(status) {
+    return STATUS_LABELS[status] || status || 'Desconhecido';
+}
+
+/**
+ * @param {string} status
+ * @returns {string} O nome da situação de um comprovante para exibição.
+ */
+function receiptStatusLabel(status) {
+    return RECEIPT_STATUS_LABELS[status] || status;
+}
+
+module.exports = {
+    ORDER_STATUSES,
+    ORDER_TRANSITIONS,
+    InvalidStatusTransitionError,
+    canTransition,
+    statusLabel,
+    receiptStatusLabel,
+};
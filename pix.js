@@ -0,0 +1,117 @@
+// pix.js
+const QRCode = require('qrcode');
+require('dotenv').config();
+
+// Dados do recebedor exibidos no app do banco de quem paga
+const PIX_KEY = process.env.PIX_KEY;
+const PIX_MERCHANT_NAME = process.env.PIX_MERCHANT_NAME || 'Jyl Store';
+const PIX_MERCHANT_CITY = process.env.PIX_MERCHANT_CITY || 'Sao Paulo';
+
+/**
+ * Indica se a chave Pix da loja está configurada. Sem ela não há como gerar o Pix estático.
+ * @returns {boolean}
+ */
+function isPixConfigured() {
+    return Boolean(PIX_KEY);
+}
+
+/**
+ * Monta um campo EMV no formato ID + tamanho (2 dígitos) + valor.
+ * @param {string} id
+ * @param {string} value
+ * @returns {string}
+ */
+function emvField(id, value) {
+    return `${id}${String(value.length).padStart(2, '0')}${value}`;
+}
+
+/**
+ * Remove acentos e caracteres fora do ASCII, que não são aceitos por todos os bancos.
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function sanitize(text, maxLength) {
+    return text.normalize('NFD').replace(/[^\x20-\x7E]/g, '').trim().slice(0, maxLength);
+}
+
+/**
+ * Calcula o CRC16-CCITT (polinômio 0x1021, valor inicial 0xFFFF) exigido pelo BR Code.
+ * @param {string} payload
+ * @returns {string} O CRC em 4 dígitos hexadecimais maiúsculos.
+ */
+function crc16(payload) {
+    let crc = 0xFFFF;
+    for (let i = 0; i < payload.length; i++) {
+        crc ^= payload.charCodeAt(i) << 8;
+        for (let bit = 0; bit < 8; bit++) {
+            crc = (crc & 0x8000) ? ((crc << 1) ^ 0x1021) : (crc << 1);
+            crc &= 0xFFFF;
+        }
+    }
+    return crc.toString(16).toUpperCase().padStart(4, '0');
+}
+
+/**
+ * Converte um ID de pedido em um txid aceito pelo Pix estático (até 25 caracteres alfanuméricos).
+ * @param {string} orderId
+ * @returns {string}
+ */
+function toStaticTxid(orderId) {
+    return orderId.replace(/[^a-zA-Z0-9]/g, '').slice(0, 25) || '***';
+}
+
+/**
+ * Gera o payload "copia e cola" de um Pix estático (BR Code / EMV MPM) com valor fixo.
+ * @param {object} paymentData
+ * @param {number} paymentData.amount O valor exato do pedido.
+ * @param {string} paymentData.txid O ID do pedido, usado como identificador da transação.
+ * @param {string} [paymentData.key] A chave Pix do recebedor (padrão: PIX_KEY).
+ * @param {string} [paymentData.merchantName] Nome do recebedor (padrão: PIX_MERCHANT_NAME).
+ * @param {string} [paymentData.merchantCity] Cidade do recebedor (padrão: PIX_MERCHANT_CITY).
+ * @returns {string}
+ */
+function buildPixPayload({ amount, txid, key = PIX_KEY, merchantName = PIX_MERCHANT_NAME, merchantCity = PIX_MERCHANT_CITY }) {
+    const merchantAccount = emvField('00', 'br.gov.bcb.pix') + emvField('01', key);
+
+    const payload = [
+        emvField('00', '01'), // Payload Format Indicator
+        emvField('26', merchantAccount),
+        emvField('52', '0000'), // Merchant Category Code
+        emvField('53', '986'), // Moeda: BRL
+        emvField('54', parseFloat(amount).toFixed(2)),
+        emvField('58', 'BR'),
+        emvField('59', sanitize(merchantName, 25)),
+        emvField('60', sanitize(merchantCity, 15)),
+        emvField('62', emvField('05', toStaticTxid(txid))),
+        '6304', // O CRC é calculado sobre todo o payload, incluindo este cabeçalho
+    ].join('');
+
+    return payload + crc16(payload);
+}
+
+/**
+ * Gera a imagem do QR Code como data URI, para exibir no site.
+ * @param {string} payload
+ * @returns {Promise<string>}
+ */
+function pixQrCodeDataUrl(payload) {
+    return QRCode.toDataURL(payload, { margin: 1, width: 280 });
+}
+
+/**
+ * Gera a imagem do QR Code em PNG, para anexar em mensagens do Discord.
+ * @param {string} payload
+ * @returns {Promise<Buffer>}
+ */
+function pixQrCodeBuffer(payload) {
+    return QRCode.toBuffer(payload, { margin: 1, width: 280 });
+}
+
+module.exports = {
+    isPixConfigured,
+    crc16,
+    buildPixPayload,
+    pixQrCodeDataUrl,
+    pixQrCodeBuffer,
+};
@@ -0,0 +1,171 @@
+// receiptHash.js
+// Impressões digitais dos comprovantes, para achar o mesmo comprovante usado em mais de um pedido.
+// O hash do conteúdo pega cópias idênticas; o hash perceptual (dHash) pega a mesma imagem recomprimida,
+// redimensionada ou com pequenas edições.
+const crypto = require('crypto');
+const jpeg = require('jpeg-js');
+const { PNG } = require('pngjs');
+
+// Até quantos bits de diferença entre os hashes perceptuais duas imagens são consideradas a mesma
+const PERCEPTUAL_HASH_MAX_DISTANCE = 6;
+
+// Hashes com menos bits ligados (ou desligados) que isso vêm de imagens quase lisas e não servem para comparar
+const PERCEPTUAL_HASH_MIN_BITS = 4;
+
+// Limite de memória para decodificar um JPEG (evita imagens que explodem ao serem abertas)
+const JPEG_MAX_MEMORY_MB = 256;
+
+// Imagens maiores que isso (em pixels) não são decodificadas: um arquivo pequeno pode declarar dimensões
+// enormes e ocupar gigabytes ao ser aberto. Elas ficam só com o hash do conteúdo.
+const MAX_IMAGE_PIXELS = 25 * 1000 * 1000;
+
+/**
+ * Lê a largura e a altura declaradas no cabeçalho de um PNG (IHDR) ou JPEG (SOF), sem decodificar a imagem.
+ * @param {Buffer} buffer
+ * @param {string} mimetype
+ * @returns {{width: number, height: number}|null} null se o cabeçalho não for encontrado.
+ */
+function readImageDimensions(buffer, mimetype) {
+    if (mimetype === 'image/png') {
+        if (buffer.length < 24 || buffer.toString('latin1', 12, 16) !== 'IHDR') return null;
+        return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+    }
+    if (mimetype === 'image/jpeg') {
+        let offset = 2;
+        while (offset + 9 <= buffer.length) {
+            if (buffer[offset] !== 0xFF) return null;
+            const marker = buffer[offset + 1];
+            // SOF0 a SOF15, menos DHT (C4), JPG (C8) e DAC (CC), que usam a mesma faixa
+            if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + buffer.readUInt16BE(offset + 2);
+        }
+    }
+    return null;
+}
+
+/**
+ * Decodifica uma imagem PNG ou JPEG em pixels RGBA.
+ * @param {Buffer} buffer
+ * @param {string} mimetype
+ * @returns {{width: number, height: number, data: Buffer}|null} null para outros formatos, arquivos inválidos
+ * ou imagens acima de MAX_IMAGE_PIXELS.
+ */
+function decodeImage(buffer, mimetype) {
+    try {
+        if (mimetype !== 'image/png' && mimetype !== 'image/jpeg') return null;
+        const dimensions = readImageDimensions(buffer, mimetype);
+        if (!dimensions) return null;
+        if (dimensions.width * dimensions.height > MAX_IMAGE_PIXELS) {
+            console.warn(`Imagem de ${dimensions.width}x${dimensions.height} ignorada no hash perceptual (limite de ${MAX_IMAGE_PIXELS} pixels).`);
+            return null;
+        }
+        if (mimetype === 'image/png') return PNG.sync.read(buffer);
+        return jpeg.decode(buffer, { useTArray: true, maxMemoryUsageInMB: JPEG_MAX_MEMORY_MB, maxResolutionInMP: MAX_IMAGE_PIXELS / 1000000 });
+    } catch (error) {
+        console.error(`Não foi possível decodificar a imagem (${mimetype}) para o hash perceptual:`, error.message);
+    }
+    return null;
+}
+
+/**
+ * Calcula o dHash de 64 bits: a imagem é reduzida para 9x8 em tons de cinza e cada bit diz se um
+ * pixel é mais claro que o vizinho da direita.
+ * @param {{width: number, height: number, data: Buffer}} image
+ * @returns {string} 16 caracteres hexadecimais.
+ */
+function differenceHash({ width, height, data }) {
+    const columns = 9;
+    const rows = 8;
+    const gray = [];
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns; column++) {
+            // Média da área da imagem original que vira este pixel
+            const x0 = Math.floor(column * width / columns);
+            const x1 = Math.max(x0 + 1, Math.floor((column + 1) * width / columns));
+            const y0 = Math.floor(row * height / rows);
+            const y1 = Math.max(y0 + 1, Math.floor((row + 1) * height / rows));
+            let sum = 0;
+            let count = 0;
+            for (let y = y0; y < y1; y++) {
+                for (let x = x0; x < x1; x++) {
+                    const i = (y * width + x) * 4;
+                    sum += 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+                    count++;
+                }
+            }
+            gray.push(sum / count);
+        }
+    }
+
+    let hash = 0n;
+    for (let row = 0; row < rows; row++) {
+        for (let column = 0; column < columns - 1; column++) {
+            const left = gray[row * columns + column];
+            const right = gray[row * columns + column + 1];
+            hash = (hash << 1n) | (left > right ? 1n : 0n);
+        }
+    }
+    return hash.toString(16).padStart(16, '0');
+}
+
+/**
+ * Calcula as impressões digitais de um comprovante.
+ * @param {Buffer} buffer O conteúdo do arquivo.
+ * @param {string} mimetype
+ * @returns {{contentHash: string, perceptualHash: string|null}} O hash perceptual só existe para PNG e JPEG com conteúdo.
+ */
+function hashReceipt(buffer, mimetype) {
+    const contentHash = crypto.createHash('sha256').update(buffer).digest('hex');
+    const image = decodeImage(buffer, mimetype);
+    let perceptualHash = image && image.width > 0 && image.height > 0 ? differenceHash(image) : null;
+    if (perceptualHash) {
+        const bits = hammingDistance(perceptualHash, '0');
+        if (bits < PERCEPTUAL_HASH_MIN_BITS || bits > 64 - PERCEPTUAL_HASH_MIN_BITS) perceptualHash = null;
+    }
+    return { contentHash, perceptualHash };
+}
+
+/**
+ * @param {string} a Hash perceptual em hexadecimal.
+ * @param {string} b
+ * @returns {number} Quantos bits são diferentes.
+ */
+function hammingDistance(a, b) {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+    while (diff > 0n) {
+        count += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return count;
+}
+
+/**
+ * Compara um comprovante com os de outros pedidos.
+ * @param {{contentHash: string, perceptualHash: string|null}} hashes
+ * @param {object[]} receipts Comprovantes já registrados, com "orderId", contentHash e perceptualHash.
+ * @returns {{receiptId: number, orderId: string, match: 'exact'|'similar', distance: number}[]}
+ */
+function findDuplicateReceipts(hashes, receipts) {
+    const matches = [];
+    for (const receipt of receipts) {
+        if (receipt.contentHash && receipt.contentHash === hashes.contentHash) {
+            matches.push({ receiptId: receipt.id, orderId: receipt.orderId, match: 'exact', distance: 0 });
+        } else if (hashes.perceptualHash && receipt.perceptualHash) {
+            const distance = hammingDistance(hashes.perceptualHash, receipt.perceptualHash);
+            if (distance <= PERCEPTUAL_HASH_MAX_DISTANCE) {
+                matches.push({ receiptId: receipt.id, orderId: receipt.orderId, match: 'similar', distance });
+            }
+        }
+    }
+    return matches.sort((a, b) => a.distance - b.distance);
+}
+
+module.exports = {
+    PERCEPTUAL_HASH_MAX_DISTANCE,
+    hashReceipt,
+    hammingDistance,
+    findDuplicateReceipts,
+};
@@ -0,0 +1,131 @@
+// reports.js
+// Relatórios de vendas do /relatorio e do painel: período, números consolidados e exportação CSV.
+const { getSalesReport, getOrdersForExport } = require('./db.js');
+const { statusLabel } = require('./orderStatus.js');
+
+// Período usado quando nenhuma data é informada
+const DEFAULT_REPORT_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lê uma data no formato AAAA-MM-DD (o valor dos campos de data do navegador) no fuso de Brasília.
+ * @param {string} text
+ * @param {boolean} [endOfDay] Se true, retorna o último instante do dia.
+ * @returns {Date|null} null se o texto não for uma data válida.
+ */
+function parseReportDate(text, endOfDay = false) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(text || '')) return null;
+    const date = new Date(`${text}T${endOfDay ? '23:59:59.999' : '00:00:00'}-03:00`);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Completa o período do relatório: sem fim, vai até agora; sem início, cobre os DEFAULT_REPORT_DAYS anteriores ao fim.
+ * @param {Date|null} from
+ * @param {Date|null} to
+ * @returns {{from: Date, to: Date}}
+ */
+function resolveReportPeriod(from, to) {
+    const end = to || new Date();
+    const start = from || new Date(end.getTime() - DEFAULT_REPORT_DAYS * DAY_MS);
+    return { from: start, to: end };
+}
+
+/**
+ * Busca o relatório do período e calcula a conversão e o ticket médio.
+ * @param {{from: Date, to: Date}} period
+ * @returns {Promise<{period: object, summary: object, statusCounts: object[], topProducts: object[]}>}
+ */
+async function loadSalesReport(period) {
+    const { summary, statusCounts, topProducts } = await getSalesReport(period.from, period.to);
+    return {
+        period,
+        summary: {
+            ...summary,
+            // Pedidos aprovados em algum momento sobre os pedidos criados
+            conversionRate: summary.ordersCount > 0 ? summary.approvedCount / summary.ordersCount : 0,
+            // Pedidos anteriores à gravação do valor (unpricedCount) ficam fora da receita e do ticket médio
+            averageTicket: summary.paidCount > summary.unpricedCount ? summary.revenue / (summary.paidCount - summary.unpricedCount) : 0,
+        },
+        statusCounts,
+        topProducts,
+    };
+}
+
+/**
+ * Formata uma duração em segundos para leitura (ex: "2h 15min").
+ * @param {number|null} seconds
+ * @returns {string}
+ */
+function formatDuration(seconds) {
+    if (seconds === null || seconds === undefined) return '-';
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) return `${minutes}min`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours}h ${minutes % 60}min`;
+    return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} A data no formato DD/MM/AAAA, no fuso de Brasília.
+ */
+function formatReportDate(date) {
+    return date.toLocaleDateString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+}
+
+/**
+ * Escapa um valor para uma célula CSV. Textos que começam como fórmula (ex: nomes de usuário) ganham um apóstrofo.
+ * O ';' também vai entre aspas: é o separador que o Excel em português usa ao abrir o arquivo.
+ */
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",;\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exporta os pedidos do período em CSV. O BOM no início faz o Excel ler os acentos corretamente.
+ * @param {{from: Date, to: Date}} period
+ * @returns {Promise<string>}
+ */
+async function buildOrdersCsv(period) {
+    const orders = await getOrdersForExport(period.from, period.to);
+    const header = ['pedido', 'criado_em', 'aprovado_em', 'status', 'origem', 'usuario_id', 'usuario', 'itens', 'cupom', 'desconto', 'total'];
+    const lines = orders.map(order => [
+        order.id,
+        order.createdAt,
+        order.approvedAt,
+        statusLabel(order.status),
+        order.source,
+        order.userId,
+        order.username,
+        order.productName,
+        order.couponCode,
+        order.discountAmount,
+        order.totalAmount,
+    ].map(csvCell).join(','));
+    return `\uFEFF${[header.join(','), ...lines].join('\r\n')}\r\n`;
+}
+
+/**
+ * Nome do arquivo CSV de um período (ex: "pedidos_2026-09-18_2026-10-18.csv").
+ * @param {{from: Date, to: Date}} period
+ */
+function csvFileName(period) {
+    const day = (date) => date.toLocaleDateString('sv-SE', { timeZone: 'America/Sao_Paulo' }); // AAAA-MM-DD
+    return `pedidos_${day(period.from)}_${day(period.to)}.csv`;
+}
+
+module.exports = {
+    DEFAULT_REPORT_DAYS,
+    parseReportDate,
+    resolveReportPeriod,
+    loadSalesReport,
+    formatDuration,
+    formatReportDate,
+    buildOrdersCsv,
+    csvFileName,
+};
@@ -0,0 +1,143 @@
+// s3.js
+// Cliente mínimo para armazenamento compatível com S3 (AWS S3, MinIO, Cloudflare R2...): envio de arquivos
+// e links de download assinados com validade, usando a assinatura AWS Signature Version 4.
+const crypto = require('crypto');
+const fetch = require('node-fetch');
+
+// Validade máxima aceita pelo S3 para um link assinado
+const S3_MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;
+
+class S3RequestError extends Error {
+    constructor(status, body) {
+        super(`O armazenamento S3 respondeu ${status}: ${body.slice(0, 300)}`);
+        this.name = 'S3RequestError';
+        this.status = status;
+    }
+}
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * Codifica um texto como o S3 espera na assinatura (RFC 3986, sem exceções para !'()*).
+ */
+function uriEncode(text) {
+    return encodeURIComponent(text).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+/**
+ * @param {Date} date
+ * @returns {{amzDate: string, shortDate: string}} AAAAMMDDTHHMMSSZ e AAAAMMDD.
+ */
+function amzDates(date) {
+    const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+    return { amzDate, shortDate: amzDate.slice(0, 8) };
+}
+
+/**
+ * Calcula a assinatura de uma requisição.
+ * @param {object} request
+ * @param {string} request.method
+ * @param {URL} request.url Com os parâmetros de query que entram na assinatura.
+ * @param {Object<string, string>} request.headers Cabeçalhos assinados (incluindo host).
+ * @param {string} request.payloadHash
+ * @param {{region: string, accessKeyId: string, secretAccessKey: string}} config
+ * @param {string} amzDate
+ * @returns {string} A assinatura em hexadecimal.
+ */
+function signRequest({ method, url, headers, payloadHash }, config, amzDate) {
+    const shortDate = amzDate.slice(0, 8);
+    const headerNames = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowerHeaders = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()]));
+    const canonicalQuery = [...url.searchParams.entries()]
+        .map(([key, value]) => [uriEncode(key), uriEncode(value)])
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('&');
+    const canonicalPath = url.pathname.split('/').map(segment => uriEncode(decodeURIComponent(segment))).join('/');
+    const canonicalRequest = [
+        method,
+        canonicalPath,
+        canonicalQuery,
+        headerNames.map(name => `${name}:${lowerHeaders[name]}\n`).join(''),
+        headerNames.join(';'),
+        payloadHash,
+    ].join('\n');
+
+    const scope = `${shortDate}/${config.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(
+        (key, part) => hmac(key, part),
+        hmac(hmac(`AWS4${config.secretAccessKey}`, shortDate), config.region),
+    );
+    return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+}
+
+/**
+ * Monta a URL de um objeto. Com forcePathStyle (padrão para MinIO), o bucket vai no caminho; sem ele, no host.
+ * @param {object} config
+ * @param {string} key
+ * @returns {URL}
+ */
+function objectUrl(config, key) {
+    const endpoint = new URL(config.endpoint || `https://s3.${config.region}.amazonaws.com`);
+    const encodedKey = key.split('/').map(uriEncode).join('/');
+    if (config.forcePathStyle) {
+        return new URL(`${endpoint.origin}${endpoint.pathname.replace(/\/$/, '')}/${config.bucket}/${encodedKey}`);
+    }
+    return new URL(`${endpoint.protocol}//${config.bucket}.${endpoint.host}/${encodedKey}`);
+}
+
+/**
+ * Envia um arquivo para o bucket.
+ * @param {object} config Endpoint, região, bucket e credenciais.
+ * @param {string} key O caminho do objeto no bucket.
+ * @param {Buffer} body
+ * @param {string} contentType
+ * @returns {Promise<void>}
+ * @throws {S3RequestError}
+ */
+async function putObject(config, key, body, contentType) {
+    const url = objectUrl(config, key);
+    const { amzDate, shortDate } = amzDates(new Date());
+    const payloadHash = sha256Hex(body);
+    const headers = {
+        host: url.host,
+        'content-type': contentType,
+        'x-amz-content-sha256': payloadHash,
+        'x-amz-date': amzDate,
+    };
+    const signature = signRequest({ method: 'PUT', url, headers, payloadHash }, config, amzDate);
+    const authorization = `AWS4-HMAC-SHA256 Credential=${config.accessKeyId}/${shortDate}/${config.region}/s3/aws4_request, `
+        + `SignedHeaders=${Object.keys(headers).sort().join(';')}, Signature=${signature}`;
+
+    const response = await fetch(url.toString(), { method: 'PUT', headers: { ...headers, authorization }, body });
+    if (!response.ok) throw new S3RequestError(response.status, await response.text());
+}
+
+/**
+ * Gera um link de download assinado para um objeto.
+ * @param {object} config
+ * @param {string} key
+ * @param {number} expiresInSeconds
+ * @param {Date} [now]
+ * @returns {string}
+ */
+function presignGetObject(config, key, expiresInSeconds, now = new Date()) {
+    const url = objectUrl(config, key);
+    const { amzDate, shortDate } = amzDates(now);
+    url.searchParams.set('X-Amz-Algorithm', 'AWS4-HMAC-SHA256');
+    url.searchParams.set('X-Amz-Credential', `${config.accessKeyId}/${shortDate}/${config.region}/s3/aws4_request`);
+    url.searchParams.set('X-Amz-Date', amzDate);
+    url.searchParams.set('X-Amz-Expires', String(Math.min(expiresInSeconds, S3_MAX_PRESIGN_SECONDS)));
+    url.searchParams.set('X-Amz-SignedHeaders', 'host');
+    const signature = signRequest({ method: 'GET', url, headers: { host: url.host }, payloadHash: 'UNSIGNED-PAYLOAD' }, config, amzDate);
+    url.searchParams.set('X-Amz-Signature', signature);
+    return url.toString();
+}
+
+module.exports = {
+    S3RequestError,
+    putObject,
+    presignGetObject,
+};
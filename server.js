@@ -11,17 +11,51 @@ const {
     pool,
     createTables,
     getProducts,
+    getSoldOutProducts,
     getProductById,
     findOrCreateAccount,
     createOrder,
     getOrdersByUserId,
     getOrderById,
-    updateOrderStatus,
-    addMessageToOrder
+    findOrderById,
+    getStatusHistoryForOrders,
+    addMessageToOrder,
+    reserveOrderStock,
+    setReservationExpiry,
+    releaseReservation,
+    getPixChargeByOrderId,
+    getVerificationToken,
+    consumeVerificationToken,
+    releaseVerificationToken,
+    createCancellationRequest,
+    getLatestCancellationRequestsByUser,
+    getOrderReceipts,
+    joinWaitlist,
+    leaveWaitlist,
+    getWaitingProductIds,
+    getWaitlistHolds,
+    getUnreadNotifications,
+    markNotificationsRead
 } = require('./db.js'); // Importa a configuração e a nova função do DB
-const cloudinary = require('cloudinary').v2;
+const { EFI_WEBHOOK_SECRET, isEfiEnabled, configurePixWebhook, isWebhookSecretValid } = require('./efi.js');
+const { isPixConfigured, buildPixPayload, pixQrCodeDataUrl } = require('./pix.js');
+const { CART_MAX_QUANTITY, addToCart, setCartQuantity, loadCart, summarizeItems, loadOrderItems } = require('./cart.js');
+const { groupByCategory, resolvePurchase, startingPrice, hasStock, isProductAvailable } = require('./catalog.js');
+const {
+    RECEIPTS_FOLDER,
+    CHAT_ATTACHMENTS_FOLDER,
+    RECEIPT_UPLOAD_RULES,
+    CHAT_UPLOAD_RULES,
+    UploadValidationError,
+    validateUpload,
+    uploadFile,
+    fileUrl,
+    signMessageAttachments,
+    resolveLocalFile
+} = require('./storage.js');
 // Importa tudo que precisamos do bot, incluindo IDs e o próprio client
-const { client, loginBot, GUILD_ID, DISCORD_CLIENT_ID, DISCORD_CLIENT_SECRET, OWNER_ID, ADMIN_ROLE_ID, SITE_URL, sendProofForVerification } = require('./index.js');
+const { client, loginBot, GUILD_ID, DISCORD_CLIENT_ID, DISCORD_CLIENT_SECRET, OWNER_ID, ADMIN_ROLE_ID, SITE_URL, sendProofForVerification, openPixCharge, processPixPayment, changeOrderStatus, updateShoppingPanels, applyCouponToOrder, orderPaymentContext, logAuditEvent, isGuildAdmin, STOCK_RESERVATION_MINUTES, MAX_RECEIPT_ATTEMPTS, receiptAttemptsLeft, recordOrderReceipt } = require('./index.js');
+const { canTransition, statusLabel, receiptStatusLabel } = require('./orderStatus.js');
 const { ChannelType, PermissionsBitField } = require('discord.js');
 
 const app = express();
@@ -29,34 +63,90 @@ const server = http.createServer(app);
 const io = new Server(server);
 const port = process.env.PORT || 3000;
 
-// Mapa para armazenar tokens de verificação temporários
-const verificationTokens = new Map();
+// Status em que o pedido tem chat com a loja (os finalizados ficam só para leitura)
+const CHAT_STATUSES = ['approved', 'entregue', 'cancelled', 'refunded'];
+// Status em que o chat ainda aceita mensagens
+const CHAT_OPEN_STATUSES = ['approved'];
 
+// Limite de mensagens do chat por usuário (texto pelo socket e anexos pela rota de upload, somados):
+// CHAT_RATE_LIMIT_MESSAGES a cada CHAT_RATE_LIMIT_WINDOW_MS
+const CHAT_RATE_LIMIT_MESSAGES = 5;
+const CHAT_RATE_LIMIT_WINDOW_MS = 10 * 1000;
 
-// --- CONFIGURAÇÕES ---
+// Horários das mensagens recentes de cada usuário no chat, por ID do Discord
+const chatMessageTimes = new Map();
+const CHAT_MESSAGE_MAX_LENGTH = 1000;
 
-// Configura o Cloudinary com as credenciais do ambiente
-cloudinary.config({
-    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-    api_key: process.env.CLOUDINARY_API_KEY,
-    api_secret: process.env.CLOUDINARY_API_SECRET,
-});
 
-// Configura o Multer para usar a memória, em vez de salvar em disco
-const upload = multer({ storage: multer.memoryStorage() });
+// --- CONFIGURAÇÕES ---
+
+// Configura o Multer para usar a memória, em vez de salvar em disco. O tamanho é cortado já no recebimento;
+// o tipo e o conteúdo são conferidos depois, em receiveUpload.
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: RECEIPT_UPLOAD_RULES.maxBytes, files: 1 } });
+const chatUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: CHAT_UPLOAD_RULES.maxBytes, files: 1 } });
+
+/**
+ * Recebe o arquivo de um formulário pelo Multer e confere o tipo, o conteúdo e o tamanho.
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {import('multer').Multer} uploader
+ * @param {string} field O nome do campo do arquivo.
+ * @param {{types: string[], maxBytes: number}} rules
+ * @returns {Promise<object|null>} O arquivo, ou null se nenhum foi enviado.
+ * @throws {UploadValidationError}
+ */
+function receiveUpload(req, res, uploader, field, rules) {
+    return new Promise((resolve, reject) => {
+        uploader.single(field)(req, res, (error) => {
+            if (error) {
+                return reject(new UploadValidationError(error.code === 'LIMIT_FILE_SIZE'
+                    ? `O arquivo passa do limite de ${rules.maxBytes / 1024 / 1024} MB.`
+                    : 'Não foi possível receber o arquivo.'));
+            }
+            if (!req.file) return resolve(null);
+            try {
+                validateUpload(req.file, rules);
+                resolve(req.file);
+            } catch (validationError) {
+                reject(validationError);
+            }
+        });
+    });
+}
 
 
 // --- CONFIGURAÇÃO DO EXPRESS ---
 app.set('view engine', 'ejs');
 app.set('views', path.join(__dirname, 'views'));
 app.use(express.static(path.join(__dirname, 'public')));
-app.use(session({
+app.use(express.urlencoded({ extended: false })); // Formulários das páginas de verificação
+// A mesma sessão é usada pelo Socket.IO do chat
+const sessionMiddleware = session({
     secret: process.env.SESSION_SECRET, // Carrega o segredo da sessão do ambiente
     resave: false,
     // Adicionado para lidar com o SameSite cookie policy
     cookie: { sameSite: 'lax' },
     saveUninitialized: true,
-}));
+});
+app.use(sessionMiddleware);
+
+// --- FUNÇÕES AUXILIARES ---
+
+/**
+ * Monta os dados de pagamento exibidos na página do pedido: o "copia e cola" e o QR Code.
+ * Usa a cobrança da Efí quando existe; caso contrário, gera um Pix estático com o valor e o ID do pedido.
+ * Sem cobrança e sem PIX_KEY configurada, não há Pix: a página mostra só o envio de comprovante.
+ * @param {object} order O pedido.
+ * @param {object} product O produto do pedido.
+ * @param {object|null} pixCharge A cobrança Pix da Efí, se houver.
+ * @returns {Promise<{pixCode: string|null, pixQrCode: string|null}>}
+ */
+async function buildPaymentInfo(order, product, pixCharge) {
+    if (!pixCharge?.pixCopiaECola && !isPixConfigured()) return { pixCode: null, pixQrCode: null };
+    const pixCode = pixCharge?.pixCopiaECola || buildPixPayload({ amount: order.totalAmount ?? product?.price, txid: order.id });
+    const pixQrCode = await pixQrCodeDataUrl(pixCode);
+    return { pixCode, pixQrCode };
+}
 
 // --- ROTAS DO SITE ---
 
@@ -69,16 +159,35 @@ app.get('/', (req, res) => {
     }
 });
 
-// Rota do Dashboard: Mostra os produtos
+// Rota do Dashboard: Mostra os produtos, separados por categoria
 app.get('/dashboard', async (req, res) => {
     if (!req.session.discordUser) return res.redirect('/login');
     try {
         // Substituímos a leitura do arquivo JSON pela chamada ao banco de dados
         const productsObject = await getProducts();
         // O método Object.values() pega apenas os valores do objeto, que é o que precisamos
-        const products = Object.values(productsObject);
-
-        res.render('dashboard', { products, user: req.session.discordUser });
+        const categories = groupByCategory(Object.values(productsObject));
+        const cart = await loadCart(req.session);
+
+        // Produtos esgotados aparecem à parte, com a inscrição na lista de espera
+        const userId = req.session.discordUser.id;
+        const [soldOut, waitingProductIds, waitlistHolds, notifications] = await Promise.all([
+            getSoldOutProducts(), getWaitingProductIds(userId), getWaitlistHolds(userId), getUnreadNotifications(userId)
+        ]);
+
+        res.render('dashboard', {
+            categories,
+            soldOutProducts: Object.values(soldOut),
+            waitingProductIds,
+            waitlistHolds,
+            notifications,
+            startingPrice,
+            hasStock,
+            cart,
+            maxQuantity: CART_MAX_QUANTITY,
+            notice: req.query.aviso || null,
+            user: req.session.discordUser
+        });
     } catch (error) {
         console.error("Erro ao carregar o dashboard:", error);
         res.status(500).send("Erro ao carregar produtos.");
@@ -96,13 +205,62 @@ app.get('/pedidos', async (req, res) => {
     try {
         // Busca os pedidos do usuário diretamente do banco de dados
         const userOrders = await getOrdersByUserId(req.session.discordUser.id);
-        res.render('pedidos', { orders: userOrders, user: req.session.discordUser });
+        const historyByOrder = await getStatusHistoryForOrders(userOrders.map(order => order.id));
+        const cancellationByOrder = await getLatestCancellationRequestsByUser(req.session.discordUser.id);
+        res.render('pedidos', {
+            orders: userOrders,
+            historyByOrder,
+            cancellationByOrder,
+            statusLabel,
+            canRequestCancellation,
+            chatStatuses: CHAT_STATUSES,
+            notice: req.query.aviso || null,
+            user: req.session.discordUser,
+        });
     } catch (error) {
         console.error("Erro ao carregar pedidos:", error);
         res.status(500).send("Erro ao carregar seus pedidos.");
     }
 });
 
+// O comprador pode pedir o cancelamento enquanto a loja ainda pode cancelar ou reembolsar o pedido
+function canRequestCancellation(order) {
+    return canTransition(order.status, 'cancelled') || canTransition(order.status, 'refunded');
+}
+
+app.post('/order/cancel-request/:orderId', async (req, res) => {
+    if (!req.session.discordUser) return res.redirect('/login');
+    const { orderId } = req.params;
+    const reason = (req.body.reason || '').trim().slice(0, 500);
+    const redirectWith = (message) => res.redirect(`/pedidos?aviso=${encodeURIComponent(message)}`);
+
+    try {
+        const order = await getOrderById(orderId, req.session.discordUser.id);
+        if (!order) return res.status(404).send('Pedido não encontrado.');
+        if (!reason) return redirectWith('Conte o motivo do cancelamento.');
+        if (!canRequestCancellation(order)) return redirectWith(`O pedido ${orderId} não pode mais ser cancelado.`);
+
+        const request = await createCancellationRequest({ orderId, userId: order.userId, reason });
+        if (!request) return redirectWith('Já existe um pedido de cancelamento em análise para este pedido.');
+
+        await logAuditEvent(`CANCELAMENTO SOLICITADO: ${req.session.discordUser.username} (${order.userId}) pediu o cancelamento do pedido ${orderId}. Motivo: ${reason}`, {
+            action: 'order.cancellation_requested',
+            actor: { id: order.userId, name: req.session.discordUser.username },
+            entityType: 'order',
+            entityId: orderId,
+            payload: { userId: order.userId, productId: order.productId, status: order.status, reason },
+        });
+        const owner = await client.users.fetch(OWNER_ID).catch(() => null);
+        if (owner) {
+            await owner.send(`📨 Novo pedido de cancelamento do pedido \`${orderId}\` (${order.productName}).\n**Motivo:** ${reason}\nAnalise em ${SITE_URL}/admin/fila`).catch(console.error);
+        }
+        redirectWith('Pedido de cancelamento enviado. Você será avisado pelo Discord.');
+    } catch (error) {
+        console.error(`Erro ao registrar o pedido de cancelamento de ${orderId}:`, error);
+        res.status(500).send('Erro ao enviar o pedido de cancelamento.');
+    }
+});
+
 // Página de login
 app.get('/login', (req, res) => {
     res.render('login', { discord_client_id: DISCORD_CLIENT_ID });
@@ -145,7 +303,10 @@ app.get('/auth/discord/callback', async (req, res) => {
             discriminator: userData.discriminator
         });
         req.session.discordUser = { id: userData.id, username: userData.username, avatar: userData.avatar };
-        res.redirect('/dashboard'); // Redireciona para o dashboard após o login bem-sucedido
+        // Volta para a página que pediu o login (ex: /admin) ou para o dashboard
+        const returnTo = req.session.returnTo || '/dashboard';
+        delete req.session.returnTo;
+        res.redirect(returnTo);
 
     } catch (error) {
         console.error('Erro no fluxo de callback do Discord:', error);
@@ -153,30 +314,80 @@ app.get('/auth/discord/callback', async (req, res) => {
     }
 });
 
-// Rota para INICIAR um pedido (quando o usuário clica em "Comprar")
-app.get('/order/create/:productId', async (req, res) => {
+/**
+ * Cria um pedido do site com um ou mais itens: reserva o estoque de todos os itens, grava o pedido,
+ * aplica o cupom (se houver) e abre a cobrança Pix.
+ * @param {object} discordUser O usuário logado (req.session.discordUser).
+ * @param {Array<{productId: string, productName: string, quantity: number, unitPrice: number}>} items
+ * @param {string} [couponCode]
+ * @returns {Promise<{order: object, pixCharge: object|null, couponResult: object|null}|null>} null se faltar estoque.
+ */
+async function createSiteOrder(discordUser, items, couponCode) {
+    const orderId = `order-site-${Date.now()}`;
+
+    // Reserva todas as unidades antes de abrir o pedido; sem estoque, não há pedido
+    const reservations = await reserveOrderStock(orderId, items, STOCK_RESERVATION_MINUTES, discordUser.id);
+    if (!reservations) return null;
+    updateShoppingPanels().catch(console.error);
+
+    const newOrder = {
+        id: orderId,
+        userId: discordUser.id,
+        productId: items[0].productId, // Produto principal, usado onde o pedido aparece como um só item
+        productName: summarizeItems(items),
+        status: 'analise', // Aguardando envio do comprovante
+        createdAt: new Date().toISOString(),
+        messages: [], // Adiciona um array para o histórico de mensagens
+        totalAmount: items.reduce((sum, item) => sum + item.quantity * item.unitPrice, 0).toFixed(2),
+        items
+    };
+
+    let order;
+    try {
+        order = await createOrder(newOrder, { actor: discordUser.username, reason: 'Pedido criado pelo site' });
+    } catch (error) {
+        await releaseReservation({ orderId });
+        throw error;
+    }
+
+    // Cupom digitado na compra. Se for recusado, o pedido segue com o preço cheio e o motivo aparece na página.
+    let couponResult = null;
+    if (couponCode) {
+        couponResult = await applyCouponToOrder(orderId, couponCode, discordUser.username);
+        if (couponResult.success) order = couponResult.order;
+    }
+
+    // Cria a cobrança Pix automática; se falhar, o comprovante manual continua disponível
+    const pixCharge = await openPixCharge({
+        reference: orderId,
+        amount: order.totalAmount,
+        description: `Jyl Store - ${order.productName}`,
+        context: orderPaymentContext(order)
+    });
+
+    return { order, pixCharge, couponResult };
+}
+
+// Rota para INICIAR um pedido de um único produto (quando o usuário clica em "Comprar agora").
+// É um POST porque reserva estoque e aplica o cupom: um link pré-carregado ou repetido não pode criar pedidos.
+// Produtos com variações recebem a escolhida em variantId.
+app.post('/order/create/:productId', async (req, res) => {
     if (!req.session.discordUser) return res.redirect('/login');
     try {
         const productId = req.params.productId;
         const productData = await getProductById(productId);
 
         if (!productData) return res.status(404).send("Produto não encontrado.");
+        const purchase = resolvePurchase(productData, req.body.variantId);
+        if (!purchase) return res.status(400).send("Escolha uma das opções do produto.");
 
-        const orderId = `order-site-${Date.now()}`;
-        
-        const newOrder = {
-            id: orderId,
-            userId: req.session.discordUser.id,
-            productId: product.id,
-            productName: product.name,
-            status: 'analise', // Aguardando envio do comprovante
-            createdAt: new Date().toISOString(),
-            messages: [] // Adiciona um array para o histórico de mensagens
-        };
-
-        await createOrder(newOrder);
+        const items = [{ productId: productData.id, variantId: purchase.variant?.id || null, productName: purchase.name, quantity: 1, unitPrice: purchase.price }];
+        const result = await createSiteOrder(req.session.discordUser, items, req.body.cupom);
+        if (!result) return res.status(409).send("Desculpe, este produto está esgotado.");
 
-        res.render('awaiting-payment', { product: productData, order: newOrder });
+        const { order, couponResult } = result;
+        const couponParam = couponResult ? `?${couponResult.success ? 'cupomAplicado' : 'erroCupom'}=${encodeURIComponent(couponResult.message)}` : '';
+        res.redirect(`/order/awaiting-payment/${order.id}${couponParam}`);
 
     } catch (error) {
         console.error("Erro ao criar pedido:", error);
@@ -184,40 +395,217 @@ app.get('/order/create/:productId', async (req, res) => {
     }
 });
 
+// --- LISTA DE ESPERA E AVISOS ---
+
+// Entra na lista de espera de um produto esgotado
+app.post('/lista-de-espera/:productId', async (req, res) => {
+    if (!req.session.discordUser) return res.redirect('/login');
+    const { id: userId, username } = req.session.discordUser;
+    try {
+        const product = await getProductById(req.params.productId);
+        if (!product) return res.status(404).send('Produto não encontrado.');
+        // A lista de espera é só para produtos esgotados; com estoque, a compra é direta
+        if (isProductAvailable(product)) {
+            return res.redirect(`/dashboard?aviso=${encodeURIComponent(`${product.name} está disponível para compra.`)}`);
+        }
+
+        const { created } = await joinWaitlist(product.id, userId, 'site');
+        if (created) {
+            await logAuditEvent(`LISTA DE ESPERA: ${username} (ID: ${userId}) entrou na lista de espera do produto "${product.name}" (ID: ${product.id}) pelo site.`, {
+                action: 'waitlist.join',
+                actor: { id: userId, name: username },
+                entityType: 'product',
+                entityId: product.id,
+                payload: { source: 'site' },
+            });
+        }
+        res.redirect(`/dashboard?aviso=${encodeURIComponent(`Você será avisado quando ${product.name} voltar ao estoque.`)}`);
+    } catch (error) {
+        console.error('Erro ao entrar na lista de espera:', error);
+        res.status(500).send('Erro ao entrar na lista de espera.');
+    }
+});
+
+app.post('/lista-de-espera/:productId/sair', async (req, res) => {
+    if (!req.session.discordUser) return res.redirect('/login');
+    try {
+        await leaveWaitlist(req.params.productId, req.session.discordUser.id);
+        res.redirect(`/dashboard?aviso=${encodeURIComponent('Você saiu da lista de espera.')}`);
+    } catch (error) {
+        console.error('Erro ao sair da lista de espera:', error);
+        res.status(500).send('Erro ao sair da lista de espera.');
+    }
+});
+
+// Marca os avisos do usuário como lidos
+app.post('/avisos/lidos', async (req, res) => {
+    if (!req.session.discordUser) return res.redirect('/login');
+    await markNotificationsRead(req.session.discordUser.id).catch(error => console.error('Erro ao marcar os avisos como lidos:', error));
+    res.redirect('/dashboard');
+});
+
+// --- CARRINHO ---
+
+// Página do carrinho
+app.get('/carrinho', async (req, res) => {
+    if (!req.session.discordUser) return res.redirect('/login');
+    try {
+        const cart = await loadCart(req.session);
+        res.render('cart', { cart, maxQuantity: CART_MAX_QUANTITY, notice: req.query.aviso || null, user: req.session.discordUser });
+    } catch (error) {
+        console.error("Erro ao carregar o carrinho:", error);
+        res.status(500).send("Erro ao carregar o carrinho.");
+    }
+});
+
+/**
+ * Lê a variação enviada pelos formulários do carrinho (campo vazio = produto sem variações).
+ * @param {object} body
+ * @returns {number|null}
+ */
+function variantIdFromForm(body) {
+    return parseInt(body.variantId, 10) || null;
+}
+
+// Adiciona um produto ao carrinho (a partir do dashboard)
+app.post('/carrinho/adicionar/:productId', async (req, res) => {
+    if (!req.session.discordUser) return res.redirect('/login');
+    try {
+        const product = await getProductById(req.params.productId);
+        if (!product) return res.status(404).send('Produto não encontrado.');
+        const purchase = resolvePurchase(product, req.body.variantId);
+        if (!purchase) return res.redirect(`/dashboard?aviso=${encodeURIComponent(`Escolha uma das opções de ${product.name}.`)}`);
+
+        addToCart(req.session, product.id, purchase.variant?.id || null, parseInt(req.body.quantity, 10) || 1);
+        res.redirect(`/dashboard?aviso=${encodeURIComponent(`${purchase.name} adicionado ao carrinho.`)}`);
+    } catch (error) {
+        console.error("Erro ao adicionar ao carrinho:", error);
+        res.status(500).send("Erro ao adicionar o produto ao carrinho.");
+    }
+});
+
+// Muda a quantidade de um item do carrinho (zero remove)
+app.post('/carrinho/atualizar/:productId', (req, res) => {
+    if (!req.session.discordUser) return res.redirect('/login');
+    setCartQuantity(req.session, req.params.productId, variantIdFromForm(req.body), parseInt(req.body.quantity, 10));
+    res.redirect('/carrinho');
+});
+
+app.post('/carrinho/remover/:productId', (req, res) => {
+    if (!req.session.discordUser) return res.redirect('/login');
+    setCartQuantity(req.session, req.params.productId, variantIdFromForm(req.body), 0);
+    res.redirect('/carrinho');
+});
+
+// Fecha o carrinho em um único pedido, com um único pagamento
+app.post('/order/checkout', async (req, res) => {
+    if (!req.session.discordUser) return res.redirect('/login');
+    try {
+        const cart = await loadCart(req.session);
+        if (cart.items.length === 0) return res.redirect('/carrinho');
+        if (cart.hasStockProblem) {
+            return res.redirect(`/carrinho?aviso=${encodeURIComponent('Alguns itens não têm estoque suficiente. Ajuste as quantidades.')}`);
+        }
+
+        const items = cart.items.map(({ productId, variantId, productName, quantity, unitPrice }) => ({ productId, variantId, productName, quantity, unitPrice }));
+        const result = await createSiteOrder(req.session.discordUser, items, req.body.cupom);
+        if (!result) {
+            return res.redirect(`/carrinho?aviso=${encodeURIComponent('Um dos produtos acabou de esgotar. Confira as quantidades e tente de novo.')}`);
+        }
+
+        req.session.cart = [];
+        res.redirect(`/order/awaiting-payment/${result.order.id}${result.couponResult && !result.couponResult.success ? `?erroCupom=${encodeURIComponent(result.couponResult.message)}` : ''}`);
+    } catch (error) {
+        console.error("Erro ao finalizar o carrinho:", error);
+        res.status(500).send("Erro ao iniciar o processo de compra.");
+    }
+});
+
+// Rota para aplicar um cupom a um pedido que ainda aguarda pagamento
+app.post('/order/coupon/:orderId', async (req, res) => {
+    if (!req.session.discordUser) return res.redirect('/login');
+    const { orderId } = req.params;
+
+    try {
+        const order = await getOrderById(orderId, req.session.discordUser.id);
+        if (!order) return res.status(404).send('Pedido não encontrado.');
+
+        const result = await applyCouponToOrder(orderId, req.body.cupom, req.session.discordUser.username);
+        if (result.success) {
+            // O valor mudou: a cobrança anterior fica para trás e a página passa a mostrar a nova
+            await openPixCharge({
+                reference: orderId,
+                amount: result.order.totalAmount,
+                description: `Jyl Store - ${result.order.productName}`,
+                context: orderPaymentContext(result.order)
+            });
+        }
+        const param = result.success ? 'cupomAplicado' : 'erroCupom';
+        res.redirect(`/order/awaiting-payment/${orderId}?${param}=${encodeURIComponent(result.message)}`);
+    } catch (error) {
+        console.error("Erro ao aplicar cupom:", error);
+        res.status(500).send('Erro ao aplicar o cupom.');
+    }
+});
+
 // Rota para RECEBER o comprovante
-app.post('/order/upload/:orderId', upload.single('receipt'), async (req, res) => {
+app.post('/order/upload/:orderId', async (req, res) => {
     if (!req.session.discordUser) return res.status(401).send('Não autorizado.');
-    if (!req.file) return res.status(400).send('Nenhum arquivo enviado.');
+    let file;
+    try {
+        file = await receiveUpload(req, res, upload, 'receipt', RECEIPT_UPLOAD_RULES);
+    } catch (error) {
+        return res.status(400).send(error.message);
+    }
+    if (!file) return res.status(400).send('Nenhum arquivo enviado.');
 
     const { orderId } = req.params;
     const userId = req.session.discordUser.id;
 
     try {
         const order = await getOrderById(orderId, userId);
+        if (!order) return res.status(404).send('Pedido não encontrado.');
+        if (order.status !== 'pending_approval' && !canTransition(order.status, 'pending_approval')) {
+            return res.status(409).send(`Este pedido está "${statusLabel(order.status)}" e não aceita mais comprovantes.`);
+        }
+        const attemptsLeft = await receiptAttemptsLeft(orderId);
+        if (attemptsLeft === 0) {
+            return res.status(409).send(`Você já enviou ${MAX_RECEIPT_ATTEMPTS} comprovantes para este pedido. Aguarde a análise ou contate o suporte.`);
+        }
 
-        // Faz o upload do buffer do arquivo para o Cloudinary
-        const b64 = Buffer.from(req.file.buffer).toString("base64");
-        let dataURI = "data:" + req.file.mimetype + ";base64," + b64;
-        const cloudinaryResponse = await cloudinary.uploader.upload(dataURI, {
-            folder: "comprovantes-bot", // Pasta no Cloudinary para organizar
-            public_id: orderId, // Usa o ID do pedido como nome do arquivo
-            overwrite: true,
+        // Faz o upload do arquivo; cada tentativa tem o próprio arquivo, para manter o histórico
+        const attempt = MAX_RECEIPT_ATTEMPTS - attemptsLeft + 1;
+        const receiptUrl = await uploadFile(file, { folder: RECEIPTS_FOLDER, publicId: `${orderId}-${attempt}` });
+        const receipt = await recordOrderReceipt({
+            order,
+            url: receiptUrl,
+            source: 'site',
+            submittedBy: req.session.discordUser.username,
+            buffer: file.buffer,
+            mimetype: file.mimetype,
         });
 
         // Atualiza o status do pedido e salva o caminho do comprovante
-        await updateOrderStatus(orderId, 'pending_approval', {
-            receiptUrl: cloudinaryResponse.secure_url
-        });
+        await changeOrderStatus(orderId, 'pending_approval', {
+            receiptUrl
+        }, { actor: req.session.discordUser.username, reason: 'Comprovante enviado pelo site' });
+        // A reserva não expira enquanto o comprovante estiver em análise
+        await setReservationExpiry({ orderId }, null);
         const product = await getProductById(order.productId);
+        const items = await loadOrderItems(order);
 
-        // Envia a notificação para o admin com a URL da imagem do Cloudinary
+        // Envia a notificação para o admin com a URL da imagem
         await sendProofForVerification({
             details: {
                 title: 'Verificação de Comprovante do Site',
                 userTag: req.session.discordUser.username,
-                productName: product?.name || 'Desconhecido',
-                productPrice: product?.price || 'N/A',
-                imageUrl: cloudinaryResponse.secure_url
+                productName: order.productName || product?.name || 'Desconhecido',
+                items: items.map(({ productName, quantity, unitPrice }) => ({ productName, quantity, unitPrice })),
+                productPrice: order.totalAmount ?? product?.price ?? 'N/A',
+                couponCode: order.couponCode,
+                discountAmount: order.discountAmount,
+                imageUrl: receiptUrl,
+                duplicateOrderIds: [...new Set(receipt.duplicateMatches.map(match => match.orderId))]
             },
             context: {
                 type: 'site',
@@ -241,39 +629,102 @@ app.get('/order/awaiting-payment/:orderId', async (req, res) => {
     if (!req.session.discordUser) return res.redirect('/login');
     
     const { orderId } = req.params;
-    const order = await getOrderById(orderId, req.session.discordUser.id);
+    try {
+        const order = await getOrderById(orderId, req.session.discordUser.id);
+
+        if (!order) return res.status(404).send('Pedido não encontrado.');
+        const product = await getProductById(order.productId);
+        const latestCharge = await getPixChargeByOrderId(orderId);
+        // Uma cobrança com valor diferente do pedido ficou para trás quando um cupom foi aplicado
+        const pixCharge = latestCharge && parseFloat(latestCharge.amount) === parseFloat(order.totalAmount ?? product?.price) ? latestCharge : null;
+        const paymentInfo = await buildPaymentInfo(order, product, pixCharge);
+        const items = await loadOrderItems(order);
+        // Resultado do formulário de cupom (POST /order/coupon/:orderId)
+        const couponResult = req.query.cupomAplicado
+            ? { success: true, message: req.query.cupomAplicado }
+            : req.query.erroCupom ? { success: false, message: req.query.erroCupom } : null;
+
+        const receipts = await getOrderReceipts(orderId);
+
+        res.render('awaiting-payment', { product, order, items, pixCharge, couponResult, receipts, maxReceiptAttempts: MAX_RECEIPT_ATTEMPTS, receiptStatusLabel, fileUrl, ...paymentInfo });
+    } catch (error) {
+        console.error(`Erro ao carregar a página de pagamento do pedido ${orderId}:`, error);
+        res.status(500).send('Erro ao carregar a página de pagamento.');
+    }
+});
 
-    if (!order) return res.status(404).send('Pedido não encontrado.');
-    const product = await getProductById(order.productId);
+// --- WEBHOOK DE PAGAMENTOS PIX (EFÍ) ---
 
-    res.render('awaiting-payment', { product, order });
+// A Efí acrescenta '/pix' ao final da URL cadastrada. Com o parâmetro 'ignorar=' na URL, esse sufixo
+// cai na query string e a mesma rota atende tanto a validação do cadastro quanto as notificações.
+app.post('/webhook/efi', express.json(), async (req, res) => {
+    if (!isWebhookSecretValid(req.query.hmac)) {
+        return res.status(401).send('Não autorizado.');
+    }
+
+    const pixList = Array.isArray(req.body?.pix) ? req.body.pix : [];
+    // Responde logo para a Efí não reenviar a notificação por timeout
+    res.status(200).send('OK');
+
+    for (const pix of pixList) {
+        try {
+            await processPixPayment(pix);
+        } catch (error) {
+            console.error(`Erro ao processar Pix recebido (txid: ${pix.txid}):`, error);
+        }
+    }
 });
 
 // --- ROTAS DE VERIFICAÇÃO DE COMPROVANTE ---
 
+/**
+ * Explica por que um token de verificação não pode mais ser usado.
+ * @param {object|null} tokenData O registro do token no banco.
+ * @returns {string}
+ */
+function describeUnusableToken(tokenData) {
+    if (!tokenData) return 'Link de verificação inválido.';
+    if (tokenData.usedAt) {
+        const usedAt = new Date(tokenData.usedAt).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+        return `Este link já foi usado por ${tokenData.usedBy || 'desconhecido'} em ${usedAt}.`;
+    }
+    return 'Este link de verificação expirou.';
+}
+
 // Rota para exibir a página de verificação (com ou sem chave)
-app.get('/verify/:verificationId', (req, res) => {
+app.get('/verify/:verificationId', async (req, res) => {
     const { verificationId } = req.params;
 
-    const tokenData = verificationTokens.get(verificationId);
+    try {
+        const tokenData = await getVerificationToken(verificationId);
 
-    if (!tokenData) {
-        return res.status(404).render('action-result', {
-            actionResult: { success: false, message: 'Link de verificação inválido ou expirado.' }
-        });
-    }
+        if (!tokenData || tokenData.usedAt || new Date(tokenData.expiresAt) <= new Date()) {
+            return res.status(tokenData ? 410 : 404).render('action-result', {
+                actionResult: { success: false, message: describeUnusableToken(tokenData) }
+            });
+        }
 
-    // Decide qual página renderizar com base na ação do token
-    if (tokenData.action === 'deliver') {
-        res.render('mark-delivery', {
-            verificationId,
-            details: tokenData.details || {}
-        });
-    } else { // Ação padrão é verificar comprovante
-        res.render('verify-receipt', {
-            verificationId,
-            details: tokenData.details || {}
-        });
+        // Decide qual página renderizar com base na ação do token
+        if (tokenData.action === 'deliver') {
+            res.render('mark-delivery', {
+                verificationId,
+                details: tokenData.details || {}
+            });
+        } else { // Ação padrão é verificar comprovante
+            // Os comprovantes anteriores do pedido, para comparar com o atual
+            const receipts = tokenData.context?.orderId ? await getOrderReceipts(tokenData.context.orderId) : [];
+            res.render('verify-receipt', {
+                verificationId,
+                details: tokenData.details || {},
+                receipts,
+                maxReceiptAttempts: MAX_RECEIPT_ATTEMPTS,
+                receiptStatusLabel,
+                fileUrl
+            });
+        }
+    } catch (error) {
+        console.error(`Erro ao carregar o link de verificação ${verificationId}:`, error);
+        res.status(500).render('action-result', { actionResult: { success: false, message: 'Erro ao carregar o link de verificação. Tente novamente.' } });
     }
 });
 
@@ -281,49 +732,161 @@ app.get('/verify/:verificationId', (req, res) => {
 app.post('/verify/action/:verificationId', async (req, res) => {
     const { verificationId } = req.params;
     const { action } = req.body; // 'approve', 'reject', ou 'deliver'
+    const reason = (req.body.reason || '').trim(); // Motivo da recusa, mostrado ao comprador
 
-    const tokenData = verificationTokens.get(verificationId);
+    // Quem clicou no link: o usuário logado no site, se houver. O IP de quem não está logado não é guardado.
+    const actor = req.session.discordUser
+        ? `${req.session.discordUser.username} (${req.session.discordUser.id})`
+        : 'anônimo';
 
-    if (!tokenData) {
-        return res.status(403).render('action-result', { actionResult: { success: false, message: 'Acesso negado. O link pode ter expirado.' } });
+    let tokenData;
+    let finalAction;
+    try {
+        // Tokens de comprovante aceitam aprovar/recusar; tokens de entrega só aceitam entregar.
+        const tokenAction = (await getVerificationToken(verificationId))?.action;
+        finalAction = tokenAction === 'deliver' ? 'deliver' : action;
+        if (tokenAction === 'verify' && finalAction !== 'approve' && finalAction !== 'reject') {
+            return res.status(400).render('action-result', { actionResult: { success: false, message: 'Ação inválida.' } });
+        }
+        // Confere o motivo antes de consumir o token, para o link continuar valendo
+        if (finalAction === 'reject' && !reason) {
+            return res.status(400).render('action-result', { actionResult: { success: false, message: 'Informe o motivo da recusa do comprovante.' } });
+        }
+
+        // Consome o token antes de executar a ação, para que ele nunca seja usado duas vezes
+        tokenData = await consumeVerificationToken(verificationId, actor);
+        if (!tokenData) {
+            const currentToken = await getVerificationToken(verificationId);
+            return res.status(403).render('action-result', { actionResult: { success: false, message: describeUnusableToken(currentToken) } });
+        }
+    } catch (error) {
+        // A ação não chegou a rodar. O token não é liberado: ele pode ter sido usado antes por outra pessoa.
+        console.error(`Erro ao validar o token de verificação ${verificationId}:`, error);
+        return res.status(500).render('action-result', { actionResult: { success: false, message: 'Erro ao processar a ação. Tente novamente.' } });
     }
 
     // Importa a função de processamento do index.js
     const { processVerificationAction } = require('./index.js');
 
-    // Se a ação veio do formulário (aprovar/recusar), usa o 'action' do body.
-    // Se a ação já está no token (entregar), usa o 'action' do token.
-    const finalAction = tokenData.action || action;
-    const result = await processVerificationAction(finalAction, tokenData.context);
-
-    // Remove o token após o uso para que não possa ser reutilizado
-    verificationTokens.delete(verificationId);
-
-    res.render('action-result', { actionResult: result });
+    try {
+        const result = await processVerificationAction(finalAction, tokenData.context, actor, reason);
+        res.render('action-result', { actionResult: result });
+    } catch (error) {
+        console.error(`Erro ao processar a ação '${finalAction}' do token ${verificationId}:`, error);
+        // Libera o token para que a ação possa ser tentada novamente
+        await releaseVerificationToken(verificationId).catch(releaseError => console.error(`Erro ao liberar o token ${verificationId}:`, releaseError));
+        res.status(500).render('action-result', { actionResult: { success: false, message: 'Erro ao processar a ação. Tente novamente.' } });
+    }
 });
 
 
+/**
+ * Repassa uma mensagem do chat do site para o canal do ticket no Discord, junto com os arquivos anexados.
+ * @param {object} order
+ * @param {string} username Quem enviou a mensagem no site.
+ * @param {string} content
+ * @param {{attachment: Buffer, name: string}[]} [files]
+ */
+async function forwardChatToTicket(order, username, content, files = []) {
+    if (!order.ticketChannelId) return;
+    try {
+        const ticketChannel = await client.channels.fetch(order.ticketChannelId);
+        await ticketChannel.send({ content: `**[SITE] ${username}:** ${content}`.trim(), files });
+    } catch (error) {
+        console.error(`Erro ao enviar mensagem do site para o Discord (Canal: ${order.ticketChannelId}):`, error);
+    }
+}
+
 // Rota para a página de CHAT do pedido
 app.get('/order/chat/:orderId', async (req, res) => {
     if (!req.session.discordUser) return res.redirect('/login');
 
     const { orderId } = req.params;
-    const order = await getOrderById(orderId, req.session.discordUser.id);
+    try {
+        let order = await getOrderById(orderId, req.session.discordUser.id);
+        // Admins da loja também acompanham o chat de qualquer pedido pelo site
+        if (!order && await isGuildAdmin(req.session.discordUser.id)) order = await findOrderById(orderId);
+
+        // Apenas permite o acesso se o pedido for do usuário (ou de um admin) e já tiver chat (aprovado, entregue ou finalizado pela loja)
+        if (!order || !CHAT_STATUSES.includes(order.status)) {
+            return res.status(403).send('Acesso negado. O pedido não foi encontrado ou não está aprovado.');
+        }
+
+        res.render('order-chat', { order, user: req.session.discordUser, messages: order.messages || [], fileUrl });
+    } catch (error) {
+        console.error(`Erro ao carregar o chat do pedido ${orderId}:`, error);
+        res.status(500).send('Erro ao carregar o chat do pedido.');
+    }
+});
 
-    // Apenas permite o acesso se o pedido for do usuário e estiver aprovado ou entregue
-    if (!order || (order.status !== 'approved' && order.status !== 'entregue')) {
-        return res.status(403).send('Acesso negado. O pedido não foi encontrado ou não está aprovado.');
+// Rota para ENVIAR um anexo no chat do pedido (o texto das mensagens vai pelo Socket.IO)
+app.post('/order/chat/:orderId/attachment', (req, res) => {
+    if (!req.session.discordUser) return res.status(401).json({ success: false, message: 'Faça login para usar o chat.' });
+    if (isChatRateLimited(req.session.discordUser.id)) {
+        return res.status(429).json({ success: false, message: 'Você está enviando mensagens rápido demais. Aguarde alguns segundos.' });
     }
 
-    res.render('order-chat', { order, user: req.session.discordUser, messages: order.messages || [] });
+    receiveUpload(req, res, chatUpload, 'attachment', CHAT_UPLOAD_RULES).then(async (file) => {
+        if (!file) return res.status(400).json({ success: false, message: 'Envie uma imagem (PNG, JPG, GIF ou WEBP), um PDF ou um arquivo de texto.' });
+
+        const { orderId } = req.params;
+        const { discordUser } = req.session;
+        const caption = typeof req.body.message === 'string' ? req.body.message.trim().slice(0, CHAT_MESSAGE_MAX_LENGTH) : '';
+
+        try {
+            let order = await getOrderById(orderId, discordUser.id);
+            const isOwner = Boolean(order);
+            if (!order && await isGuildAdmin(discordUser.id)) order = await findOrderById(orderId);
+            if (!order) return res.status(403).json({ success: false, message: 'Você não tem acesso ao chat deste pedido.' });
+            if (!CHAT_OPEN_STATUSES.includes(order.status)) {
+                return res.status(409).json({ success: false, message: 'Este chat foi finalizado e não recebe mais mensagens.' });
+            }
+
+            const attachment = {
+                url: await uploadFile(file, { folder: CHAT_ATTACHMENTS_FOLDER }),
+                name: file.originalname,
+                contentType: file.mimetype,
+                size: file.size,
+            };
+            const newMessage = {
+                author: isOwner ? 'user' : 'staff',
+                content: caption,
+                attachments: [attachment],
+                timestamp: new Date().toISOString()
+            };
+            await addMessageToOrder(orderId, newMessage);
+
+            // Aqui o remetente também recebe a mensagem, para ver o anexo já com o link do armazenamento
+            io.to(orderId).emit('new_message_from_server', signMessageAttachments(newMessage));
+            await forwardChatToTicket(order, discordUser.username, caption, [{ attachment: file.buffer, name: file.originalname }]);
+
+            res.json({ success: true, message: 'Anexo enviado.' });
+        } catch (error) {
+            console.error(`Erro ao enviar anexo no chat do pedido ${orderId}:`, error);
+            res.status(500).json({ success: false, message: 'Não foi possível enviar o anexo. Tente novamente.' });
+        }
+    }, (error) => res.status(400).json({ success: false, message: error.message }));
 });
 
+// Arquivos do armazenamento local (STORAGE_DRIVER=local), só com link assinado e dentro da validade
+app.get('/arquivos/*', (req, res) => {
+    const filePath = resolveLocalFile(req.params[0], req.query.expires, req.query.signature);
+    if (!filePath) return res.status(403).send('Link inválido ou expirado.');
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Content-Security-Policy', "default-src 'none'; img-src 'self'; style-src 'unsafe-inline'");
+    res.sendFile(filePath, (error) => {
+        if (error && !res.headersSent) res.status(404).send('Arquivo não encontrado.');
+    });
+});
 
-// Rota de API para o frontend verificar o status do pedido
+
+// Rota de API para o frontend verificar o status do pedido. As páginas recebem o status pelo Socket.IO (pushOrderStatus);
+// esta rota fica como reserva enquanto a conexão em tempo real estiver caída.
 app.get('/order/status/:orderId', async (req, res) => {
     if (!req.session.discordUser) return res.status(401).json({ status: 'unauthorized' });
     try {
-        const order = await getOrderById(req.params.orderId, req.session.discordUser.id);
+        let order = await getOrderById(req.params.orderId, req.session.discordUser.id);
+        if (!order && await isGuildAdmin(req.session.discordUser.id)) order = await findOrderById(req.params.orderId);
         if (order) {
             res.json({ status: order.status });
         } else {
@@ -334,42 +897,174 @@ app.get('/order/status/:orderId', async (req, res) => {
     }
 });
 
-// --- LÓGICA DE CHAT EM TEMPO REAL (SOCKET.IO) ---
-io.on('connection', (socket) => {
-    console.log('🔌 Novo usuário conectado ao chat.');
+// --- PAINEL ADMINISTRATIVO ---
+app.use('/admin', require('./admin.js'));
+
+// --- LÓGICA DE CHAT E ATUALIZAÇÕES EM TEMPO REAL (SOCKET.IO) ---
+
+// Além da sala de cada pedido (o próprio ID), cada usuário logado tem a sua sala e os dashboards abertos ficam na do catálogo
+const userRoom = (userId) => `user:${userId}`;
+const CATALOG_ROOM = 'catalog';
+
+/**
+ * Avisa a mudança de status de um pedido para quem está com ele aberto (sala do pedido) e para o dono (sala do usuário).
+ * Chamado por changeOrderStatus, que passa por updateOrderStatus.
+ * @param {object} order O pedido atualizado, com previousStatus.
+ */
+function pushOrderStatus(order) {
+    io.to(order.id).to(userRoom(order.userId)).emit('order_status_changed', {
+        orderId: order.id,
+        status: order.status,
+        previousStatus: order.previousStatus,
+    });
+}
 
-    socket.on('join_order_room', (orderId) => {
-        socket.join(orderId);
-        console.log(`Usuário entrou na sala do pedido: ${orderId}`);
+/**
+ * Envia o estoque atual para os dashboards abertos, que escondem os produtos esgotados sem recarregar a página.
+ * Chamado por updateShoppingPanels, junto com a atualização dos painéis do Discord.
+ */
+async function pushCatalogUpdate() {
+    if (!io.sockets.adapter.rooms.get(CATALOG_ROOM)?.size) return;
+    const [products, soldOut] = await Promise.all([getProducts(), getSoldOutProducts()]);
+    io.to(CATALOG_ROOM).emit('catalog_updated', {
+        products: Object.values(products).map(product => ({
+            id: product.id,
+            stock: product.stock,
+            variants: product.variants.map(variant => ({ id: variant.id, stock: variant.stock })),
+        })),
+        soldOutIds: Object.keys(soldOut),
     });
+}
 
-    socket.on('chat_message_from_client', async ({ orderId, userId, username, message }) => {
-        const order = await getOrderById(orderId, userId);
+/**
+ * Confere se o usuário da conexão pode acessar o chat do pedido: o dono do pedido ou um admin da loja.
+ * @param {import('socket.io').Socket} socket
+ * @param {string} orderId
+ * @returns {Promise<{order: object, isOwner: boolean}|null>} null se o pedido não existe ou o acesso é negado.
+ */
+async function authorizeChatAccess(socket, orderId) {
+    const order = typeof orderId === 'string' ? await findOrderById(orderId) : null;
+    if (!order) return null;
+    const { discordUser } = socket.data;
+    if (order.userId === discordUser.id) return { order, isOwner: true };
+    // O cargo de admin é consultado uma vez por conexão
+    if (socket.data.isStaff === undefined) socket.data.isStaff = await isGuildAdmin(discordUser.id);
+    return socket.data.isStaff ? { order, isOwner: false } : null;
+}
+
+/**
+ * Registra uma mensagem do usuário e indica se ela passou do limite da janela atual.
+ * @param {string} userId ID do Discord de quem enviou.
+ * @returns {boolean}
+ */
+function isChatRateLimited(userId) {
+    const now = Date.now();
+    const times = (chatMessageTimes.get(userId) || []).filter(time => now - time < CHAT_RATE_LIMIT_WINDOW_MS);
+    if (times.length >= CHAT_RATE_LIMIT_MESSAGES) {
+        chatMessageTimes.set(userId, times);
+        return true;
+    }
+    times.push(now);
+    chatMessageTimes.set(userId, times);
+    return false;
+}
 
-        const newMessage = {
-            author: 'user', // 'user' para o cliente, 'staff' para o admin
-            content: message,
-            timestamp: new Date().toISOString()
-        };
+// Esquece quem não manda mensagens há mais de uma janela, para o mapa não crescer sem limite
+setInterval(() => {
+    const now = Date.now();
+    for (const [userId, times] of chatMessageTimes) {
+        if (times.every(time => now - time >= CHAT_RATE_LIMIT_WINDOW_MS)) chatMessageTimes.delete(userId);
+    }
+}, 60 * 1000).unref();
+
+// Quem está conectado vem da sessão do login com Discord, nunca do que o navegador envia
+io.engine.use(sessionMiddleware);
+io.use((socket, next) => {
+    const discordUser = socket.request.session?.discordUser;
+    if (!discordUser) return next(new Error('Faça login para usar o chat.'));
+    socket.data.discordUser = discordUser;
+    next();
+});
 
-        await addMessageToOrder(orderId, newMessage);
+io.on('connection', (socket) => {
+    const { discordUser } = socket.data;
+    console.log(`🔌 ${discordUser.username} conectou ao site.`);
+    socket.join(userRoom(discordUser.id));
+
+    // Páginas de pagamento e de pedidos acompanham o status sem abrir o chat; o status atual vai na entrada,
+    // para a página se acertar depois de uma reconexão
+    socket.on('watch_order', async (orderId) => {
+        try {
+            const access = await authorizeChatAccess(socket, orderId);
+            if (!access) return socket.emit('chat_error', { message: 'Você não tem acesso a este pedido.' });
+            socket.join(orderId);
+            socket.emit('order_status_changed', { orderId, status: access.order.status, previousStatus: null });
+        } catch (error) {
+            console.error(`Erro ao acompanhar o pedido ${orderId}:`, error);
+        }
+    });
 
-        // Envia a mensagem para todos na sala, EXCETO para o remetente
-        socket.to(orderId).emit('new_message_from_server', newMessage);
+    socket.on('watch_catalog', () => {
+        socket.join(CATALOG_ROOM);
+    });
 
-        // Envia a mensagem para o canal do ticket no Discord
-        if (order.ticketChannelId) {
-            try {
-                const ticketChannel = await client.channels.fetch(order.ticketChannelId);
-                await ticketChannel.send(`**[SITE] ${username}:** ${message}`);
-            } catch (error) {
-                console.error(`Erro ao enviar mensagem do site para o Discord (Canal: ${order.ticketChannelId}):`, error);
+    socket.on('join_order_room', async (orderId) => {
+        try {
+            const access = await authorizeChatAccess(socket, orderId);
+            if (!access || !CHAT_STATUSES.includes(access.order.status)) {
+                return socket.emit('chat_error', { message: 'Você não tem acesso ao chat deste pedido.' });
             }
+            socket.join(orderId);
+            console.log(`${discordUser.username} entrou na sala do pedido: ${orderId}`);
+        } catch (error) {
+            console.error(`Erro ao entrar na sala do pedido ${orderId}:`, error);
+            socket.emit('chat_error', { message: 'Não foi possível abrir o chat. Recarregue a página.' });
+        }
+    });
+
+    socket.on('chat_message_from_client', async (payload) => {
+        const orderId = payload?.orderId;
+        const content = typeof payload?.message === 'string' ? payload.message.trim() : '';
+        if (!content) return;
+        if (content.length > CHAT_MESSAGE_MAX_LENGTH) {
+            return socket.emit('chat_error', { message: `A mensagem passa de ${CHAT_MESSAGE_MAX_LENGTH} caracteres.` });
+        }
+        if (typeof orderId !== 'string' || !socket.rooms.has(orderId)) {
+            return socket.emit('chat_error', { message: 'Você não está no chat deste pedido.' });
+        }
+        if (isChatRateLimited(socket.data.discordUser.id)) {
+            return socket.emit('chat_error', { message: 'Você está enviando mensagens rápido demais. Aguarde alguns segundos.' });
+        }
+
+        try {
+            // O status é conferido de novo a cada mensagem: o pedido pode ter sido finalizado depois da entrada na sala
+            const access = await authorizeChatAccess(socket, orderId);
+            if (!access) return socket.emit('chat_error', { message: 'Você não tem acesso ao chat deste pedido.' });
+            const { order, isOwner } = access;
+            if (!CHAT_OPEN_STATUSES.includes(order.status)) {
+                return socket.emit('chat_error', { message: 'Este chat foi finalizado e não recebe mais mensagens.' });
+            }
+
+            const newMessage = {
+                author: isOwner ? 'user' : 'staff', // 'user' para o cliente, 'staff' para o admin
+                content,
+                timestamp: new Date().toISOString()
+            };
+            await addMessageToOrder(orderId, newMessage);
+
+            // Envia a mensagem para todos na sala, EXCETO para o remetente
+            socket.to(orderId).emit('new_message_from_server', newMessage);
+
+            // Envia a mensagem para o canal do ticket no Discord
+            await forwardChatToTicket(order, discordUser.username, content);
+        } catch (error) {
+            console.error(`Erro ao processar mensagem do chat do pedido ${orderId}:`, error);
+            socket.emit('chat_error', { message: 'Não foi possível enviar a mensagem. Tente novamente.' });
         }
     });
 
     socket.on('disconnect', () => {
-        console.log('🔌 Usuário desconectado do chat.');
+        console.log(`🔌 ${discordUser.username} desconectou do site.`);
     });
 });
 
@@ -377,6 +1072,14 @@ io.on('connection', (socket) => {
 async function startServer() {
     await createTables(); // Garante que as tabelas do DB existam
     await loginBot(); // Loga o bot primeiro
+    if (isEfiEnabled() && EFI_WEBHOOK_SECRET) {
+        try {
+            await configurePixWebhook(`${SITE_URL}/webhook/efi?hmac=${encodeURIComponent(EFI_WEBHOOK_SECRET)}&ignorar=`);
+            console.log('Webhook Pix registrado na Efí.');
+        } catch (error) {
+            console.error('Erro ao registrar o webhook Pix na Efí:', error);
+        }
+    }
     server.listen(port, () => {
         console.log(`🚀 Servidor web rodando em http://localhost:${port} e pasta de comprovantes pronta.`);
     });
@@ -385,4 +1088,4 @@ async function startServer() {
 startServer();
 
 // Exporta o 'io' para uso futuro
-module.exports = { io, verificationTokens };
+module.exports = { io, pushOrderStatus, pushCatalogUpdate };
@@ -0,0 +1,320 @@
+// shoppingPanel.js
+// Mensagens do painel de compras do Discord: categorias, produtos de uma categoria e variações de um produto.
+// Catálogos grandes são divididos em páginas, para caber nos limites de menus e embeds do Discord.
+const crypto = require('crypto');
+const { EmbedBuilder, StringSelectMenuBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, embedLength } = require('discord.js');
+const { DEFAULT_CATEGORY, hasStock, stockLabel, startingPrice, groupByCategory } = require('./catalog.js');
+
+// Limites do Discord: opções por menu de seleção, caracteres por campo, por embed e por mensagem, embeds por mensagem
+const SELECT_MENU_MAX_OPTIONS = 25;
+const EMBED_FIELD_MAX_LENGTH = 1024;
+const EMBED_TITLE_MAX_LENGTH = 256;
+const MESSAGE_EMBEDS_MAX_LENGTH = 6000;
+const MESSAGE_MAX_EMBEDS = 10;
+
+// Categorias por página do painel. Cada uma vira um campo do embed, que divide o espaço com as outras.
+const PANEL_CATEGORIES_PER_PAGE = 10;
+
+// Espaço do embed do painel reservado às listas de produtos (o resto fica para título, descrição, rodapé e nomes)
+const PANEL_FIELDS_BUDGET = 4500;
+
+// Produtos por página de uma categoria: um embed por produto
+const CATEGORY_PRODUCTS_PER_PAGE = MESSAGE_MAX_EMBEDS;
+
+// Tamanho máximo da descrição de um produto no embed da categoria
+const PRODUCT_DESCRIPTION_MAX_LENGTH = 200;
+
+/**
+ * Corta um texto, indicando com reticências quando algo ficou de fora.
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function truncate(text, maxLength) {
+    return text.length > maxLength ? `${text.slice(0, maxLength - 1)}…` : text;
+}
+
+/**
+ * Junta as linhas que couberem no tamanho máximo e avisa quantas ficaram de fora.
+ * @param {string[]} lines
+ * @param {number} maxLength
+ * @returns {string}
+ */
+function fitLines(lines, maxLength) {
+    const kept = [];
+    let length = 0;
+    for (const [index, line] of lines.entries()) {
+        const remaining = lines.length - index - 1;
+        // Reserva espaço para o aviso, a menos que esta seja a última linha
+        const reserve = remaining > 0 ? `\n… e mais ${remaining} produto(s)`.length : 0;
+        if (length + line.length + 1 + reserve > maxLength) {
+            kept.push(`… e mais ${lines.length - index} produto(s)`);
+            return kept.join('\n');
+        }
+        kept.push(line);
+        length += line.length + 1;
+    }
+    return kept.join('\n');
+}
+
+/**
+ * Limita uma página ao intervalo válido.
+ * @param {number} page
+ * @param {number} totalItems
+ * @param {number} perPage
+ * @returns {{page: number, totalPages: number}}
+ */
+function clampPage(page, totalItems, perPage) {
+    const totalPages = Math.max(1, Math.ceil(totalItems / perPage));
+    const current = Math.min(Math.max(Number.isInteger(page) ? page : 0, 0), totalPages - 1);
+    return { page: current, totalPages };
+}
+
+/**
+ * Botões de anterior/próxima página. O do meio só mostra a página atual.
+ * @param {string} prefix Início do customId dos botões (a página vai no fim).
+ * @param {number} page
+ * @param {number} totalPages
+ * @returns {ActionRowBuilder}
+ */
+function pageButtons(prefix, page, totalPages) {
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`${prefix}_${page - 1}`).setLabel('Anterior').setEmoji('◀️').setStyle(ButtonStyle.Secondary).setDisabled(page === 0),
+        new ButtonBuilder().setCustomId(`${prefix}-info`).setLabel(`Página ${page + 1} de ${totalPages}`).setStyle(ButtonStyle.Secondary).setDisabled(true),
+        new ButtonBuilder().setCustomId(`${prefix}_${page + 1}`).setLabel('Próxima').setEmoji('▶️').setStyle(ButtonStyle.Secondary).setDisabled(page >= totalPages - 1)
+    );
+}
+
+/**
+ * Identificador curto de uma categoria, para caber no customId dos botões (que tem no máximo 100 caracteres).
+ * @param {string} categoryName
+ * @returns {string}
+ */
+function categoryKey(categoryName) {
+    return crypto.createHash('sha1').update(categoryName).digest('hex').slice(0, 12);
+}
+
+/**
+ * Encontra uma categoria à venda pelo identificador curto.
+ * @param {object} productStock Os produtos à venda (getProducts).
+ * @param {string} key
+ * @returns {{name: string, products: object[]}|null}
+ */
+function findCategoryByKey(productStock, key) {
+    return groupByCategory(Object.values(productStock)).find(category => categoryKey(category.name) === key) || null;
+}
+
+/**
+ * Aplica o filtro de um painel fixo (categoria ou lista de produtos) aos produtos à venda.
+ * @param {object} productStock Os produtos à venda (getProducts).
+ * @param {{category: string|null, productIds: string[]|null}|null} panel O painel; sem painel (ex: /comprar), nada é filtrado.
+ * @returns {object} Os produtos do painel, no mesmo formato de getProducts.
+ */
+function filterPanelProducts(productStock, panel) {
+    if (!panel || (!panel.category && !panel.productIds)) return productStock;
+    return Object.fromEntries(Object.entries(productStock).filter(([productId, product]) => {
+        if (panel.category && (product.category || DEFAULT_CATEGORY) !== panel.category) return false;
+        if (panel.productIds && !panel.productIds.includes(productId)) return false;
+        return true;
+    }));
+}
+
+/**
+ * Descreve o filtro de um painel para mensagens do Discord (ex: "categoria Jogos").
+ * @param {{category: string|null, productIds: string[]|null}} panel
+ * @returns {string}
+ */
+function describePanelFilter(panel) {
+    const parts = [];
+    if (panel.category) parts.push(`categoria ${panel.category}`);
+    if (panel.productIds) parts.push(`${panel.productIds.length} produto(s): ${panel.productIds.join(', ')}`);
+    return parts.length > 0 ? parts.join(' | ') : 'loja toda';
+}
+
+/**
+ * Preço de um produto para exibição no Discord ("a partir de" quando as variações têm preços diferentes).
+ * @param {object} product Produto carregado com as variações.
+ * @returns {string}
+ */
+function formatProductPrice(product) {
+    const prices = new Set(product.variants.filter(variant => hasStock(variant.stock)).map(variant => variant.price));
+    return `${prices.size > 1 ? 'a partir de ' : ''}R$ ${startingPrice(product).toFixed(2)}`;
+}
+
+/**
+ * Cria e retorna o painel de compras com o menu de seleção de categorias.
+ * @param {object} productStock O objeto de estoque carregado.
+ * @param {number} [page] A página de categorias exibida (começa em 0; valores fora do intervalo são ajustados).
+ * @param {number} [soldOutCount] Quantos produtos do painel estão esgotados; com algum, aparece o botão da lista de espera.
+ * @param {number|null} [panelId] O painel fixo exibido, para as páginas abertas a partir dele seguirem o filtro dele.
+ * @returns {{embeds: EmbedBuilder[], components: ActionRowBuilder[]}}
+ */
+function createShoppingPanel(productStock, page = 0, soldOutCount = 0, panelId = null) {
+    const embed = new EmbedBuilder()
+        .setTitle('🛒 Central de Compras')
+        .setDescription('Bem-vindo à nossa loja! Por favor, selecione a categoria do produto que você deseja comprar no menu abaixo.')
+        .setColor('Blue')
+        .setFooter({ text: 'Seu ticket de compra será criado após a seleção.' });
+
+    // getProducts já traz só os produtos (ou variações) com estoque
+    const allCategories = groupByCategory(Object.values(productStock));
+
+    if (allCategories.length === 0) {
+        embed.setDescription('nao sobrou nada pro beta');
+        embed.setColor('Red');
+        return { embeds: [embed], components: soldOutCount > 0 ? [waitlistButtonRow(soldOutCount, panelId)] : [] };
+    }
+
+    const pagination = clampPage(page, allCategories.length, PANEL_CATEGORIES_PER_PAGE);
+    const categories = allCategories.slice(pagination.page * PANEL_CATEGORIES_PER_PAGE, (pagination.page + 1) * PANEL_CATEGORIES_PER_PAGE);
+    const fieldLength = Math.min(EMBED_FIELD_MAX_LENGTH, Math.floor(PANEL_FIELDS_BUDGET / categories.length));
+
+    categories.forEach(category => {
+        const lines = category.products.map(product => truncate(`${product.emoji || '📦'} **${product.name}** - ${formatProductPrice(product)}`, fieldLength));
+        embed.addFields({ name: category.name, value: fitLines(lines, fieldLength), inline: false });
+    });
+
+    const selectMenu = new StringSelectMenuBuilder()
+        .setCustomId(`select-category_${panelId || 0}`)
+        .setPlaceholder('Clique aqui para escolher uma categoria')
+        .addOptions(categories.map(category => ({
+            label: category.name,
+            description: `${category.products.length} produto(s)`,
+            value: category.name,
+        })));
+
+    const components = [new ActionRowBuilder().addComponents(selectMenu)];
+    if (pagination.totalPages > 1) {
+        embed.setFooter({ text: `Página ${pagination.page + 1} de ${pagination.totalPages} | Seu ticket de compra será criado após a seleção.` });
+        components.push(pageButtons(`panel-page_${panelId || 0}`, pagination.page, pagination.totalPages));
+    }
+    if (soldOutCount > 0) components.push(waitlistButtonRow(soldOutCount, panelId));
+
+    return { embeds: [embed], components };
+}
+
+/**
+ * Botão que abre a lista de espera dos produtos esgotados.
+ * @param {number} soldOutCount
+ * @param {number|null} panelId
+ * @returns {ActionRowBuilder}
+ */
+function waitlistButtonRow(soldOutCount, panelId) {
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId(`waitlist-open_${panelId || 0}`).setLabel(`Avise-me quando voltar (${soldOutCount} esgotado(s))`).setEmoji('🔔').setStyle(ButtonStyle.Primary)
+    );
+}
+
+/**
+ * Monta a mensagem (efêmera) para entrar na lista de espera de produtos esgotados.
+ * @param {object[]} soldOutProducts Os produtos esgotados do painel.
+ * @param {number|null} [panelId] O painel fixo de onde a lista foi aberta.
+ * @returns {{content: string, embeds: EmbedBuilder[], components: ActionRowBuilder[]}}
+ */
+function createWaitlistMenu(soldOutProducts, panelId = null) {
+    // Mais produtos que isso não cabem no menu; os primeiros (por categoria e nome) são listados
+    const products = soldOutProducts.slice(0, SELECT_MENU_MAX_OPTIONS);
+    const selectMenu = new StringSelectMenuBuilder()
+        .setCustomId(`waitlist-select_${panelId || 0}`)
+        .setPlaceholder('Escolha os produtos esgotados')
+        .setMinValues(1)
+        .setMaxValues(products.length)
+        .addOptions(products.map(product => ({
+            label: truncate(product.name, 100),
+            description: truncate(product.category || DEFAULT_CATEGORY, 100),
+            value: product.id,
+            emoji: product.emoji || undefined
+        })));
+
+    return {
+        content: '🔔 Escolha os produtos para receber uma mensagem assim que voltarem ao estoque. Os avisos seguem a ordem de inscrição.',
+        embeds: [],
+        components: [new ActionRowBuilder().addComponents(selectMenu)],
+    };
+}
+
+/**
+ * Monta a mensagem (efêmera) com os produtos de uma categoria: um embed com imagem por produto e o menu de produtos.
+ * @param {string} categoryName
+ * @param {object[]} products Os produtos à venda da categoria.
+ * @param {number} [page] A página de produtos exibida (começa em 0).
+ * @param {number|null} [panelId] O painel fixo de onde a categoria foi aberta, para as outras páginas seguirem o filtro dele.
+ * @returns {{content: string, embeds: EmbedBuilder[], components: ActionRowBuilder[]}}
+ */
+function createCategoryMenu(categoryName, products, page = 0, panelId = null) {
+    const pagination = clampPage(page, products.length, CATEGORY_PRODUCTS_PER_PAGE);
+    const listed = products.slice(pagination.page * CATEGORY_PRODUCTS_PER_PAGE, (pagination.page + 1) * CATEGORY_PRODUCTS_PER_PAGE);
+    const embeds = listed.map(product => {
+        const embed = new EmbedBuilder()
+            .setTitle(truncate(`${product.emoji || '📦'} ${product.name}`, EMBED_TITLE_MAX_LENGTH))
+            .setDescription(product.description ? truncate(product.description, PRODUCT_DESCRIPTION_MAX_LENGTH) : null)
+            .addFields(
+                { name: 'Preço', value: formatProductPrice(product), inline: true },
+                { name: 'Estoque', value: product.variants.length > 0 ? `${product.variants.filter(variant => hasStock(variant.stock)).length} opção(ões)` : stockLabel(product), inline: true }
+            )
+            .setColor('Blue')
+            .setFooter({ text: `ID: ${product.id}` });
+        if (product.imageUrl) embed.setThumbnail(product.imageUrl);
+        return embed;
+    });
+
+    // Nomes muito longos ainda podem estourar o limite da mensagem: as descrições saem primeiro
+    let totalLength = embeds.reduce((sum, embed) => sum + embedLength(embed.data), 0);
+    for (const embed of [...embeds].reverse()) {
+        if (totalLength <= MESSAGE_EMBEDS_MAX_LENGTH) break;
+        totalLength -= (embed.data.description || '').length;
+        embed.setDescription(null);
+    }
+
+    const selectMenu = new StringSelectMenuBuilder()
+        .setCustomId('select-product')
+        .setPlaceholder('Escolha o produto')
+        .addOptions(listed.map(product => ({
+            label: truncate(product.name, 100),
+            description: product.variants.length > 0 ? `${formatProductPrice(product)} | Várias opções` : `R$ ${product.price.toFixed(2)} | Estoque: ${stockLabel(product)}`,
+            value: product.id,
+            emoji: product.emoji || undefined
+        })));
+
+    const components = [new ActionRowBuilder().addComponents(selectMenu)];
+    if (pagination.totalPages > 1) components.push(pageButtons(`category-page_${categoryKey(categoryName)}_${panelId || 0}`, pagination.page, pagination.totalPages));
+
+    return { content: `**${categoryName}**`, embeds, components };
+}
+
+/**
+ * Monta a mensagem com as variações à venda de um produto (ex: duração ou plano).
+ * @param {object} product Produto carregado com as variações.
+ * @returns {{content: string, embeds: EmbedBuilder[], components: ActionRowBuilder[]}}
+ */
+function createVariantMenu(product) {
+    // Mais variações que isso não cabem no menu; as excedentes ficam fora até alguma esgotar
+    const variants = product.variants.filter(variant => hasStock(variant.stock)).slice(0, SELECT_MENU_MAX_OPTIONS);
+    const embed = new EmbedBuilder()
+        .setTitle(truncate(`${product.emoji || '📦'} ${product.name}`, EMBED_TITLE_MAX_LENGTH))
+        .setDescription(product.description ? truncate(product.description, PRODUCT_DESCRIPTION_MAX_LENGTH) : null)
+        .addFields(variants.map(variant => ({ name: variant.name, value: `R$ ${variant.price.toFixed(2)} | Estoque: ${stockLabel(variant)}`, inline: true })))
+        .setColor('Blue');
+    if (product.imageUrl) embed.setImage(product.imageUrl);
+
+    const selectMenu = new StringSelectMenuBuilder()
+        .setCustomId(`select-variant_${product.id}`)
+        .setPlaceholder('Escolha uma opção')
+        .addOptions(variants.map(variant => ({
+            label: variant.name,
+            description: `R$ ${variant.price.toFixed(2)} | Estoque: ${stockLabel(variant)}`,
+            value: String(variant.id),
+        })));
+
+    return { content: '', embeds: [embed], components: [new ActionRowBuilder().addComponents(selectMenu)] };
+}
+
+module.exports = {
+    createShoppingPanel,
+    createCategoryMenu,
+    createVariantMenu,
+    createWaitlistMenu,
+    findCategoryByKey,
+    filterPanelProducts,
+    describePanelFilter,
+};
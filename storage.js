@@ -0,0 +1,282 @@
+// storage.js
+// Armazenamento dos arquivos enviados pelos clientes e pela equipe (comprovantes e anexos do chat).
+// O destino é escolhido por STORAGE_DRIVER: 'cloudinary' (padrão), 'local' (disco do servidor) ou 's3'
+// (AWS S3, MinIO e outros compatíveis). Os arquivos nunca ficam públicos: o banco guarda uma referência
+// "driver:chave" e cada exibição gera um link assinado que expira em STORAGE_SIGNED_URL_TTL_MINUTES.
+require('dotenv').config();
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const fetch = require('node-fetch');
+const cloudinary = require('cloudinary').v2;
+const { putObject, presignGetObject } = require('./s3.js');
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'cloudinary';
+
+// Validade dos links assinados
+const STORAGE_SIGNED_URL_TTL_MINUTES = parseInt(process.env.STORAGE_SIGNED_URL_TTL_MINUTES, 10) || 15;
+
+// Pasta dos arquivos no driver 'local'
+const STORAGE_LOCAL_DIR = path.resolve(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, 'uploads'));
+
+// Segredo dos links assinados do driver 'local'
+const STORAGE_SIGNING_SECRET = process.env.STORAGE_SIGNING_SECRET || process.env.SESSION_SECRET;
+
+// Configuração do driver 's3'. Para o MinIO, use o endpoint do servidor e STORAGE_S3_FORCE_PATH_STYLE=true.
+const S3_CONFIG = {
+    endpoint: process.env.STORAGE_S3_ENDPOINT,
+    region: process.env.STORAGE_S3_REGION || 'us-east-1',
+    bucket: process.env.STORAGE_S3_BUCKET,
+    accessKeyId: process.env.STORAGE_S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.STORAGE_S3_SECRET_ACCESS_KEY,
+    forcePathStyle: process.env.STORAGE_S3_FORCE_PATH_STYLE === 'true',
+};
+
+// Configura o Cloudinary com as credenciais do ambiente
+cloudinary.config({
+    cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+    api_key: process.env.CLOUDINARY_API_KEY,
+    api_secret: process.env.CLOUDINARY_API_SECRET,
+});
+
+// Pastas para organizar os arquivos
+const RECEIPTS_FOLDER = 'comprovantes-bot';
+const CHAT_ATTACHMENTS_FOLDER = 'chat-pedidos';
+const TRANSCRIPT_ATTACHMENTS_FOLDER = 'transcricoes';
+
+// Regras de envio: os comprovantes são sempre imagens; o chat aceita também PDF e texto.
+// O limite do chat é o mesmo de envio do Discord sem boost, para o anexo poder ser repassado ao ticket.
+const RECEIPT_UPLOAD_RULES = { types: ['image/png', 'image/jpeg', 'image/webp'], maxBytes: 5 * 1024 * 1024 };
+const CHAT_UPLOAD_RULES = {
+    types: ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'application/pdf', 'text/plain'],
+    maxBytes: 8 * 1024 * 1024,
+};
+
+// Tamanho máximo de um arquivo copiado de outra URL (anexos do Discord)
+const REMOTE_FILE_MAX_BYTES = 25 * 1024 * 1024;
+
+// Extensão gravada para cada tipo; os demais ficam como .bin e são baixados, nunca abertos no navegador
+const FILE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'application/pdf': 'pdf',
+    'text/plain': 'txt',
+};
+
+class UploadValidationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UploadValidationError';
+    }
+}
+
+/**
+ * Descobre o tipo de um arquivo pelos primeiros bytes, sem confiar no que o navegador informou.
+ * @param {Buffer} buffer
+ * @returns {string|null} O MIME type, ou null se não for um formato conhecido.
+ */
+function detectFileType(buffer) {
+    const startsWith = (bytes, offset = 0) => bytes.every((byte, i) => buffer[offset + i] === byte);
+    if (startsWith([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A])) return 'image/png';
+    if (startsWith([0xFF, 0xD8, 0xFF])) return 'image/jpeg';
+    if (buffer.toString('latin1', 0, 6) === 'GIF87a' || buffer.toString('latin1', 0, 6) === 'GIF89a') return 'image/gif';
+    if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'image/webp';
+    if (buffer.toString('latin1', 0, 5) === '%PDF-') return 'application/pdf';
+    return null;
+}
+
+/**
+ * Confere o tipo declarado, o conteúdo real e o tamanho de um arquivo enviado.
+ * @param {{buffer: Buffer, mimetype: string, size: number}} file
+ * @param {{types: string[], maxBytes: number}} rules
+ * @throws {UploadValidationError}
+ */
+function validateUpload(file, { types, maxBytes }) {
+    if (file.size > maxBytes || file.buffer.length > maxBytes) {
+        throw new UploadValidationError(`O arquivo passa do limite de ${maxBytes / 1024 / 1024} MB.`);
+    }
+    if (!types.includes(file.mimetype)) {
+        throw new UploadValidationError(`Tipo de arquivo não aceito. Envie: ${types.map(type => FILE_EXTENSIONS[type].toUpperCase()).join(', ')}.`);
+    }
+    if (file.mimetype === 'text/plain') {
+        // Texto não tem assinatura: basta não ter bytes nulos nem ser um dos formatos binários conhecidos
+        if (file.buffer.includes(0) || detectFileType(file.buffer)) throw new UploadValidationError('O conteúdo do arquivo não é um texto.');
+    } else if (detectFileType(file.buffer) !== file.mimetype) {
+        throw new UploadValidationError('O conteúdo do arquivo não corresponde ao tipo informado.');
+    }
+}
+
+/**
+ * Normaliza o caminho de um arquivo, sem deixar sair da pasta de uploads.
+ */
+function safeKey(key) {
+    const normalized = path.posix.normalize(key).replace(/^\/+/, '');
+    if (normalized.startsWith('..') || normalized.includes('\0')) throw new Error(`Caminho de arquivo inválido: ${key}`);
+    return normalized;
+}
+
+// --- DRIVERS ---
+// Cada driver grava o arquivo e devolve a chave usada depois para gerar o link assinado.
+
+const drivers = {
+    cloudinary: {
+        async save(buffer, { key, contentType }) {
+            const dataURI = `data:${contentType};base64,${buffer.toString('base64')}`;
+            const response = await cloudinary.uploader.upload(dataURI, {
+                public_id: key.replace(/\.[^./]+$/, ''),
+                overwrite: true,
+                type: 'authenticated', // Só abre com link assinado
+                resource_type: 'auto', // Aceita imagens e também PDFs e textos
+            });
+            // O link de download precisa do tipo de recurso e do formato, além do ID
+            return `${response.resource_type}:${response.format || ''}:${response.public_id}`;
+        },
+        signedUrl(key, expiresAt) {
+            const [resourceType, format, ...publicId] = key.split(':');
+            return cloudinary.utils.private_download_url(publicId.join(':'), format, {
+                resource_type: resourceType,
+                type: 'authenticated',
+                expires_at: Math.floor(expiresAt / 1000),
+                attachment: false,
+            });
+        },
+    },
+
+    local: {
+        async save(buffer, { key }) {
+            const filePath = path.join(STORAGE_LOCAL_DIR, safeKey(key));
+            await fs.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.writeFile(filePath, buffer);
+            return key;
+        },
+        signedUrl(key, expiresAt) {
+            const expires = Math.floor(expiresAt / 1000);
+            return `/arquivos/${key.split('/').map(encodeURIComponent).join('/')}?expires=${expires}&signature=${localSignature(key, expires)}`;
+        },
+    },
+
+    s3: {
+        async save(buffer, { key, contentType }) {
+            await putObject(S3_CONFIG, key, buffer, contentType);
+            return key;
+        },
+        signedUrl(key, expiresAt) {
+            return presignGetObject(S3_CONFIG, key, Math.ceil((expiresAt - Date.now()) / 1000));
+        },
+    },
+};
+
+if (!drivers[STORAGE_DRIVER]) {
+    throw new Error(`STORAGE_DRIVER inválido: '${STORAGE_DRIVER}'. Use 'cloudinary', 'local' ou 's3'.`);
+}
+
+function localSignature(key, expires) {
+    return crypto.createHmac('sha256', STORAGE_SIGNING_SECRET).update(`${key}:${expires}`).digest('hex');
+}
+
+/**
+ * Confere um link assinado do driver 'local'.
+ * @param {string} key
+ * @param {string} expires Segundos desde 1970, como veio na URL.
+ * @param {string} signature
+ * @returns {string|null} O caminho do arquivo no disco, ou null se o link for inválido ou tiver expirado.
+ */
+function resolveLocalFile(key, expires, signature) {
+    const expiresAt = parseInt(expires, 10);
+    if (!expiresAt || expiresAt * 1000 < Date.now() || typeof signature !== 'string') return null;
+    const expected = Buffer.from(localSignature(key, expiresAt));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) return null;
+    return path.join(STORAGE_LOCAL_DIR, safeKey(key));
+}
+
+// --- API ---
+
+/**
+ * Grava um arquivo no driver configurado.
+ * @param {Buffer} buffer
+ * @param {object} options
+ * @param {string} options.folder
+ * @param {string} options.contentType
+ * @param {string} [options.name] Nome fixo (sem extensão); se já existir, é substituído. Sem ele, o nome é aleatório.
+ * @returns {Promise<string>} A referência do arquivo ("driver:chave"), a ser guardada no banco.
+ */
+async function saveFile(buffer, { folder, contentType, name }) {
+    const extension = FILE_EXTENSIONS[contentType] || 'bin';
+    const key = safeKey(`${folder}/${name || crypto.randomUUID()}.${extension}`);
+    const storedKey = await drivers[STORAGE_DRIVER].save(buffer, { key, contentType });
+    return `${STORAGE_DRIVER}:${storedKey}`;
+}
+
+/**
+ * Grava um arquivo recebido pelo Multer (em memória).
+ * @param {{buffer: Buffer, mimetype: string}} file Já validado com validateUpload.
+ * @param {object} options
+ * @param {string} options.folder
+ * @param {string} [options.publicId] Nome fixo do arquivo; se já existir, é substituído.
+ * @returns {Promise<string>} A referência do arquivo.
+ */
+async function uploadFile(file, { folder, publicId } = {}) {
+    return saveFile(file.buffer, { folder, contentType: file.mimetype, name: publicId });
+}
+
+/**
+ * Copia um arquivo de outra URL para o armazenamento. Usado para os anexos do Discord, cujos links expiram.
+ * @param {string} url
+ * @param {object} options
+ * @param {string} options.folder
+ * @returns {Promise<string>} A referência da cópia.
+ */
+async function copyRemoteFile(url, { folder } = {}) {
+    const response = await fetch(url, { size: REMOTE_FILE_MAX_BYTES });
+    if (!response.ok) throw new Error(`Falha ao baixar ${url}: ${response.status}`);
+    const buffer = await response.buffer();
+    // O tipo é o do conteúdo real; o informado pelo servidor de origem só vale para texto
+    const declaredType = (response.headers.get('content-type') || '').split(';')[0].trim();
+    const contentType = detectFileType(buffer) || (declaredType === 'text/plain' ? 'text/plain' : 'application/octet-stream');
+    return saveFile(buffer, { folder, contentType });
+}
+
+/**
+ * Gera o link para abrir um arquivo guardado. Referências antigas (URLs completas, de antes dos links
+ * assinados) são devolvidas como estão.
+ * @param {string|null} ref
+ * @returns {string|null}
+ */
+function fileUrl(ref) {
+    if (!ref) return null;
+    if (/^https?:\/\//.test(ref)) return ref;
+    const separator = ref.indexOf(':');
+    const driver = drivers[ref.slice(0, separator)];
+    if (!driver) return null;
+    return driver.signedUrl(ref.slice(separator + 1), Date.now() + STORAGE_SIGNED_URL_TTL_MINUTES * 60 * 1000);
+}
+
+/**
+ * Copia uma mensagem do chat trocando a referência de cada anexo pelo link assinado, para envio ao navegador.
+ * @param {object} message
+ * @returns {object}
+ */
+function signMessageAttachments(message) {
+    if (!message.attachments) return message;
+    return { ...message, attachments: message.attachments.map(attachment => ({ ...attachment, url: fileUrl(attachment.url) })) };
+}
+
+module.exports = {
+    STORAGE_DRIVER,
+    RECEIPTS_FOLDER,
+    CHAT_ATTACHMENTS_FOLDER,
+    TRANSCRIPT_ATTACHMENTS_FOLDER,
+    RECEIPT_UPLOAD_RULES,
+    CHAT_UPLOAD_RULES,
+    UploadValidationError,
+    validateUpload,
+    saveFile,
+    uploadFile,
+    copyRemoteFile,
+    fileUrl,
+    signMessageAttachments,
+    resolveLocalFile,
+};
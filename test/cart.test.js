@@ -0,0 +1,82 @@
+// test/cart.test.js
+// Carrinho da sessão: quantidades, totais e itens dos pedidos, com o banco simulado no cache do require.
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const products = {
+    p1: { id: 'p1', name: 'Netflix', emoji: '🎬', imageUrl: null, price: 0.1, stock: 5, variants: [] },
+    p2: { id: 'p2', name: 'Spotify', emoji: null, imageUrl: null, price: 19.9, stock: 1, variants: [] },
+    p3: { id: 'p3', name: 'Xbox', emoji: null, imageUrl: null, price: 50, stock: -1, variants: [{ id: 7, name: '30 dias', price: 29.9, stock: 2 }] },
+};
+const orderItems = {};
+
+const dbPath = path.join(__dirname, '..', 'db.js');
+require.cache[dbPath] = {
+    id: dbPath,
+    filename: dbPath,
+    loaded: true,
+    exports: {
+        getProductById: async (id) => products[id] || null,
+        getOrderItems: async (orderId) => orderItems[orderId] || [],
+    },
+};
+
+const { CART_MAX_QUANTITY, getCart, setCartQuantity, addToCart, loadCart, summarizeItems, loadOrderItems, formatItemsList } = require('../cart.js');
+
+test('somar ao carrinho respeita o limite por produto', () => {
+    const session = {};
+    addToCart(session, 'p1', null, 2);
+    addToCart(session, 'p1', null, 3);
+    assert.deepStrictEqual(getCart(session), [{ productId: 'p1', variantId: null, quantity: 5 }]);
+
+    addToCart(session, 'p1', null, CART_MAX_QUANTITY);
+    assert.strictEqual(getCart(session)[0].quantity, CART_MAX_QUANTITY);
+});
+
+test('variações do mesmo produto são itens diferentes e quantidade zero remove o item', () => {
+    const session = {};
+    addToCart(session, 'p3', 7, 1);
+    addToCart(session, 'p3', null, 1);
+    assert.strictEqual(getCart(session).length, 2);
+
+    setCartQuantity(session, 'p3', 7, 0);
+    assert.deepStrictEqual(getCart(session), [{ productId: 'p3', variantId: null, quantity: 1 }]);
+    setCartQuantity(session, 'p3', null, 1.5); // Quantidade inválida também remove
+    assert.deepStrictEqual(getCart(session), []);
+});
+
+test('total do carrinho em centavos, sem erro de ponto flutuante', async () => {
+    const session = { cart: [{ productId: 'p1', variantId: null, quantity: 3 }, { productId: 'p3', variantId: 7, quantity: 1 }] };
+    const { items, total, hasStockProblem } = await loadCart(session);
+    assert.strictEqual(items[0].subtotal, 0.3);
+    assert.strictEqual(items[1].productName, 'Xbox - 30 dias');
+    assert.strictEqual(items[1].unitPrice, 29.9);
+    assert.strictEqual(total, 30.2);
+    assert.strictEqual(hasStockProblem, false);
+});
+
+test('produtos removidos saem do carrinho e a falta de estoque é marcada', async () => {
+    const session = { cart: [{ productId: 'sumiu', variantId: null, quantity: 1 }, { productId: 'p2', variantId: null, quantity: 2 }, { productId: 'p3', variantId: 99, quantity: 1 }] };
+    const { items, total, hasStockProblem } = await loadCart(session);
+    assert.deepStrictEqual(items.map(item => item.productId), ['p2']);
+    assert.strictEqual(items[0].exceedsStock, true);
+    assert.strictEqual(hasStockProblem, true);
+    assert.strictEqual(total, 39.8);
+    assert.deepStrictEqual(session.cart, [{ productId: 'p2', variantId: null, quantity: 2 }]);
+});
+
+test('resumo e lista dos itens do pedido', () => {
+    assert.strictEqual(summarizeItems([{ productName: 'Netflix', quantity: 1 }]), 'Netflix');
+    assert.strictEqual(summarizeItems([{ productName: 'Netflix', quantity: 2 }, { productName: 'Spotify', quantity: 1 }]), '2x Netflix + 1x Spotify');
+    assert.strictEqual(formatItemsList([{ productName: 'Netflix', quantity: 2, unitPrice: '19.9' }]), '• 2x Netflix (R$ 19.90 cada)');
+});
+
+test('pedidos anteriores ao carrinho viram um item só', async () => {
+    orderItems['com-itens'] = [{ productId: 'p1', productName: 'Netflix', quantity: 2, unitPrice: '0.10' }];
+    assert.deepStrictEqual(await loadOrderItems({ id: 'com-itens', productId: 'p1' }), orderItems['com-itens']);
+    assert.deepStrictEqual(await loadOrderItems({ id: 'antigo', productId: 'p2', productName: 'Spotify', totalAmount: '15.00' }),
+        [{ productId: 'p2', productName: 'Spotify', quantity: 1, unitPrice: '15.00' }]);
+    assert.deepStrictEqual(await loadOrderItems({ id: 'antigo', productId: 'p2', productName: 'Spotify', totalAmount: null }),
+        [{ productId: 'p2', productName: 'Spotify', quantity: 1, unitPrice: 19.9 }]);
+});
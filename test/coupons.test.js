@@ -0,0 +1,54 @@
+// test/coupons.test.js
+// Regras dos cupons: cálculo do desconto (arredondamento e limite), validação e datas do /cupom.
+const test = require('node:test');
+const assert = require('node:assert');
+const { normalizeCouponCode, getCouponRejection, calculateDiscount, describeCoupon, parseCouponDate } = require('../coupons.js');
+
+const percent = (value) => ({ type: 'percent', value: String(value) });
+const fixed = (value) => ({ type: 'fixed', value: String(value) });
+
+test('desconto percentual arredondado em centavos', () => {
+    assert.strictEqual(calculateDiscount(percent(10), '19.99'), 2);
+    assert.strictEqual(calculateDiscount(percent(12.5), 10.05), 1.26);
+    assert.strictEqual(calculateDiscount(percent(15), '33.33'), 5);
+    assert.strictEqual(calculateDiscount(percent(33), '0.10'), 0.03);
+});
+
+test('desconto fixo abaixo do valor do pedido é aplicado inteiro', () => {
+    assert.strictEqual(calculateDiscount(fixed(5), '30'), 5);
+    assert.strictEqual(calculateDiscount(fixed('2.50'), 9.9), 2.5);
+});
+
+test('o desconto nunca deixa o pedido abaixo de R$ 0,01', () => {
+    assert.strictEqual(calculateDiscount(fixed(50), 30), 29.99);
+    assert.strictEqual(calculateDiscount(fixed(30), 30), 29.99);
+    assert.strictEqual(calculateDiscount(percent(100), '30.00'), 29.99);
+    assert.strictEqual(calculateDiscount(fixed(1), '0.01'), 0);
+});
+
+test('motivos de recusa do cupom', () => {
+    const now = new Date('2026-05-10T12:00:00Z');
+    const coupon = { active: true, validFrom: '2026-05-01T03:00:00Z', validUntil: '2026-05-31T02:59:59Z', productId: null };
+
+    assert.strictEqual(getCouponRejection(coupon, ['p1'], now), null);
+    assert.strictEqual(getCouponRejection(null, ['p1'], now), 'Cupom inválido ou desativado.');
+    assert.strictEqual(getCouponRejection({ ...coupon, active: false }, ['p1'], now), 'Cupom inválido ou desativado.');
+    assert.strictEqual(getCouponRejection(coupon, ['p1'], new Date('2026-04-30T12:00:00Z')), 'Este cupom ainda não está válido.');
+    assert.strictEqual(getCouponRejection(coupon, ['p1'], new Date('2026-06-01T12:00:00Z')), 'Este cupom expirou.');
+    assert.strictEqual(getCouponRejection({ ...coupon, productId: 'p2' }, ['p1'], now), 'Este cupom não vale para os produtos deste pedido.');
+    assert.strictEqual(getCouponRejection({ ...coupon, productId: 'p2' }, ['p1', 'p2'], now), null);
+});
+
+test('código e descrição do cupom', () => {
+    assert.strictEqual(normalizeCouponCode('  promo10 '), 'PROMO10');
+    assert.strictEqual(normalizeCouponCode(undefined), '');
+    assert.strictEqual(describeCoupon(percent('12.50')), '12.5%');
+    assert.strictEqual(describeCoupon(fixed(5)), 'R$ 5.00');
+});
+
+test('datas do /cupom no fuso de Brasília', () => {
+    assert.strictEqual(parseCouponDate('01/05/2026').toISOString(), '2026-05-01T03:00:00.000Z');
+    assert.strictEqual(parseCouponDate('31/05/2026', true).toISOString(), '2026-06-01T02:59:59.000Z');
+    assert.strictEqual(parseCouponDate('31/02/2026'), null);
+    assert.strictEqual(parseCouponDate('2026-05-01'), null);
+});
@@ -0,0 +1,98 @@
+// test/orderStatus.test.js
+// Máquina de estados dos pedidos e a validação feita por updateOrderStatus, com um cliente do Postgres simulado.
+const test = require('node:test');
+const assert = require('node:assert');
+const { ORDER_STATUSES, InvalidStatusTransitionError, canTransition } = require('../orderStatus.js');
+const db = require('../db.js');
+
+// Todas as mudanças permitidas; qualquer outro par de status deve ser recusado
+const ALLOWED = [
+    ['analise', 'pending_approval'],
+    ['analise', 'approved'],
+    ['analise', 'expired'],
+    ['analise', 'cancelled'],
+    ['pending_approval', 'approved'],
+    ['pending_approval', 'declined'],
+    ['pending_approval', 'analise'],
+    ['pending_approval', 'cancelled'],
+    ['approved', 'entregue'],
+    ['approved', 'cancelled'],
+    ['approved', 'refunded'],
+    ['entregue', 'refunded'],
+];
+const TERMINAL = ['declined', 'expired', 'cancelled', 'refunded'];
+
+for (const from of ORDER_STATUSES) {
+    for (const to of ORDER_STATUSES) {
+        const allowed = ALLOWED.some(([a, b]) => a === from && b === to);
+        test(`${from} -> ${to} ${allowed ? 'é permitido' : 'é recusado'}`, () => {
+            assert.strictEqual(canTransition(from, to), allowed);
+        });
+    }
+}
+
+test('status finais não têm saída', () => {
+    for (const status of TERMINAL) {
+        assert.deepStrictEqual(ORDER_STATUSES.filter(to => canTransition(status, to)), [], status);
+    }
+});
+
+test('status desconhecidos são recusados', () => {
+    assert.strictEqual(canTransition('inexistente', 'approved'), false);
+    assert.strictEqual(canTransition('analise', 'inexistente'), false);
+    assert.strictEqual(canTransition(undefined, 'approved'), false);
+});
+
+/**
+ * Troca o pool.connect do db.js por um cliente falso com o pedido no status informado.
+ * @returns {string[]} Os comandos SQL executados, resumidos pela primeira palavra (e a tabela, nos INSERTs).
+ */
+function useFakeClient(currentStatus) {
+    const queries = [];
+    db.pool.connect = async () => ({
+        query: async (sql, values = []) => {
+            const text = sql.trim();
+            queries.push(text.startsWith('INSERT') ? text.match(/^INSERT INTO \w+/)[0] : text.split(/\s/)[0]);
+            if (text.startsWith('SELECT status')) return { rows: currentStatus ? [{ status: currentStatus }] : [] };
+            if (text.startsWith('UPDATE orders')) return { rows: [{ id: values[0], status: values[1], ticketChannelId: values[2] || null }] };
+            return { rows: [] };
+        },
+        release: () => {},
+    });
+    return queries;
+}
+
+test('updateOrderStatus registra a mudança no histórico', async () => {
+    const queries = useFakeClient('analise');
+    const order = await db.updateOrderStatus('order-1', 'approved', {}, { actor: 'admin' });
+    assert.strictEqual(order.status, 'approved');
+    assert.strictEqual(order.previousStatus, 'analise');
+    assert.deepStrictEqual(queries, ['BEGIN', 'SELECT', 'UPDATE', 'INSERT INTO order_status_history', 'COMMIT']);
+});
+
+test('updateOrderStatus recusa uma mudança fora da máquina de estados', async () => {
+    const queries = useFakeClient('entregue');
+    await assert.rejects(db.updateOrderStatus('order-1', 'cancelled'), (error) => error instanceof InvalidStatusTransitionError
+        && error.fromStatus === 'entregue' && error.toStatus === 'cancelled');
+    assert.deepStrictEqual(queries, ['BEGIN', 'SELECT', 'ROLLBACK']);
+});
+
+test('updateOrderStatus recusa repetir o status sem dados extras', async () => {
+    const queries = useFakeClient('approved');
+    await assert.rejects(db.updateOrderStatus('order-1', 'approved'), InvalidStatusTransitionError);
+    assert.deepStrictEqual(queries, ['BEGIN', 'SELECT', 'ROLLBACK']);
+});
+
+test('updateOrderStatus repete o status para atualizar dados extras, sem entrada no histórico', async () => {
+    const queries = useFakeClient('approved');
+    const order = await db.updateOrderStatus('order-1', 'approved', { ticketChannelId: 'channel-1' });
+    assert.strictEqual(order.ticketChannelId, 'channel-1');
+    assert.strictEqual(order.previousStatus, 'approved');
+    assert.deepStrictEqual(queries, ['BEGIN', 'SELECT', 'UPDATE', 'COMMIT']);
+});
+
+test('updateOrderStatus devolve null para um pedido que não existe', async () => {
+    const queries = useFakeClient(null);
+    assert.strictEqual(await db.updateOrderStatus('order-1', 'approved'), null);
+    assert.deepStrictEqual(queries, ['BEGIN', 'SELECT', 'ROLLBACK']);
+});
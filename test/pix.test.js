@@ -0,0 +1,35 @@
+// test/pix.test.js
+// BR Code do Pix estático: o payload e o CRC são conferidos com o exemplo do manual do BR Code do Banco Central.
+const test = require('node:test');
+const assert = require('node:assert');
+const { crc16, buildPixPayload } = require('../pix.js');
+
+// Exemplo do manual do BR Code (Pix estático sem valor), com o CRC 1D3D no final
+const BACEN_SAMPLE = '00020126580014br.gov.bcb.pix0136123e4567-e12b-12d1-a456-4266554400005204000053039865802BR5913Fulano de Tal6008BRASILIA62070503***63041D3D';
+const SAMPLE_RECEIVER = { key: '123e4567-e12b-12d1-a456-426655440000', merchantName: 'Fulano de Tal', merchantCity: 'BRASILIA' };
+
+test('CRC16 igual ao do exemplo do Banco Central', () => {
+    assert.strictEqual(crc16(BACEN_SAMPLE.slice(0, -4)), '1D3D');
+    // Valor de conferência do CRC-16/CCITT-FALSE
+    assert.strictEqual(crc16('123456789'), '29B1');
+});
+
+test('CRC16 sempre com 4 dígitos', () => {
+    assert.strictEqual(crc16('P103'), '00CB');
+});
+
+test('payload com valor segue o exemplo do Banco Central', () => {
+    const payload = buildPixPayload({ amount: 1.5, txid: '***', ...SAMPLE_RECEIVER });
+    // O mesmo payload do exemplo, com o campo 54 (valor) entre a moeda e o país
+    assert.strictEqual(payload, '00020126580014br.gov.bcb.pix0136123e4567-e12b-12d1-a456-42665544000052040000530398654041.505802BR5913Fulano de Tal6008BRASILIA62070503***63043E57');
+    assert.strictEqual(crc16(payload.slice(0, -4)), payload.slice(-4));
+});
+
+test('nome, cidade e txid fora do padrão são ajustados', () => {
+    const payload = buildPixPayload({ amount: '10', txid: 'pedido-123_abc', key: 'loja@example.com', merchantName: 'Loja São João da Barra Ltda ME', merchantCity: 'São José dos Campos' });
+    assert.ok(payload.includes('540510.00'));
+    assert.ok(payload.includes('5925Loja Sao Joao da Barra Lt'));
+    assert.ok(payload.includes('6015Sao Jose dos Ca'));
+    assert.ok(payload.includes('62160512pedido123abc'));
+    assert.strictEqual(crc16(payload.slice(0, -4)), payload.slice(-4));
+});
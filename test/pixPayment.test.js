@@ -0,0 +1,212 @@
+// test/pixPayment.test.js
+// Webhook do Pix com o banco e o Discord simulados: os módulos são trocados no cache do require antes de carregar o index.js.
+// A Efí é um servidor local falso, usado pelo modo EFI_BASE_URL do efi.js.
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const path = require('path');
+
+const calls = [];
+const efiRequests = [];
+const state = { remoteStatus: 'CONCLUIDA', charge: null, order: null, openCharges: [], statusError: null };
+
+/**
+ * Coloca um módulo falso no lugar de um arquivo do projeto. Funções não definidas devolvem null.
+ */
+function stubModule(file, overrides) {
+    const filename = path.join(__dirname, '..', file);
+    const exports = new Proxy(overrides, {
+        get: (target, name) => (name in target ? target[name] : async () => null),
+    });
+    require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+const record = (name, result) => async (...args) => {
+    calls.push({ name, args });
+    return typeof result === 'function' ? result(...args) : result;
+};
+
+stubModule('db.js', {
+    getPixChargeByTxid: record('getPixChargeByTxid', () => state.charge),
+    // Como no banco: só a primeira chamada para o txid muda a cobrança para paga
+    markPixChargePaid: record('markPixChargePaid', () => {
+        if (state.charge.status === 'CONCLUIDA') return null;
+        state.charge.status = 'CONCLUIDA';
+        return { ...state.charge };
+    }),
+    findOrderById: record('findOrderById', () => state.order),
+    updateOrderStatus: record('updateOrderStatus', (orderId, status, extraData) => {
+        if (state.statusError) throw state.statusError;
+        const previousStatus = state.order.status;
+        state.order = { ...state.order, ...extraData, status };
+        return { ...state.order, previousStatus };
+    }),
+    commitReservation: record('commitReservation', [{ orderId: 'order-1', productId: 'prod-1', quantity: 1 }]),
+    getProductById: record('getProductById', { id: 'prod-1', name: 'Produto', price: '10.00', stock: 5 }),
+    getOrderItems: record('getOrderItems', []),
+    assignProductKeys: record('assignProductKeys', { keys: [], missingItems: [] }),
+    getOrderStatusHistory: record('getOrderStatusHistory', []),
+    getShoppingPanels: record('getShoppingPanels', []),
+    claimRestockedWaitlist: record('claimRestockedWaitlist', []),
+    getOpenPixCharges: record('getOpenPixCharges', () => state.openCharges),
+    markPixChargeRemoved: record('markPixChargeRemoved', (txid) => ({ txid })),
+    addAuditLog: record('addAuditLog', null),
+});
+stubModule('server.js', { pushOrderStatus: () => {} });
+
+// Servidor falso com as rotas da API Pix da Efí usadas pelo efi.js
+const efiServer = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        efiRequests.push({ method: req.method, url: req.url, authorization: req.headers.authorization });
+        res.setHeader('Content-Type', 'application/json');
+        if (req.url === '/oauth/token') return res.end(JSON.stringify({ access_token: 'token-teste', expires_in: 3600 }));
+        const txid = req.url.match(/^\/v2\/cob\/(\w+)$/)?.[1];
+        if (!txid) return res.writeHead(404).end(JSON.stringify({ nome: 'nao_encontrado' }));
+        if (req.method === 'PATCH') return res.end(JSON.stringify({ txid, ...JSON.parse(Buffer.concat(chunks).toString()) }));
+        res.end(JSON.stringify({ txid, status: state.remoteStatus }));
+    });
+});
+
+let processPixPayment;
+let processVerificationAction;
+let changeOrderStatus;
+const channelsCreated = [];
+
+test.before(async () => {
+    await new Promise(resolve => efiServer.listen(0, '127.0.0.1', resolve));
+    Object.assign(process.env, {
+        EFI_BASE_URL: `http://127.0.0.1:${efiServer.address().port}`,
+        EFI_CLIENT_ID: 'cliente',
+        EFI_CLIENT_SECRET: 'segredo',
+        PIX_KEY: 'loja@example.com',
+        SITE_URL: 'http://localhost:3000',
+    });
+    const bot = require('../index.js');
+    ({ processPixPayment, processVerificationAction, changeOrderStatus } = bot);
+
+    // O Discord também é simulado: o servidor cria o canal de chat e os usuários recebem DMs
+    const guild = {
+        id: 'guild-1',
+        channels: {
+            create: async (options) => {
+                const channel = { id: `channel-${channelsCreated.length + 1}`, name: options.name, deleted: false, send: async () => {} };
+                channel.delete = async () => { channel.deleted = true; };
+                channelsCreated.push(channel);
+                return channel;
+            },
+            fetch: async () => null,
+        },
+    };
+    bot.client.guilds.fetch = async () => guild;
+    bot.client.users.fetch = async (id) => ({ id, tag: `usuario#${id}`, send: async () => {} });
+    bot.client.channels.fetch = async () => null;
+});
+
+test.after(() => efiServer.close());
+
+const auditActions = () => calls.filter(call => call.name === 'addAuditLog').map(call => call.args[0].action);
+const statusChanges = () => calls.filter(call => call.name === 'updateOrderStatus').map(call => call.args[1]);
+
+test.beforeEach(() => {
+    calls.length = 0;
+    efiRequests.length = 0;
+    channelsCreated.length = 0;
+    state.remoteStatus = 'CONCLUIDA';
+    state.charge = { txid: 'tx1', orderId: 'order-1', amount: '10.00', status: 'ATIVA', context: { type: 'site', orderId: 'order-1', userId: '42', productName: 'Produto' } };
+    state.order = { id: 'order-1', status: 'analise', userId: '42', productId: 'prod-1', productName: 'Produto', totalAmount: '10.00', ticketChannelId: null };
+    state.openCharges = [];
+    state.statusError = null;
+});
+
+test('aprova o pedido do site quando a Efí confirma o Pix', async () => {
+    const result = await processPixPayment({ txid: 'tx1', endToEndId: 'E1', valor: '10.00' });
+
+    assert.strictEqual(result.success, true, result.message);
+    assert.strictEqual(state.order.status, 'approved');
+    assert.strictEqual(state.order.ticketChannelId, 'channel-1');
+    assert.ok(calls.some(call => call.name === 'commitReservation'));
+    assert.ok(auditActions().includes('pix.payment_confirmed'));
+    assert.ok(auditActions().includes('order.approve'));
+    assert.ok(!auditActions().includes('pix.payment_unapplied'));
+    // A cobrança foi consultada na Efí (com o token do OAuth) antes da aprovação
+    const cobRequest = efiRequests.find(request => request.method === 'GET' && request.url === '/v2/cob/tx1');
+    assert.ok(cobRequest);
+    assert.strictEqual(cobRequest.authorization, 'Bearer token-teste');
+});
+
+test('a mesma notificação entregue duas vezes aprova o pedido uma vez só', async () => {
+    const pix = { txid: 'tx1', endToEndId: 'E1', valor: '10.00' };
+    const [first, second] = await Promise.all([processPixPayment(pix), processPixPayment(pix)]);
+
+    assert.strictEqual(first.success, true, first.message);
+    assert.deepStrictEqual(second, { success: true, message: 'Cobrança tx1 já processada.' });
+    assert.strictEqual(channelsCreated.length, 1);
+    assert.strictEqual(calls.filter(call => call.name === 'commitReservation').length, 1);
+    assert.deepStrictEqual(auditActions().filter(action => action === 'pix.payment_confirmed'), ['pix.payment_confirmed']);
+});
+
+test('se a aprovação falhar, o canal criado é excluído e o estoque não é confirmado', async () => {
+    state.statusError = new Error('falha no banco');
+    await assert.rejects(processVerificationAction('approve', state.charge.context, 'admin'), /falha no banco/);
+
+    assert.strictEqual(channelsCreated.length, 1);
+    assert.strictEqual(channelsCreated[0].deleted, true);
+    assert.strictEqual(state.order.status, 'analise');
+    assert.ok(!calls.some(call => call.name === 'commitReservation'));
+
+    // A nova tentativa segue o caminho normal
+    state.statusError = null;
+    const result = await processVerificationAction('approve', state.charge.context, 'admin');
+    assert.strictEqual(result.success, true, result.message);
+    assert.strictEqual(state.order.ticketChannelId, 'channel-2');
+});
+
+test('ignora a notificação quando a Efí não confirma o pagamento', async () => {
+    state.remoteStatus = 'ATIVA';
+    const result = await processPixPayment({ txid: 'tx1', endToEndId: 'E1', valor: '10.00' });
+    assert.strictEqual(result.success, false);
+    assert.ok(!calls.some(call => call.name === 'markPixChargePaid'));
+    assert.deepStrictEqual(auditActions(), ['pix.payment_ignored']);
+});
+
+test('ignora um valor menor que o da cobrança', async () => {
+    const result = await processPixPayment({ txid: 'tx1', endToEndId: 'E1', valor: '9.99' });
+    assert.strictEqual(result.success, false);
+    assert.ok(!calls.some(call => call.name === 'markPixChargePaid'));
+});
+
+test('não processa de novo um webhook repetido', async () => {
+    state.charge.status = 'CONCLUIDA';
+    const result = await processPixPayment({ txid: 'tx1', endToEndId: 'E1', valor: '10.00' });
+    assert.strictEqual(result.success, true);
+    assert.deepStrictEqual(auditActions(), []);
+    assert.deepStrictEqual(statusChanges(), []);
+});
+
+for (const status of ['expired', 'declined', 'cancelled', 'approved']) {
+    test(`avisa os admins quando o Pix chega para um pedido "${status}"`, async () => {
+        state.order.status = status;
+        const result = await processPixPayment({ txid: 'tx1', endToEndId: 'E1', valor: '10.00' });
+        assert.strictEqual(result.success, false);
+        assert.deepStrictEqual(auditActions(), ['pix.payment_confirmed', 'pix.payment_unapplied']);
+        assert.deepStrictEqual(statusChanges(), []);
+    });
+}
+
+for (const status of ['expired', 'declined', 'cancelled']) {
+    test(`remove as cobranças abertas quando o pedido fica "${status}"`, async () => {
+        state.openCharges = [{ txid: 'tx1', context: { userId: '42' } }, { txid: 'tx2', context: { userId: '42' } }];
+        await changeOrderStatus('order-1', status, {}, { actor: 'sistema' });
+        assert.deepStrictEqual(efiRequests.filter(request => request.method === 'PATCH').map(request => request.url), ['/v2/cob/tx1', '/v2/cob/tx2']);
+        assert.deepStrictEqual(auditActions(), ['pix.charge_removed', 'pix.charge_removed']);
+    });
+}
+
+test('mantém as cobranças abertas enquanto o pedido aguarda pagamento', async () => {
+    state.order.status = 'pending_approval';
+    state.openCharges = [{ txid: 'tx1', context: { userId: '42' } }];
+    await changeOrderStatus('order-1', 'analise', {}, { actor: 'sistema' });
+    assert.ok(!efiRequests.some(request => request.method === 'PATCH'));
+});
@@ -0,0 +1,124 @@
+// test/reports.test.js
+// Relatórios de vendas: período, ticket médio e exportação CSV, com o banco simulado no cache do require.
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+
+const data = { orders: [], report: null };
+
+const dbPath = path.join(__dirname, '..', 'db.js');
+require.cache[dbPath] = {
+    id: dbPath,
+    filename: dbPath,
+    loaded: true,
+    exports: {
+        getOrdersForExport: async () => data.orders,
+        getSalesReport: async () => data.report,
+    },
+};
+
+const { parseReportDate, resolveReportPeriod, loadSalesReport, formatDuration, buildOrdersCsv, csvFileName } = require('../reports.js');
+
+const period = { from: new Date('2026-09-01T03:00:00Z'), to: new Date('2026-10-01T02:59:59.999Z') };
+
+/**
+ * Lê o CSV gerado respeitando aspas, para conferir as células como o Excel as veria.
+ * @param {string} csv
+ * @returns {string[][]}
+ */
+function parseCsv(csv) {
+    const rows = [[]];
+    let cell = '';
+    let quoted = false;
+    for (let i = 0; i < csv.length; i++) {
+        const char = csv[i];
+        if (quoted) {
+            if (char === '"' && csv[i + 1] === '"') { cell += '"'; i++; }
+            else if (char === '"') quoted = false;
+            else cell += char;
+        } else if (char === '"') quoted = true;
+        else if (char === ',') { rows[rows.length - 1].push(cell); cell = ''; }
+        else if (char === '\r' && csv[i + 1] === '\n') { rows[rows.length - 1].push(cell); cell = ''; rows.push([]); i++; }
+        else cell += char;
+    }
+    return rows.filter(row => row.length > 0);
+}
+
+const order = (overrides) => ({
+    id: 'order-1',
+    createdAt: new Date('2026-09-10T15:00:00Z'),
+    approvedAt: null,
+    status: 'approved',
+    source: 'site',
+    userId: '42',
+    username: 'comprador',
+    productName: 'Netflix',
+    couponCode: null,
+    discountAmount: null,
+    totalAmount: '19.90',
+    ...overrides,
+});
+
+test('CSV com BOM, cabeçalho e uma linha por pedido', async () => {
+    data.orders = [order({ approvedAt: new Date('2026-09-10T15:30:00Z'), couponCode: 'PROMO', discountAmount: '2.00', totalAmount: '17.90' })];
+    const csv = await buildOrdersCsv(period);
+
+    assert.ok(csv.startsWith('\uFEFF'));
+    assert.ok(csv.endsWith('\r\n'));
+    const [header, row] = parseCsv(csv.slice(1));
+    assert.deepStrictEqual(header, ['pedido', 'criado_em', 'aprovado_em', 'status', 'origem', 'usuario_id', 'usuario', 'itens', 'cupom', 'desconto', 'total']);
+    assert.deepStrictEqual(row, ['order-1', '2026-09-10T15:00:00.000Z', '2026-09-10T15:30:00.000Z', 'Aprovado', 'site', '42', 'comprador', 'Netflix', 'PROMO', '2.00', '17.90']);
+});
+
+test('CSV coloca entre aspas nomes com ";", aspas, vírgulas e quebras de linha', async () => {
+    const names = ['2x Netflix; 1x Spotify', 'Conta "Premium"', 'Xbox, 30 dias', 'Linha 1\nLinha 2', 'Linha 1\r\nLinha 2'];
+    data.orders = names.map((productName, index) => order({ id: `order-${index}`, productName }));
+    const csv = await buildOrdersCsv(period);
+
+    assert.ok(csv.includes('"2x Netflix; 1x Spotify"'));
+    assert.ok(csv.includes('"Conta ""Premium"""'));
+    const rows = parseCsv(csv.slice(1)).slice(1);
+    assert.strictEqual(rows.length, names.length);
+    assert.deepStrictEqual(rows.map(row => row[7]), names);
+    assert.ok(rows.every(row => row.length === 11));
+});
+
+test('CSV neutraliza textos que começam como fórmula e deixa vazios os campos nulos', async () => {
+    data.orders = [order({ username: '=HYPERLINK("http://exemplo")', productName: '@SOMA', status: 'analise' })];
+    const [, row] = parseCsv((await buildOrdersCsv(period)).slice(1));
+    assert.strictEqual(row[6], '\'=HYPERLINK("http://exemplo")');
+    assert.strictEqual(row[7], '\'@SOMA');
+    assert.strictEqual(row[2], '');
+    assert.strictEqual(row[8], '');
+});
+
+test('ticket médio ignora os pedidos pagos sem valor gravado', async () => {
+    data.report = { summary: { ordersCount: 10, approvedCount: 4, paidCount: 4, unpricedCount: 1, revenue: 90 }, statusCounts: [], topProducts: [] };
+    const { summary } = await loadSalesReport(period);
+    assert.strictEqual(summary.conversionRate, 0.4);
+    assert.strictEqual(summary.averageTicket, 30);
+
+    data.report = { summary: { ordersCount: 0, approvedCount: 0, paidCount: 2, unpricedCount: 2, revenue: 0 }, statusCounts: [], topProducts: [] };
+    const empty = (await loadSalesReport(period)).summary;
+    assert.strictEqual(empty.conversionRate, 0);
+    assert.strictEqual(empty.averageTicket, 0);
+});
+
+test('período do relatório no fuso de Brasília', () => {
+    assert.strictEqual(parseReportDate('2026-09-01').toISOString(), '2026-09-01T03:00:00.000Z');
+    assert.strictEqual(parseReportDate('2026-09-30', true).toISOString(), '2026-10-01T02:59:59.999Z');
+    assert.strictEqual(parseReportDate('01/09/2026'), null);
+    assert.strictEqual(parseReportDate('2026-13-01'), null);
+
+    const { from, to } = resolveReportPeriod(null, period.to);
+    assert.strictEqual(to, period.to);
+    assert.strictEqual(to - from, 30 * 24 * 60 * 60 * 1000);
+    assert.strictEqual(csvFileName(period), 'pedidos_2026-09-01_2026-09-30.csv');
+});
+
+test('durações legíveis', () => {
+    assert.strictEqual(formatDuration(null), '-');
+    assert.strictEqual(formatDuration(90), '2min');
+    assert.strictEqual(formatDuration(8100), '2h 15min');
+    assert.strictEqual(formatDuration(3 * 86400 + 5 * 3600), '3d 5h');
+});
@@ -0,0 +1,107 @@
+// test/shoppingPanel.test.js
+// Paginação do painel de compras e dos menus de categoria dentro dos limites do Discord.
+const test = require('node:test');
+const assert = require('node:assert');
+const { embedLength } = require('discord.js');
+const { createShoppingPanel, createCategoryMenu, findCategoryByKey, filterPanelProducts } = require('../shoppingPanel.js');
+
+/**
+ * Monta um catálogo no formato de getProducts: categoriesCount categorias com productsPerCategory produtos cada.
+ */
+function buildCatalog(categoriesCount, productsPerCategory, nameLength = 10) {
+    const catalog = {};
+    for (let c = 0; c < categoriesCount; c++) {
+        for (let p = 0; p < productsPerCategory; p++) {
+            const id = `c${c}p${p}`;
+            catalog[id] = {
+                id,
+                name: `${id}-${'x'.repeat(nameLength)}`,
+                category: `Categoria ${String(c).padStart(2, '0')}`,
+                price: 10 + p,
+                stock: 5,
+                emoji: null,
+                description: 'd'.repeat(500),
+                imageUrl: null,
+                variants: [],
+            };
+        }
+    }
+    return catalog;
+}
+
+const customIds = (row) => row.components.map(component => component.data.custom_id);
+
+test('até 10 categorias cabem em uma página, sem botões', () => {
+    const { embeds, components } = createShoppingPanel(buildCatalog(10, 2), 0, 0, 3);
+    assert.strictEqual(embeds[0].data.fields.length, 10);
+    assert.strictEqual(components.length, 1);
+    assert.deepStrictEqual(customIds(components[0]), ['select-category_3']);
+});
+
+test('categorias além de 10 vão para as páginas seguintes', () => {
+    const catalog = buildCatalog(23, 1);
+    const first = createShoppingPanel(catalog, 0, 0, 3);
+    const last = createShoppingPanel(catalog, 2, 0, 3);
+
+    assert.strictEqual(first.embeds[0].data.fields[0].name, 'Categoria 00');
+    assert.strictEqual(last.embeds[0].data.fields.length, 3);
+    assert.strictEqual(last.embeds[0].data.fields[0].name, 'Categoria 20');
+    assert.match(last.embeds[0].data.footer.text, /^Página 3 de 3/);
+
+    const [previous, info, next] = first.components[1].components.map(component => component.data);
+    assert.deepStrictEqual([previous.custom_id, info.custom_id, next.custom_id], ['panel-page_3_-1', 'panel-page_3-info', 'panel-page_3_1']);
+    assert.deepStrictEqual([previous.disabled, next.disabled], [true, false]);
+    assert.deepStrictEqual(last.components[1].components.map(component => component.data.disabled), [false, true, true]);
+});
+
+test('páginas fora do intervalo são ajustadas', () => {
+    const catalog = buildCatalog(23, 1);
+    assert.match(createShoppingPanel(catalog, 99).embeds[0].data.footer.text, /^Página 3 de 3/);
+    assert.match(createShoppingPanel(catalog, -1).embeds[0].data.footer.text, /^Página 1 de 3/);
+    assert.match(createShoppingPanel(catalog, Number.NaN).embeds[0].data.footer.text, /^Página 1 de 3/);
+    // Sem painel fixo, os botões usam o painel 0
+    assert.strictEqual(createShoppingPanel(catalog, 0).components[1].components[2].data.custom_id, 'panel-page_0_1');
+});
+
+test('categorias com muitos produtos cabem nos limites do embed', () => {
+    const { embeds } = createShoppingPanel(buildCatalog(10, 60, 80));
+    for (const field of embeds[0].data.fields) {
+        assert.ok(field.value.length <= 1024);
+        assert.match(field.value, /… e mais \d+ produto\(s\)$/);
+    }
+    assert.ok(embedLength(embeds[0].data) <= 6000);
+});
+
+test('o botão da lista de espera aparece com produtos esgotados', () => {
+    const { components } = createShoppingPanel(buildCatalog(23, 1), 0, 4, 3);
+    assert.deepStrictEqual(customIds(components[2]), ['waitlist-open_3']);
+    assert.deepStrictEqual(customIds(createShoppingPanel({}, 0, 4, 3).components[0]), ['waitlist-open_3']);
+});
+
+test('menu de categoria com 10 produtos por página e o filtro do painel nos botões', () => {
+    const catalog = buildCatalog(1, 25, 200);
+    const products = Object.values(catalog);
+    const last = createCategoryMenu('Categoria 00', products, 2, 3);
+    assert.strictEqual(last.embeds.length, 5);
+    assert.strictEqual(last.components[0].components[0].options.length, 5);
+    const [previous, , next] = last.components[1].components.map(component => component.data);
+    assert.strictEqual(next.disabled, true);
+
+    // O customId leva um identificador curto da categoria, que leva de volta a ela
+    const [, key, panelId, page] = previous.custom_id.split('_');
+    assert.deepStrictEqual([panelId, page], ['3', '1']);
+    assert.ok(previous.custom_id.length <= 100);
+    assert.strictEqual(findCategoryByKey(catalog, key).name, 'Categoria 00');
+
+    const first = createCategoryMenu('Categoria 00', products, 0, 3);
+    assert.strictEqual(first.embeds.length, 10);
+    assert.ok(first.embeds.reduce((sum, embed) => sum + embedLength(embed.data), 0) <= 6000);
+});
+
+test('o filtro do painel fixo limita os produtos exibidos', () => {
+    const catalog = buildCatalog(3, 2);
+    assert.deepStrictEqual(Object.keys(filterPanelProducts(catalog, { category: 'Categoria 01', productIds: null })), ['c1p0', 'c1p1']);
+    assert.deepStrictEqual(Object.keys(filterPanelProducts(catalog, { category: null, productIds: ['c2p1'] })), ['c2p1']);
+    assert.strictEqual(filterPanelProducts(catalog, null), catalog);
+});
+
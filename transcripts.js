@@ -0,0 +1,144 @@
+// transcripts.js
+// Transcrições dos canais do Discord (pagamento, entrega e chat dos pedidos): o histórico completo é copiado
+// antes de o canal ser excluído e exibido como uma página HTML independente, servida no painel e enviada ao canal de logs.
+const path = require('path');
+const ejs = require('ejs');
+const { TRANSCRIPT_ATTACHMENTS_FOLDER, copyRemoteFile, fileUrl } = require('./storage.js');
+
+// Limite de mensagens copiadas de um canal. O Discord entrega no máximo 100 por busca.
+const TRANSCRIPT_MAX_MESSAGES = 5000;
+const MESSAGES_PER_FETCH = 100;
+
+/**
+ * Busca todas as mensagens de um canal, das mais antigas para as mais recentes.
+ * @param {import('discord.js').TextChannel} channel
+ * @returns {Promise<import('discord.js').Message[]>}
+ */
+async function fetchAllMessages(channel) {
+    const messages = [];
+    let before;
+    while (messages.length < TRANSCRIPT_MAX_MESSAGES) {
+        const batch = await channel.messages.fetch({ limit: MESSAGES_PER_FETCH, ...(before ? { before } : {}) });
+        messages.push(...batch.values());
+        if (batch.size < MESSAGES_PER_FETCH) break;
+        before = batch.last().id;
+    }
+    return messages.reverse();
+}
+
+/**
+ * Copia um arquivo de uma mensagem para o armazenamento da loja.
+ * @param {string} url
+ * @param {string} label O que está sendo copiado, para o log de erro.
+ * @returns {Promise<string|null>} A referência da cópia, ou null se ela falhar.
+ */
+async function copyTranscriptFile(url, label) {
+    try {
+        return await copyRemoteFile(url, { folder: TRANSCRIPT_ATTACHMENTS_FOLDER });
+    } catch (error) {
+        console.error(`Erro ao copiar ${label}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Converte uma mensagem para o formato salvo na transcrição. Os anexos e as imagens dos embeds são copiados
+ * para o armazenamento da loja, já que os links do Discord expiram e somem com o canal; se a cópia falhar,
+ * fica o link original.
+ * @param {import('discord.js').Message} message
+ * @returns {Promise<object>}
+ */
+async function serializeMessage(message) {
+    const attachments = [];
+    for (const attachment of message.attachments.values()) {
+        const ref = await copyTranscriptFile(attachment.url, `o anexo ${attachment.name} da mensagem ${message.id}`);
+        attachments.push({ name: attachment.name, contentType: attachment.contentType, size: attachment.size, ref, originalUrl: attachment.url });
+    }
+
+    const embeds = [];
+    for (const embed of message.embeds) {
+        const data = embed.toJSON();
+        for (const field of ['image', 'thumbnail']) {
+            if (data[field] && /^https?:\/\//.test(data[field].url || '')) {
+                data[field].ref = await copyTranscriptFile(data[field].url, `a imagem (${field}) de um embed da mensagem ${message.id}`);
+            }
+        }
+        embeds.push(data);
+    }
+
+    return {
+        id: message.id,
+        author: {
+            id: message.author.id,
+            tag: message.author.tag,
+            bot: message.author.bot,
+            avatarUrl: message.author.displayAvatarURL({ size: 64 }),
+        },
+        content: message.content,
+        createdAt: message.createdAt.toISOString(),
+        editedAt: message.editedAt ? message.editedAt.toISOString() : null,
+        attachments,
+        embeds,
+        // Nomes de quem foi mencionado, para a transcrição não mostrar só IDs
+        mentions: {
+            users: Object.fromEntries(message.mentions.users.map(user => [user.id, user.tag])),
+            roles: Object.fromEntries(message.mentions.roles.map(role => [role.id, role.name])),
+            channels: Object.fromEntries(message.mentions.channels.map(channel => [channel.id, channel.name || channel.id])),
+        },
+    };
+}
+
+/**
+ * Copia o histórico completo de um canal: autores, textos, anexos e embeds.
+ * @param {import('discord.js').TextChannel} channel
+ * @returns {Promise<object[]>} As mensagens, das mais antigas para as mais recentes.
+ */
+async function captureChannelMessages(channel) {
+    const messages = await fetchAllMessages(channel);
+    const serialized = [];
+    for (const message of messages) {
+        serialized.push(await serializeMessage(message));
+    }
+    return serialized;
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Prepara o texto de uma mensagem para o HTML: escapa tudo, troca menções pelos nomes e mantém as quebras de linha.
+ * @param {string} text
+ * @param {{users?: object, roles?: object, channels?: object}} [mentions]
+ * @returns {string} HTML seguro.
+ */
+function formatTranscriptText(text, mentions = {}) {
+    return escapeHtml(text || '')
+        .replace(/&lt;@!?(\d+)&gt;/g, (match, id) => `<span class="mention">@${escapeHtml((mentions.users || {})[id] || id)}</span>`)
+        .replace(/&lt;@&amp;(\d+)&gt;/g, (match, id) => `<span class="mention">@${escapeHtml((mentions.roles || {})[id] || id)}</span>`)
+        .replace(/&lt;#(\d+)&gt;/g, (match, id) => `<span class="mention">#${escapeHtml((mentions.channels || {})[id] || id)}</span>`)
+        .replace(/&lt;t:(\d+)(?::[a-zA-Z])?&gt;/g, (match, seconds) => new Date(seconds * 1000).toLocaleString('pt-BR', { timeZone: 'America/Sao_Paulo' }))
+        .replace(/\n/g, '<br>');
+}
+
+/**
+ * Gera a página HTML independente de uma transcrição (a mesma servida no painel).
+ * Os links dos anexos são assinados e valem por pouco tempo; a página no painel sempre gera links novos.
+ * @param {object} transcript Linha de channel_transcripts.
+ * @param {string} [siteUrl] Para o link da versão no painel.
+ * @returns {Promise<string>}
+ */
+function renderTranscriptHtml(transcript, siteUrl) {
+    return ejs.renderFile(path.join(__dirname, 'views', 'transcript.ejs'), { transcript, siteUrl: siteUrl || null, formatTranscriptText, fileUrl });
+}
+
+module.exports = {
+    captureChannelMessages,
+    formatTranscriptText,
+    renderTranscriptHtml,
+};